@@ -3,6 +3,7 @@
  *
  * Usage:
  *   const config = loadClientConfig('bathfitter');
+ *   const portfolio = loadPortfolioConfig();
  */
 
 const fs = require('fs');
@@ -45,6 +46,11 @@ function loadClientConfig(clientName, baseDir = null) {
         openaiAnalysisDir: path.join(clientDir, 'data', 'openai_analysis'),
         recordingsDir: path.join(clientDir, 'data', 'recordings'),
         logsDir: path.join(clientDir, 'data', 'logs'),
+        llmReplayDir: path.join(clientDir, 'data', 'llm_replay'),
+        overridesFile: path.join(clientDir, 'data', 'classification_overrides.json'),
+        revenueAttributionFile: path.join(clientDir, 'data', 'revenue_attribution.json'),
+        evalDir: path.join(clientDir, 'data', 'eval'),
+        promptVersionsFile: path.join(clientDir, 'data', 'prompt_versions.json'),
         metadataFile: path.join(clientDir, 'data', 'metadata.json')
     };
 
@@ -106,7 +112,43 @@ function getAvailableClients(baseDir = null) {
     });
 }
 
+/**
+ * Load the cross-client portfolio configuration (portfolio/config/portfolio.json)
+ *
+ * The result is shaped like a client config (`client` holds the portfolio's name,
+ * timezone, branding and email block) so the email sender can brand and send the
+ * rollup to internal recipients only; client.json recipients are never used.
+ * @param {String} baseDir - Optional base directory (defaults to parent of this file)
+ * @returns {Object} { client, report: { templates }, clients, paths }
+ */
+function loadPortfolioConfig(baseDir = null) {
+    if (!baseDir) {
+        baseDir = path.join(__dirname, '..');
+    }
+
+    const portfolioDir = path.join(baseDir, 'portfolio');
+    const settings = loadJSON(path.join(portfolioDir, 'config', 'portfolio.json'));
+    const { clients, templates, ...identity } = settings;
+
+    const config = {
+        client: identity,
+        report: { templates: templates || {} },
+        clients: Array.isArray(clients) && clients.length > 0 ? clients : getAvailableClients(baseDir),
+        paths: {
+            clientDir: portfolioDir,
+            dataDir: path.join(portfolioDir, 'data'),
+            reportsDir: path.join(portfolioDir, 'data', 'reports')
+        }
+    };
+
+    ensureDirectoryExists(config.paths.dataDir);
+    ensureDirectoryExists(config.paths.reportsDir);
+
+    return config;
+}
+
 module.exports = {
     loadClientConfig,
+    loadPortfolioConfig,
     getAvailableClients
 };
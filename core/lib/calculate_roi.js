@@ -45,17 +45,29 @@ function calculateHumanCost(totalHours, hourlyRate = 45, benefitsMultiplier = 1.
 
 /**
  * Compare AI assistant cost vs Human cost
+ * With call costs billed with a markup or margin, the AI side is the billed cost of the
+ * actual Vapi per-call costs (flat rate only for calls without one); otherwise, and
+ * when no markup or margin is configured, minutes x the flat rate.
  * @param {Number} totalMinutes - Total connected minutes
  * @param {Number} totalCalls - Total number of calls
  * @param {Object} config - Configuration with pricing
- * @returns {Object} Comparison data
+ * @param {Object} callCosts - summarizeCallCosts() result for the same calls (optional)
+ * @returns {Object} Comparison data (ai.basis: 'actual', 'mixed' or 'flat')
  */
-function compareAIvsHuman(totalMinutes, totalCalls, config = {}) {
+function compareAIvsHuman(totalMinutes, totalCalls, config = {}, callCosts = null) {
     const aiCostPerMin = config.aiCostPerMinute || config.blakeCostPerMinute || 0.79;
     const humanHourlyRate = config.humanHourlyRate || 45;
     const benefitsMultiplier = config.humanBenefitsMultiplier || 1.3;
 
     const ai = calculateAICost(totalMinutes, aiCostPerMin);
+    ai.basis = 'flat';
+    if (callCosts && callCosts.costedCalls > 0 && callCosts.billingMode !== 'flat') {
+        ai.totalCost = Math.round(callCosts.billedCost * 100) / 100;
+        ai.costPerMinute = totalMinutes > 0 ? Math.round((callCosts.billedCost / totalMinutes) * 1000) / 1000 : 0;
+        ai.providerCost = Math.round(callCosts.providerCost * 100) / 100;
+        ai.billingLabel = callCosts.billingLabel;
+        ai.basis = callCosts.flatCalls > 0 ? 'mixed' : 'actual';
+    }
     ai.costPerCall = totalCalls > 0 ? Math.round((ai.totalCost / totalCalls) * 100) / 100 : 0;
 
     const human = calculateHumanCost(ai.totalHours, humanHourlyRate, benefitsMultiplier);
@@ -98,6 +110,10 @@ function formatCostComparisonTable(comparison) {
     md += `| Cost per Call | $${ai.costPerCall.toFixed(2)} | - | - |\n`;
 
     md += '\n*Includes benefits multiplier of ' + comparison.human.benefitsMultiplier + 'x\n';
+    if (ai.basis === 'actual' || ai.basis === 'mixed') {
+        md += `\nAI cost is billed from actual Vapi per-call costs ($${ai.providerCost.toFixed(2)}, ${ai.billingLabel})`;
+        md += ai.basis === 'mixed' ? ', flat per-minute rate for calls without a recorded cost.\n' : '.\n';
+    }
 
     return md;
 }
@@ -105,7 +121,7 @@ function formatCostComparisonTable(comparison) {
 /**
  * Calculate estimated revenue from bookings (placeholder-based)
  * @param {Object} bookingMetrics - Booking counts
- * @param {Object} revenueData - Revenue conversion data (from revenue_data.json)
+ * @param {Object} revenueData - Conversion rates { bookingToVisitRate, visitToCloseRate, avgProjectValue }
  * @returns {Object} Revenue estimates
  */
 function estimateRevenue(bookingMetrics, revenueData = {}) {
@@ -146,9 +162,9 @@ function formatRevenueEstimate(estimates) {
         md += `| Estimated Projects | ${estimates.estimatedProjects} | - |\n`;
         md += `| **Estimated Revenue** | - | **$${estimates.estimatedRevenue.toLocaleString()}** |\n`;
     } else {
-        md += `| Estimated Visits | - | _[Update revenue_data.json]_ |\n`;
-        md += `| Estimated Projects | - | _[Update revenue_data.json]_ |\n`;
-        md += `| **Estimated Revenue** | - | _[Update revenue_data.json]_ |\n`;
+        md += `| Estimated Visits | - | _[Import sales outcomes]_ |\n`;
+        md += `| Estimated Projects | - | _[Import sales outcomes]_ |\n`;
+        md += `| **Estimated Revenue** | - | _[Import sales outcomes]_ |\n`;
     }
 
     return md;
@@ -184,7 +200,7 @@ function calculateROI(revenue, cost) {
  */
 function formatROI(roi) {
     if (!roi.hasData) {
-        return '_ROI calculation requires revenue data. Update revenue_data.json with conversion metrics._\n';
+        return '_ROI calculation requires revenue data. Import sales outcomes with scripts/import-sales-outcomes.js._\n';
     }
 
     let md = '| Metric | Amount |\n';
@@ -0,0 +1,303 @@
+/**
+ * Call Costs - Actual Vapi per-call costs, billed cost and cost per outcome
+ *
+ * Every raw Vapi call carries `cost` (USD), `costBreakdown` (stt, llm, tts, vapi,
+ * transport, analysisCostBreakdown, token counts) and `costs[]` (one entry per
+ * provider charge). extractCallCost() reduces them to one record per call, which
+ * processCalls() stores as `cost` (core/metrics.js).
+ *
+ * Billing comes from report.json `pricing`:
+ *   blakeCostPerMinute - flat price per minute
+ *   markupPercent      - billed = provider cost x (1 + markup / 100)
+ *   marginPercent      - billed = provider cost / (1 - margin / 100)   (set one or the other)
+ * Without a markup or margin every call is billed at the flat rate, as before actual
+ * costs were recorded; the Vapi cost is still reported next to it. With one, calls
+ * without a recorded cost fall back to the flat rate, which is already a price, so
+ * no markup or margin is added to it. `markupPercent: 0` bills at cost.
+ */
+
+const COST_COMPONENTS = [
+    { key: 'stt', label: 'Transcription (STT)' },
+    { key: 'llm', label: 'LLM' },
+    { key: 'tts', label: 'Voice (TTS)' },
+    { key: 'vapi', label: 'Vapi Platform' },
+    { key: 'transport', label: 'Telephony Transport' },
+    { key: 'analysis', label: 'Post-Call Analysis' },
+    { key: 'other', label: 'Other' }
+];
+
+// costs[] entry type -> component
+const COST_TYPE_COMPONENTS = {
+    transcriber: 'stt',
+    model: 'llm',
+    voice: 'tts',
+    vapi: 'vapi',
+    transport: 'transport',
+    analysis: 'analysis'
+};
+
+// Analysis charges in costBreakdown.analysisCostBreakdown (the rest of its keys are token counts)
+const ANALYSIS_KEYS = ['summary', 'structuredData', 'structuredOutput', 'successEvaluation'];
+
+// Helper: Number or 0
+function amount(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+// Helper: Round to 4 decimals (provider costs are fractions of a cent per component)
+function round4(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Actual provider cost of one raw call
+ * @param {Object} call - Raw Vapi call
+ * @returns {Object|null} { total, components: { stt, llm, tts, vapi, transport, analysis, other },
+ *                          promptTokens, completionTokens }; null when Vapi recorded no cost
+ */
+function extractCallCost(call) {
+    if (typeof call.cost !== 'number' || !Number.isFinite(call.cost)) return null;
+
+    const components = Object.fromEntries(COST_COMPONENTS.map(({ key }) => [key, 0]));
+    const breakdown = call.costBreakdown;
+    const costs = Array.isArray(call.costs) ? call.costs : [];
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    if (breakdown) {
+        for (const key of ['stt', 'llm', 'tts', 'vapi', 'transport']) {
+            components[key] = amount(breakdown[key]);
+        }
+        const analysis = breakdown.analysisCostBreakdown || {};
+        components.analysis = ANALYSIS_KEYS.reduce((sum, key) => sum + amount(analysis[key]), 0);
+        promptTokens = amount(breakdown.llmPromptTokens);
+        completionTokens = amount(breakdown.llmCompletionTokens);
+    } else {
+        for (const entry of costs) {
+            const key = COST_TYPE_COMPONENTS[entry.type] || 'other';
+            components[key] += amount(entry.cost);
+            if (entry.type === 'model') {
+                promptTokens += amount(entry.promptTokens);
+                completionTokens += amount(entry.completionTokens);
+            }
+        }
+    }
+
+    // Whatever the named components do not explain (knowledge base, voicemail detection, chat, ...)
+    const known = COST_COMPONENTS.reduce((sum, { key }) => (key === 'other' ? sum : sum + components[key]), 0);
+    components.other = Math.max(0, call.cost - known);
+    for (const key of Object.keys(components)) components[key] = round4(components[key]);
+
+    return { total: call.cost, components, promptTokens, completionTokens };
+}
+
+/**
+ * Resolve billing settings from report.json `pricing`
+ * @param {Object} pricing - report.json `pricing`
+ * @returns {Object} { mode ('flat'|'markup'|'margin'), flatCostPerMinute, markupPercent, marginPercent, label }
+ */
+function getBillingSettings(pricing = {}) {
+    const markupPercent = pricing.markupPercent ?? null;
+    const marginPercent = pricing.marginPercent ?? null;
+    if (markupPercent !== null && marginPercent !== null) {
+        throw new Error('Set either pricing.markupPercent or pricing.marginPercent in report.json, not both');
+    }
+    if (marginPercent !== null && !(marginPercent >= 0 && marginPercent < 100)) {
+        throw new Error(`pricing.marginPercent must be at least 0 and below 100 (got ${marginPercent})`);
+    }
+
+    const flatCostPerMinute = pricing.aiCostPerMinute || pricing.blakeCostPerMinute || 0.79;
+    let mode = 'flat';
+    let label = `at the flat $${flatCostPerMinute}/min rate`;
+    if (markupPercent !== null) {
+        mode = 'markup';
+        label = markupPercent ? `with ${markupPercent}% markup` : 'at cost';
+    } else if (marginPercent !== null) {
+        mode = 'margin';
+        label = marginPercent ? `with ${marginPercent}% margin` : 'at cost';
+    }
+    return {
+        mode,
+        flatCostPerMinute,
+        markupPercent,
+        marginPercent,
+        label
+    };
+}
+
+/**
+ * Billed amount for a provider cost with the configured markup or margin
+ * @param {Number} providerCost - Actual cost (USD)
+ * @param {Object} billing - getBillingSettings() result (mode 'markup' or 'margin')
+ * @returns {Number} Billed cost (USD)
+ */
+function applyBilling(providerCost, billing) {
+    if (billing.mode === 'markup') return providerCost * (1 + billing.markupPercent / 100);
+    if (billing.mode === 'margin') return providerCost / (1 - billing.marginPercent / 100);
+    return providerCost;
+}
+
+/**
+ * Billed cost of one processed call: its Vapi cost with markup/margin when one is
+ * configured and the call has a recorded cost, else the flat per-minute rate
+ * @param {Object} call - processCalls() result entry
+ * @param {Object} billing - getBillingSettings() result
+ * @returns {Number} USD
+ */
+function getBilledCallCost(call, billing) {
+    return call.cost && billing.mode !== 'flat'
+        ? applyBilling(call.cost.total, billing)
+        : ((call.duration || 0) / 60) * billing.flatCostPerMinute;
+}
+
+/**
+ * Actual and billed cost of a set of calls, by component, outcome and category
+ * @param {Array} calls - processCalls() result (core/metrics.js)
+ * @param {Object} pricing - report.json `pricing`
+ * @returns {Object} { calls, costedCalls, flatCalls (no recorded cost), totalMinutes, providerCost (Vapi costs),
+ *                     flatCost (calls without a recorded cost), billedCost, billingMode, billingLabel, flatCostPerMinute, components
+ *                     ({ key: provider cost }), promptTokens, completionTokens, costPerCall, costPerMinute,
+ *                     routedCalls, costPerRouted, bookings, costPerBooking,
+ *                     categories: [{ category, calls, billedCost, costPerCall }] (highest cost first) }
+ *                   Per-unit costs are billed cost and null when there is nothing to divide by.
+ */
+function summarizeCallCosts(calls, pricing = {}) {
+    const billing = getBillingSettings(pricing);
+    const components = Object.fromEntries(COST_COMPONENTS.map(({ key }) => [key, 0]));
+    const byCategory = new Map();
+    let providerCost = 0;
+    let flatCost = 0;
+    let billedCost = 0;
+    let costedCalls = 0;
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    for (const call of calls) {
+        const billed = getBilledCallCost(call, billing);
+        billedCost += billed;
+        if (call.cost) {
+            costedCalls++;
+            providerCost += call.cost.total;
+            for (const { key } of COST_COMPONENTS) components[key] += call.cost.components[key] || 0;
+            promptTokens += call.cost.promptTokens;
+            completionTokens += call.cost.completionTokens;
+        } else {
+            flatCost += billed;
+        }
+
+        const category = call.category || 'unknown';
+        const entry = byCategory.get(category) || { category, calls: 0, billedCost: 0 };
+        entry.calls++;
+        entry.billedCost += billed;
+        byCategory.set(category, entry);
+    }
+
+    const totalMinutes = calls.reduce((sum, call) => sum + (call.duration || 0), 0) / 60;
+    const routedCalls = calls.filter(call => call.routed).length;
+    const bookings = calls.filter(call => call.category === 'booking-completed').length;
+    const per = count => (count > 0 ? round4(billedCost / count) : null);
+
+    return {
+        calls: calls.length,
+        costedCalls,
+        flatCalls: calls.length - costedCalls,
+        totalMinutes: Math.round(totalMinutes * 100) / 100,
+        providerCost: round4(providerCost),
+        flatCost: round4(flatCost),
+        billedCost: round4(billedCost),
+        billingMode: billing.mode,
+        billingLabel: billing.label,
+        flatCostPerMinute: billing.flatCostPerMinute,
+        components: Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round4(value)])),
+        promptTokens,
+        completionTokens,
+        costPerCall: per(calls.length),
+        costPerMinute: totalMinutes > 0 ? round4(billedCost / totalMinutes) : null,
+        routedCalls,
+        costPerRouted: per(routedCalls),
+        bookings,
+        costPerBooking: per(bookings),
+        categories: Array.from(byCategory.values())
+            .map(entry => ({ ...entry, billedCost: round4(entry.billedCost), costPerCall: round4(entry.billedCost / entry.calls) }))
+            .sort((a, b) => b.billedCost - a.billedCost)
+    };
+}
+
+// Helper: "$12.34" for totals, "$0.048" for per-unit amounts, '-' when unknown
+function formatUsd(value, decimals = 2) {
+    if (value === null || value === undefined) return '-';
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+}
+
+// Helper: Whole-number share of a total
+function share(part, whole) {
+    return whole > 0 ? `${Math.round((part / whole) * 100)}%` : '-';
+}
+
+/**
+ * Cost section: billed and provider totals, provider cost by component, cost per outcome and per category
+ * @param {Object} summary - summarizeCallCosts() result
+ * @param {Object} options - { title (default 'AI Cost Breakdown'), level (default 2), categories (rows shown, default 10) }
+ * @returns {String} Markdown
+ */
+function formatCallCostSection(summary, options = {}) {
+    const heading = '#'.repeat(options.level || 2);
+    let md = `${heading} ${options.title || 'AI Cost Breakdown'}\n\n`;
+    if (summary.calls === 0) {
+        md += `_No calls in this period._\n`;
+        return md;
+    }
+
+    md += `**Billed Cost:** ${formatUsd(summary.billedCost)} for ${summary.calls} calls `;
+    md += `(${formatUsd(summary.costPerCall, 3)} per call, ${formatUsd(summary.costPerMinute, 3)} per minute)\n`;
+    if (summary.costedCalls > 0) {
+        md += `**Vapi Cost:** ${formatUsd(summary.providerCost)} across ${summary.costedCalls} calls, billed ${summary.billingLabel}\n`;
+    }
+    if (summary.flatCalls > 0) {
+        md += `**Flat-Rate Calls:** ${summary.flatCalls} without a recorded cost, ${formatUsd(summary.flatCost)} at ${formatUsd(summary.flatCostPerMinute)}/min\n`;
+    }
+
+    if (summary.costedCalls > 0) {
+        md += `\n${heading}# Vapi Cost by Component\n\n`;
+        md += `| Component | Cost | Share | Per Call |\n`;
+        md += `|-----------|------|-------|----------|\n`;
+        for (const { key, label } of COST_COMPONENTS) {
+            const value = summary.components[key];
+            if (key === 'other' && value === 0) continue;
+            md += `| ${label} | ${formatUsd(value)} | ${share(value, summary.providerCost)} | ${formatUsd(value / summary.costedCalls, 4)} |\n`;
+        }
+        md += `\nLLM tokens: ${summary.promptTokens.toLocaleString()} prompt, ${summary.completionTokens.toLocaleString()} completion `;
+        md += `(${Math.round(summary.promptTokens / summary.costedCalls).toLocaleString()} / ${Math.round(summary.completionTokens / summary.costedCalls).toLocaleString()} per call)\n`;
+    }
+
+    md += `\n${heading}# Cost per Outcome\n\n`;
+    md += `| Outcome | Count | Billed Cost per Outcome |\n`;
+    md += `|---------|-------|-------------------------|\n`;
+    md += `| All calls | ${summary.calls} | ${formatUsd(summary.costPerCall, 3)} |\n`;
+    md += `| Routed call | ${summary.routedCalls} | ${formatUsd(summary.costPerRouted, 3)} |\n`;
+    md += `| Completed booking | ${summary.bookings} | ${formatUsd(summary.costPerBooking, 3)} |\n`;
+    md += `\n*Total billed cost divided by the number of outcomes.*\n`;
+
+    const limit = options.categories || 10;
+    md += `\n${heading}# Cost by Category\n\n`;
+    md += `| Category | Calls | Billed Cost | Share | Per Call |\n`;
+    md += `|----------|-------|-------------|-------|----------|\n`;
+    for (const entry of summary.categories.slice(0, limit)) {
+        md += `| ${entry.category} | ${entry.calls} | ${formatUsd(entry.billedCost)} | ${share(entry.billedCost, summary.billedCost)} | ${formatUsd(entry.costPerCall, 3)} |\n`;
+    }
+    if (summary.categories.length > limit) {
+        md += `\n_${summary.categories.length - limit} more categories not shown._\n`;
+    }
+
+    return md;
+}
+
+module.exports = {
+    COST_COMPONENTS,
+    extractCallCost,
+    getBillingSettings,
+    applyBilling,
+    getBilledCallCost,
+    summarizeCallCosts,
+    formatCallCostSection
+};
@@ -0,0 +1,341 @@
+/**
+ * Chart Renderer - Draws simple charts to SVG and PNG with no browser, canvas or network
+ *
+ * A drawing is a list of rectangles, lines and text. The same drawing renders to:
+ *   - SVG (vector, for HTML reports)
+ *   - PNG (raster, for email: Outlook does not display SVG), encoded with Node's zlib
+ *
+ * PNG text uses a built-in 5x7 bitmap font (upper case, digits and common punctuation);
+ * SVG text uses a monospace font sized to the same grid, so both layouts match.
+ *
+ * Usage:
+ *   const { createDrawing } = require('../core/lib/chart_renderer');
+ *   const drawing = createDrawing(632, 300);
+ *   drawing.rect(10, 10, 100, 20, '#3182ce');
+ *   drawing.text(10, 40, 'Calls', { color: '#333333' });
+ *   fs.writeFileSync('chart.svg', drawing.toSvg());
+ *   fs.writeFileSync('chart.png', drawing.toPng());
+ */
+
+const zlib = require('zlib');
+
+// Glyph cell: 5x7 pixels plus 1 pixel of spacing
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_ADVANCE = 6;
+
+// 5x7 bitmap font, one string per row ('#' = pixel on)
+const FONT = {
+    ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+    '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    '3': ['####.', '....#', '....#', '.###.', '....#', '....#', '####.'],
+    '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    'D': ['###..', '#..#.', '#...#', '#...#', '#...#', '#..#.', '###..'],
+    'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'I': ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+    'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+    ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+    ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+    '%': ['##..#', '##..#', '...#.', '..#..', '.#...', '#..##', '#..##'],
+    '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+    '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+    '/': ['....#', '....#', '...#.', '..#..', '.#...', '#....', '#....'],
+    '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '..#..', '...#.'],
+    ')': ['.#...', '..#..', '...#.', '...#.', '...#.', '..#..', '.#...'],
+    '$': ['..#..', '.####', '#.#..', '.###.', '..#.#', '####.', '..#..'],
+    "'": ['..#..', '..#..', '.#...', '.....', '.....', '.....', '.....'],
+    '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+    '!': ['..#..', '..#..', '..#..', '..#..', '..#..', '.....', '..#..'],
+    '=': ['.....', '.....', '#####', '.....', '#####', '.....', '.....'],
+    '<': ['...#.', '..#..', '.#...', '#....', '.#...', '..#..', '...#.'],
+    '>': ['.#...', '..#..', '...#.', '....#', '...#.', '..#..', '.#...'],
+    '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+    '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+    '_': ['.....', '.....', '.....', '.....', '.....', '.....', '#####'],
+    '*': ['.....', '..#..', '#.#.#', '.###.', '#.#.#', '..#..', '.....']
+};
+
+// Helper: Glyph for a character (lower case drawn as upper case, unknown as '?')
+function getGlyph(char) {
+    return FONT[char] || FONT[char.toUpperCase()] || FONT['?'];
+}
+
+/**
+ * Width of a text run in pixels
+ * @param {String} text
+ * @param {Number} scale - Font scale (1 = 7px tall)
+ * @returns {Number}
+ */
+function measureText(text, scale = 1) {
+    const length = String(text).length;
+    return length > 0 ? (length * GLYPH_ADVANCE - 1) * scale : 0;
+}
+
+// Helper: '#rrggbb' -> [r, g, b]
+function parseColor(color) {
+    const hex = color.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+/**
+ * Blend two colors
+ * @param {String} from - '#rrggbb'
+ * @param {String} to - '#rrggbb'
+ * @param {Number} amount - 0 (from) to 1 (to)
+ * @returns {String} '#rrggbb'
+ */
+function mixColors(from, to, amount) {
+    const a = parseColor(from);
+    const b = parseColor(to);
+    const t = Math.max(0, Math.min(1, amount));
+    return `#${a.map((value, i) => Math.round(value + (b[i] - value) * t).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Helper: Escape text for SVG
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Helper: CRC-32 table for PNG chunks
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper: One PNG chunk (length, type, data, CRC)
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an RGB pixel buffer as PNG
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Buffer} pixels - width * height * 3 bytes
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // no interlace
+
+    // Each scanline starts with filter type 0 (none)
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Helper: Raster canvas for PNG output
+function createRaster(width, height, background) {
+    const pixels = Buffer.alloc(width * height * 3);
+    const [br, bg, bb] = parseColor(background);
+    for (let i = 0; i < width * height; i++) {
+        pixels[i * 3] = br;
+        pixels[i * 3 + 1] = bg;
+        pixels[i * 3 + 2] = bb;
+    }
+
+    const fillRect = (x, y, w, h, color) => {
+        const [r, g, b] = parseColor(color);
+        const x0 = Math.max(0, Math.round(x));
+        const y0 = Math.max(0, Math.round(y));
+        const x1 = Math.min(width, Math.round(x + w));
+        const y1 = Math.min(height, Math.round(y + h));
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) {
+                const i = (py * width + px) * 3;
+                pixels[i] = r;
+                pixels[i + 1] = g;
+                pixels[i + 2] = b;
+            }
+        }
+    };
+
+    // Bresenham line with a square brush
+    const drawLine = (x1, y1, x2, y2, color, lineWidth) => {
+        let x = Math.round(x1);
+        let y = Math.round(y1);
+        const xEnd = Math.round(x2);
+        const yEnd = Math.round(y2);
+        const dx = Math.abs(xEnd - x);
+        const dy = -Math.abs(yEnd - y);
+        const sx = x < xEnd ? 1 : -1;
+        const sy = y < yEnd ? 1 : -1;
+        const offset = Math.floor(lineWidth / 2);
+        let err = dx + dy;
+        for (;;) {
+            fillRect(x - offset, y - offset, lineWidth, lineWidth, color);
+            if (x === xEnd && y === yEnd) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+        }
+    };
+
+    const drawText = (x, y, text, color, scale) => {
+        let cursor = x;
+        for (const char of String(text)) {
+            const glyph = getGlyph(char);
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    if (glyph[row][col] === '#') {
+                        fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            }
+            cursor += GLYPH_ADVANCE * scale;
+        }
+    };
+
+    return { pixels, fillRect, drawLine, drawText };
+}
+
+/**
+ * Start a drawing
+ * @param {Number} width - Pixels
+ * @param {Number} height - Pixels
+ * @param {String} background - '#rrggbb' (default white)
+ * @returns {Object} { width, height, rect, line, polyline, text, toSvg, toPng }
+ *   rect(x, y, w, h, fill)
+ *   line(x1, y1, x2, y2, stroke, width = 1)
+ *   polyline([[x, y], ...], stroke, width = 2)
+ *   text(x, y, text, { color, scale = 1, anchor: 'start' | 'middle' | 'end' }) - y is the top of the text
+ */
+function createDrawing(width, height, background = '#ffffff') {
+    const ops = [];
+
+    const drawing = {
+        width,
+        height,
+        rect(x, y, w, h, fill) {
+            ops.push({ type: 'rect', x, y, w, h, fill });
+        },
+        line(x1, y1, x2, y2, stroke, lineWidth = 1) {
+            ops.push({ type: 'line', x1, y1, x2, y2, stroke, width: lineWidth });
+        },
+        polyline(points, stroke, lineWidth = 2) {
+            if (points.length > 1) ops.push({ type: 'polyline', points, stroke, width: lineWidth });
+        },
+        text(x, y, text, { color = '#333333', scale = 1, anchor = 'start' } = {}) {
+            const textWidth = measureText(text, scale);
+            const left = anchor === 'middle' ? x - textWidth / 2 : anchor === 'end' ? x - textWidth : x;
+            ops.push({ type: 'text', x: Math.round(left), y: Math.round(y), text: String(text), color, scale });
+        },
+
+        toSvg() {
+            const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+                `<rect x="0" y="0" width="${width}" height="${height}" fill="${background}"/>`];
+            for (const op of ops) {
+                if (op.type === 'rect') {
+                    parts.push(`<rect x="${op.x}" y="${op.y}" width="${op.w}" height="${op.h}" fill="${op.fill}"/>`);
+                } else if (op.type === 'line') {
+                    parts.push(`<line x1="${op.x1}" y1="${op.y1}" x2="${op.x2}" y2="${op.y2}" stroke="${op.stroke}" stroke-width="${op.width}"/>`);
+                } else if (op.type === 'polyline') {
+                    const points = op.points.map(([x, y]) => `${x},${y}`).join(' ');
+                    parts.push(`<polyline points="${points}" fill="none" stroke="${op.stroke}" stroke-width="${op.width}" stroke-linejoin="round"/>`);
+                } else if (op.type === 'text') {
+                    // Monospace at 10px per scale step: ~6px advance and ~7px cap height, like the bitmap font
+                    parts.push(`<text x="${op.x}" y="${op.y + GLYPH_HEIGHT * op.scale}" font-family="Consolas,Menlo,monospace" font-size="${10 * op.scale}" textLength="${measureText(op.text, op.scale)}" fill="${op.color}">${escapeXml(op.text)}</text>`);
+                }
+            }
+            parts.push('</svg>');
+            return parts.join('');
+        },
+
+        toPng() {
+            const raster = createRaster(width, height, background);
+            for (const op of ops) {
+                if (op.type === 'rect') {
+                    raster.fillRect(op.x, op.y, op.w, op.h, op.fill);
+                } else if (op.type === 'line') {
+                    raster.drawLine(op.x1, op.y1, op.x2, op.y2, op.stroke, op.width);
+                } else if (op.type === 'polyline') {
+                    for (let i = 1; i < op.points.length; i++) {
+                        const [x1, y1] = op.points[i - 1];
+                        const [x2, y2] = op.points[i];
+                        raster.drawLine(x1, y1, x2, y2, op.stroke, op.width);
+                    }
+                } else if (op.type === 'text') {
+                    raster.drawText(op.x, op.y, op.text, op.color, op.scale);
+                }
+            }
+            return encodePng(width, height, raster.pixels);
+        }
+    };
+
+    return drawing;
+}
+
+module.exports = {
+    GLYPH_HEIGHT,
+    createDrawing,
+    measureText,
+    mixColors,
+    encodePng
+};
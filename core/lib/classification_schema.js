@@ -0,0 +1,144 @@
+/**
+ * Classification Schema - Validate GPT call classifications
+ *
+ * The schema is derived from client config so it always matches the prompt:
+ *   category       -> prompts.json enrichment.categories keys (+ 'unknown')
+ *   transferReason -> client.json transferReasons keys
+ *   spamType       -> prompts.json enrichment.spamTypes (default SPAM_TYPES)
+ *   hangupType     -> prompts.json enrichment.hangupTypes (default HANGUP_TYPES)
+ *
+ * Every record also carries a confidence (0-1) and a short rationale.
+ * validateClassification() implements just the JSON Schema keywords used here.
+ */
+
+const SPAM_TYPES = ['short-call', 'robocall-google-ads', 'robocall-product', 'wrong-number'];
+const HANGUP_TYPES = ['high-value', 'moderate', 'low-value'];
+const MAX_RATIONALE_LENGTH = 300;
+
+/**
+ * Build the JSON Schema for one classification record
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} JSON Schema
+ */
+function buildClassificationSchema(config) {
+    const enrichmentPrompts = config.prompts.enrichment || {};
+    const categories = Object.keys(enrichmentPrompts.categories || {});
+    const transferReasons = Object.keys(config.client.transferReasons || {});
+    const spamTypes = enrichmentPrompts.spamTypes || SPAM_TYPES;
+    const hangupTypes = enrichmentPrompts.hangupTypes || HANGUP_TYPES;
+
+    if (categories.length === 0) {
+        throw new Error('No classification categories configured (prompts.json enrichment.categories)');
+    }
+
+    const requireField = (categoryValues, field, values) => ({
+        if: { required: ['category'], properties: { category: { enum: categoryValues } } },
+        then: {
+            required: [field],
+            properties: { [field]: { type: 'string', enum: values } }
+        }
+    });
+
+    return {
+        type: 'object',
+        required: ['callId', 'category', 'confidence', 'rationale'],
+        properties: {
+            callId: { type: 'string' },
+            category: { type: 'string', enum: [...categories, 'unknown'] },
+            transferReason: { type: ['string', 'null'], enum: [...transferReasons, null] },
+            spamType: { type: ['string', 'null'], enum: [...spamTypes, null] },
+            hangupType: { type: ['string', 'null'], enum: [...hangupTypes, null] },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            rationale: { type: 'string', maxLength: MAX_RATIONALE_LENGTH }
+        },
+        allOf: [
+            requireField(categories.filter(c => c === 'transferred' || c === 'booking-transferred'), 'transferReason', transferReasons),
+            requireField(categories.filter(c => c === 'spam'), 'spamType', spamTypes),
+            requireField(categories.filter(c => c === 'hangup'), 'hangupType', hangupTypes)
+        ].filter(rule => rule.if.properties.category.enum.length > 0)
+    };
+}
+
+// Helper: JSON Schema type check for one value
+function matchesType(value, type) {
+    if (type === 'null') return value === null;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+}
+
+/**
+ * Validate a value against a schema
+ * Supports type, enum, required, properties, minimum, maximum, maxLength, allOf and if/then.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {String} at - Path prefix for error messages
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateAgainstSchema(value, schema, at = '') {
+    const errors = [];
+    const label = at || 'value';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${label} must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${label} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${label} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${label} must be <= ${schema.maximum}`);
+    }
+    if (schema.maxLength !== undefined && typeof value === 'string' && value.length > schema.maxLength) {
+        errors.push(`${label} must be at most ${schema.maxLength} characters`);
+    }
+
+    if (matchesType(value, 'object')) {
+        (schema.required || []).forEach(field => {
+            if (value[field] === undefined || value[field] === null) {
+                errors.push(`${at ? at + '.' : ''}${field} is required`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+            if (value[field] !== undefined) {
+                errors.push(...validateAgainstSchema(value[field], fieldSchema, at ? `${at}.${field}` : field));
+            }
+        });
+    }
+
+    (schema.allOf || []).forEach(subSchema => {
+        errors.push(...validateAgainstSchema(value, subSchema, at));
+    });
+
+    if (schema.if && schema.then && validateAgainstSchema(value, schema.if, at).length === 0) {
+        errors.push(...validateAgainstSchema(value, schema.then, at));
+    }
+
+    return errors;
+}
+
+/**
+ * Validate one classification record
+ * @param {Object} record - Classification returned by GPT
+ * @param {Object} schema - Schema from buildClassificationSchema
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateClassification(record, schema) {
+    return validateAgainstSchema(record, schema);
+}
+
+module.exports = {
+    SPAM_TYPES,
+    HANGUP_TYPES,
+    MAX_RATIONALE_LENGTH,
+    buildClassificationSchema,
+    validateAgainstSchema,
+    validateClassification
+};
@@ -4,7 +4,7 @@
  * Features:
  * - Client-specific branding (colors, logo, footer)
  * - Outlook-safe table-based HTML layout
- * - Inline logo embedding via Microsoft Graph
+ * - Inline logo and chart embedding via Microsoft Graph (CID attachments)
  * - Markdown-to-HTML conversion with inline styles
  *
  * Usage:
@@ -61,7 +61,7 @@ function resolveColors(config) {
 /**
  * Wrap HTML content with branded email chrome
  * @param {string} innerHtml - The converted markdown HTML
- * @param {Object} meta - Metadata (titleLine, generatedTs, dateRange, etc.)
+ * @param {Object} meta - Metadata (titleLine, generatedTs, dateRange, etc.; optional chipLabels renames the metadata chips)
  * @param {Object} config - Client configuration
  * @returns {string} - Complete HTML email document
  */
@@ -72,6 +72,13 @@ function wrapWithEmailChrome(innerHtml, meta = {}, config = {}) {
     const titleLine = meta.titleLine || 'Day-Over-Day Call Summary';
     const timezone = config.client.timezone || 'America/New_York';
     const generatedTs = meta.generatedTs || new Date().toLocaleString('en-US', { timeZone: timezone });
+    const chipLabels = {
+        callsToday: 'Calls Today',
+        todaySuccessRate: 'Today Success',
+        callsInPeriod: 'Calls in Period',
+        periodSuccessRate: 'Period Success',
+        ...meta.chipLabels
+    };
 
     const branding = config.client.branding || {};
     const emailFooter = branding.emailFooter || 'Generated by SupervizeAI, LLC | Performance Intelligence';
@@ -124,13 +131,13 @@ function wrapWithEmailChrome(innerHtml, meta = {}, config = {}) {
                   </td>
                   <td style="padding-right:8px;vertical-align:top;width:33%;">
                     <div style="background:#ffffff;border:1px solid ${COLORS.border};border-radius:4px;padding:6px 10px;">
-                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">Calls Today</div>
+                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">${chipLabels.callsToday}</div>
                       <div style="font-size:12px;color:${COLORS.primaryText};font-weight:600;">${meta.callsToday || '-'}</div>
                     </div>
                   </td>
                   <td style="vertical-align:top;width:33%;">
                     <div style="background:#ffffff;border:1px solid ${COLORS.border};border-radius:4px;padding:6px 10px;">
-                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">Today Success</div>
+                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">${chipLabels.todaySuccessRate}</div>
                       <div style="font-size:12px;color:${COLORS.primaryText};font-weight:600;">${meta.todaySuccessRate || '-'}</div>
                     </div>
                   </td>
@@ -151,13 +158,13 @@ function wrapWithEmailChrome(innerHtml, meta = {}, config = {}) {
                   </td>
                   <td style="padding-right:8px;vertical-align:top;width:33%;">
                     <div style="background:#ffffff;border:1px solid ${COLORS.border};border-radius:4px;padding:6px 10px;">
-                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">Calls in Period</div>
+                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">${chipLabels.callsInPeriod}</div>
                       <div style="font-size:12px;color:${COLORS.primaryText};font-weight:600;">${meta.callsInPeriod || '-'}</div>
                     </div>
                   </td>
                   <td style="vertical-align:top;width:33%;">
                     <div style="background:#ffffff;border:1px solid ${COLORS.border};border-radius:4px;padding:6px 10px;">
-                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">Period Success</div>
+                      <div style="font-size:10px;color:${COLORS.mutedText};text-transform:uppercase;letter-spacing:0.5px;margin-bottom:2px;">${chipLabels.periodSuccessRate}</div>
                       <div style="font-size:12px;color:${COLORS.primaryText};font-weight:600;">${meta.periodSuccessRate || '-'}</div>
                     </div>
                   </td>
@@ -230,6 +237,9 @@ function markdownToHtml(markdown, config = {}) {
     // Code
     html = html.replace(/<code>/g, `<code style="background:#f4f4f4;padding:2px 6px;border-radius:3px;font-family:Consolas,Monaco,monospace;font-size:13px;">`);
 
+    // Images (report charts): full body width, no border
+    html = html.replace(/<img /g, '<img width="632" style="display:block;width:100%;max-width:632px;height:auto;border:0;margin:8px 0 12px 0;" ');
+
     // Blockquotes
     html = html.replace(/<blockquote>/g, `<blockquote style="margin:8px 0;padding:8px 16px;border-left:3px solid ${COLORS.accent};background:${COLORS.tableRowAlt};color:${COLORS.mutedText};font-style:italic;">`);
 
@@ -272,9 +282,9 @@ function markdownToHtml(markdown, config = {}) {
 }
 
 /**
- * Format subject line with date/time placeholders
+ * Format subject line with date/time placeholders ({dateRange} comes from the report meta)
  */
-function formatSubject(template, config) {
+function formatSubject(template, config, meta = {}) {
     const timezone = config.client.timezone || 'America/New_York';
     const now = new Date();
     const dateStr = now.toLocaleDateString('en-US', {
@@ -287,6 +297,7 @@ function formatSubject(template, config) {
     return template
         .replace('{date}', dateStr)
         .replace('{time}', timeStr)
+        .replace('{dateRange}', (meta.dateRange || '').replace(' -> ', ' to '))
         .replace('{clientName}', config.client.name || '')
         .replace('{aiName}', config.client.aiAssistantName || '');
 }
@@ -333,9 +344,43 @@ function loadLogoBase64(config) {
 }
 
 /**
- * Send email via Microsoft Graph with inline logo attachment
+ * Swap local report images (charts written next to the report) for inline CID references
+ * @param {string} html - Converted report HTML
+ * @param {string} reportPath - Report file path; image paths are relative to its directory
+ * @returns {Object} { html, images: [{ contentId, name, contentBytes }] } - PNG images only (Outlook does not show SVG)
+ */
+function embedReportImages(html, reportPath) {
+    const images = [];
+    if (!reportPath) return { html, images };
+
+    const reportDir = path.dirname(reportPath);
+    const result = html.replace(/<img([^>]*?) src="([^"]+)"/g, (match, before, src) => {
+        if (/^(cid|https?|data):/i.test(src)) return match;
+        if (!/\.png$/i.test(src)) {
+            console.warn(`[Email] Not a PNG (Outlook does not show SVG), left as is: ${src}`);
+            return match;
+        }
+        const imagePath = path.resolve(reportDir, decodeURIComponent(src));
+        if (!fs.existsSync(imagePath)) {
+            console.warn(`[Email] Image not found, left as is: ${src}`);
+            return match;
+        }
+        const contentId = `report_image_${images.length + 1}`;
+        images.push({
+            contentId,
+            name: path.basename(imagePath),
+            contentBytes: fs.readFileSync(imagePath).toString('base64')
+        });
+        return `<img${before} src="cid:${contentId}"`;
+    });
+
+    return { html: result, images };
+}
+
+/**
+ * Send email via Microsoft Graph with inline logo and report image attachments
  */
-async function sendViaMSGraph(to, cc, subject, htmlBody, from, logoBase64, config) {
+async function sendViaMSGraph(to, cc, subject, htmlBody, from, logoBase64, config, inlineImages = []) {
     const { ClientSecretCredential } = require('@azure/identity');
     const { Client } = require('@microsoft/microsoft-graph-client');
     const { TokenCredentialAuthenticationProvider } = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
@@ -363,16 +408,30 @@ async function sendViaMSGraph(to, cc, subject, htmlBody, from, logoBase64, confi
             : []
     };
 
+    const attachments = [];
     if (logoBase64) {
         const logoName = `${(config.client.aiAssistantName || 'logo').toLowerCase()}_logo.png`;
-        message.attachments = [{
+        attachments.push({
             '@odata.type': '#microsoft.graph.fileAttachment',
             name: logoName,
             contentType: 'image/png',
             isInline: true,
             contentId: 'client_logo',
             contentBytes: logoBase64
-        }];
+        });
+    }
+    for (const image of inlineImages) {
+        attachments.push({
+            '@odata.type': '#microsoft.graph.fileAttachment',
+            name: image.name,
+            contentType: 'image/png',
+            isInline: true,
+            contentId: image.contentId,
+            contentBytes: image.contentBytes
+        });
+    }
+    if (attachments.length > 0) {
+        message.attachments = attachments;
     }
 
     await graphClient
@@ -389,22 +448,24 @@ async function sendViaMSGraph(to, cc, subject, htmlBody, from, logoBase64, confi
  * @param {string} reportContent - Markdown content of the report
  * @param {string} reportPath - Path to the report file (for reference)
  * @param {Object} meta - Metadata (titleLine, generatedTs, dateRange, etc.)
+ * @param {Object} emailOverrides - Report template `email` keys (subject, to, toProduction, cc, ccProduction)
  * @returns {Promise<object>} - Send result
  */
-async function sendReport(config, reportType, reportContent, reportPath = null, meta = {}) {
-    const emailConfig = config.client.email;
-    if (!emailConfig) {
+async function sendReport(config, reportType, reportContent, reportPath = null, meta = {}, emailOverrides = {}) {
+    if (!config.client.email) {
         throw new Error('No email configuration found in client config. Add an "email" section to client.json.');
     }
+    const emailConfig = { ...config.client.email, ...emailOverrides };
 
     // Get subject template
-    const subjectTemplate = emailConfig.subjects?.[reportType]
+    const subjectTemplate = emailConfig.subject
+        || emailConfig.subjects?.[reportType]
         || emailConfig.subjects?.dod
         || `${config.client.name} - ${reportType.toUpperCase()} Report ({date})`;
-    const subject = formatSubject(subjectTemplate, config);
+    const subject = formatSubject(subjectTemplate, config, meta);
 
-    // Convert markdown to styled HTML
-    const innerHtml = markdownToHtml(reportContent, config);
+    // Convert markdown to styled HTML; charts next to the report become inline CID images
+    const { html: innerHtml, images } = embedReportImages(markdownToHtml(reportContent, config), reportPath);
 
     // Wrap with branded email chrome
     const fullHtml = wrapWithEmailChrome(innerHtml, meta, config);
@@ -425,6 +486,9 @@ async function sendReport(config, reportType, reportContent, reportPath = null,
         console.log(`[Email] CC: ${ccRecipients.join(', ')}`);
     }
     console.log(`[Email] Logo: ${logoBase64 ? 'Embedded inline' : 'Not found (using alt text)'}`);
+    if (images.length > 0) {
+        console.log(`[Email] Charts: ${images.length} embedded inline`);
+    }
 
     // Check for required Azure credentials
     if (!process.env.AZURE_CLIENT_ID || !process.env.AZURE_CLIENT_SECRET || !process.env.AZURE_TENANT_ID) {
@@ -439,7 +503,8 @@ async function sendReport(config, reportType, reportContent, reportPath = null,
             fullHtml,
             emailConfig.from,
             logoBase64,
-            config
+            config,
+            images
         );
 
         console.log('[Email] Sent successfully via Microsoft Graph!');
@@ -504,6 +569,7 @@ module.exports = {
     sendReport,
     sendTestEmail,
     markdownToHtml,
+    embedReportImages,
     wrapWithEmailChrome,
     loadLogoBase64,
     DEFAULT_COLORS,
@@ -0,0 +1,364 @@
+/**
+ * Call Enrichment - GPT classification of Vapi calls
+ *
+ * Shared by enrich.js (stores results) and eval-classification.js (scores them
+ * against gold labels), so both run exactly the same prompt, validation,
+ * retry and override logic.
+ *
+ * Usage:
+ *   const enricher = createCallEnricher(config, createLLMClient(config));
+ *   const records = await enricher.classifyCalls(calls);
+ */
+
+const crypto = require('crypto');
+const { buildEnrichmentPrompt } = require('../prompt-builder');
+const { getTaskSettings } = require('../llm-client');
+const { withRetry } = require('./retry');
+const {
+    buildClassificationSchema,
+    validateClassification,
+    MAX_RATIONALE_LENGTH
+} = require('./classification_schema');
+const {
+    DEFAULT_CLASSIFICATION_RULES,
+    getClassificationRules,
+    buildCallFacts,
+    evaluateRules
+} = require('./rule_engine');
+const { extractTransferOutcome } = require('./transfer_outcome');
+
+// Retries per classification request before the batch is split
+const REQUEST_RETRIES = 2;
+
+/**
+ * Prepare call data for GPT with critical metadata
+ * @param {Array} calls - Raw Vapi calls
+ * @param {Object} rules - From getClassificationRules(config) (transfer tools and destinations)
+ */
+function buildCallSummaries(calls, rules = DEFAULT_CLASSIFICATION_RULES) {
+    return calls.map((call, idx) => {
+        const duration = call.endedAt && call.startedAt
+            ? Math.round((new Date(call.endedAt) - new Date(call.startedAt)) / 1000)
+            : 0;
+
+        // Transfer destination hint: what the assistant asked the transfer tool for
+        const transferDestination = extractTransferOutcome(call, rules).requestedDestination;
+
+        // Check for booking completion in structured outputs
+        let appointmentBooked = false;
+        if (call.analysis?.artifact?.structuredOutputs?.['Appointment Booked']?.result === true) {
+            appointmentBooked = true;
+        }
+        // Also check successEvaluation (may be a JSON string that needs parsing)
+        // But be more careful: call_success=yes doesn't always mean booking-completed
+        // It could mean successful transfer. Check final_outcome for actual appointment confirmation.
+        if (call.analysis?.successEvaluation) {
+            let evalData = call.analysis.successEvaluation;
+            // Parse if it's a JSON string
+            if (typeof evalData === 'string') {
+                try {
+                    evalData = JSON.parse(evalData);
+                } catch (e) {
+                    evalData = {};
+                }
+            }
+            // Only set appointmentBooked=true if final_outcome indicates appointment was scheduled
+            // NOT if it was just a successful transfer
+            const finalOutcome = (evalData.final_outcome || '').toLowerCase();
+            if (evalData.call_success === 'yes' &&
+                (finalOutcome.includes('appointment') || finalOutcome.includes('consultation')) &&
+                (finalOutcome.includes('scheduled') || finalOutcome.includes('confirmed') || finalOutcome.includes('booked')) &&
+                !finalOutcome.includes('transferred')) {
+                appointmentBooked = true;
+            }
+        }
+
+        return {
+            index: idx,
+            callId: call.id,
+            duration: duration,
+            endedReason: call.endedReason || 'unknown',
+            transferDestinationHint: transferDestination,
+            appointmentBooked: appointmentBooked,
+            transcript: call.transcript || '',
+            summary: call.summary || 'No summary available'
+        };
+    });
+}
+
+/**
+ * Build the user prompt listing a batch of calls, with the schema each record must match
+ * @param {Object} promptData - { system, user } from buildEnrichmentPrompt
+ * @param {Array} callSummaries - From buildCallSummaries
+ * @param {Object} schema - From buildClassificationSchema
+ */
+function buildBatchUserPrompt(promptData, callSummaries, schema) {
+    return promptData.user +
+        '\n\n**SCHEMA:**\nEach object in `calls` must validate against this JSON Schema:\n' +
+        JSON.stringify(schema) +
+        '\n\n**CALLS TO CLASSIFY:**\n\n' +
+        callSummaries.map((c, i) => {
+            return `Call ${i + 1}:\n` +
+                   `- ID: ${c.callId}\n` +
+                   `- Duration: ${c.duration}s\n` +
+                   `- endedReason: ${c.endedReason}\n` +
+                   `- transferDestinationHint: ${c.transferDestinationHint || 'none'}\n` +
+                   `- appointmentBooked: ${c.appointmentBooked}\n` +
+                   `- Summary: ${c.summary}\n` +
+                   `- Transcript: ${c.transcript.substring(0, 500)}...\n`;
+        }).join('\n');
+}
+
+/**
+ * Fingerprint of everything that shapes a classification: the rendered prompts
+ * (templates plus client.json context), the schema (taxonomy) and the override rules
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {String} 12-character hex hash
+ */
+function getPromptVersion(config) {
+    const promptData = buildEnrichmentPrompt(config);
+    const schema = buildClassificationSchema(config);
+    const { transferTools, overrides } = getClassificationRules(config);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ system: promptData.system, user: promptData.user, schema, transferTools, overrides }))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+// Helper: Fallback classification when GPT gives nothing usable
+function unknownClassification(rationale) {
+    return {
+        category: 'unknown',
+        hangupType: null,
+        transferReason: null,
+        spamType: null,
+        confidence: 0,
+        rationale: rationale.substring(0, MAX_RATIONALE_LENGTH)
+    };
+}
+
+/**
+ * Apply the client's override rules (classificationRules.overrides) to a GPT classification
+ * Rules see the raw call plus `category`, the model's answer; the first match replaces it.
+ * @param {Object} call - Raw Vapi call
+ * @param {Object} classification - Validated (or fallback) classification
+ * @param {Object} rules - From getClassificationRules(config)
+ * @returns {Object} Final classification, with `ruleId` of the override that fired (null if none)
+ */
+function applyRuleOverrides(call, classification, rules = DEFAULT_CLASSIFICATION_RULES) {
+    const facts = { ...buildCallFacts(call, rules), category: classification.category };
+    const result = evaluateRules(rules.overrides, facts);
+
+    if (!result || result.needsAnalysis) {
+        return { ...classification, ruleId: null };
+    }
+
+    console.log(`  Override [${result.ruleId}]: ${call.id} → ${result.category}`);
+    return {
+        category: result.category,
+        hangupType: result.hangupType || null,
+        transferReason: result.transferReason || null,
+        spamType: result.spamType || null,
+        confidence: result.confidence ?? classification.confidence,
+        rationale: (result.rationale || `Override rule ${result.ruleId}`).substring(0, MAX_RATIONALE_LENGTH),
+        ruleId: result.ruleId
+    };
+}
+
+/**
+ * Create a call enricher for a client
+ * @param {Object} config - Client config from loadClientConfig
+ * @param {Object} llm - Client from createLLMClient
+ * @returns {Object} { model, schema, promptVersion, classifyCalls(calls) } - classifyCalls resolves to enrichment records
+ */
+function createCallEnricher(config, llm) {
+    const schema = buildClassificationSchema(config);
+    const model = getTaskSettings(config, 'enrichment').model;
+    const promptVersion = getPromptVersion(config);
+    const rules = getClassificationRules(config);
+
+    /**
+     * Send one classification request and return the `calls` array from the response
+     * @param {Array} callSummaries - From buildCallSummaries
+     * @param {Map} corrections - Optional callId -> validation errors from a previous attempt
+     */
+    async function requestClassifications(callSummaries, corrections = null) {
+        const promptData = buildEnrichmentPrompt(config);
+        let userPrompt = buildBatchUserPrompt(promptData, callSummaries, schema);
+
+        if (corrections) {
+            userPrompt += '\n\n**CORRECTIONS NEEDED:**\nYour previous answer for these calls did not match the schema. ' +
+                'Return a corrected classification for each one:\n' +
+                Array.from(corrections.entries())
+                    .map(([callId, errors]) => `- ${callId}: ${errors.join('; ')}`)
+                    .join('\n');
+        }
+
+        const completion = await llm.complete('enrichment', {
+            messages: [
+                { role: 'system', content: promptData.system },
+                { role: 'user', content: userPrompt }
+            ],
+            json: true
+        });
+
+        const result = JSON.parse(completion.content);
+        return Array.isArray(result.calls) ? result.calls : [];
+    }
+
+    /**
+     * Validate returned classifications against the schema
+     * @returns {Object} { valid: Map callId -> classification, invalid: Map callId -> errors }
+     */
+    function collectValidClassifications(calls, records) {
+        const valid = new Map();
+        const invalid = new Map();
+
+        calls.forEach(call => {
+            const record = records.find(r => r && r.callId === call.id);
+            if (!record) {
+                invalid.set(call.id, ['missing from response']);
+                return;
+            }
+            const errors = validateClassification(record, schema);
+            if (errors.length > 0) {
+                invalid.set(call.id, errors);
+            } else {
+                valid.set(call.id, record);
+            }
+        });
+
+        return { valid, invalid };
+    }
+
+    /**
+     * Send a classification request, retrying transient failures with backoff
+     */
+    function requestClassificationsWithRetry(callSummaries, corrections = null) {
+        return withRetry(() => requestClassifications(callSummaries, corrections), {
+            retries: REQUEST_RETRIES,
+            baseDelayMs: 2000,
+            onRetry: (error, attempt, delay) => {
+                console.warn(`  Classification request failed (${error.message}); retry ${attempt}/${REQUEST_RETRIES} in ${Math.round(delay / 1000)}s`);
+            }
+        });
+    }
+
+    /**
+     * Build the stored enrichment record for a call
+     * @param {Object} call - Raw Vapi call
+     * @param {Object} classification - Final classification
+     * @param {Error} error - Set when classification failed; the call is retried on the next run
+     */
+    function buildEnrichmentRecord(call, classification, error = null) {
+        return {
+            callId: call.id,
+            createdAt: call.createdAt,
+            enrichedAt: new Date().toISOString(),
+            model: model,
+            promptVersion: promptVersion,
+            enrichmentStatus: error ? 'failed' : 'complete',
+            ...(error ? { enrichmentError: error.message } : {}),
+            classification: {
+                category: classification.category,
+                // Use dedicated fields that report-intraday.js expects
+                hangupType: classification.hangupType || null,
+                transferReason: classification.transferReason || null,
+                spamType: classification.spamType || null,
+                bookingStatus: classification.category?.startsWith('booking') ? 'booking-attempt' : 'none',
+                confidence: classification.confidence,
+                rationale: classification.rationale,
+                ruleId: classification.ruleId || null
+            }
+        };
+    }
+
+    /**
+     * Classify a batch of calls using GPT
+     * Every record is validated against the classification schema; invalid or missing
+     * records get one targeted re-ask, then are returned as failed ('unknown' with
+     * confidence 0) so the next run retries them. Throws if the request itself still
+     * fails after retries.
+     */
+    async function classifyCallsBatch(calls) {
+        const callSummaries = buildCallSummaries(calls, rules);
+        let { valid, invalid } = collectValidClassifications(calls, await requestClassificationsWithRetry(callSummaries));
+        let reaskError = null;
+
+        // One targeted re-ask for records that failed validation
+        if (invalid.size > 0) {
+            console.log(`  ${invalid.size} classification(s) missing or invalid, re-asking...`);
+            const retryCalls = calls.filter(call => invalid.has(call.id));
+            const retrySummaries = callSummaries.filter(summary => invalid.has(summary.callId));
+            try {
+                const retry = collectValidClassifications(retryCalls, await requestClassificationsWithRetry(retrySummaries, invalid));
+                retry.valid.forEach((record, callId) => valid.set(callId, record));
+                invalid = retry.invalid;
+            } catch (error) {
+                console.error('GPT re-ask error:', error.message);
+                reaskError = error;
+            }
+            invalid.forEach((errors, callId) => {
+                console.warn(`  Invalid classification for ${callId}: ${errors.join('; ')}`);
+            });
+        }
+
+        // Map results back to calls; anything still invalid is left pending retry
+        return calls.map(call => {
+            if (valid.has(call.id)) {
+                return buildEnrichmentRecord(call, applyRuleOverrides(call, valid.get(call.id), rules));
+            }
+            const reason = `Invalid classification: ${invalid.get(call.id).join('; ')}`;
+            const error = reaskError || new Error(reason);
+            return buildEnrichmentRecord(call, applyRuleOverrides(call, unknownClassification(reason), rules), error);
+        });
+    }
+
+    /**
+     * Classify calls, splitting a failed batch in half and retrying each half
+     *
+     * Only errors a smaller batch cannot fix fail the whole batch at once: 401/403/404
+     * (bad credentials or model) and anything the LLM client marks batchIndependent
+     * (replay misses, configuration errors). Anything else, including network resets,
+     * timeouts and size or content errors, is split down to single calls. Calls that still fail are returned with
+     * enrichmentStatus 'failed' (rule-based fallback category) and picked up again by
+     * the next run.
+     */
+    async function classifyWithSplitting(calls) {
+        try {
+            return await classifyCallsBatch(calls);
+        } catch (error) {
+            const batchIndependent = error.batchIndependent === true || [401, 403, 404].includes(error.status);
+
+            if (calls.length === 1 || batchIndependent) {
+                console.error(`  Classification failed for ${calls.length} call(s): ${error.message}`);
+                return calls.map(call => {
+                    const fallback = unknownClassification(`Enrichment failed: ${error.message}`);
+                    return buildEnrichmentRecord(call, applyRuleOverrides(call, fallback, rules), error);
+                });
+            }
+
+            const half = Math.ceil(calls.length / 2);
+            console.warn(`  Batch of ${calls.length} failed (${error.message}); splitting into ${half} + ${calls.length - half}`);
+            const first = await classifyWithSplitting(calls.slice(0, half));
+            const second = await classifyWithSplitting(calls.slice(half));
+            return [...first, ...second];
+        }
+    }
+
+    return {
+        model,
+        schema,
+        promptVersion,
+        classifyCalls: classifyWithSplitting
+    };
+}
+
+module.exports = {
+    REQUEST_RETRIES,
+    buildCallSummaries,
+    buildBatchUserPrompt,
+    getPromptVersion,
+    applyRuleOverrides,
+    createCallEnricher
+};
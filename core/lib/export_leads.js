@@ -20,11 +20,11 @@ function extractHighPriorityLeads(calls) {
 
     for (const call of calls) {
         const lead = {
-            callId: call.id,
+            callId: call.callId || call.id,
             date: call.createdAt ? new Date(call.createdAt).toLocaleDateString('en-US') : 'Unknown',
             time: call.createdAt ? new Date(call.createdAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }) : 'Unknown',
-            phoneNumber: call.customer?.number || call.phoneNumber || 'N/A',
-            customerName: call.customer?.name || 'Unknown',
+            phoneNumber: call.customer?.number || call.customerNumber || call.phoneNumber || 'N/A',
+            customerName: call.customer?.name || call.customerName || 'Unknown',
             email: call.email || 'N/A',
             category: call.category || 'unknown',
             subcategory: call.hangupType || call.transferReason || call.spamType || 'N/A',
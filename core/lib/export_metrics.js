@@ -0,0 +1,157 @@
+/**
+ * Metrics Export - Machine-readable companions to every Markdown report
+ *
+ * Next to a report (e.g. EngAgent_DODReport_..._{TS}.md) this writes:
+ *   ..._metrics.json  - the full computeMetrics() output plus report context   (schema "report-metrics/v1")
+ *   ..._calls.csv     - one row per call                                      (schema "report-calls/v1")
+ *   ..._calls.ndjson  - the same rows, one JSON object per line
+ *
+ * Every metrics file and every call row carries its `schema` id. Adding a field is
+ * backward compatible; renaming, removing or retyping one bumps the version.
+ *
+ * Usage:
+ *   const { writeReportExports } = require('../core/lib/export_metrics');
+ *   writeReportExports(reportPath, { reportType: 'dod', config, settings, period, metrics, calls });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatInTimeZone } = require('date-fns-tz');
+const { isAfterHours } = require('../metrics');
+
+const METRICS_SCHEMA = 'report-metrics/v1';
+
+const CALL_FIELDS = [
+    { name: 'schema', type: 'string', description: 'Schema id of this row' },
+    { name: 'callId', type: 'string', description: 'Vapi call ID' },
+    { name: 'createdAt', type: 'timestamp', description: 'Call start' },
+    { name: 'date', type: 'date', description: 'Call day in the client timezone' },
+    { name: 'category', type: 'string', description: 'Classification category' },
+    { name: 'routingStatus', type: 'string', description: 'routed, not-routed, hangup-before-route, spam, spam-likely or transfer-failed' },
+    { name: 'transferReason', type: 'string', nullable: true, description: 'Transfer reason key' },
+    { name: 'durationSeconds', type: 'integer', description: 'Call duration' },
+    { name: 'emailCaptured', type: 'boolean', description: 'An email address was found for the caller' },
+    { name: 'afterHours', type: 'boolean', description: 'Started outside client business hours' },
+    { name: 'costUsd', type: 'number', nullable: true, description: 'Vapi provider cost of the call' }
+];
+
+/**
+ * Per-call export schemas. `fields` are in column order; types are
+ * string | integer | number | boolean | timestamp (ISO 8601 UTC) | date (YYYY-MM-DD, client timezone).
+ */
+const CALL_SCHEMAS = {
+    'report-calls/v1': { fields: CALL_FIELDS },
+    'hangup-calls/v1': {
+        fields: [
+            ...CALL_FIELDS,
+            { name: 'hangupGroup', type: 'string', description: 'true-hangup or spam-non-responsive' },
+            { name: 'isQualifiedLead', type: 'string', nullable: true, description: 'Yes, No or Maybe (analyzed calls only)' },
+            { name: 'callbackPriority', type: 'string', nullable: true, description: 'High, Medium, Low or None (analyzed calls only)' },
+            { name: 'hangupReason', type: 'string', nullable: true, description: 'Primary hangup reason (analyzed calls only)' }
+        ]
+    }
+};
+
+/**
+ * One export row per processed call
+ * @param {Array} calls - processCalls() result (core/metrics.js)
+ * @param {Object} settings - getMetricsSettings(config)
+ * @param {Function} extra - Optional (call) => extra fields, for schemas that extend report-calls
+ * @param {String} schema - CALL_SCHEMAS key (default: 'report-calls/v1')
+ * @returns {Array} Row objects in schema field order
+ */
+function buildCallExportRows(calls, settings, extra = null, schema = 'report-calls/v1') {
+    const { fields } = CALL_SCHEMAS[schema];
+    return calls.map(call => {
+        const values = {
+            schema,
+            callId: call.callId,
+            createdAt: call.createdAt ? new Date(call.createdAt).toISOString() : null,
+            date: call.createdAt ? formatInTimeZone(new Date(call.createdAt), settings.timeZone, 'yyyy-MM-dd') : null,
+            category: call.category,
+            routingStatus: call.routingStatus,
+            transferReason: call.transferReason || null,
+            durationSeconds: Math.round(call.duration || 0),
+            emailCaptured: !!call.email,
+            afterHours: call.createdAt ? isAfterHours(call.createdAt, settings.businessHours, settings.timeZone) : false,
+            costUsd: call.cost ? call.cost.total : null,
+            ...(extra ? extra(call) : {})
+        };
+
+        const row = {};
+        for (const field of fields) row[field.name] = values[field.name] ?? null;
+        return row;
+    });
+}
+
+// Helper: RFC 4180 field (quoted only when needed; null is empty)
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the metrics JSON, calls CSV and calls NDJSON next to a report
+ * @param {String} reportPath - Path of the Markdown report (its extension is replaced)
+ * @param {Object} options
+ * @param {String} options.reportType - 'dod', 'intraday', 'weekly' or 'hangup'
+ * @param {Object} options.config - Client config from loadClientConfig
+ * @param {Object} options.settings - getMetricsSettings(config)
+ * @param {Object} options.period - { start, end } (YYYY-MM-DD, inclusive)
+ * @param {Object} options.metrics - computeMetrics() result for the report period
+ * @param {Array} options.calls - processCalls() result for the report period (not needed with `rows`)
+ * @param {Object} options.previousMetrics - Comparison period metrics (optional)
+ * @param {Object} options.extra - Report-specific data added under `extra` (optional)
+ * @param {Array} options.rows - Prebuilt call rows (default: buildCallExportRows(calls, settings))
+ * @param {String} options.callSchema - CALL_SCHEMAS key of `rows` (default: 'report-calls/v1')
+ * @returns {Object} { metricsPath, csvPath, ndjsonPath }
+ */
+function writeReportExports(reportPath, options) {
+    const {
+        reportType, config, settings, period, metrics, calls,
+        previousMetrics = null, extra = null, callSchema = 'report-calls/v1'
+    } = options;
+    const rows = options.rows || buildCallExportRows(calls, settings);
+    const basePath = reportPath.replace(/\.md$/, '');
+    const paths = {
+        metricsPath: `${basePath}_metrics.json`,
+        csvPath: `${basePath}_calls.csv`,
+        ndjsonPath: `${basePath}_calls.ndjson`
+    };
+
+    const document = {
+        schema: METRICS_SCHEMA,
+        reportType,
+        clientId: path.basename(config.paths.clientDir),
+        clientName: config.client.name,
+        timeZone: settings.timeZone,
+        period,
+        generatedAt: new Date().toISOString(),
+        metrics,
+        previousMetrics,
+        extra,
+        calls: {
+            schema: callSchema,
+            fields: CALL_SCHEMAS[callSchema].fields,
+            count: rows.length,
+            csv: path.basename(paths.csvPath),
+            ndjson: path.basename(paths.ndjsonPath)
+        }
+    };
+    fs.writeFileSync(paths.metricsPath, JSON.stringify(document, null, 2));
+
+    const fieldNames = CALL_SCHEMAS[callSchema].fields.map(field => field.name);
+    const csvLines = [fieldNames.join(','), ...rows.map(row => fieldNames.map(name => toCsvField(row[name])).join(','))];
+    fs.writeFileSync(paths.csvPath, `${csvLines.join('\n')}\n`);
+    fs.writeFileSync(paths.ndjsonPath, rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+
+    return paths;
+}
+
+module.exports = {
+    METRICS_SCHEMA,
+    CALL_SCHEMAS,
+    buildCallExportRows,
+    writeReportExports
+};
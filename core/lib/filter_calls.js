@@ -0,0 +1,181 @@
+/**
+ * Call Filtering - Decide which Vapi calls belong to a client
+ *
+ * Shared by fetch.js (polling) and webhook-server.js (push) so both
+ * ingestion paths keep exactly the same calls.
+ *
+ * Matching is driven by client.json `vapi`:
+ *   phoneNumbers / warmTransferPhoneNumbers  -> 'phone' criterion (SIP to/uri)
+ *   assistantIds                             -> 'assistant' criterion
+ *   phoneNumberIds                           -> 'phoneNumberId' criterion
+ *   matchPolicy: { mode: 'any' | 'all', criteria: [...] }
+ *
+ * Without a matchPolicy, a call is kept if it matches ANY configured criterion.
+ */
+
+const MATCH_CRITERIA = ['phone', 'assistant', 'phoneNumberId'];
+
+/**
+ * Does the call's SIP destination contain any of the given phone numbers?
+ * @param {Object} call - Vapi call object
+ * @param {Array} phones - E.164 phone numbers
+ * @returns {Boolean}
+ */
+function matchesAnyPhone(call, phones) {
+    const toHeader = call.phoneCallProviderDetails?.sip?.headers?.to;
+    const sipUri = call.phoneCallProviderDetails?.sip?.uri;
+    const phoneNumber = call.phoneNumber?.number;
+
+    return phones.some(phone =>
+        (toHeader && toHeader.includes(phone)) ||
+        (sipUri && sipUri.includes(phone)) ||
+        phoneNumber === phone
+    );
+}
+
+/**
+ * Resolve the effective match policy for a client
+ * @param {Object} vapiConfig - config.client.vapi
+ * @returns {Object} { mode, criteria }
+ */
+function getMatchPolicy(vapiConfig) {
+    const policy = vapiConfig.matchPolicy || {};
+    const mode = policy.mode || 'any';
+
+    if (!['any', 'all'].includes(mode)) {
+        throw new Error(`Invalid vapi.matchPolicy.mode "${mode}" (expected "any" or "all")`);
+    }
+
+    let criteria = policy.criteria;
+    if (!criteria) {
+        criteria = [];
+        if ((vapiConfig.phoneNumbers || []).length > 0) criteria.push('phone');
+        if ((vapiConfig.assistantIds || []).length > 0) criteria.push('assistant');
+        if ((vapiConfig.phoneNumberIds || []).length > 0) criteria.push('phoneNumberId');
+    }
+
+    const unknown = criteria.filter(c => !MATCH_CRITERIA.includes(c));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid vapi.matchPolicy.criteria: ${unknown.join(', ')} (expected ${MATCH_CRITERIA.join(', ')})`);
+    }
+    if (criteria.length === 0) {
+        throw new Error('No call matching criteria: configure vapi.phoneNumbers, assistantIds or phoneNumberIds');
+    }
+
+    return { mode, criteria };
+}
+
+/**
+ * Evaluate one call against the client's match policy
+ * @param {Object} call - Vapi call object
+ * @param {Object} vapiConfig - config.client.vapi
+ * @returns {Object} { matched, reasons } - reasons explain each failed criterion
+ */
+function evaluateCallMatch(call, vapiConfig) {
+    const { mode, criteria } = getMatchPolicy(vapiConfig);
+    const allPhones = [...(vapiConfig.phoneNumbers || []), ...(vapiConfig.warmTransferPhoneNumbers || [])];
+    const reasons = [];
+    let passed = 0;
+
+    criteria.forEach(criterion => {
+        if (criterion === 'phone') {
+            if (matchesAnyPhone(call, allPhones)) {
+                passed++;
+            } else {
+                const to = call.phoneCallProviderDetails?.sip?.headers?.to || call.phoneNumber?.number || 'none';
+                reasons.push(`phone: destination ${to} (transport ${call.phoneCallTransport || call.type || 'unknown'}) not in vapi.phoneNumbers`);
+            }
+        } else if (criterion === 'assistant') {
+            if ((vapiConfig.assistantIds || []).includes(call.assistantId)) {
+                passed++;
+            } else {
+                reasons.push(`assistant: ${call.assistantId || 'none'} not in vapi.assistantIds`);
+            }
+        } else if (criterion === 'phoneNumberId') {
+            if ((vapiConfig.phoneNumberIds || []).includes(call.phoneNumberId)) {
+                passed++;
+            } else {
+                reasons.push(`phoneNumberId: ${call.phoneNumberId || 'none'} not in vapi.phoneNumberIds`);
+            }
+        }
+    });
+
+    const matched = mode === 'all' ? passed === criteria.length : passed > 0;
+    return { matched, reasons: matched ? [] : reasons };
+}
+
+/**
+ * Filter calls by the client's match policy, reporting each dropped call
+ * @param {Array} calls - Vapi call objects
+ * @param {Object} vapiConfig - config.client.vapi
+ * @param {Function} onDrop - Optional callback (call, reasons) for each dropped call
+ * @returns {Array} Calls for this client
+ */
+function filterCalls(calls, vapiConfig, onDrop = null) {
+    return calls.filter(call => {
+        const { matched, reasons } = evaluateCallMatch(call, vapiConfig);
+        if (!matched && onDrop) {
+            onDrop(call, reasons);
+        }
+        return matched;
+    });
+}
+
+/**
+ * Build the Vapi /call query filters that are safe to apply server-side
+ *
+ * A criterion can only be pushed to the API when every kept call must satisfy
+ * it (mode 'all', or it is the only criterion). Returns one query object per
+ * combination of IDs; [{}] means no server-side filtering.
+ * Set vapi.serverSideFilter = false to disable.
+ * @param {Object} vapiConfig - config.client.vapi
+ * @returns {Array} Query parameter objects for listCalls()
+ */
+function getServerSideFilters(vapiConfig) {
+    if (vapiConfig.serverSideFilter === false) return [{}];
+
+    const { mode, criteria } = getMatchPolicy(vapiConfig);
+    const required = mode === 'all' || criteria.length === 1 ? criteria : [];
+
+    let queries = [{}];
+    const expand = (param, ids) => {
+        queries = queries.flatMap(q => ids.map(id => ({ ...q, [param]: id })));
+    };
+
+    if (required.includes('assistant')) {
+        expand('assistantId', vapiConfig.assistantIds || []);
+    }
+    if (required.includes('phoneNumberId')) {
+        expand('phoneNumberId', vapiConfig.phoneNumberIds || []);
+    }
+
+    return queries;
+}
+
+/**
+ * Tag calls that arrived on a warm transfer line with `_warmTransfer = true`
+ * @param {Array} calls - Vapi call objects
+ * @param {Object} vapiConfig - config.client.vapi
+ * @returns {Array} The same calls, tagged in place
+ */
+function tagWarmTransfers(calls, vapiConfig) {
+    const warmPhones = vapiConfig.warmTransferPhoneNumbers || [];
+    if (warmPhones.length === 0) return calls;
+
+    return calls.map(call => {
+        if (matchesAnyPhone(call, warmPhones)) {
+            call._warmTransfer = true;
+        }
+        return call;
+    });
+}
+
+module.exports = {
+    MATCH_CRITERIA,
+    matchesAnyPhone,
+    getMatchPolicy,
+    evaluateCallMatch,
+    filterCalls,
+    getServerSideFilters,
+    tagWarmTransfers
+};
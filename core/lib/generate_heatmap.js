@@ -1,63 +1,124 @@
-const { parseISO, getDay, getHours, getMinutes, format } = require('date-fns');
+const { getDay, getHours, getMinutes } = require('date-fns');
 const { toZonedTime } = require('date-fns-tz');
+const { isOutsideBusinessHours } = require('../metrics');
 
-const TIME_ZONE = 'America/New_York';
+// Fallback when a caller passes no timezone (callers pass getMetricsSettings(config).timeZone)
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DISPLAY_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Metrics a heatmap cell can show. `count` metrics add up matching calls,
+ * `rate` metrics are the matching share of the slot's calls (%), `average`
+ * metrics average a per-call value.
+ */
+const HEATMAP_METRICS = {
+    volume: { label: 'Call Volume', aggregate: 'count', value: () => 1 },
+    routed: { label: 'Routed Calls', aggregate: 'count', value: call => call.routingStatus === 'routed' ? 1 : 0 },
+    booked: { label: 'Completed Bookings', aggregate: 'count', value: call => call.category === 'booking-completed' ? 1 : 0 },
+    eligible: {
+        label: 'Booking-Eligible Calls',
+        aggregate: 'count',
+        value: call => ['booking-completed', 'booking-abandoned', 'booking-transferred'].includes(call.category) ? 1 : 0
+    },
+    hangup: {
+        label: 'Hangups',
+        aggregate: 'count',
+        value: call => call.category === 'hangup' || call.routingStatus === 'hangup-before-route' ? 1 : 0
+    },
+    spam: {
+        label: 'Spam Calls',
+        aggregate: 'count',
+        value: call => call.routingStatus === 'spam' || call.routingStatus === 'spam-likely' ? 1 : 0
+    },
+    successRate: { label: 'Routing Success Rate', aggregate: 'rate', value: call => call.routingStatus === 'routed' ? 1 : 0 },
+    avgDuration: { label: 'Average Call Duration', aggregate: 'average', value: call => call.duration || 0 }
+};
+
+// How the heatmap section shows a heatmap (the table is used when no chart set is passed)
+const HEATMAP_DISPLAYS = ['chart', 'table', 'both'];
+
+// Earlier name for `booked`
+const METRIC_ALIASES = { bookings: 'booked' };
+
+// Helper: "HH:MM" key for a minute of the day
+function toTimeKey(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+// Helper: Every slot key of the day (00:00 to 23:30 for 30-min intervals)
+function getTimeKeys(intervalMinutes) {
+    const keys = [];
+    for (let i = 0; i < (24 * 60) / intervalMinutes; i++) {
+        keys.push(toTimeKey(i * intervalMinutes));
+    }
+    return keys;
+}
+
+// Helper: Day name and slot key of a call in the client timezone
+function locateCall(createdAt, intervalMinutes, timeZone) {
+    const callTime = toZonedTime(new Date(createdAt), timeZone);
+    const minuteOfDay = getHours(callTime) * 60 + getMinutes(callTime);
+    return {
+        dayName: DAY_NAMES[getDay(callTime)],
+        timeKey: toTimeKey(Math.floor(minuteOfDay / intervalMinutes) * intervalMinutes)
+    };
+}
+
+// Helper: "8:00 AM" for a slot key
+function formatTimeKey(timeKey) {
+    const [hours, mins] = timeKey.split(':').map(Number);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
+    return `${displayHours}:${mins.toString().padStart(2, '0')} ${period}`;
+}
+
+// Helper: Cell text for a metric value: count, "45%" or "m:ss"; '-' when the slot has no calls
+function formatMetricValue(value, aggregate) {
+    if (value === null) return '-';
+    if (aggregate === 'rate') return `${value}%`;
+    if (aggregate === 'average') return `${Math.floor(value / 60)}:${Math.round(value % 60).toString().padStart(2, '0')}`;
+    return `${value}`;
+}
+
+/**
+ * Does a heatmap slot fall outside business hours? (judged by the hour the slot starts in)
+ * @param {String} timeKey - "HH:MM"
+ * @param {String} dayName - 'mon' ... 'sun'
+ * @param {Object} businessHours - client.json businessHours
+ * @returns {Boolean}
+ */
+function isSlotOutsideBusinessHours(timeKey, dayName, businessHours) {
+    return isOutsideBusinessHours(DAY_NAMES.indexOf(dayName), Number(timeKey.split(':')[0]), businessHours);
+}
 
 /**
  * Generate call volume heatmap for 30-minute intervals
  * @param {Array} calls - Array of call objects with createdAt timestamps
- * @param {Object} options - Configuration options
+ * @param {Object} options - { intervalMinutes (default 30), timeZone (client timezone) }
  * @returns {Object} Heatmap data structure
  */
 function generateHeatmap(calls, options = {}) {
     const intervalMinutes = options.intervalMinutes || 30;
-    const showWeekends = options.showWeekends !== undefined ? options.showWeekends : true;
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
 
     // Initialize heatmap structure
     // Key: "HH:MM" (e.g., "08:00", "08:30")
     // Value: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0, sat: 0, sun: 0, total: 0 }
     const heatmap = {};
+    for (const timeKey of getTimeKeys(intervalMinutes)) {
+        heatmap[timeKey] = { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0, sat: 0, sun: 0, total: 0 };
+    }
 
-    // Generate all time slots (00:00 to 23:30 for 30-min intervals)
-    const totalSlots = (24 * 60) / intervalMinutes;
-    for (let i = 0; i < totalSlots; i++) {
-        const totalMinutes = i * intervalMinutes;
-        const hours = Math.floor(totalMinutes / 60);
-        const mins = totalMinutes % 60;
-        const timeKey = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-        heatmap[timeKey] = {
-            mon: 0,
-            tue: 0,
-            wed: 0,
-            thu: 0,
-            fri: 0,
-            sat: 0,
-            sun: 0,
-            total: 0
-        };
-    }
-
-    // Process each call
+    // Process each call in the client timezone
     for (const call of calls) {
         if (!call.createdAt) continue;
 
-        // Convert to ET timezone
-        const callTime = toZonedTime(new Date(call.createdAt), TIME_ZONE);
-        const dayOfWeek = getDay(callTime); // 0=Sunday, 6=Saturday
-        const hours = getHours(callTime);
-        const minutes = getMinutes(callTime);
-
-        // Round down to nearest interval
-        const intervalIndex = Math.floor((hours * 60 + minutes) / intervalMinutes);
-        const slotMinutes = intervalIndex * intervalMinutes;
-        const slotHours = Math.floor(slotMinutes / 60);
-        const slotMins = slotMinutes % 60;
-        const timeKey = `${slotHours.toString().padStart(2, '0')}:${slotMins.toString().padStart(2, '0')}`;
-
+        const { dayName, timeKey } = locateCall(call.createdAt, intervalMinutes, timeZone);
         if (heatmap[timeKey]) {
-            // Map day of week to day name
-            const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-            const dayName = dayNames[dayOfWeek];
             heatmap[timeKey][dayName]++;
             heatmap[timeKey].total++;
         }
@@ -69,11 +130,19 @@ function generateHeatmap(calls, options = {}) {
 /**
  * Format heatmap as markdown table
  * @param {Object} heatmap - Heatmap data from generateHeatmap()
- * @param {Object} options - Formatting options
+ * @param {Object} options - { showWeekends (default true), businessHours (italicizes slots outside them) }
  * @returns {String} Markdown table string
  */
 function formatHeatmapAsMarkdown(heatmap, options = {}) {
     const showWeekends = options.showWeekends !== undefined ? options.showWeekends : true;
+    const businessHours = options.businessHours || null;
+    const days = showWeekends ? DISPLAY_DAYS : DISPLAY_DAYS.slice(0, 5);
+
+    // Helper: Cell value, italic outside business hours
+    const cell = (timeKey, day) => {
+        const value = heatmap[timeKey][day];
+        return businessHours && isSlotOutsideBusinessHours(timeKey, day, businessHours) ? `*${value}*` : `${value}`;
+    };
 
     let md = '';
 
@@ -86,30 +155,19 @@ function formatHeatmapAsMarkdown(heatmap, options = {}) {
         md += '|------|-----|-----|-----|-----|-----|--------|\n';
     }
 
-    // Sort time slots chronologically
-    const sortedTimes = Object.keys(heatmap).sort();
-
-    // Data rows
-    for (const timeKey of sortedTimes) {
+    // Data rows, chronologically
+    for (const timeKey of Object.keys(heatmap).sort()) {
         const data = heatmap[timeKey];
-
-        // Format time for display (e.g., "08:00 AM")
-        const [hours, mins] = timeKey.split(':').map(Number);
-        const period = hours >= 12 ? 'PM' : 'AM';
-        const displayHours = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
-        const displayTime = `${displayHours}:${mins.toString().padStart(2, '0')} ${period}`;
-
-        if (showWeekends) {
-            md += `| ${displayTime} | ${data.mon} | ${data.tue} | ${data.wed} | ${data.thu} | ${data.fri} | ${data.sat} | ${data.sun} | ${data.total} |\n`;
-        } else {
-            const weekdayTotal = data.mon + data.tue + data.wed + data.thu + data.fri;
-            md += `| ${displayTime} | ${data.mon} | ${data.tue} | ${data.wed} | ${data.thu} | ${data.fri} | ${weekdayTotal} |\n`;
-        }
+        const total = showWeekends ? data.total : data.mon + data.tue + data.wed + data.thu + data.fri;
+        md += `| ${formatTimeKey(timeKey)} | ${days.map(day => cell(timeKey, day)).join(' | ')} | ${total} |\n`;
     }
 
     if (!showWeekends) {
         md += '\n*Total = Weekdays only (Mon-Fri)\n';
     }
+    if (businessHours) {
+        md += '\n*Italic* cells fall outside business hours.\n';
+    }
 
     return md;
 }
@@ -127,11 +185,10 @@ function findPeakHours(heatmap, topN = 5) {
         const data = heatmap[timeKey];
 
         // Find peak day for this time slot
-        const days = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
         let maxDay = 'mon';
         let maxCount = 0;
 
-        for (const day of days) {
+        for (const day of DISPLAY_DAYS) {
             if (data[day] > maxCount) {
                 maxCount = data[day];
                 maxDay = day;
@@ -152,65 +209,62 @@ function findPeakHours(heatmap, topN = 5) {
     return peaks.slice(0, topN);
 }
 
+// Helper: Final cell value from its call count and metric sum
+function cellValue(aggregate, count, sum) {
+    if (aggregate === 'count') return sum;
+    if (count === 0) return null;
+    if (aggregate === 'rate') return Math.round((sum / count) * 100);
+    return Math.round(sum / count);
+}
+
 /**
  * Generate heatmap with metrics (e.g., success rate, eligible leads)
- * @param {Array} calls - Array of call objects with classification
- * @param {String} metric - Metric to track ('volume', 'eligible', 'bookings', 'successRate')
- * @param {Object} options - Configuration options
- * @returns {Object} Heatmap data structure
+ * @param {Array} calls - processCalls() result (core/metrics.js)
+ * @param {String} metric - HEATMAP_METRICS key ('volume', 'routed', 'booked', 'hangup', 'spam', 'successRate', 'avgDuration', 'eligible')
+ * @param {Object} options - { intervalMinutes (default 30), timeZone (client timezone), businessHours }
+ * @returns {Object} "HH:MM" -> { mon..sun, total }, each { count, metric, value, outsideBusinessHours };
+ *                   `value` is the count, rate (%) or average (seconds), null when a rate/average slot has no calls
  */
 function generateMetricHeatmap(calls, metric = 'volume', options = {}) {
+    const metricKey = METRIC_ALIASES[metric] || metric;
+    const definition = HEATMAP_METRICS[metricKey];
+    if (!definition) {
+        throw new Error(`Unknown heatmap metric "${metric}". Expected one of: ${Object.keys(HEATMAP_METRICS).join(', ')}`);
+    }
     const intervalMinutes = options.intervalMinutes || 30;
-    const heatmap = {};
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const businessHours = options.businessHours || null;
 
     // Initialize heatmap
-    const totalSlots = (24 * 60) / intervalMinutes;
-    for (let i = 0; i < totalSlots; i++) {
-        const totalMinutes = i * intervalMinutes;
-        const hours = Math.floor(totalMinutes / 60);
-        const mins = totalMinutes % 60;
-        const timeKey = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-        heatmap[timeKey] = {
-            mon: { count: 0, metric: 0 },
-            tue: { count: 0, metric: 0 },
-            wed: { count: 0, metric: 0 },
-            thu: { count: 0, metric: 0 },
-            fri: { count: 0, metric: 0 },
-            sat: { count: 0, metric: 0 },
-            sun: { count: 0, metric: 0 }
-        };
-    }
-
-    // Process calls
+    const heatmap = {};
+    for (const timeKey of getTimeKeys(intervalMinutes)) {
+        heatmap[timeKey] = { total: { count: 0, metric: 0 } };
+        for (const day of DISPLAY_DAYS) {
+            heatmap[timeKey][day] = { count: 0, metric: 0 };
+        }
+    }
+
+    // Process calls in the client timezone
     for (const call of calls) {
         if (!call.createdAt) continue;
 
-        const callTime = toZonedTime(new Date(call.createdAt), TIME_ZONE);
-        const dayOfWeek = getDay(callTime);
-        const hours = getHours(callTime);
-        const minutes = getMinutes(callTime);
+        const { dayName, timeKey } = locateCall(call.createdAt, intervalMinutes, timeZone);
+        if (!heatmap[timeKey]) continue;
 
-        const intervalIndex = Math.floor((hours * 60 + minutes) / intervalMinutes);
-        const slotMinutes = intervalIndex * intervalMinutes;
-        const slotHours = Math.floor(slotMinutes / 60);
-        const slotMins = slotMinutes % 60;
-        const timeKey = `${slotHours.toString().padStart(2, '0')}:${slotMins.toString().padStart(2, '0')}`;
+        const value = definition.value(call);
+        for (const cell of [heatmap[timeKey][dayName], heatmap[timeKey].total]) {
+            cell.count++;
+            cell.metric += value;
+        }
+    }
 
-        if (heatmap[timeKey]) {
-            const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-            const dayName = dayNames[dayOfWeek];
-
-            heatmap[timeKey][dayName].count++;
-
-            // Track specific metric
-            if (metric === 'eligible') {
-                if (['booking-completed', 'booking-abandoned', 'booking-transferred'].includes(call.category)) {
-                    heatmap[timeKey][dayName].metric++;
-                }
-            } else if (metric === 'bookings') {
-                if (call.category === 'booking-completed') {
-                    heatmap[timeKey][dayName].metric++;
-                }
+    // Final values and the business-hours overlay
+    for (const timeKey in heatmap) {
+        for (const key of [...DISPLAY_DAYS, 'total']) {
+            const cell = heatmap[timeKey][key];
+            cell.value = cellValue(definition.aggregate, cell.count, cell.metric);
+            if (key !== 'total') {
+                cell.outsideBusinessHours = businessHours ? isSlotOutsideBusinessHours(timeKey, key, businessHours) : false;
             }
         }
     }
@@ -218,9 +272,117 @@ function generateMetricHeatmap(calls, metric = 'volume', options = {}) {
     return heatmap;
 }
 
+/**
+ * Format a metric heatmap as a markdown table; slots outside business hours are italic
+ * @param {Object} heatmap - generateMetricHeatmap() result
+ * @param {String} metric - The metric it was built for
+ * @param {Object} options - { showWeekends (default true) }
+ * @returns {String} Markdown table string
+ */
+function formatMetricHeatmapAsMarkdown(heatmap, metric = 'volume', options = {}) {
+    const showWeekends = options.showWeekends !== undefined ? options.showWeekends : true;
+    const { aggregate } = HEATMAP_METRICS[METRIC_ALIASES[metric] || metric];
+    const days = showWeekends ? DISPLAY_DAYS : DISPLAY_DAYS.slice(0, 5);
+
+    const dayHeaders = days.map(day => day.charAt(0).toUpperCase() + day.slice(1));
+    let md = `| Time | ${dayHeaders.join(' | ')} | All Days |\n`;
+    md += `|------|${days.map(() => '-----').join('|')}|----------|\n`;
+
+    for (const timeKey of Object.keys(heatmap).sort()) {
+        const row = heatmap[timeKey];
+        const cells = days.map(day => {
+            const text = formatMetricValue(row[day].value, aggregate);
+            return row[day].outsideBusinessHours ? `*${text}*` : text;
+        });
+        md += `| ${formatTimeKey(timeKey)} | ${cells.join(' | ')} | ${formatMetricValue(row.total.value, aggregate)} |\n`;
+    }
+
+    if (days.some(day => Object.values(heatmap).some(row => row[day].outsideBusinessHours))) {
+        md += '\n*Italic* cells fall outside business hours.\n';
+    }
+
+    return md;
+}
+
+/**
+ * Heatmap report section: title, color-scaled chart and/or table, and the highest slots
+ * @param {Array} calls - processCalls() result for the report window
+ * @param {Object} settings - getMetricsSettings(config) (timeZone, businessHours)
+ * @param {Object} options - { metric, intervalMinutes, peaks, showWeekends, period (shown in the title), level,
+ *                             charts (createChartSet() result; without it the table is shown),
+ *                             display: 'chart' (default), 'table' or 'both' }
+ * @returns {String} Markdown
+ */
+function formatHeatmapSection(calls, settings, options = {}) {
+    const metric = options.metric || 'volume';
+    const display = options.display || 'chart';
+    if (!HEATMAP_DISPLAYS.includes(display)) {
+        throw new Error(`Unknown heatmap display "${display}". Expected one of: ${HEATMAP_DISPLAYS.join(', ')}`);
+    }
+    const heatmap = generateMetricHeatmap(calls, metric, {
+        intervalMinutes: options.intervalMinutes,
+        timeZone: settings.timeZone,
+        businessHours: settings.businessHours
+    });
+    const definition = HEATMAP_METRICS[METRIC_ALIASES[metric] || metric];
+
+    let md = `${'#'.repeat(options.level || 2)} ${definition.label} Heatmap${options.period ? ` (${options.period})` : ''}\n\n`;
+    if (calls.length === 0) {
+        md += `_No calls in this period._\n`;
+        return md;
+    }
+    md += `*Times in ${settings.timeZone}.*\n\n`;
+
+    const showChart = options.charts && display !== 'table';
+    if (showChart) {
+        const days = options.showWeekends === false ? DISPLAY_DAYS.slice(0, 5) : DISPLAY_DAYS;
+        const timeKeys = Object.keys(heatmap).sort();
+        const values = timeKeys.map(timeKey => days.map(day => heatmap[timeKey][day].value));
+        const max = Math.max(0, ...values.flat().filter(value => value !== null));
+        md += options.charts.heatmap(`heatmap-${METRIC_ALIASES[metric] || metric}`, {
+            title: `${definition.label}${options.period ? ` (${options.period})` : ''}`,
+            rowLabels: timeKeys.map(formatTimeKey),
+            columnLabels: days.map(day => day.charAt(0).toUpperCase() + day.slice(1)),
+            values,
+            labels: timeKeys.map(timeKey => days.map(day => {
+                const { value } = heatmap[timeKey][day];
+                return value === null || (definition.aggregate === 'count' && value === 0) ? '' : formatMetricValue(value, definition.aggregate);
+            })),
+            outside: timeKeys.map(timeKey => days.map(day => heatmap[timeKey][day].outsideBusinessHours)),
+            maxLabel: formatMetricValue(max, definition.aggregate),
+            note: settings.timeZone
+        });
+    }
+    if (!showChart || display === 'both') {
+        md += `${showChart ? '\n' : ''}${formatMetricHeatmapAsMarkdown(heatmap, metric, { showWeekends: options.showWeekends })}`;
+    }
+
+    // Busiest slots for counts; highest slots (with any calls) for rates and averages
+    const { aggregate } = definition;
+    const topSlots = Object.entries(heatmap)
+        .filter(([, row]) => aggregate === 'count' ? row.total.value > 0 : row.total.count > 0)
+        .sort(([, a], [, b]) => b.total.value - a.total.value || b.total.count - a.total.count)
+        .slice(0, options.peaks === undefined ? 3 : options.peaks);
+    if (topSlots.length > 0) {
+        const label = aggregate === 'count' ? 'Peak Times' : 'Highest';
+        const describe = row => aggregate === 'count'
+            ? `${row.total.value}`
+            : `${formatMetricValue(row.total.value, aggregate)} over ${row.total.count} call${row.total.count === 1 ? '' : 's'}`;
+        md += `\n**${label}:** ${topSlots.map(([timeKey, row]) => `${formatTimeKey(timeKey)} (${describe(row)})`).join(', ')}\n`;
+    }
+
+    return md;
+}
+
 module.exports = {
+    DISPLAY_DAYS,
+    HEATMAP_METRICS,
     generateHeatmap,
     formatHeatmapAsMarkdown,
     findPeakHours,
-    generateMetricHeatmap
+    generateMetricHeatmap,
+    formatMetricHeatmapAsMarkdown,
+    formatHeatmapSection,
+    formatTimeKey,
+    isSlotOutsideBusinessHours
 };
@@ -0,0 +1,71 @@
+/**
+ * Hangup Themes - Summarize the per-call hangup analyses written by analyze-hangups.js
+ *
+ * Each file in data/openai_analysis/ is an array of
+ *   { callId, createdAt, customerNumber, analyzedAt, model, analysis: { hangupReason, isQualifiedLead, callbackPriority, ... } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load every saved hangup analysis (latest record per call)
+ * @param {String} analysisDir - config.paths.openaiAnalysisDir
+ * @returns {Array} Analysis records
+ */
+function loadHangupAnalyses(analysisDir) {
+    const byCallId = new Map();
+    if (!fs.existsSync(analysisDir)) return [];
+
+    const files = fs.readdirSync(analysisDir).filter(f => f.endsWith('.json')).sort();
+    for (const file of files) {
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(analysisDir, file), 'utf8'));
+            if (!Array.isArray(data)) continue;
+            for (const item of data) {
+                if (item.callId && item.analysis) byCallId.set(item.callId, item);
+            }
+        } catch (error) {
+            console.warn(`Warning: Could not load ${file}: ${error.message}`);
+        }
+    }
+
+    return Array.from(byCallId.values());
+}
+
+// Helper: Reason text reduced to a grouping key (case, spacing and trailing punctuation ignored)
+function normalizeReason(reason) {
+    return String(reason || 'Unspecified').replace(/\s+/g, ' ').replace(/[.!]+$/, '').trim().toLowerCase();
+}
+
+/**
+ * Group analyses by hangup reason, most frequent first
+ * @param {Array} analyses - Records from loadHangupAnalyses(), already filtered to the period
+ * @param {Number} limit - Number of themes to return
+ * @returns {Object} { total, qualified, highPriority, themes: [{ reason, count, qualified, highPriority }] }
+ */
+function summarizeHangupThemes(analyses, limit = 5) {
+    const groups = new Map();
+    for (const { analysis } of analyses) {
+        const key = normalizeReason(analysis.hangupReason);
+        if (!groups.has(key)) {
+            groups.set(key, { reason: String(analysis.hangupReason || 'Unspecified').trim(), count: 0, qualified: 0, highPriority: 0 });
+        }
+        const group = groups.get(key);
+        group.count++;
+        if (analysis.isQualifiedLead === 'Yes') group.qualified++;
+        if (analysis.callbackPriority === 'High') group.highPriority++;
+    }
+
+    return {
+        total: analyses.length,
+        qualified: analyses.filter(a => a.analysis.isQualifiedLead === 'Yes').length,
+        highPriority: analyses.filter(a => a.analysis.callbackPriority === 'High').length,
+        themes: Array.from(groups.values()).sort((a, b) => b.count - a.count).slice(0, limit)
+    };
+}
+
+module.exports = {
+    loadHangupAnalyses,
+    summarizeHangupThemes
+};
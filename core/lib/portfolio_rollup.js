@@ -0,0 +1,138 @@
+/**
+ * Portfolio Rollup - Per-client KPI summaries and target checks for the cross-client email
+ *
+ * Usage:
+ *   const { summarizeRollupStats, combineRollupStats, evaluateTargets } = require('../core/lib/portfolio_rollup');
+ *   const stats = summarizeRollupStats(processedCalls, metrics, config.report.pricing);
+ *   const misses = evaluateTargets(stats, config.report.targets);
+ *
+ * Stats keep their raw sums (calls, bookings, minutes, cost...) next to the rates so
+ * several clients can be combined into a portfolio total.
+ */
+
+const { compareAIvsHuman } = require('./calculate_roi');
+const { summarizeCallCosts } = require('./call_costs');
+
+const BOOKING_CATEGORIES = ['booking-completed', 'booking-abandoned', 'booking-transferred'];
+
+/**
+ * report.json `targets` keys the rollup checks. Keys a client leaves out are not checked.
+ * `max*` keys are ceilings; the rest are floors unless higherIsBetter is false.
+ */
+const ROLLUP_TARGETS = [
+    { key: 'bookingSuccessRate', label: 'Booking Rate', stat: 'bookingRate', higherIsBetter: true, unit: '%' },
+    { key: 'routingRate', label: 'Routing Rate', stat: 'routingRate', higherIsBetter: true, unit: '%' },
+    { key: 'emailCaptureRate', label: 'Email Capture', stat: 'emailCaptureRate', higherIsBetter: true, unit: '%' },
+    { key: 'spamDetectionSpeed', label: 'Avg Spam Duration', stat: 'avgSpamDuration', higherIsBetter: false, unit: 's' },
+    { key: 'maxSpamShare', label: 'Spam Share', stat: 'spamShare', higherIsBetter: false, unit: '%' },
+    { key: 'maxCostPerCall', label: 'Cost per Call', stat: 'costPerCall', higherIsBetter: false, unit: '$' }
+];
+
+// Helper: Whole percentage, null when there is nothing to divide by
+function percentOrNull(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+// Helper: Rates and averages from the raw sums
+function withRates(sums) {
+    return {
+        ...sums,
+        routingRate: percentOrNull(sums.routedCalls, sums.totalCalls),
+        bookingRate: percentOrNull(sums.bookingCompleted, sums.bookingEligible),
+        emailCaptureRate: percentOrNull(sums.emailsCaptured, sums.bookingEligible),
+        spamShare: percentOrNull(sums.spamCalls, sums.totalCalls),
+        avgSpamDuration: sums.spamCalls > 0 ? Math.round(sums.spamDurationTotal / sums.spamCalls) : null,
+        costPerCall: sums.totalCalls > 0 ? Math.round((sums.totalCost / sums.totalCalls) * 100) / 100 : null
+    };
+}
+
+/**
+ * Rollup KPIs for one client and window
+ * @param {Array} processedCalls - processCalls() result (core/metrics.js)
+ * @param {Object} metrics - computeMetrics() result for the same calls
+ * @param {Object} pricing - The client's report.json `pricing`
+ * @returns {Object} Raw sums plus routingRate, bookingRate, emailCaptureRate, spamShare (%),
+ *                   avgSpamDuration (s) and costPerCall ($, billed from actual Vapi costs where recorded);
+ *                   a rate is null when its base is 0
+ */
+function summarizeRollupStats(processedCalls, metrics, pricing = {}) {
+    const bookingCalls = processedCalls.filter(c => BOOKING_CATEGORIES.includes(c.category));
+    const spamCalls = processedCalls.filter(c => c.routingStatus === 'spam' || c.routingStatus === 'spam-likely');
+    const cost = compareAIvsHuman(metrics.totalMinutes, metrics.totalCalls, pricing, summarizeCallCosts(processedCalls, pricing));
+
+    return withRates({
+        totalCalls: metrics.totalCalls,
+        routedCalls: metrics.routedCalls,
+        bookingEligible: bookingCalls.length,
+        bookingCompleted: bookingCalls.filter(c => c.category === 'booking-completed').length,
+        emailsCaptured: bookingCalls.filter(c => c.email).length,
+        spamCalls: spamCalls.length,
+        spamDurationTotal: spamCalls.reduce((sum, c) => sum + (c.duration || 0), 0),
+        totalMinutes: metrics.totalMinutes,
+        totalCost: cost.ai.totalCost
+    });
+}
+
+/**
+ * Portfolio total across clients (sums recombined into rates, each client at its own pricing)
+ * @param {Array} statsList - summarizeRollupStats() results
+ * @returns {Object} Same shape as summarizeRollupStats()
+ */
+function combineRollupStats(statsList) {
+    const keys = ['totalCalls', 'routedCalls', 'bookingEligible', 'bookingCompleted', 'emailsCaptured',
+        'spamCalls', 'spamDurationTotal', 'totalMinutes', 'totalCost'];
+    const sums = {};
+    for (const key of keys) {
+        sums[key] = statsList.reduce((sum, stats) => sum + (stats[key] || 0), 0);
+    }
+    return withRates(sums);
+}
+
+/**
+ * Check a client's stats against its report.json targets
+ * @param {Object} stats - summarizeRollupStats() result
+ * @param {Object} targets - The client's report.json `targets`
+ * @returns {Array} Misses: [{ key, label, actual, target, higherIsBetter, unit }]
+ */
+function evaluateTargets(stats, targets = {}) {
+    const misses = [];
+    for (const check of ROLLUP_TARGETS) {
+        const target = targets[check.key];
+        const actual = stats[check.stat];
+        if (typeof target !== 'number' || actual === null || actual === undefined) continue;
+
+        const missed = check.higherIsBetter ? actual < target : actual > target;
+        if (missed) {
+            misses.push({ key: check.key, label: check.label, actual, target, higherIsBetter: check.higherIsBetter, unit: check.unit });
+        }
+    }
+    return misses;
+}
+
+/**
+ * Everything worth flagging for one client row: a load error, a silent report day
+ * (no calls, though the week before had some) or missed targets
+ * @param {Object} row - { error, targets, day, week, priorWeek } as built by report-portfolio.js
+ * @param {String} window - 'day' or 'week': which stats the targets are checked against
+ * @returns {Array} [{ type: 'error', message }, { type: 'no-calls' }, { type: 'target', ...miss }]
+ */
+function findRollupIssues(row, window = 'day') {
+    if (row.error) return [{ type: 'error', message: row.error }];
+
+    const issues = [];
+    if (window === 'day' && row.day.totalCalls === 0 && row.priorWeek.totalCalls > 0) {
+        issues.push({ type: 'no-calls' });
+    }
+    for (const miss of evaluateTargets(row[window], row.targets)) {
+        issues.push({ type: 'target', ...miss });
+    }
+    return issues;
+}
+
+module.exports = {
+    ROLLUP_TARGETS,
+    summarizeRollupStats,
+    combineRollupStats,
+    evaluateTargets,
+    findRollupIssues
+};
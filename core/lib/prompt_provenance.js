@@ -0,0 +1,138 @@
+/**
+ * Prompt Provenance - Which prompt version produced each stored classification
+ *
+ * Every enrichment record carries the `promptVersion` hash from
+ * getPromptVersion() (enrichment prompts + classification schema, so taxonomy
+ * edits in client.json count too). A record is stale when its hash differs from
+ * the current one; records written before versioning have no hash and are
+ * always stale. When enrich.js replaces a record it keeps the old label in
+ * `previousClassification`, which is what category shifts are computed from.
+ */
+
+const UNVERSIONED = 'unversioned';
+
+/**
+ * Is an enrichment record stale for the current prompt version?
+ * Failed records are left to the normal retry path and never count as stale.
+ * @param {Object} enrichment - Stored enrichment record
+ * @param {String} promptVersion - Current version from getPromptVersion
+ */
+function isStaleEnrichment(enrichment, promptVersion) {
+    if (!enrichment || enrichment.enrichmentStatus === 'failed') return false;
+    return enrichment.promptVersion !== promptVersion;
+}
+
+/**
+ * Snapshot of a record's label, stored on its replacement as previousClassification
+ * A failed record passes on the label it replaced, so a retry still knows it.
+ * @param {Object} enrichment - Record being replaced
+ * @returns {Object|null} null when there is no usable earlier label
+ */
+function snapshotClassification(enrichment) {
+    if (enrichment?.enrichmentStatus === 'failed') return enrichment.previousClassification || null;
+    if (!enrichment || !enrichment.classification) return null;
+    return {
+        category: enrichment.classification.category,
+        transferReason: enrichment.classification.transferReason || null,
+        confidence: enrichment.classification.confidence ?? null,
+        promptVersion: enrichment.promptVersion || null,
+        model: enrichment.model || null,
+        enrichedAt: enrichment.enrichedAt || null
+    };
+}
+
+/**
+ * Count enrichment records by prompt version
+ * @param {Array} enrichments - Stored enrichment records
+ * @param {String} promptVersion - Current version
+ * @returns {Array} { promptVersion, models, count, failed, current } sorted current first, then by count
+ */
+function summarizePromptVersions(enrichments, promptVersion) {
+    const byVersion = new Map();
+    enrichments.forEach(enrichment => {
+        const version = enrichment.promptVersion || UNVERSIONED;
+        if (!byVersion.has(version)) {
+            byVersion.set(version, { promptVersion: version, models: [], count: 0, failed: 0, current: version === promptVersion });
+        }
+        const entry = byVersion.get(version);
+        entry.count++;
+        if (enrichment.enrichmentStatus === 'failed') entry.failed++;
+        if (enrichment.model && !entry.models.includes(enrichment.model)) entry.models.push(enrichment.model);
+    });
+
+    return Array.from(byVersion.values())
+        .sort((a, b) => (b.current - a.current) || (b.count - a.count));
+}
+
+/**
+ * Category counts before and after re-classification
+ * @param {Array} pairs - { callId, before: category, after: category }
+ * @returns {Object} { total, changed, categories: [{ category, before, after, change }], transitions: [{ from, to, count }] }
+ */
+function summarizeCategoryShift(pairs) {
+    const counts = {};
+    const transitions = new Map();
+    const bump = (category, field) => {
+        counts[category] = counts[category] || { category, before: 0, after: 0 };
+        counts[category][field]++;
+    };
+
+    pairs.forEach(({ before, after }) => {
+        bump(before, 'before');
+        bump(after, 'after');
+        if (before !== after) {
+            const key = `${before}\u0000${after}`;
+            transitions.set(key, (transitions.get(key) || 0) + 1);
+        }
+    });
+
+    return {
+        total: pairs.length,
+        changed: pairs.filter(p => p.before !== p.after).length,
+        categories: Object.values(counts)
+            .map(c => ({ ...c, change: c.after - c.before }))
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.after - a.after),
+        transitions: Array.from(transitions.entries())
+            .map(([key, count]) => {
+                const [from, to] = key.split('\u0000');
+                return { from, to, count };
+            })
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Format a category shift as console lines
+ * @param {Object} shift - Result of summarizeCategoryShift
+ * @returns {String} Multi-line text
+ */
+function formatCategoryShift(shift) {
+    if (shift.total === 0) {
+        return 'No re-classified calls to compare';
+    }
+
+    const signed = n => (n > 0 ? `+${n}` : String(n));
+    const lines = [
+        `${shift.changed} of ${shift.total} re-classified calls changed category`,
+        '',
+        'Category              Before   After  Change'
+    ];
+    shift.categories.forEach(c => {
+        lines.push(`${c.category.padEnd(22)}${String(c.before).padStart(6)}  ${String(c.after).padStart(6)}  ${signed(c.change).padStart(6)}`);
+    });
+
+    if (shift.transitions.length > 0) {
+        lines.push('', 'Moves:');
+        shift.transitions.forEach(t => lines.push(`  ${t.from} -> ${t.to}: ${t.count}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    UNVERSIONED,
+    isStaleEnrichment,
+    snapshotClassification,
+    summarizePromptVersions,
+    summarizeCategoryShift,
+    formatCategoryShift
+};
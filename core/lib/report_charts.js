@@ -0,0 +1,310 @@
+/**
+ * Report Charts - Heatmap, line and stacked bar charts embedded in Markdown reports
+ *
+ * Sections add charts to a chart set and get back a Markdown image reference.
+ * Once the report path is known, writeReportCharts() renders every chart to
+ * <report>_charts/<id>.png and .svg and points the references at the PNG files.
+ * email-sender.js attaches those PNGs as inline CID images (like the client logo);
+ * HTML reports can inline the SVGs instead (embedChartSvgs).
+ *
+ * Usage:
+ *   const { createChartSet, writeReportCharts } = require('../core/lib/report_charts');
+ *   const charts = createChartSet(config);
+ *   md += charts.line('daily-trend', { title, labels, series });
+ *   md = writeReportCharts(reportPath, md, charts);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDrawing, measureText, mixColors, GLYPH_HEIGHT } = require('./chart_renderer');
+
+// Email body width: 680px container minus 2 x 24px padding
+const CHART_WIDTH = 632;
+
+const SERIES_COLORS = ['#3182ce', '#38a169', '#d69e2e', '#e53e3e', '#805ad5', '#dd6b20', '#319795', '#718096'];
+
+/**
+ * Chart colors and size for a client (branding accent leads the series palette)
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { width, accent, text, muted, grid, outsideHours, series }
+ */
+function getChartSettings(config) {
+    const colors = config.client?.branding?.colors || {};
+    const accent = colors.accent || SERIES_COLORS[0];
+    return {
+        width: CHART_WIDTH,
+        accent,
+        text: colors.primaryText || '#333333',
+        muted: colors.mutedText || '#718096',
+        grid: colors.border || '#e2e8f0',
+        outsideHours: '#a0aec0',
+        series: [accent, ...SERIES_COLORS.filter(color => color !== accent)]
+    };
+}
+
+// Helper: Round an axis maximum up to 1, 2 or 5 x 10^n per tick (4 ticks)
+function niceAxisMax(value, ticks = 4) {
+    if (!value || value <= 0) return ticks;
+    const rawStep = value / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    return Math.max(step * ticks, ticks);
+}
+
+// Helper: Title line across the top
+function drawTitle(drawing, title, settings) {
+    if (title) drawing.text(8, 8, title, { color: settings.text, scale: 2 });
+}
+
+// Helper: Legend swatches in a row; returns the height used
+function drawLegend(drawing, items, y, settings) {
+    let x = 8;
+    for (const { name, color } of items) {
+        const width = 14 + measureText(name) + 16;
+        if (x + width > drawing.width - 8) {
+            x = 8;
+            y += 14;
+        }
+        drawing.rect(x, y, 10, 10, color);
+        drawing.text(x + 14, y + 2, name, { color: settings.text });
+        x += width;
+    }
+    return y + 14;
+}
+
+// Helper: Every Nth x label so they do not overlap
+function labelStep(labels, slotWidth) {
+    const widest = Math.max(...labels.map(label => measureText(label)), 1);
+    return Math.max(1, Math.ceil((widest + 6) / slotWidth));
+}
+
+/**
+ * Color-scaled heatmap (rows x columns)
+ * @param {Object} spec - { title, rowLabels, columnLabels, values[row][col] (number|null),
+ *                          labels[row][col] (cell text), outside[row][col] (outside business hours), note }
+ * @param {Object} settings - getChartSettings(config)
+ * @returns {Object} Drawing
+ */
+function buildHeatmapChart(spec, settings) {
+    const { rowLabels, columnLabels, values, labels, outside } = spec;
+    const rowHeight = rowLabels.length > 30 ? 14 : 18;
+    const labelWidth = Math.max(...rowLabels.map(label => measureText(label)), 40) + 12;
+    const top = spec.title ? 34 : 8;
+    const headerHeight = 16;
+    const cellWidth = Math.floor((settings.width - labelWidth - 8) / columnLabels.length);
+    const gridTop = top + headerHeight;
+    const height = gridTop + rowLabels.length * rowHeight + 34;
+
+    const drawing = createDrawing(settings.width, height);
+    drawTitle(drawing, spec.title, settings);
+
+    const max = Math.max(0, ...values.flat().filter(value => value !== null));
+    columnLabels.forEach((label, col) => {
+        drawing.text(labelWidth + col * cellWidth + cellWidth / 2, top + 2, label, { color: settings.text, anchor: 'middle' });
+    });
+
+    rowLabels.forEach((label, row) => {
+        const y = gridTop + row * rowHeight;
+        drawing.text(labelWidth - 8, y + (rowHeight - GLYPH_HEIGHT) / 2, label, { color: settings.muted, anchor: 'end' });
+
+        columnLabels.forEach((_, col) => {
+            const x = labelWidth + col * cellWidth;
+            const value = values[row][col];
+            const intensity = value === null || max === 0 ? 0 : value / max;
+            const fill = value === null ? '#ffffff' : mixColors('#f7fafc', settings.accent, 0.08 + intensity * 0.92);
+            drawing.rect(x, y, cellWidth - 1, rowHeight - 1, fill);
+            if (outside && outside[row][col]) {
+                drawing.rect(x, y, 3, rowHeight - 1, settings.outsideHours);
+            }
+            const text = labels ? labels[row][col] : (value === null ? '' : String(value));
+            if (text) {
+                drawing.text(x + cellWidth / 2, y + (rowHeight - GLYPH_HEIGHT) / 2, text, {
+                    color: intensity > 0.55 ? '#ffffff' : settings.text,
+                    anchor: 'middle'
+                });
+            }
+        });
+    });
+
+    // Scale and overlay legend
+    const legendY = gridTop + rowLabels.length * rowHeight + 12;
+    for (let i = 0; i <= 10; i++) {
+        drawing.rect(8 + i * 12, legendY, 12, 10, mixColors('#f7fafc', settings.accent, 0.08 + (i / 10) * 0.92));
+    }
+    drawing.text(8 + 11 * 12 + 6, legendY + 2, `0 to ${spec.maxLabel || max}`, { color: settings.muted });
+    if (outside && outside.some(row => row.some(Boolean))) {
+        const x = 8 + 11 * 12 + 6 + measureText(`0 to ${spec.maxLabel || max}`) + 24;
+        drawing.rect(x, legendY, 3, 10, settings.outsideHours);
+        drawing.text(x + 8, legendY + 2, 'Outside business hours', { color: settings.muted });
+    }
+    if (spec.note) {
+        drawing.text(settings.width - 8, legendY + 2, spec.note, { color: settings.muted, anchor: 'end' });
+    }
+
+    return drawing;
+}
+
+/**
+ * Line chart with a left axis (counts) and an optional right axis (percentages, 0-100)
+ * @param {Object} spec - { title, labels, series: [{ name, values, axis: 'left' | 'right' }] }
+ * @param {Object} settings - getChartSettings(config)
+ * @returns {Object} Drawing
+ */
+function buildLineChart(spec, settings) {
+    const { labels, series } = spec;
+    const hasRight = series.some(s => s.axis === 'right');
+    const leftMax = niceAxisMax(Math.max(0, ...series.filter(s => s.axis !== 'right').flatMap(s => s.values.filter(v => v !== null))));
+    const plot = { left: 44, right: settings.width - (hasRight ? 44 : 12), top: spec.title ? 54 : 28, bottom: 250 };
+    const drawing = createDrawing(settings.width, plot.bottom + 24);
+
+    drawTitle(drawing, spec.title, settings);
+    drawLegend(drawing, series.map((s, i) => ({ name: s.name, color: settings.series[i % settings.series.length] })), plot.top - 20, settings);
+
+    // Grid and axes
+    for (let tick = 0; tick <= 4; tick++) {
+        const y = plot.bottom - (tick / 4) * (plot.bottom - plot.top);
+        drawing.line(plot.left, y, plot.right, y, settings.grid);
+        drawing.text(plot.left - 6, y - 3, String(Math.round((leftMax * tick) / 4)), { color: settings.muted, anchor: 'end' });
+        if (hasRight) drawing.text(plot.right + 6, y - 3, `${tick * 25}%`, { color: settings.muted });
+    }
+
+    const slot = labels.length > 1 ? (plot.right - plot.left) / (labels.length - 1) : 0;
+    const xFor = i => labels.length > 1 ? plot.left + i * slot : (plot.left + plot.right) / 2;
+    const step = labelStep(labels, slot || plot.right - plot.left);
+    labels.forEach((label, i) => {
+        if (i % step === 0 || i === labels.length - 1) {
+            drawing.text(xFor(i), plot.bottom + 8, label, { color: settings.muted, anchor: 'middle' });
+        }
+    });
+
+    series.forEach((s, index) => {
+        const color = settings.series[index % settings.series.length];
+        const max = s.axis === 'right' ? 100 : leftMax;
+        const points = s.values
+            .map((value, i) => value === null ? null : [Math.round(xFor(i)), Math.round(plot.bottom - (value / max) * (plot.bottom - plot.top))])
+            .filter(Boolean);
+        drawing.polyline(points, color, 2);
+        for (const [x, y] of points) drawing.rect(x - 2, y - 2, 5, 5, color);
+    });
+
+    return drawing;
+}
+
+/**
+ * Stacked bar chart
+ * @param {Object} spec - { title, labels, series: [{ name, values }] } (bottom series first)
+ * @param {Object} settings - getChartSettings(config)
+ * @returns {Object} Drawing
+ */
+function buildStackedBarChart(spec, settings) {
+    const { labels, series } = spec;
+    const totals = labels.map((_, i) => series.reduce((sum, s) => sum + (s.values[i] || 0), 0));
+    const max = niceAxisMax(Math.max(0, ...totals));
+    const legendItems = series.map((s, i) => ({ name: s.name, color: settings.series[i % settings.series.length] }));
+
+    // Measure the legend first: it may wrap onto several rows
+    const probe = createDrawing(settings.width, 10);
+    const legendBottom = drawLegend(probe, legendItems, spec.title ? 34 : 8, settings);
+    const plot = { left: 44, right: settings.width - 12, top: legendBottom + 10, bottom: legendBottom + 210 };
+    const drawing = createDrawing(settings.width, plot.bottom + 24);
+
+    drawTitle(drawing, spec.title, settings);
+    drawLegend(drawing, legendItems, spec.title ? 34 : 8, settings);
+
+    for (let tick = 0; tick <= 4; tick++) {
+        const y = plot.bottom - (tick / 4) * (plot.bottom - plot.top);
+        drawing.line(plot.left, y, plot.right, y, settings.grid);
+        drawing.text(plot.left - 6, y - 3, String(Math.round((max * tick) / 4)), { color: settings.muted, anchor: 'end' });
+    }
+
+    const slot = (plot.right - plot.left) / Math.max(labels.length, 1);
+    const barWidth = Math.max(4, Math.floor(slot * 0.7));
+    const step = labelStep(labels, slot);
+    labels.forEach((label, i) => {
+        const x = plot.left + i * slot + (slot - barWidth) / 2;
+        let y = plot.bottom;
+        series.forEach((s, index) => {
+            const h = ((s.values[i] || 0) / max) * (plot.bottom - plot.top);
+            if (h > 0) drawing.rect(Math.round(x), Math.round(y - h), barWidth, Math.max(1, Math.round(h)), settings.series[index % settings.series.length]);
+            y -= h;
+        });
+        if (totals[i] > 0) drawing.text(x + barWidth / 2, y - 11, String(totals[i]), { color: settings.text, anchor: 'middle' });
+        if (i % step === 0) drawing.text(x + barWidth / 2, plot.bottom + 8, label, { color: settings.muted, anchor: 'middle' });
+    });
+
+    return drawing;
+}
+
+/**
+ * Collector for the charts of one report
+ * @param {Object} config - Client config (chart colors)
+ * @returns {Object} { heatmap(id, spec), line(id, spec), stackedBar(id, spec), charts, settings }
+ *   Each method returns a Markdown image line for the chart; ids are made unique per report.
+ */
+function createChartSet(config) {
+    const settings = getChartSettings(config);
+    const charts = new Map();
+
+    const add = (id, title, drawing) => {
+        let uniqueId = id;
+        for (let n = 2; charts.has(uniqueId); n++) uniqueId = `${id}-${n}`;
+        charts.set(uniqueId, drawing);
+        return `![${title || uniqueId}](chart:${uniqueId})\n`;
+    };
+
+    return {
+        settings,
+        charts,
+        heatmap: (id, spec) => add(id, spec.title, buildHeatmapChart(spec, settings)),
+        line: (id, spec) => add(id, spec.title, buildLineChart(spec, settings)),
+        stackedBar: (id, spec) => add(id, spec.title, buildStackedBarChart(spec, settings))
+    };
+}
+
+/**
+ * Render a report's charts next to it and point its image references at the PNGs
+ * @param {String} reportPath - Markdown report path
+ * @param {String} markdown - Report Markdown with chart:<id> image references
+ * @param {Object} chartSet - createChartSet() result (null: nothing to write)
+ * @returns {String} Markdown with <report>_charts/<id>.png references
+ */
+function writeReportCharts(reportPath, markdown, chartSet) {
+    if (!chartSet || chartSet.charts.size === 0) return markdown;
+
+    const chartDirName = `${path.basename(reportPath).replace(/\.md$/, '')}_charts`;
+    const chartDir = path.join(path.dirname(reportPath), chartDirName);
+    fs.mkdirSync(chartDir, { recursive: true });
+
+    let result = markdown;
+    for (const [id, drawing] of chartSet.charts) {
+        fs.writeFileSync(path.join(chartDir, `${id}.png`), drawing.toPng());
+        fs.writeFileSync(path.join(chartDir, `${id}.svg`), drawing.toSvg());
+        result = result.split(`(chart:${id})`).join(`(${chartDirName}/${id}.png)`);
+    }
+    return result;
+}
+
+/**
+ * Replace Markdown chart images with their inline SVG (for self-contained HTML reports)
+ * @param {String} markdown - Report Markdown as written by writeReportCharts()
+ * @param {String} reportDir - Directory of the report
+ * @returns {String} Markdown with <svg> markup in place of chart images
+ */
+function embedChartSvgs(markdown, reportDir) {
+    return markdown.replace(/!\[([^\]]*)\]\(([^)\s]+)\.png\)/g, (match, alt, file) => {
+        const svgPath = path.join(reportDir, `${file}.svg`);
+        if (!fs.existsSync(svgPath)) return match;
+        return fs.readFileSync(svgPath, 'utf8').replace('<svg ', `<svg role="img" aria-label="${alt.replace(/"/g, '&quot;')}" `);
+    });
+}
+
+module.exports = {
+    CHART_WIDTH,
+    getChartSettings,
+    buildHeatmapChart,
+    buildLineChart,
+    buildStackedBarChart,
+    createChartSet,
+    writeReportCharts,
+    embedChartSvgs
+};
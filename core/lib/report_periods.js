@@ -0,0 +1,96 @@
+/**
+ * Report Periods - Calendar months and quarters for the business review report
+ *
+ * A period is { type, key, label, start, end, months }:
+ *   monthly   - key "2026-01", label "January 2026", months ["2026-01"]
+ *   quarterly - key "2026-Q1", label "Q1 2026", months ["2026-01", "2026-02", "2026-03"]
+ * start/end are inclusive YYYY-MM-DD dates in the client timezone.
+ */
+
+const { parseISO, endOfMonth, subMonths, addMonths, format } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+
+const PERIOD_TYPES = ['monthly', 'quarterly'];
+
+/**
+ * Month or quarter containing a date
+ * @param {String} type - 'monthly' or 'quarterly'
+ * @param {Date} date - Any day in the period
+ * @returns {Object} Period
+ */
+function getPeriod(type, date) {
+    const firstMonth = type === 'quarterly'
+        ? new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1)
+        : new Date(date.getFullYear(), date.getMonth(), 1);
+    const monthCount = type === 'quarterly' ? 3 : 1;
+    const months = Array.from({ length: monthCount }, (_, i) => format(addMonths(firstMonth, i), 'yyyy-MM'));
+    const quarter = Math.floor(firstMonth.getMonth() / 3) + 1;
+
+    return {
+        type,
+        key: type === 'quarterly' ? `${firstMonth.getFullYear()}-Q${quarter}` : months[0],
+        label: type === 'quarterly' ? `Q${quarter} ${firstMonth.getFullYear()}` : format(firstMonth, 'MMMM yyyy'),
+        start: format(firstMonth, 'yyyy-MM-dd'),
+        end: format(endOfMonth(addMonths(firstMonth, monthCount - 1)), 'yyyy-MM-dd'),
+        months
+    };
+}
+
+/**
+ * Period from a key ("2026-01" or "2026-Q1")
+ * @param {String} type - 'monthly' or 'quarterly'
+ * @param {String} key - Period key
+ * @returns {Object} Period
+ * @throws {Error} if the key does not match the type
+ */
+function parsePeriodKey(type, key) {
+    if (type === 'quarterly') {
+        const match = String(key).match(/^(\d{4})-Q([1-4])$/);
+        if (!match) throw new Error(`Quarter must be YYYY-Q1..YYYY-Q4 (got "${key}")`);
+        return getPeriod('quarterly', new Date(Number(match[1]), (Number(match[2]) - 1) * 3, 1));
+    }
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(key))) {
+        throw new Error(`Month must be YYYY-MM (got "${key}")`);
+    }
+    return getPeriod('monthly', parseISO(`${key}-01`));
+}
+
+/**
+ * The last month or quarter that has fully ended in the client timezone
+ * @param {String} type - 'monthly' or 'quarterly'
+ * @param {String} timeZone - Client timezone
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} Period
+ */
+function getLastCompletePeriod(type, timeZone, now = new Date()) {
+    const today = parseISO(formatInTimeZone(now, timeZone, 'yyyy-MM-dd'));
+    return getPeriod(type, subMonths(today, type === 'quarterly' ? 3 : 1));
+}
+
+/**
+ * Shift a period by whole periods (-1 = the one before)
+ * @param {Object} period - Period
+ * @param {Number} count - Periods to move
+ * @returns {Object} Period
+ */
+function shiftPeriod(period, count) {
+    return getPeriod(period.type, addMonths(parseISO(period.start), count * period.months.length));
+}
+
+/**
+ * The same period one year earlier
+ * @param {Object} period - Period
+ * @returns {Object} Period
+ */
+function getYearAgoPeriod(period) {
+    return getPeriod(period.type, subMonths(parseISO(period.start), 12));
+}
+
+module.exports = {
+    PERIOD_TYPES,
+    getPeriod,
+    parsePeriodKey,
+    getLastCompletePeriod,
+    shiftPeriod,
+    getYearAgoPeriod
+};
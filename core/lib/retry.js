@@ -0,0 +1,94 @@
+/**
+ * Retry helpers - exponential backoff with full jitter and Retry-After support
+ *
+ * Usage:
+ *   const result = await withRetry(() => doRequest(), { retries: 5 });
+ *
+ * An error may set `retryable = false` to fail immediately, or `retryAfterMs`
+ * to override the computed backoff (e.g. from a Retry-After header).
+ */
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {Number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Compute a backoff delay using exponential growth with full jitter
+ * @param {Number} attempt - Zero-based retry attempt
+ * @param {Object} options - { baseDelayMs, maxDelayMs, random }
+ * @returns {Number} Delay in milliseconds
+ */
+function computeBackoffDelay(attempt, options = {}) {
+    const { baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random } = options;
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+    return Math.round(random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP-date)
+ * @param {String} value - Header value
+ * @param {Number} now - Current epoch ms (for HTTP-date values)
+ * @returns {Number|null} Delay in milliseconds, or null if absent/unparseable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, Math.round(seconds * 1000));
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(0, date - now);
+    }
+
+    return null;
+}
+
+/**
+ * Run an async function, retrying failures with backoff
+ * @param {Function} fn - Async function receiving the attempt number
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, maxRetryAfterMs, onRetry }
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+    const {
+        retries = 5,
+        baseDelayMs = 1000,
+        maxDelayMs = 30000,
+        maxRetryAfterMs = 300000,
+        onRetry = null
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (error.retryable === false || attempt >= retries) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+
+            const delay = error.retryAfterMs !== undefined && error.retryAfterMs !== null
+                ? Math.min(error.retryAfterMs, maxRetryAfterMs)
+                : computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+
+            if (onRetry) {
+                onRetry(error, attempt + 1, delay);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    sleep,
+    computeBackoffDelay,
+    parseRetryAfter,
+    withRetry
+};
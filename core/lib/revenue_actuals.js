@@ -0,0 +1,68 @@
+/**
+ * Revenue Actuals - Monthly business results entered in revenue.json
+ *
+ * revenue.json holds one entry per month, keyed "YYYY-MM", in the shape of its
+ * "example" entry. Values stay null until the sales data is known:
+ *
+ *   "2026-01": { "bookingsGenerated": 42, "salesVisits": 30, "convertedVisits": 11,
+ *                "avgProjectValue": 4200, "totalRevenue": 46200, "notes": "..." }
+ *
+ * Keys starting with "_" and the "example" entry are ignored.
+ */
+
+const MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
+const ACTUAL_FIELDS = ['bookingsGenerated', 'salesVisits', 'convertedVisits', 'totalRevenue'];
+
+/**
+ * Monthly actuals from revenue.json
+ * @param {Object} revenueConfig - config.revenue from loadClientConfig
+ * @returns {Map} monthKey (YYYY-MM) -> actuals record
+ */
+function getMonthlyActuals(revenueConfig = {}) {
+    const actuals = new Map();
+    for (const [key, record] of Object.entries(revenueConfig || {})) {
+        if (MONTH_KEY_PATTERN.test(key) && record && typeof record === 'object') {
+            actuals.set(key, record);
+        }
+    }
+    return actuals;
+}
+
+/**
+ * Sum actuals over several months
+ * A field is null when no month in the list has a value for it; avgProjectValue is
+ * totalRevenue / convertedVisits when both are known.
+ * @param {Map} actuals - From getMonthlyActuals()
+ * @param {Array} monthKeys - Months to include (YYYY-MM)
+ * @returns {Object} { bookingsGenerated, salesVisits, convertedVisits, totalRevenue, avgProjectValue, months, monthsWithData, notes }
+ */
+function sumActuals(actuals, monthKeys) {
+    const totals = { months: monthKeys.length, monthsWithData: 0, notes: [] };
+    for (const field of ACTUAL_FIELDS) totals[field] = null;
+
+    for (const monthKey of monthKeys) {
+        const record = actuals.get(monthKey);
+        if (!record) continue;
+
+        let hasValue = false;
+        for (const field of ACTUAL_FIELDS) {
+            if (typeof record[field] === 'number') {
+                totals[field] = (totals[field] || 0) + record[field];
+                hasValue = true;
+            }
+        }
+        if (hasValue) totals.monthsWithData++;
+        if (record.notes) totals.notes.push(`${monthKey}: ${record.notes}`);
+    }
+
+    totals.avgProjectValue = totals.totalRevenue !== null && totals.convertedVisits
+        ? Math.round(totals.totalRevenue / totals.convertedVisits)
+        : null;
+
+    return totals;
+}
+
+module.exports = {
+    getMonthlyActuals,
+    sumActuals
+};
@@ -0,0 +1,342 @@
+/**
+ * Revenue Attribution - Match CRM sales outcomes to calls
+ *
+ * A CRM export (CSV, one row per appointment) is matched to calls by the caller's
+ * number and captured email. Candidates are matching calls on or before the appointment
+ * (within `lookbackDays`); each gets a confidence level:
+ *   high   - phone and email both match that call
+ *   medium - one of them matches, the call is at most `recentDays` before the appointment
+ *   low    - one of them matches, the call is older or the row has no appointment date
+ * The row is attributed to the candidate with the best confidence, the most recent
+ * call on a tie; an older call matching both phone and email beats a later one
+ * matching only the phone.
+ *
+ * Settings come from report.json `attribution` (both optional):
+ *   lookbackDays - calls further before the appointment are never matched (default 90)
+ *   recentDays   - window for a medium-confidence single match (default 30)
+ *
+ * Attributions are stored by core/lib/store_revenue_attribution.js; reports sum them
+ * over the calls of their period (summarizeAttributedRevenue).
+ */
+
+const crypto = require('crypto');
+const { differenceInCalendarDays, isValid, parseISO } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { calculateROI, formatROI } = require('./calculate_roi');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Accepted CSV headers per field, compared lowercase with spaces, dashes and underscores removed
+const SALES_COLUMNS = {
+    crmId: ['crmid', 'recordid', 'dealid', 'opportunityid', 'leadid', 'id'],
+    phone: ['phone', 'phonenumber', 'customerphone', 'customernumber', 'mobile'],
+    email: ['email', 'emailaddress', 'customeremail'],
+    appointmentDate: ['appointmentdate', 'appointment', 'apptdate'],
+    visitHeld: ['visitheld', 'visit', 'appointmentheld'],
+    sold: ['sold', 'closed', 'won'],
+    amount: ['amount', 'saleamount', 'revenue', 'contractvalue']
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', ''];
+
+/**
+ * Resolve attribution settings for a client
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { lookbackDays, recentDays }
+ */
+function getAttributionSettings(config) {
+    const attribution = config.report?.attribution || {};
+    return {
+        lookbackDays: attribution.lookbackDays ?? 90,
+        recentDays: attribution.recentDays ?? 30
+    };
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {String} text - CSV file contents
+ * @returns {Array} Rows as arrays of strings (blank lines dropped)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Helper: Last 10 digits of a phone number (null when there are fewer than 10)
+function normalizePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+// Helper: Lowercased email, null when it does not look like one
+function normalizeEmail(value) {
+    const email = String(value || '').trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+// Helper: YYYY-MM-DD from "YYYY-MM-DD", an ISO timestamp or "M/D/YYYY"; null when blank, undefined when invalid
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const iso = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : text.slice(0, 10);
+    return /^\d{4}-\d{2}-\d{2}$/.test(iso) && isValid(parseISO(iso)) ? iso : undefined;
+}
+
+// Helper: Yes/no cell as a boolean, undefined when unrecognized
+function normalizeFlag(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return undefined;
+}
+
+/**
+ * Turn parsed CSV rows into sales outcomes
+ *
+ * An outcome is keyed by the CRM id column when there is one, else by phone, email
+ * and appointment date. Rows sharing a phone/email/date key (e.g. two sales to one
+ * customer on one appointment day) are combined into one outcome: amounts add up,
+ * sold/visit held if any row says so, and rowNumbers lists them all. A repeated CRM
+ * id is the same record twice; the later row is skipped.
+ * @param {Array} csvRows - parseCsv() result, header row first
+ * @returns {Object} { outcomes: [{ key, crmId, rowNumber, rowNumbers, phone, email, appointmentDate, visitHeld,
+ *                     sold, amount }], skipped: [{ rowNumber, reason }], combined (rows folded into an earlier one) }
+ */
+function normalizeSalesRows(csvRows) {
+    if (csvRows.length === 0) throw new Error('The sales CSV is empty');
+
+    const header = csvRows[0].map(name => name.trim().toLowerCase().replace(/[\s_-]/g, ''));
+    const columns = {};
+    for (const [field, aliases] of Object.entries(SALES_COLUMNS)) {
+        const index = header.findIndex(name => aliases.includes(name));
+        if (index !== -1) columns[field] = index;
+    }
+    if (columns.phone === undefined && columns.email === undefined) {
+        throw new Error(`The sales CSV needs a phone or email column (found: ${csvRows[0].join(', ')})`);
+    }
+
+    const byKey = new Map();
+    const skipped = [];
+    let combined = 0;
+    csvRows.slice(1).forEach((cells, i) => {
+        const rowNumber = i + 2;
+        const cell = field => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+        const phone = normalizePhone(cell('phone'));
+        const email = normalizeEmail(cell('email'));
+        const appointmentDate = normalizeDate(cell('appointmentDate'));
+        const visitHeld = normalizeFlag(cell('visitHeld'));
+        const sold = normalizeFlag(cell('sold'));
+        const amountText = cell('amount').replace(/[$,\s]/g, '');
+        const amount = amountText === '' ? 0 : Number(amountText);
+
+        let reason = null;
+        if (!phone && !email) reason = 'no usable phone or email';
+        else if (appointmentDate === undefined) reason = `unrecognized appointment date "${cell('appointmentDate')}"`;
+        else if (visitHeld === undefined) reason = `unrecognized visit held value "${cell('visitHeld')}"`;
+        else if (sold === undefined) reason = `unrecognized sold value "${cell('sold')}"`;
+        else if (!Number.isFinite(amount)) reason = `unrecognized amount "${cell('amount')}"`;
+        if (reason) {
+            skipped.push({ rowNumber, reason });
+            return;
+        }
+
+        const crmId = cell('crmId').trim() || null;
+        const keySource = crmId ? `crm|${crmId}` : `${phone || ''}|${email || ''}|${appointmentDate || ''}`;
+        const key = crypto.createHash('sha1').update(keySource).digest('hex').slice(0, 12);
+        const outcome = { key, crmId, rowNumber, rowNumbers: [rowNumber], phone, email, appointmentDate, visitHeld: visitHeld || sold, sold, amount: sold ? amount : 0 };
+
+        const existing = byKey.get(key);
+        if (!existing) {
+            byKey.set(key, outcome);
+            return;
+        }
+        if (crmId) {
+            skipped.push({ rowNumber, reason: `duplicate CRM id "${crmId}" (row ${existing.rowNumber})` });
+            return;
+        }
+        combined++;
+        existing.rowNumbers.push(rowNumber);
+        existing.visitHeld = existing.visitHeld || outcome.visitHeld;
+        existing.sold = existing.sold || outcome.sold;
+        existing.amount += outcome.amount;
+    });
+
+    return { outcomes: Array.from(byKey.values()), skipped, combined };
+}
+
+/**
+ * Index processed calls by normalized phone and email
+ * @param {Array} calls - processCalls() result (core/metrics.js)
+ * @param {String} timeZone - Client timezone (call dates are compared with appointment dates in it)
+ * @returns {Object} { byPhone: Map, byEmail: Map } of { callId, createdAt, date, phone, email } lists
+ */
+function buildCallIndex(calls, timeZone) {
+    const byPhone = new Map();
+    const byEmail = new Map();
+    for (const call of calls) {
+        if (!call.createdAt) continue;
+        const entry = {
+            callId: call.callId,
+            createdAt: call.createdAt,
+            date: formatInTimeZone(new Date(call.createdAt), timeZone, 'yyyy-MM-dd'),
+            phone: normalizePhone(call.customerNumber),
+            email: normalizeEmail(call.email)
+        };
+        if (entry.phone) byPhone.set(entry.phone, [...(byPhone.get(entry.phone) || []), entry]);
+        if (entry.email) byEmail.set(entry.email, [...(byEmail.get(entry.email) || []), entry]);
+    }
+    return { byPhone, byEmail };
+}
+
+/**
+ * Attribute one sales outcome to a call
+ * @param {Object} outcome - normalizeSalesRows() outcome
+ * @param {Object} index - buildCallIndex() result
+ * @param {Object} settings - getAttributionSettings(config)
+ * @returns {Object|null} { callId, callCreatedAt, confidence, matchedBy: ['phone', 'email'], daysBeforeAppointment }
+ */
+function matchSalesOutcome(outcome, index, settings) {
+    const candidates = new Map();
+    for (const call of [...(index.byPhone.get(outcome.phone) || []), ...(index.byEmail.get(outcome.email) || [])]) {
+        candidates.set(call.callId, call);
+    }
+
+    const ranked = [];
+    for (const call of candidates.values()) {
+        const days = outcome.appointmentDate ? differenceInCalendarDays(parseISO(outcome.appointmentDate), parseISO(call.date)) : null;
+        if (days !== null && (days < 0 || days > settings.lookbackDays)) continue;
+
+        const matchedBy = [];
+        if (outcome.phone && call.phone === outcome.phone) matchedBy.push('phone');
+        if (outcome.email && call.email === outcome.email) matchedBy.push('email');
+        let confidence = 'low';
+        if (matchedBy.length === 2) confidence = 'high';
+        else if (days !== null && days <= settings.recentDays) confidence = 'medium';
+        ranked.push({ call, matchedBy, confidence, days });
+    }
+    if (ranked.length === 0) return null;
+
+    // Best confidence first, then the latest call
+    ranked.sort((a, b) => CONFIDENCE_LEVELS.indexOf(a.confidence) - CONFIDENCE_LEVELS.indexOf(b.confidence)
+        || new Date(b.call.createdAt) - new Date(a.call.createdAt));
+    const best = ranked[0];
+    return {
+        callId: best.call.callId,
+        callCreatedAt: best.call.createdAt,
+        confidence: best.confidence,
+        matchedBy: best.matchedBy,
+        daysBeforeAppointment: best.days
+    };
+}
+
+/**
+ * Attributed outcomes and revenue for a set of calls
+ * @param {Array} entries - Stored attribution entries (store_revenue_attribution.js)
+ * @param {Array} calls - processCalls() result for the period
+ * @returns {Object} { outcomes, visits, sold, revenue, calls (distinct attributed calls), confidentRevenue
+ *                     (high + medium), byConfidence: { high|medium|low: { outcomes, visits, sold, revenue } } }
+ */
+function summarizeAttributedRevenue(entries, calls) {
+    const callIds = new Set(calls.map(call => call.callId));
+    const matched = entries.filter(entry => entry.callId && callIds.has(entry.callId));
+    const tally = list => ({
+        outcomes: list.length,
+        visits: list.filter(entry => entry.visitHeld).length,
+        sold: list.filter(entry => entry.sold).length,
+        revenue: Math.round(list.reduce((sum, entry) => sum + (entry.amount || 0), 0) * 100) / 100
+    });
+
+    const byConfidence = Object.fromEntries(CONFIDENCE_LEVELS.map(level => [level, tally(matched.filter(entry => entry.confidence === level))]));
+    return {
+        ...tally(matched),
+        calls: new Set(matched.map(entry => entry.callId)).size,
+        confidentRevenue: Math.round((byConfidence.high.revenue + byConfidence.medium.revenue) * 100) / 100,
+        byConfidence
+    };
+}
+
+/**
+ * Attributed revenue by match confidence and the ROI it gives against the AI cost
+ * @param {Object} summary - summarizeAttributedRevenue() result
+ * @param {Number} aiCost - AI cost of the same period (compareAIvsHuman().ai.totalCost)
+ * @param {Object} options - { title (default 'Attributed Revenue'), level (default 3), client (for the import hint) }
+ * @returns {String} Markdown
+ */
+function formatAttributedRevenueSection(summary, aiCost, options = {}) {
+    let md = `${'#'.repeat(options.level || 3)} ${options.title || 'Attributed Revenue'}\n\n`;
+    if (summary.outcomes === 0) {
+        md += `_No sales outcomes are matched to calls in this period. Import the CRM export with `;
+        md += `\`node scripts/import-sales-outcomes.js --client=${options.client || '<client>'} --file=<sales.csv>\`._\n`;
+        return md;
+    }
+
+    md += `| Match Confidence | Outcomes | Visits Held | Sold | Revenue |\n`;
+    md += `|------------------|----------|-------------|------|---------|\n`;
+    for (const level of CONFIDENCE_LEVELS) {
+        const row = summary.byConfidence[level];
+        md += `| ${level.charAt(0).toUpperCase() + level.slice(1)} | ${row.outcomes} | ${row.visits} | ${row.sold} | $${row.revenue.toLocaleString()} |\n`;
+    }
+    md += `| **Total** | **${summary.outcomes}** | **${summary.visits}** | **${summary.sold}** | **$${summary.revenue.toLocaleString()}** |\n`;
+    md += `\n*High: phone and email match the call. Medium: one matches a call shortly before the appointment. Low: an older call or no appointment date.*\n\n`;
+
+    if (summary.revenue === 0) {
+        md += `_None of the matched outcomes is a sale yet._\n`;
+        return md;
+    }
+    md += formatROI(calculateROI(summary.revenue, aiCost));
+    if (summary.confidentRevenue !== summary.revenue) {
+        const confident = calculateROI(summary.confidentRevenue, aiCost);
+        md += `\nHigh and medium confidence only: $${summary.confidentRevenue.toLocaleString()} revenue, ${confident.roi}% ROI.\n`;
+    }
+    return md;
+}
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    SALES_COLUMNS,
+    getAttributionSettings,
+    parseCsv,
+    normalizeSalesRows,
+    buildCallIndex,
+    matchSalesOutcome,
+    summarizeAttributedRevenue,
+    formatAttributedRevenueSection
+};
@@ -0,0 +1,80 @@
+/**
+ * Classification Review - Surface low-confidence enrichments for a human check
+ *
+ * Works on the processed call objects the reports build (category, confidence,
+ * rationale, createdAt, ...). Thresholds come from report.json `review`:
+ *   lowConfidenceThreshold - calls below this confidence are listed (default 0.6)
+ *   maxLowConfidenceCalls  - cap on rows shown per report (default 25)
+ * Enrichments written before confidence was recorded are never listed.
+ */
+
+const { format } = require('date-fns');
+const { toZonedTime } = require('date-fns-tz');
+
+/**
+ * Resolve review settings for a client
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { threshold, limit }
+ */
+function getReviewSettings(config) {
+    const review = config.report?.review || {};
+    return {
+        threshold: review.lowConfidenceThreshold ?? 0.6,
+        limit: review.maxLowConfidenceCalls ?? 25
+    };
+}
+
+/**
+ * Find calls whose classification confidence is below the threshold
+ * @param {Array} calls - Processed call objects with a confidence field
+ * @param {Object} settings - { threshold, limit } from getReviewSettings
+ * @returns {Object} { calls (lowest confidence first, capped at limit), total }
+ */
+function extractLowConfidenceCalls(calls, { threshold, limit }) {
+    const lowConfidence = calls
+        .filter(c => typeof c.confidence === 'number' && c.confidence < threshold)
+        .sort((a, b) => a.confidence - b.confidence || new Date(a.createdAt) - new Date(b.createdAt));
+
+    return {
+        calls: lowConfidence.slice(0, limit),
+        total: lowConfidence.length
+    };
+}
+
+/**
+ * Format the low-confidence review section as Markdown
+ * @param {Object} lowConfidence - Result of extractLowConfidenceCalls
+ * @param {Object} options - { title, threshold, timeZone }
+ * @returns {String} Markdown section
+ */
+function formatLowConfidenceSection(lowConfidence, { title, threshold, timeZone }) {
+    let md = `## ${title}\n\n`;
+
+    if (lowConfidence.total === 0) {
+        md += `No classifications below ${threshold} confidence.\n\n`;
+        return md;
+    }
+
+    const shown = lowConfidence.calls.length;
+    md += `${lowConfidence.total} call(s) classified with confidence below ${threshold}`;
+    md += shown < lowConfidence.total ? ` (lowest ${shown} shown).\n\n` : '.\n\n';
+    md += `| Date | Time | Call ID | Category | Confidence | Rationale |\n`;
+    md += `|------|------|---------|----------|------------|-----------|\n`;
+
+    for (const call of lowConfidence.calls) {
+        const zoned = call.createdAt ? toZonedTime(new Date(call.createdAt), timeZone) : null;
+        const dateStr = zoned ? format(zoned, 'yyyy-MM-dd') : 'N/A';
+        const timeStr = zoned ? format(zoned, 'h:mm a') : 'N/A';
+        const rationale = (call.rationale || 'No rationale').replace(/\|/g, '/').replace(/\s+/g, ' ');
+        md += `| ${dateStr} | ${timeStr} | ${call.callId || call.id} | ${call.category || 'unknown'} | ${call.confidence.toFixed(2)} | ${rationale} |\n`;
+    }
+
+    md += '\n';
+    return md;
+}
+
+module.exports = {
+    getReviewSettings,
+    extractLowConfidenceCalls,
+    formatLowConfidenceSection
+};
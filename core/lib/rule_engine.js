@@ -0,0 +1,397 @@
+/**
+ * Classification Rule Engine - Declarative call rules from client config
+ *
+ * client.json `classificationRules` holds two ordered rule lists:
+ *   fallback  - classify a raw call without GPT (classify_call.js, used by reports
+ *               for calls that are not enriched yet)
+ *   overrides - correct GPT output in enrich_calls.js (can also test `category`,
+ *               the model's answer)
+ * plus `transferTools`, the tool names that mean "the assistant tried to transfer".
+ * client.json `transferDestinations` (number -> label/department, see
+ * transfer_outcome.js) is resolved alongside so rules can test the transfer outcome.
+ * The first rule whose conditions all match fires; its `id` is reported with the
+ * result. Lists missing from client.json fall back to DEFAULT_CLASSIFICATION_RULES.
+ *
+ * Rule: { id, description, when: { ...conditions }, then: { ...outcome } }
+ *
+ * Conditions (all must match; `any: [ {...}, ... ]` matches if one group does):
+ *   duration (seconds, unrounded), endedReason, category, transcript - value matchers
+ *   toolCalled                                   - tool name or list of names (any called)
+ *   transferToolCalled                           - true/false against `transferTools`
+ *   transferDestination                          - value matcher on the transfer tool's `destination`
+ *                                                  argument ('Unknown Destination' if the arguments
+ *                                                  don't parse, null if absent)
+ *   transfer: { "<field>": matcher }             - extractTransferOutcome() record (attempted,
+ *                                                  status, department, mode, secondsToTransfer, ...)
+ *   structuredOutputs: { "<output name>": matcher }
+ *   successEvaluation: { "<field>": matcher }
+ *
+ * A matcher is a literal (equals), an array (one of), or an object of operators:
+ *   equals, in, not, lt, lte, gt, gte, exists, matches, notMatches
+ * (`matches`/`notMatches` take a case-insensitive regex or a list that must all match).
+ *
+ * Outcome: category, transferReason, spamType, hangupType, bookingStatus,
+ * confidence, rationale, or needsAnalysis: true. Strings may use {duration},
+ * {endedReason}, {forwardedTo} (the forwarding destination) and
+ * {transferDestination} (destination argument of the transfer tool call).
+ */
+
+const CONDITION_KEYS = [
+    'duration', 'endedReason', 'category', 'transcript', 'toolCalled',
+    'transferToolCalled', 'transferDestination', 'transfer', 'structuredOutputs', 'successEvaluation', 'any'
+];
+const MATCHER_OPS = ['equals', 'in', 'not', 'lt', 'lte', 'gt', 'gte', 'exists', 'matches', 'notMatches'];
+const OUTCOME_KEYS = [
+    'category', 'transferReason', 'spamType', 'hangupType', 'bookingStatus',
+    'confidence', 'rationale', 'needsAnalysis'
+];
+
+const { DEFAULT_TRANSFER_TOOLS, extractTransferOutcome, validateTransferDestinations } = require('./transfer_outcome');
+
+const HANGUP_REASONS = ['customer-ended-call', 'silence-timed-out'];
+const APPOINTMENT_BOOKED = { structuredOutputs: { 'Appointment Booked': true } };
+
+const DEFAULT_CLASSIFICATION_RULES = {
+    transferTools: DEFAULT_TRANSFER_TOOLS,
+    transferDestinations: {},
+    fallback: [
+        {
+            id: 'short-call-spam',
+            description: 'Calls under 5 seconds are spam',
+            when: { duration: { lt: 5 } },
+            then: { category: 'spam', transferReason: 'short-abandoned' }
+        },
+        {
+            id: 'forwarded',
+            description: 'endedReason assistant-forwarded-call proves the transfer connected',
+            when: { endedReason: 'assistant-forwarded-call' },
+            then: { category: 'transferred', transferReason: '{forwardedTo}' }
+        },
+        {
+            id: 'booking-confirmed',
+            description: 'Structured output, success evaluation or a confirmation phrase shows a booking (before the hangup check: callers often hang up after booking)',
+            when: {
+                any: [
+                    APPOINTMENT_BOOKED,
+                    { successEvaluation: { call_success: 'yes' } },
+                    { successEvaluation: { final_outcome: { matches: 'booked|scheduled' } } },
+                    { transcript: { matches: '(appointment|consultation) is confirmed for|your (appointment|consultation) is confirmed' } }
+                ]
+            },
+            then: { category: 'booking-success', bookingStatus: 'booking-success', transferReason: 'none' }
+        },
+        {
+            id: 'hangup-during-transfer',
+            description: 'Transfer tool called with a destination but the call was not forwarded: the caller hung up during the transfer',
+            when: { transferToolCalled: true, transferDestination: { exists: true }, endedReason: { not: 'assistant-forwarded-call' } },
+            then: { category: 'hangup', transferReason: 'hung-up-during-transfer-to-{transferDestination}' }
+        },
+        {
+            id: 'customer-hangup',
+            description: 'Caller hung up without a booking or transfer',
+            when: { endedReason: 'customer-ended-call' },
+            then: { category: 'hangup', transferReason: 'customer-hung-up' }
+        },
+        {
+            id: 'needs-analysis',
+            description: 'Anything else (including assistant-ended calls) needs GPT',
+            when: {},
+            then: { needsAnalysis: true }
+        }
+    ],
+    overrides: [
+        {
+            id: 'appointment-booked',
+            description: 'The appointmentBooked signal is definitive for booking-completed',
+            when: {
+                category: { not: 'booking-completed' },
+                any: [
+                    APPOINTMENT_BOOKED,
+                    {
+                        successEvaluation: {
+                            call_success: 'yes',
+                            final_outcome: { matches: ['appointment|consultation', 'scheduled|confirmed|booked'], notMatches: 'transferred' }
+                        }
+                    }
+                ]
+            },
+            then: { category: 'booking-completed', confidence: 1, rationale: 'Override: appointmentBooked=true in structured outputs' }
+        },
+        {
+            id: 'unknown-forwarded',
+            description: 'GPT gave up but the call was forwarded',
+            when: { category: 'unknown', endedReason: 'assistant-forwarded-call' },
+            then: { category: 'transferred', transferReason: 'other', confidence: 0.5, rationale: 'Rule fallback: endedReason=assistant-forwarded-call' }
+        },
+        {
+            id: 'unknown-short-hangup',
+            description: 'GPT gave up on a caller hangup under 10 seconds',
+            when: { category: 'unknown', endedReason: HANGUP_REASONS, duration: { lt: 10 } },
+            then: { category: 'spam', spamType: 'short-call', confidence: 0.5, rationale: 'Rule fallback: {endedReason} after {duration}s' }
+        },
+        {
+            id: 'unknown-hangup-low-value',
+            description: 'GPT gave up on a caller hangup under 30 seconds',
+            when: { category: 'unknown', endedReason: HANGUP_REASONS, duration: { lt: 30 } },
+            then: { category: 'hangup', hangupType: 'low-value', confidence: 0.5, rationale: 'Rule fallback: {endedReason} after {duration}s' }
+        },
+        {
+            id: 'unknown-hangup',
+            description: 'GPT gave up on a longer caller hangup',
+            when: { category: 'unknown', endedReason: HANGUP_REASONS },
+            then: { category: 'hangup', hangupType: 'moderate', confidence: 0.5, rationale: 'Rule fallback: {endedReason} after {duration}s' }
+        }
+    ]
+};
+
+// Helper: Regex list from a matches/notMatches value
+function toRegexes(patterns) {
+    return (Array.isArray(patterns) ? patterns : [patterns]).map(p => new RegExp(p, 'i'));
+}
+
+/**
+ * Check a rule list for unknown conditions, operators, outcome fields and bad regexes
+ * @param {Array} rules - Rule list
+ * @param {String} name - List name for error messages
+ * @throws {Error} On the first invalid rule
+ */
+function validateRules(rules, name) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`classificationRules.${name} must be an array`);
+    }
+
+    const checkMatcher = (matcher, at) => {
+        if (matcher === null || typeof matcher !== 'object' || Array.isArray(matcher)) return;
+        Object.entries(matcher).forEach(([op, value]) => {
+            if (!MATCHER_OPS.includes(op)) {
+                throw new Error(`${at}: unknown operator "${op}" (expected ${MATCHER_OPS.join(', ')})`);
+            }
+            if (op === 'matches' || op === 'notMatches') {
+                try {
+                    toRegexes(value);
+                } catch (error) {
+                    throw new Error(`${at}: invalid regex (${error.message})`);
+                }
+            }
+        });
+    };
+
+    const checkConditions = (when, at) => {
+        if (!when || typeof when !== 'object' || Array.isArray(when)) {
+            throw new Error(`${at}: "when" must be an object`);
+        }
+        Object.entries(when).forEach(([key, value]) => {
+            if (!CONDITION_KEYS.includes(key)) {
+                throw new Error(`${at}: unknown condition "${key}" (expected ${CONDITION_KEYS.join(', ')})`);
+            }
+            if (key === 'any') {
+                if (!Array.isArray(value)) throw new Error(`${at}: "any" must be an array`);
+                value.forEach((group, i) => checkConditions(group, `${at}.any[${i}]`));
+            } else if (key === 'structuredOutputs' || key === 'successEvaluation' || key === 'transfer') {
+                Object.entries(value || {}).forEach(([field, matcher]) => checkMatcher(matcher, `${at}.${key}.${field}`));
+            } else {
+                checkMatcher(value, `${at}.${key}`);
+            }
+        });
+    };
+
+    const ids = new Set();
+    rules.forEach((rule, i) => {
+        const at = `classificationRules.${name}[${i}]${rule?.id ? ` (${rule.id})` : ''}`;
+        if (!rule || !rule.id) throw new Error(`${at}: every rule needs an id`);
+        if (ids.has(rule.id)) throw new Error(`${at}: duplicate rule id`);
+        ids.add(rule.id);
+        checkConditions(rule.when, at);
+        if (!rule.then || typeof rule.then !== 'object') throw new Error(`${at}: "then" must be an object`);
+        Object.keys(rule.then).forEach(key => {
+            if (!OUTCOME_KEYS.includes(key)) {
+                throw new Error(`${at}: unknown outcome field "${key}" (expected ${OUTCOME_KEYS.join(', ')})`);
+            }
+        });
+        if (!rule.then.needsAnalysis && !rule.then.category) {
+            throw new Error(`${at}: "then" needs a category or needsAnalysis: true`);
+        }
+    });
+}
+
+/**
+ * Resolve a client's classification rules (defaults for anything not configured)
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { transferTools, transferDestinations, fallback, overrides }
+ */
+function getClassificationRules(config) {
+    const configured = config.client?.classificationRules || {};
+    const rules = {
+        transferTools: configured.transferTools || DEFAULT_CLASSIFICATION_RULES.transferTools,
+        transferDestinations: config.client?.transferDestinations || DEFAULT_CLASSIFICATION_RULES.transferDestinations,
+        fallback: configured.fallback || DEFAULT_CLASSIFICATION_RULES.fallback,
+        overrides: configured.overrides || DEFAULT_CLASSIFICATION_RULES.overrides
+    };
+    validateRules(rules.fallback, 'fallback');
+    validateRules(rules.overrides, 'overrides');
+    validateTransferDestinations(rules.transferDestinations);
+    return rules;
+}
+
+/**
+ * Extract the facts rules are evaluated against from a raw Vapi call
+ * @param {Object} call - Raw Vapi call
+ * @param {Object} rules - { transferTools, transferDestinations } from getClassificationRules
+ * @returns {Object} { duration, endedReason, toolCalls, transferTool, transferDestination, transfer, structuredOutputs, successEvaluation, transcript, forwardedTo }
+ */
+function buildCallFacts(call, rules = DEFAULT_CLASSIFICATION_RULES) {
+    const { transferTools = DEFAULT_TRANSFER_TOOLS } = rules;
+
+    // Vapi duration is in seconds
+    let duration = call.duration || 0;
+    if (!duration && call.startedAt && call.endedAt) {
+        duration = (new Date(call.endedAt) - new Date(call.startedAt)) / 1000;
+    }
+
+    const toolCalls = [
+        ...(Array.isArray(call.toolCalls) ? call.toolCalls : []),
+        ...(call.messages || []).flatMap(m => m.toolCalls || [])
+    ]
+        .filter(t => t.function?.name)
+        .map(t => {
+            let args = {};
+            try {
+                args = JSON.parse(t.function.arguments || '{}');
+            } catch (e) {
+                args = null;
+            }
+            return { name: t.function.name, args };
+        });
+    const transferTool = toolCalls.find(t => transferTools.includes(t.name)) || null;
+    let transferDestination = null;
+    if (transferTool) {
+        transferDestination = transferTool.args === null ? 'Unknown Destination' : transferTool.args.destination || null;
+    }
+
+    // Structured outputs are keyed by ID with a name, or by name directly
+    const structuredOutputs = {};
+    Object.entries(call.analysis?.artifact?.structuredOutputs || {}).forEach(([key, output]) => {
+        structuredOutputs[output?.name || key] = output?.result;
+    });
+
+    // successEvaluation may be a JSON string or already an object
+    let successEvaluation = call.analysis?.successEvaluation ?? null;
+    if (typeof successEvaluation === 'string') {
+        try {
+            successEvaluation = JSON.parse(successEvaluation);
+        } catch (e) {
+            // Keep the raw string
+        }
+    }
+
+    const assistantText = (call.messages || [])
+        .filter(m => m.role === 'assistant')
+        .map(m => m.message)
+        .join(' ');
+
+    return {
+        duration,
+        endedReason: call.endedReason || 'unknown',
+        toolCalls,
+        transferTool,
+        transferDestination,
+        transfer: extractTransferOutcome(call, rules),
+        structuredOutputs,
+        successEvaluation,
+        transcript: `${call.transcript || ''} ${assistantText}`,
+        forwardedTo: call.destination?.description || call.destination?.number || 'unknown-destination'
+    };
+}
+
+/**
+ * Does a value satisfy a matcher?
+ * @param {*} actual - Fact value
+ * @param {*} matcher - Literal, array (one of) or operator object
+ */
+function matchValue(actual, matcher) {
+    if (Array.isArray(matcher)) return matcher.includes(actual);
+    if (matcher === null || typeof matcher !== 'object') return actual === matcher;
+
+    return Object.entries(matcher).every(([op, expected]) => {
+        switch (op) {
+            case 'equals': return actual === expected;
+            case 'in': return expected.includes(actual);
+            case 'not': return Array.isArray(expected) ? !expected.includes(actual) : actual !== expected;
+            case 'lt': return typeof actual === 'number' && actual < expected;
+            case 'lte': return typeof actual === 'number' && actual <= expected;
+            case 'gt': return typeof actual === 'number' && actual > expected;
+            case 'gte': return typeof actual === 'number' && actual >= expected;
+            case 'exists': return (actual !== undefined && actual !== null) === expected;
+            case 'matches': return typeof actual === 'string' && toRegexes(expected).every(re => re.test(actual));
+            case 'notMatches': return typeof actual !== 'string' || !toRegexes(expected).some(re => re.test(actual));
+            default: return false;
+        }
+    });
+}
+
+/**
+ * Do all of a rule's conditions hold for a call?
+ * @param {Object} when - Rule conditions
+ * @param {Object} facts - From buildCallFacts (plus category for override rules)
+ */
+function matchesConditions(when, facts) {
+    return Object.entries(when).every(([key, value]) => {
+        switch (key) {
+            case 'any':
+                return value.some(group => matchesConditions(group, facts));
+            case 'toolCalled': {
+                const names = Array.isArray(value) ? value : [value];
+                return facts.toolCalls.some(t => names.includes(t.name));
+            }
+            case 'transferToolCalled':
+                return Boolean(facts.transferTool) === value;
+            case 'structuredOutputs':
+                return Object.entries(value).every(([name, matcher]) => matchValue(facts.structuredOutputs[name], matcher));
+            case 'transfer':
+                return Object.entries(value).every(([field, matcher]) => matchValue(facts.transfer[field], matcher));
+            case 'successEvaluation': {
+                const evaluation = facts.successEvaluation && typeof facts.successEvaluation === 'object' ? facts.successEvaluation : {};
+                return Object.entries(value).every(([field, matcher]) => matchValue(evaluation[field], matcher));
+            }
+            default:
+                return matchValue(facts[key], value);
+        }
+    });
+}
+
+// Helper: Fill {placeholders} in an outcome string
+function fillTemplate(value, facts) {
+    if (typeof value !== 'string') return value;
+    const destination = facts.transferTool ? facts.transfer.requestedDestination || 'Unknown Destination' : 'none';
+    return value
+        .replace(/\{duration\}/g, String(Math.round(facts.duration)))
+        .replace(/\{endedReason\}/g, facts.endedReason)
+        .replace(/\{forwardedTo\}/g, facts.forwardedTo)
+        .replace(/\{transferDestination\}/g, destination);
+}
+
+/**
+ * Evaluate an ordered rule list against a call; the first matching rule fires
+ * @param {Array} rules - Rule list (fallback or overrides)
+ * @param {Object} facts - From buildCallFacts; add `category` for override rules
+ * @returns {Object|null} { ruleId, ...outcome with placeholders filled } or null if no rule matched
+ */
+function evaluateRules(rules, facts) {
+    const rule = rules.find(r => matchesConditions(r.when, facts));
+    if (!rule) return null;
+
+    const outcome = { ruleId: rule.id };
+    Object.entries(rule.then).forEach(([key, value]) => {
+        outcome[key] = fillTemplate(value, facts);
+    });
+    return outcome;
+}
+
+module.exports = {
+    DEFAULT_CLASSIFICATION_RULES,
+    getClassificationRules,
+    validateRules,
+    buildCallFacts,
+    matchValue,
+    evaluateRules
+};
@@ -0,0 +1,141 @@
+/**
+ * Classification Scoring - Compare predicted call labels with gold labels
+ *
+ * Used by eval-classification.js, which exits 1 on any checkEvalGates() failure. Predictions are
+ *   { callId, expected: { category, transferReason }, predicted: { category, transferReason } }
+ * and results are plain JSON so they can be saved and diffed between prompt versions.
+ */
+
+// Helper: Round a ratio to 3 decimals (null when undefined)
+function ratio(numerator, denominator) {
+    return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Score predictions against gold labels
+ * @param {Array} predictions - { callId, expected, predicted }
+ * @param {Array} categories - Category labels (rows/columns of the confusion matrix)
+ * @returns {Object} { total, correct, accuracy, perCategory, confusion, transferReason }
+ */
+function scoreClassifications(predictions, categories) {
+    const labels = [...categories];
+    predictions.forEach(p => {
+        [p.expected.category, p.predicted.category].forEach(c => {
+            if (!labels.includes(c)) labels.push(c);
+        });
+    });
+
+    // confusion[expected][predicted] = count
+    const confusion = {};
+    labels.forEach(expected => {
+        confusion[expected] = {};
+        labels.forEach(predicted => { confusion[expected][predicted] = 0; });
+    });
+    predictions.forEach(p => { confusion[p.expected.category][p.predicted.category]++; });
+
+    const perCategory = {};
+    labels.forEach(label => {
+        const tp = confusion[label][label];
+        const fn = labels.reduce((sum, predicted) => sum + (predicted === label ? 0 : confusion[label][predicted]), 0);
+        const fp = labels.reduce((sum, expected) => sum + (expected === label ? 0 : confusion[expected][label]), 0);
+        const precision = ratio(tp, tp + fp);
+        const recall = ratio(tp, tp + fn);
+        perCategory[label] = {
+            support: tp + fn,
+            predicted: tp + fp,
+            precision,
+            recall,
+            f1: precision !== null && recall !== null && precision + recall > 0
+                ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000
+                : null
+        };
+    });
+
+    const correct = predictions.filter(p => p.expected.category === p.predicted.category).length;
+
+    // Transfer reasons are only scored where the gold label gives one
+    const withReason = predictions.filter(p => p.expected.transferReason);
+    const reasonCorrect = withReason.filter(p => p.expected.transferReason === p.predicted.transferReason).length;
+
+    return {
+        total: predictions.length,
+        correct,
+        accuracy: ratio(correct, predictions.length),
+        perCategory,
+        confusion,
+        transferReason: {
+            evaluated: withReason.length,
+            correct: reasonCorrect,
+            accuracy: ratio(reasonCorrect, withReason.length)
+        }
+    };
+}
+
+/**
+ * Diff two evaluation runs over the same gold labels
+ * @param {Object} current - Saved eval result (promptVersion, metrics, predictions)
+ * @param {Object} baseline - Earlier eval result
+ * @returns {Object} { accuracyDelta, perCategory, changed }
+ */
+function diffEvaluations(current, baseline) {
+    const baselineByCall = new Map(baseline.predictions.map(p => [p.callId, p]));
+
+    const perCategory = {};
+    Object.entries(current.metrics.perCategory).forEach(([label, stats]) => {
+        const before = baseline.metrics.perCategory[label] || {};
+        const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined)
+            ? null
+            : Math.round((a - b) * 1000) / 1000;
+        perCategory[label] = {
+            precisionDelta: delta(stats.precision, before.precision),
+            recallDelta: delta(stats.recall, before.recall)
+        };
+    });
+
+    const changed = [];
+    current.predictions.forEach(p => {
+        const before = baselineByCall.get(p.callId);
+        if (!before || before.predicted.category === p.predicted.category) return;
+        const wasCorrect = before.predicted.category === before.expected.category;
+        const isCorrect = p.predicted.category === p.expected.category;
+        changed.push({
+            callId: p.callId,
+            expected: p.expected.category,
+            before: before.predicted.category,
+            after: p.predicted.category,
+            status: isCorrect && !wasCorrect ? 'fixed' : (!isCorrect && wasCorrect ? 'broken' : 'changed')
+        });
+    });
+
+    return {
+        accuracyDelta: current.metrics.accuracy !== null && baseline.metrics.accuracy !== null
+            ? Math.round((current.metrics.accuracy - baseline.metrics.accuracy) * 1000) / 1000
+            : null,
+        perCategory,
+        changed
+    };
+}
+
+/**
+ * Check an evaluation run against the CI gates
+ * @param {Object} metrics - scoreClassifications() result
+ * @param {Object|null} diff - diffEvaluations() result, or null without a baseline
+ * @param {Object} gates - { minAccuracy, maxRegression }; null/undefined disables a gate
+ * @returns {Array} Failures: { gate: 'min-accuracy'|'max-regression', value, limit }
+ */
+function checkEvalGates(metrics, diff, { minAccuracy = null, maxRegression = null } = {}) {
+    const failures = [];
+    if (minAccuracy !== null && metrics.accuracy < minAccuracy) {
+        failures.push({ gate: 'min-accuracy', value: metrics.accuracy, limit: minAccuracy });
+    }
+    if (maxRegression !== null && diff && diff.accuracyDelta !== null && -diff.accuracyDelta > maxRegression) {
+        failures.push({ gate: 'max-regression', value: diff.accuracyDelta, limit: maxRegression });
+    }
+    return failures;
+}
+
+module.exports = {
+    scoreClassifications,
+    diffEvaluations,
+    checkEvalGates
+};
@@ -0,0 +1,348 @@
+/**
+ * Staffing Model - Human overflow coverage recommendations from call arrival patterns
+ *
+ * Averages arrivals per weekday and time slot (client timezone) over a window of
+ * raw file days, then sizes human coverage per slot with Erlang C for a target
+ * answer time. A window shorter than a week leaves some weekdays unobserved; the
+ * weekly totals then scale the observed days up to 7 (the slot table shows only
+ * observed days). Two coverage streams are modelled:
+ *   transfers   - calls the assistant tried to transfer during business hours
+ *   after-hours - non-spam calls outside business hours
+ *
+ * Assumptions come from report.json `staffing` (all optional):
+ *   targetAnswerSeconds     - answer time the service level is measured against (default 20)
+ *   serviceLevel            - % of calls answered within the target (default 80)
+ *   intervalMinutes         - slot length: 15, 30 or 60 (default 60)
+ *   transferHandleSeconds   - human handle time per transfer (default 300)
+ *   afterHoursHandleSeconds - human handle time per after-hours call (default 300)
+ *   shrinkage               - share of paid time not on the phone, 0-1 (default 0.3)
+ *   occupancy               - share of on-phone time spent handling calls, 0-1 (default 0.85)
+ * Human cost prices the handled traffic (Erlang hours / occupancy, plus shrinkage), i.e. the
+ * calls spread over agents who also do other work. The per-slot schedule puts at least one
+ * agent on every slot with calls, so a thin stream costs far more as dedicated cover; that
+ * is reported separately as the coverage floor. Both use report.json `pricing`
+ * (humanHourlyRate, humanBenefitsMultiplier); the assistant's cost for the same calls is
+ * their billed cost (core/lib/call_costs.js).
+ */
+
+const { format, parseISO } = require('date-fns');
+const { isAfterHours } = require('../metrics');
+const { DISPLAY_DAYS, generateHeatmap, formatTimeKey } = require('./generate_heatmap');
+const { calculateHumanCost } = require('./calculate_roi');
+const { summarizeCallCosts } = require('./call_costs');
+
+const DEFAULT_HANDLE_SECONDS = 300;
+const INTERVAL_CHOICES = [15, 30, 60];
+
+// Coverage streams: which calls a human would have to answer
+const COVERAGE_STREAMS = {
+    'transfers': {
+        label: 'Transfer Overflow',
+        description: 'Calls the assistant tried to transfer during business hours',
+        handleSetting: 'transferHandleSeconds',
+        match: (call, afterHours) => !afterHours && call.transferAttempted
+    },
+    'after-hours': {
+        label: 'After-Hours Coverage',
+        description: 'Non-spam calls outside business hours',
+        handleSetting: 'afterHoursHandleSeconds',
+        match: (call, afterHours) => afterHours && call.routingStatus !== 'spam' && call.routingStatus !== 'spam-likely'
+    }
+};
+
+/**
+ * Resolve staffing assumptions and pricing for a client
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { targetAnswerSeconds, serviceLevel, intervalMinutes, transferHandleSeconds,
+ *                     afterHoursHandleSeconds, shrinkage, occupancy, hourlyRate, benefitsMultiplier, pricing }
+ */
+function getStaffingSettings(config) {
+    const staffing = config.report?.staffing || {};
+    const pricing = config.report?.pricing || {};
+    return {
+        targetAnswerSeconds: staffing.targetAnswerSeconds ?? 20,
+        serviceLevel: staffing.serviceLevel ?? 80,
+        intervalMinutes: staffing.intervalMinutes ?? 60,
+        transferHandleSeconds: staffing.transferHandleSeconds ?? DEFAULT_HANDLE_SECONDS,
+        afterHoursHandleSeconds: staffing.afterHoursHandleSeconds ?? DEFAULT_HANDLE_SECONDS,
+        shrinkage: staffing.shrinkage ?? 0.3,
+        occupancy: staffing.occupancy ?? 0.85,
+        hourlyRate: pricing.humanHourlyRate || 45,
+        benefitsMultiplier: pricing.humanBenefitsMultiplier || 1.3,
+        pricing
+    };
+}
+
+/**
+ * Erlang C: probability that a call has to wait
+ * @param {Number} agents - Agents on the phone
+ * @param {Number} traffic - Offered load in Erlangs (arrival rate x handle time)
+ * @returns {Number} 0-1 (1 when the agents cannot keep up)
+ */
+function erlangC(agents, traffic) {
+    if (agents <= traffic) return 1;
+
+    // Erlang B by recursion, then converted to Erlang C (stable for large agent counts)
+    let erlangB = 1;
+    for (let n = 1; n <= agents; n++) {
+        erlangB = (traffic * erlangB) / (n + traffic * erlangB);
+    }
+    return (agents * erlangB) / (agents - traffic * (1 - erlangB));
+}
+
+/**
+ * Share of calls answered within the target time
+ * @param {Number} agents - Agents on the phone
+ * @param {Number} traffic - Offered load in Erlangs
+ * @param {Number} handleSeconds - Average handle time
+ * @param {Number} targetAnswerSeconds - Answer time target
+ * @returns {Number} 0-1
+ */
+function serviceLevelFor(agents, traffic, handleSeconds, targetAnswerSeconds) {
+    if (agents <= traffic) return 0;
+    return 1 - erlangC(agents, traffic) * Math.exp(-(agents - traffic) * (targetAnswerSeconds / handleSeconds));
+}
+
+/**
+ * Fewest agents that meet the service level for one slot
+ * @param {Number} callsPerInterval - Average arrivals in the slot
+ * @param {Object} options - { intervalMinutes, handleSeconds, targetAnswerSeconds, serviceLevel (%) }
+ * @returns {Object} { agents, traffic, serviceLevel (% achieved, null without calls), waitProbability (%) }
+ */
+function requiredAgents(callsPerInterval, { intervalMinutes, handleSeconds, targetAnswerSeconds, serviceLevel }) {
+    if (callsPerInterval <= 0) return { agents: 0, traffic: 0, serviceLevel: null, waitProbability: 0 };
+
+    const traffic = (callsPerInterval * handleSeconds) / (intervalMinutes * 60);
+    let agents = Math.floor(traffic) + 1;
+    while (serviceLevelFor(agents, traffic, handleSeconds, targetAnswerSeconds) * 100 < serviceLevel) {
+        agents++;
+    }
+
+    return {
+        agents,
+        traffic: Math.round(traffic * 100) / 100,
+        serviceLevel: Math.round(serviceLevelFor(agents, traffic, handleSeconds, targetAnswerSeconds) * 100),
+        waitProbability: Math.round(erlangC(agents, traffic) * 100)
+    };
+}
+
+/**
+ * Average arrivals per weekday and slot
+ * @param {Array} calls - processCalls() result (core/metrics.js)
+ * @param {Array} dates - Days the calls were drawn from (YYYY-MM-DD); each weekday's average divides by its count here
+ * @param {Object} options - { intervalMinutes, timeZone }
+ * @returns {Object} { rates: "HH:MM" -> { mon..sun: calls per slot }, observed: { mon..sun: days in the window } }
+ */
+function modelArrivalRates(calls, dates, { intervalMinutes, timeZone }) {
+    const observed = Object.fromEntries(DISPLAY_DAYS.map(day => [day, 0]));
+    for (const date of dates) {
+        observed[format(parseISO(date), 'EEE').toLowerCase()]++;
+    }
+
+    const heatmap = generateHeatmap(calls, { intervalMinutes, timeZone });
+    const rates = {};
+    for (const timeKey of Object.keys(heatmap).sort()) {
+        rates[timeKey] = Object.fromEntries(DISPLAY_DAYS.map(day => [
+            day,
+            observed[day] > 0 ? heatmap[timeKey][day] / observed[day] : 0
+        ]));
+    }
+
+    return { rates, observed };
+}
+
+/**
+ * Recommended human coverage for one stream
+ * @param {Array} calls - processCalls() result for the window
+ * @param {Array} dates - Days in the window (YYYY-MM-DD)
+ * @param {String} stream - COVERAGE_STREAMS key
+ * @param {Object} metricsSettings - getMetricsSettings(config) (timeZone, businessHours)
+ * @param {Object} settings - getStaffingSettings(config), optionally overridden
+ * @returns {Object} { stream, label, description, callsObserved, observedWeekdays, callsPerWeek, handleSeconds,
+ *                     slots ("HH:MM" -> { mon..sun: { calls, agents } }), peak, handledHoursPerWeek,
+ *                     paidHoursPerWeek, humanCostPerWeek (handled traffic), agentHoursPerWeek,
+ *                     staffedHoursPerWeek, floorCostPerWeek (every slot with calls staffed), aiCostPerWeek }
+ */
+function buildCoveragePlan(calls, dates, stream, metricsSettings, settings) {
+    const definition = COVERAGE_STREAMS[stream];
+    if (!definition) {
+        throw new Error(`Unknown coverage stream "${stream}". Expected one of: ${Object.keys(COVERAGE_STREAMS).join(', ')}`);
+    }
+    const { timeZone, businessHours } = metricsSettings;
+    const { intervalMinutes } = settings;
+
+    const streamCalls = calls.filter(call =>
+        call.createdAt && definition.match(call, isAfterHours(call.createdAt, businessHours, timeZone)));
+    const handleSeconds = settings[definition.handleSetting];
+
+    const { rates, observed } = modelArrivalRates(streamCalls, dates, { intervalMinutes, timeZone });
+    const observedWeekdays = DISPLAY_DAYS.filter(day => observed[day] > 0).length;
+    const slots = {};
+    let callsPerWeek = 0;
+    let agentSlotsPerWeek = 0;
+    let peak = null;
+    for (const [timeKey, dayRates] of Object.entries(rates)) {
+        slots[timeKey] = {};
+        for (const day of DISPLAY_DAYS) {
+            const rate = dayRates[day];
+            const { agents } = requiredAgents(rate, { ...settings, handleSeconds });
+            slots[timeKey][day] = { calls: Math.round(rate * 100) / 100, agents };
+            callsPerWeek += rate;
+            agentSlotsPerWeek += agents;
+            if (agents > 0 && (!peak || agents > peak.agents || (agents === peak.agents && rate > peak.calls))) {
+                peak = { timeKey, day, agents, calls: Math.round(rate * 100) / 100 };
+            }
+        }
+    }
+
+    // Weekdays the window never covered count as the average observed day
+    const weekScale = observedWeekdays > 0 ? 7 / observedWeekdays : 1;
+    callsPerWeek *= weekScale;
+    agentSlotsPerWeek *= weekScale;
+
+    // Handled traffic: Erlang hours at the target occupancy
+    const handledHoursPerWeek = (callsPerWeek * handleSeconds) / 3600 / settings.occupancy;
+    const paidHoursPerWeek = handledHoursPerWeek / (1 - settings.shrinkage);
+    const human = calculateHumanCost(paidHoursPerWeek, settings.hourlyRate, settings.benefitsMultiplier);
+
+    // Coverage floor: the slot schedule, whole agents for whole slots
+    const agentHoursPerWeek = (agentSlotsPerWeek * intervalMinutes) / 60;
+    const staffedHoursPerWeek = agentHoursPerWeek / (1 - settings.shrinkage);
+    const floor = calculateHumanCost(staffedHoursPerWeek, settings.hourlyRate, settings.benefitsMultiplier);
+    const { costPerCall } = summarizeCallCosts(streamCalls, settings.pricing);
+
+    return {
+        stream,
+        label: definition.label,
+        description: definition.description,
+        callsObserved: streamCalls.length,
+        observedWeekdays,
+        callsPerWeek: Math.round(callsPerWeek * 10) / 10,
+        handleSeconds,
+        slots,
+        peak,
+        handledHoursPerWeek: Math.round(handledHoursPerWeek * 10) / 10,
+        paidHoursPerWeek: Math.round(paidHoursPerWeek * 10) / 10,
+        humanCostPerWeek: human.totalCost,
+        agentHoursPerWeek: Math.round(agentHoursPerWeek * 10) / 10,
+        staffedHoursPerWeek: Math.round(staffedHoursPerWeek * 10) / 10,
+        floorCostPerWeek: floor.totalCost,
+        aiCostPerWeek: Math.round(callsPerWeek * (costPerCall || 0) * 100) / 100
+    };
+}
+
+// Helper: Weekly cost as a month (52 weeks / 12 months)
+function toMonthly(weekly) {
+    return Math.round(((weekly * 52) / 12) * 100) / 100;
+}
+
+// Helper: "$1,234.50"
+function formatMoney(amount) {
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Staffing recommendation section: agents per slot for each stream, then the cost impact
+ * @param {Array} calls - processCalls() result for the window
+ * @param {Array} dates - Days in the window (YYYY-MM-DD)
+ * @param {Object} config - Client config from loadClientConfig
+ * @param {Object} metricsSettings - getMetricsSettings(config)
+ * @param {Object} options - { streams (COVERAGE_STREAMS keys), period (shown in the title), level,
+ *                             targetAnswerSeconds, serviceLevel, intervalMinutes (null: report.json `staffing`) }
+ * @returns {String} Markdown
+ */
+function formatStaffingSection(calls, dates, config, metricsSettings, options = {}) {
+    const streams = options.streams || Object.keys(COVERAGE_STREAMS);
+    const settings = getStaffingSettings(config);
+    for (const key of ['targetAnswerSeconds', 'serviceLevel', 'intervalMinutes']) {
+        if (options[key] !== null && options[key] !== undefined) settings[key] = options[key];
+    }
+    if (!INTERVAL_CHOICES.includes(settings.intervalMinutes)) {
+        throw new Error(`Unsupported staffing interval ${settings.intervalMinutes}. Expected one of: ${INTERVAL_CHOICES.join(', ')}`);
+    }
+    if (!(settings.serviceLevel > 0 && settings.serviceLevel < 100)) {
+        throw new Error(`Staffing service level must be between 0 and 100 (got ${settings.serviceLevel})`);
+    }
+    if (!(settings.occupancy > 0 && settings.occupancy <= 1)) {
+        throw new Error(`Staffing occupancy must be above 0 and at most 1 (got ${settings.occupancy})`);
+    }
+    const plans = streams.map(stream => buildCoveragePlan(calls, dates, stream, metricsSettings, settings));
+
+    const heading = '#'.repeat(options.level || 2);
+    let md = `${heading} Human Coverage Recommendations${options.period ? ` (${options.period})` : ''}\n\n`;
+    if (calls.length === 0) {
+        md += `_No calls in this period._\n`;
+        return md;
+    }
+    md += `*Erlang C on average arrivals per weekday and ${settings.intervalMinutes}-minute slot over ${dates.length} day${dates.length === 1 ? '' : 's'}, times in ${metricsSettings.timeZone}. `;
+    md += `Target: ${settings.serviceLevel}% of calls answered within ${settings.targetAnswerSeconds}s, ${Math.round(settings.shrinkage * 100)}% shrinkage.`;
+    const observedWeekdays = plans.length > 0 ? plans[0].observedWeekdays : 7;
+    if (observedWeekdays < 7) {
+        md += ` Only ${observedWeekdays} of 7 weekdays are in the window: the tables show those days, and weekly figures scale their average day to a 7-day week.`;
+    }
+    md += `*\n\n`;
+
+    for (const plan of plans) {
+        md += `${heading}# ${plan.label}\n\n`;
+        md += `${plan.description}: ${plan.callsPerWeek} per week (${plan.callsObserved} in the window), `;
+        md += `${(plan.handleSeconds / 60).toFixed(1)} min handle time.\n\n`;
+        const activeSlots = Object.keys(plan.slots).filter(timeKey => DISPLAY_DAYS.some(day => plan.slots[timeKey][day].agents > 0));
+        if (activeSlots.length === 0) {
+            md += `_No calls to cover._\n\n`;
+            continue;
+        }
+
+        md += `| Time | Mon | Tue | Wed | Thu | Fri | Sat | Sun |\n`;
+        md += `|------|-----|-----|-----|-----|-----|-----|-----|\n`;
+        for (const timeKey of activeSlots) {
+            const cells = DISPLAY_DAYS.map(day => plan.slots[timeKey][day].agents || '-');
+            md += `| ${formatTimeKey(timeKey)} | ${cells.join(' | ')} |\n`;
+        }
+        const { peak } = plan;
+        md += `\n**Peak:** ${peak.agents} agent${peak.agents === 1 ? '' : 's'} ${peak.day.charAt(0).toUpperCase() + peak.day.slice(1)} ${formatTimeKey(peak.timeKey)} `;
+        md += `(${peak.calls} call${peak.calls === 1 ? '' : 's'} per slot on average). Cells are agents on the phone per slot.\n\n`;
+    }
+
+    const sum = field => Math.round(plans.reduce((total, plan) => total + plan[field], 0) * 100) / 100;
+    const hours = value => Math.round(value * 10) / 10;
+
+    md += `${heading}# Cost Impact\n\n`;
+    md += `| Coverage | Calls/Week | Handled Hours/Week | Paid Hours/Week | Human Cost/Week | Human Cost/Month | AI Cost/Week |\n`;
+    md += `|----------|------------|--------------------|-----------------|-----------------|------------------|--------------|\n`;
+    for (const plan of plans) {
+        md += `| ${plan.label} | ${plan.callsPerWeek} | ${plan.handledHoursPerWeek} | ${plan.paidHoursPerWeek} | ${formatMoney(plan.humanCostPerWeek)} | ${formatMoney(toMonthly(plan.humanCostPerWeek))} | ${formatMoney(plan.aiCostPerWeek)} |\n`;
+    }
+    if (plans.length > 1) {
+        const humanTotal = sum('humanCostPerWeek');
+        md += `| **Total** | **${hours(sum('callsPerWeek'))}** | **${hours(sum('handledHoursPerWeek'))}** | **${hours(sum('paidHoursPerWeek'))}** | `;
+        md += `**${formatMoney(humanTotal)}** | **${formatMoney(toMonthly(humanTotal))}** | **${formatMoney(sum('aiCostPerWeek'))}** |\n`;
+    }
+    md += `\n*Human cost prices the handled calls only: calls x handle time at ${Math.round(settings.occupancy * 100)}% occupancy, as if agents with other work picked them up. `;
+    md += `Paid hours add ${Math.round(settings.shrinkage * 100)}% shrinkage; $${settings.hourlyRate}/hr x ${settings.benefitsMultiplier} benefits multiplier, month = 52/12 weeks. `;
+    md += `AI cost is the assistant's average billed cost per call for the same calls.*\n\n`;
+
+    md += `**Coverage floor** (dedicated staff on the schedule above: at least one agent for every slot with calls, billed for the whole slot):\n\n`;
+    md += `| Coverage | Agent Hours/Week | Paid Hours/Week | Floor Cost/Week | Floor Cost/Month |\n`;
+    md += `|----------|------------------|-----------------|-----------------|------------------|\n`;
+    for (const plan of plans) {
+        md += `| ${plan.label} | ${plan.agentHoursPerWeek} | ${plan.staffedHoursPerWeek} | ${formatMoney(plan.floorCostPerWeek)} | ${formatMoney(toMonthly(plan.floorCostPerWeek))} |\n`;
+    }
+    if (plans.length > 1) {
+        const floorTotal = sum('floorCostPerWeek');
+        md += `| **Total** | **${hours(sum('agentHoursPerWeek'))}** | **${hours(sum('staffedHoursPerWeek'))}** | **${formatMoney(floorTotal)}** | **${formatMoney(toMonthly(floorTotal))}** |\n`;
+    }
+    md += `\n*With few calls per slot the floor is mostly idle time; it is the cost of answering every call with people hired only for this.*\n`;
+
+    return md;
+}
+
+module.exports = {
+    COVERAGE_STREAMS,
+    getStaffingSettings,
+    erlangC,
+    serviceLevelFor,
+    requiredAgents,
+    modelArrivalRates,
+    buildCoveragePlan,
+    formatStaffingSection
+};
@@ -1,31 +1,53 @@
 const fs = require('fs');
 const path = require('path');
-const { format } = require('date-fns');
+const { getPartitionDateKey } = require('./store_raw_calls');
+const { loadOverrideLedger, getActiveOverrides, applyOverride } = require('./store_overrides');
 
 /**
  * Load all enriched data from the enriched directory
- * Returns a Map of callId -> enrichment data
+ * Returns a Map of callId -> enrichment data. When an overrides ledger is given,
+ * active human overrides replace the model classification (see store_overrides.js).
  * @param {string} enrichedDir - Path to enriched data directory
+ * @param {string} overridesFile - Optional path to classification_overrides.json
  */
-function loadAllEnrichments(enrichedDir) {
+function loadAllEnrichments(enrichedDir, overridesFile = null) {
   const enrichmentMap = new Map();
 
-  if (!fs.existsSync(enrichedDir)) {
-    return enrichmentMap;
+  if (fs.existsSync(enrichedDir)) {
+    const files = fs.readdirSync(enrichedDir)
+      .filter(f => f.startsWith('vapi_enriched_') && f.endsWith('.json'));
+
+    files.forEach(filename => {
+      const filepath = path.join(enrichedDir, filename);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+      } catch (error) {
+        console.warn(`Could not parse enrichment ${filename}`);
+        return;
+      }
+
+      // Merge into the map (older files may be arrays of records). A call filed
+      // under two days (legacy UTC partitioning) keeps its latest enrichment.
+      const records = Array.isArray(data) ? data : Object.values(data);
+      records.forEach(enrichment => {
+        if (!enrichment || !enrichment.callId) return;
+        const existing = enrichmentMap.get(enrichment.callId);
+        if (existing && (existing.enrichedAt || '') > (enrichment.enrichedAt || '')) return;
+        enrichmentMap.set(enrichment.callId, enrichment);
+      });
+    });
   }
 
-  const files = fs.readdirSync(enrichedDir)
-    .filter(f => f.startsWith('vapi_enriched_') && f.endsWith('.json'));
-
-  files.forEach(filename => {
-    const filepath = path.join(enrichedDir, filename);
-    const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
-
-    // Merge into the map
-    Object.entries(data).forEach(([callId, enrichment]) => {
-      enrichmentMap.set(callId, enrichment);
+  if (overridesFile) {
+    const overrides = getActiveOverrides(loadOverrideLedger(overridesFile));
+    overrides.forEach((override, callId) => {
+      enrichmentMap.set(callId, applyOverride(enrichmentMap.get(callId), override));
     });
-  });
+    if (overrides.size > 0) {
+      console.log(`Applied ${overrides.size} classification overrides`);
+    }
+  }
 
   console.log(`Existing enrichments: ${enrichmentMap.size}`);
   return enrichmentMap;
@@ -47,11 +69,13 @@ function loadEnrichmentsForDate(enrichedDir, dateStr) {
 }
 
 /**
- * Save enrichments to daily files based on call createdAt dates
+ * Save enrichments to daily files based on call createdAt dates in the client timezone
+ * (same partitioning as the raw files)
  * @param {Array} enrichments - Array of {callId, createdAt, classification, ...}
  * @param {string} enrichedDir - Path to enriched data directory
+ * @param {string} timeZone - IANA timezone used to pick the daily file
  */
-function saveEnrichments(enrichments, enrichedDir) {
+function saveEnrichments(enrichments, enrichedDir, timeZone) {
   const enrichmentsByDate = {};
   const now = new Date().toISOString();
 
@@ -62,7 +86,7 @@ function saveEnrichments(enrichments, enrichedDir) {
       return;
     }
 
-    const dateKey = format(new Date(createdAt), 'yyyy-MM-dd');
+    const dateKey = getPartitionDateKey(createdAt, timeZone);
 
     if (!enrichmentsByDate[dateKey]) {
       enrichmentsByDate[dateKey] = {};
@@ -100,19 +124,79 @@ function saveEnrichments(enrichments, enrichedDir) {
   return totalSaved;
 }
 
+/**
+ * Pick the record to store for a classification attempt
+ * A failed attempt never replaces a complete record: the earlier classification is
+ * kept, marked `retryPending` with the failure in `lastFailure`, and retried by the
+ * next run. A later successful attempt replaces it (and clears the mark).
+ * @param {Object} record - Record from the enricher
+ * @param {Object} existing - Stored record for the same call (undefined if none)
+ * @returns {Object} Record to save
+ */
+function mergeEnrichmentAttempt(record, existing) {
+  if (record.enrichmentStatus !== 'failed' || !existing?.classification || existing.enrichmentStatus === 'failed') {
+    return record;
+  }
+  return {
+    ...existing,
+    retryPending: true,
+    lastFailure: {
+      failedAt: record.enrichedAt,
+      error: record.enrichmentError,
+      promptVersion: record.promptVersion,
+      model: record.model
+    }
+  };
+}
+
 /**
  * Get calls that haven't been enriched yet
+ * By default this includes earlier failed attempts and complete records a failed
+ * re-classification marked retryPending, so every run retries them; pass
+ * retryFailed: false to get only calls with no record at all.
  * @param {Array} calls - Array of call objects with id and createdAt
  * @param {Map} enrichmentMap - Map of callId -> enrichment
+ * @param {Object} options - { retryFailed (default true) }
  * @returns {Array} - Calls that need enrichment
  */
-function getUnenrichedCalls(calls, enrichmentMap) {
-  return calls.filter(call => !enrichmentMap.has(call.id));
+function getUnenrichedCalls(calls, enrichmentMap, { retryFailed = true } = {}) {
+  return calls.filter(call => {
+    const enrichment = enrichmentMap.get(call.id);
+    if (!enrichment) return true;
+    return retryFailed && (enrichment.enrichmentStatus === 'failed' || enrichment.retryPending === true);
+  });
+}
+
+/**
+ * Count failed, unknown and missing enrichments
+ * Records without enrichmentStatus predate status tracking and count as complete.
+ * @param {Array} enrichments - Enrichment records (undefined = call not enriched)
+ * @returns {Object} - { total, failed, unknown, missing }
+ */
+function summarizeEnrichmentStatus(enrichments) {
+  const summary = { total: enrichments.length, failed: 0, unknown: 0, missing: 0 };
+
+  enrichments.forEach(enrichment => {
+    if (!enrichment) {
+      summary.missing++;
+      return;
+    }
+    if (enrichment.enrichmentStatus === 'failed') {
+      summary.failed++;
+    }
+    if ((enrichment.classification?.category || 'unknown') === 'unknown') {
+      summary.unknown++;
+    }
+  });
+
+  return summary;
 }
 
 module.exports = {
   loadAllEnrichments,
   loadEnrichmentsForDate,
   saveEnrichments,
-  getUnenrichedCalls
+  mergeEnrichmentAttempt,
+  getUnenrichedCalls,
+  summarizeEnrichmentStatus
 };
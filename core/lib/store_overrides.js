@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Classification override ledger (data/classification_overrides.json)
+ *
+ * An append-only list of human corrections. Reverting marks an entry instead of
+ * deleting it, so the file is a full audit trail. The active override for a call
+ * is its most recent entry that has not been reverted.
+ *
+ * Entry: { id, callId, createdAt, category, transferReason, reviewer, note,
+ *          timestamp, revertedAt, revertedBy, revertNote }
+ */
+
+/**
+ * Load the ledger (empty if the file does not exist)
+ * @param {string} overridesFile - Path to classification_overrides.json
+ * @returns {Array} Ledger entries, oldest first
+ */
+function loadOverrideLedger(overridesFile) {
+  if (!overridesFile || !fs.existsSync(overridesFile)) {
+    return [];
+  }
+  const ledger = JSON.parse(fs.readFileSync(overridesFile, 'utf-8'));
+  if (!Array.isArray(ledger)) {
+    throw new Error(`Override ledger ${overridesFile} must be a JSON array`);
+  }
+  return ledger;
+}
+
+/**
+ * Write the ledger back to disk
+ * @param {string} overridesFile - Path to classification_overrides.json
+ * @param {Array} ledger - Ledger entries
+ */
+function saveOverrideLedger(overridesFile, ledger) {
+  fs.mkdirSync(path.dirname(overridesFile), { recursive: true });
+  fs.writeFileSync(overridesFile, JSON.stringify(ledger, null, 2));
+}
+
+/**
+ * Active overrides keyed by call ID
+ * @param {Array} ledger - Ledger entries
+ * @returns {Map} callId -> latest non-reverted entry
+ */
+function getActiveOverrides(ledger) {
+  const active = new Map();
+  ledger.forEach(entry => {
+    if (!entry.revertedAt) {
+      active.set(entry.callId, entry);
+    }
+  });
+  return active;
+}
+
+/**
+ * Append an override to the ledger
+ * @param {string} overridesFile - Path to classification_overrides.json
+ * @param {Object} override - { callId, createdAt, category, transferReason, reviewer, note }
+ * @returns {Object} The new ledger entry
+ */
+function addOverride(overridesFile, override) {
+  const { callId, category, reviewer } = override;
+  if (!callId || !category || !reviewer) {
+    throw new Error('An override needs a callId, category and reviewer');
+  }
+
+  const ledger = loadOverrideLedger(overridesFile);
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    callId,
+    createdAt: override.createdAt || null,
+    category,
+    transferReason: override.transferReason || null,
+    reviewer,
+    note: override.note || '',
+    timestamp: new Date().toISOString()
+  };
+
+  ledger.push(entry);
+  saveOverrideLedger(overridesFile, ledger);
+  return entry;
+}
+
+/**
+ * Revert an override, by override ID or by call ID (its active override)
+ * @param {string} overridesFile - Path to classification_overrides.json
+ * @param {Object} target - { id } or { callId }
+ * @param {Object} revert - { reviewer, note }
+ * @returns {Object} The reverted ledger entry
+ */
+function revertOverride(overridesFile, target, { reviewer, note = '' }) {
+  if (!reviewer) {
+    throw new Error('Reverting an override needs a reviewer');
+  }
+
+  const ledger = loadOverrideLedger(overridesFile);
+  const entry = target.id
+    ? ledger.find(e => e.id === target.id)
+    : getActiveOverrides(ledger).get(target.callId);
+
+  if (!entry) {
+    throw new Error(`No override found for ${target.id ? `id ${target.id}` : `call ${target.callId}`}`);
+  }
+  if (entry.revertedAt) {
+    throw new Error(`Override ${entry.id} was already reverted at ${entry.revertedAt}`);
+  }
+
+  entry.revertedAt = new Date().toISOString();
+  entry.revertedBy = reviewer;
+  entry.revertNote = note;
+  saveOverrideLedger(overridesFile, ledger);
+  return entry;
+}
+
+/**
+ * Apply an override on top of an enrichment record (model output is kept in modelClassification)
+ * @param {Object} enrichment - Stored enrichment, or undefined if the call was never enriched
+ * @param {Object} override - Active ledger entry
+ * @returns {Object} Enrichment with the corrected classification
+ */
+function applyOverride(enrichment, override) {
+  const model = enrichment?.classification || {};
+  const sameCategory = model.category === override.category;
+  const isTransfer = override.category === 'transferred' || override.category === 'booking-transferred';
+
+  return {
+    callId: override.callId,
+    createdAt: enrichment?.createdAt || override.createdAt,
+    ...enrichment,
+    classification: {
+      category: override.category,
+      hangupType: sameCategory ? model.hangupType || null : null,
+      transferReason: override.transferReason || (isTransfer && sameCategory ? model.transferReason || null : null),
+      spamType: sameCategory ? model.spamType || null : null,
+      bookingStatus: override.category.startsWith('booking') ? 'booking-attempt' : 'none',
+      confidence: 1,
+      rationale: `Override by ${override.reviewer}${override.note ? `: ${override.note}` : ''}`
+    },
+    modelClassification: enrichment?.classification || null,
+    override: {
+      id: override.id,
+      reviewer: override.reviewer,
+      note: override.note,
+      timestamp: override.timestamp
+    }
+  };
+}
+
+module.exports = {
+  loadOverrideLedger,
+  saveOverrideLedger,
+  getActiveOverrides,
+  addOverride,
+  revertOverride,
+  applyOverride
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prompt version registry (data/prompt_versions.json)
+ *
+ * One entry per enrichment prompt version that has labelled calls, so a stored
+ * hash can be traced back to when it was used and which taxonomy it classified
+ * against. Written by enrich.js; read by enrichment-provenance.js.
+ *
+ * Entry: { promptVersion, label, firstUsedAt, lastUsedAt, models,
+ *          categories, transferReasons }
+ */
+
+/**
+ * Load the registry (empty if the file does not exist)
+ * @param {string} versionsFile - Path to prompt_versions.json
+ * @returns {Object} promptVersion -> entry
+ */
+function loadPromptVersions(versionsFile) {
+  if (!versionsFile || !fs.existsSync(versionsFile)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(versionsFile, 'utf-8'));
+}
+
+/**
+ * Record that a prompt version was used (creates or refreshes its entry)
+ * @param {string} versionsFile - Path to prompt_versions.json
+ * @param {Object} version - { promptVersion, label, model, categories, transferReasons }
+ * @returns {Object} The registry entry
+ */
+function recordPromptVersion(versionsFile, { promptVersion, label, model, categories, transferReasons }) {
+  const registry = loadPromptVersions(versionsFile);
+  const now = new Date().toISOString();
+  const entry = registry[promptVersion] || {
+    promptVersion,
+    label: label || null,
+    firstUsedAt: now,
+    models: [],
+    categories,
+    transferReasons
+  };
+
+  entry.lastUsedAt = now;
+  if (label) entry.label = label;
+  if (model && !entry.models.includes(model)) entry.models.push(model);
+  registry[promptVersion] = entry;
+
+  fs.mkdirSync(path.dirname(versionsFile), { recursive: true });
+  fs.writeFileSync(versionsFile, JSON.stringify(registry, null, 2));
+  return entry;
+}
+
+module.exports = {
+  loadPromptVersions,
+  recordPromptVersion
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+
+/**
+ * Get the daily partition key (YYYY-MM-DD) for a timestamp
+ * Partitions follow the client's timezone so a file holds one local business day.
+ * @param {string} timestamp - ISO timestamp (e.g. call.createdAt)
+ * @param {string} timeZone - IANA timezone (config.client.timezone); host local if omitted
+ */
+function getPartitionDateKey(timestamp, timeZone) {
+  if (!timeZone) {
+    return format(new Date(timestamp), 'yyyy-MM-dd');
+  }
+  return formatInTimeZone(new Date(timestamp), timeZone, 'yyyy-MM-dd');
+}
+
+/**
+ * Has a stored call changed since we last saved it?
+ * Compares Vapi's updatedAt when both sides have one, otherwise the full record.
+ * @param {Object} existing - Call already on disk
+ * @param {Object} incoming - Call being saved
+ */
+function hasCallChanged(existing, incoming) {
+  if (existing.updatedAt && incoming.updatedAt) {
+    return existing.updatedAt !== incoming.updatedAt;
+  }
+  return JSON.stringify(existing) !== JSON.stringify(incoming);
+}
+
+/**
+ * Save calls to daily raw files based on call createdAt dates in the client timezone
+ * Merges with existing files, deduplicating by call ID (incoming wins).
+ * @param {Array} calls - Array of Vapi call objects
+ * @param {string} rawDir - Path to raw data directory
+ * @param {string} timeZone - IANA timezone used to pick the daily file
+ * @returns {Object} - { new, updated, unchanged } counts
+ */
+function saveDailyRawData(calls, rawDir, timeZone) {
+  const callsByDate = {};
+  const stats = { new: 0, updated: 0, unchanged: 0 };
+
+  calls.forEach(call => {
+    if (!call.createdAt) {
+      console.warn(`Warning: Call ${call.id} has no createdAt timestamp, skipping.`);
+      return;
+    }
+    const dateKey = getPartitionDateKey(call.createdAt, timeZone);
+    if (!callsByDate[dateKey]) {
+      callsByDate[dateKey] = [];
+    }
+    callsByDate[dateKey].push(call);
+  });
+
+  Object.entries(callsByDate).forEach(([dateKey, dateCalls]) => {
+    const filename = path.join(rawDir, `vapi_calls_${dateKey}.json`);
+
+    // Load existing data if file exists
+    let existingCalls = [];
+    if (fs.existsSync(filename)) {
+      existingCalls = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+    }
+
+    // Merge and deduplicate by call ID
+    const callMap = new Map();
+    existingCalls.forEach(c => callMap.set(c.id, c));
+
+    const fileStats = { new: 0, updated: 0, unchanged: 0 };
+    dateCalls.forEach(c => {
+      const existing = callMap.get(c.id);
+      if (!existing) {
+        fileStats.new++;
+      } else if (hasCallChanged(existing, c)) {
+        fileStats.updated++;
+      } else {
+        fileStats.unchanged++;
+      }
+      callMap.set(c.id, c);
+    });
+
+    const mergedCalls = Array.from(callMap.values());
+    if (fileStats.new > 0 || fileStats.updated > 0) {
+      fs.writeFileSync(filename, JSON.stringify(mergedCalls, null, 2));
+    }
+    console.log(`Saved ${mergedCalls.length} calls to ${filename} (${fileStats.new} new, ${fileStats.updated} updated, ${fileStats.unchanged} unchanged)`);
+
+    stats.new += fileStats.new;
+    stats.updated += fileStats.updated;
+    stats.unchanged += fileStats.unchanged;
+  });
+
+  return stats;
+}
+
+/**
+ * Count unique calls across all raw files
+ * @param {string} rawDir - Path to raw data directory
+ */
+function countStoredCalls(rawDir) {
+  const ids = new Set();
+
+  if (!fs.existsSync(rawDir)) {
+    return 0;
+  }
+
+  fs.readdirSync(rawDir)
+    .filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'))
+    .forEach(f => {
+      const calls = JSON.parse(fs.readFileSync(path.join(rawDir, f), 'utf-8'));
+      calls.forEach(c => ids.add(c.id));
+    });
+
+  return ids.size;
+}
+
+/**
+ * Record a fetch run in the metadata.json fields
+ * The watermark (lastFetchTimestamp) moves to the start of the run, so anything
+ * updated while we were paging is picked up next time by the overlap. A partial
+ * fetch leaves it where it was so the next run covers the gap.
+ * @param {Object} metadata - Current metadata.json contents
+ * @param {Object} run - { fetchStatus ('complete'|'partial'), stats, totalCallsStored, incremental, runStartedAt (Date), calls (saved calls) }
+ * @returns {Object} Updated metadata
+ */
+function applyFetchResult(metadata, { fetchStatus, stats, totalCallsStored, incremental, runStartedAt, calls }) {
+  const updated = { ...metadata, lastFetchStatus: fetchStatus, lastFetchStats: stats, totalCallsStored };
+
+  if (fetchStatus === 'complete' && (incremental || calls.length > 0)) {
+    const latest = calls.reduce((max, c) =>
+      (!max || (c.updatedAt || c.createdAt) > (max.updatedAt || max.createdAt)) ? c : max, null);
+
+    updated.lastFetchTimestamp = runStartedAt.toISOString();
+    if (latest) {
+      updated.lastFetchedCallId = latest.id;
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  getPartitionDateKey,
+  hasCallChanged,
+  saveDailyRawData,
+  countStoredCalls,
+  applyFetchResult
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Revenue attribution store (data/revenue_attribution.json)
+ *
+ * One entry per imported sales outcome, keyed by CRM id or else phone, email and
+ * appointment date (normalizeSalesRows combines rows sharing a key), so re-importing
+ * a cumulative CRM export updates rows instead of duplicating them.
+ * Unmatched outcomes are kept too (callId null); a later import can match them.
+ *
+ * File: { updatedAt, imports: [{ file, importedAt, rows, matched, skipped }], entries: [...] }
+ * Entry: { key, crmId, rowNumbers, phone, email, appointmentDate, visitHeld, sold, amount, callId, callCreatedAt,
+ *          confidence, matchedBy, daysBeforeAppointment, source, rowNumber, importedAt }
+ */
+
+/**
+ * Load the store (empty if the file does not exist)
+ * @param {string} attributionFile - Path to revenue_attribution.json
+ * @returns {Object} { updatedAt, imports, entries }
+ */
+function loadAttributions(attributionFile) {
+  if (!attributionFile || !fs.existsSync(attributionFile)) {
+    return { updatedAt: null, imports: [], entries: [] };
+  }
+  const store = JSON.parse(fs.readFileSync(attributionFile, 'utf-8'));
+  if (!store || !Array.isArray(store.entries)) {
+    throw new Error(`Revenue attribution file ${attributionFile} must have an "entries" array`);
+  }
+  return { updatedAt: store.updatedAt || null, imports: store.imports || [], entries: store.entries };
+}
+
+/**
+ * Merge one import into the store and write it
+ * @param {string} attributionFile - Path to revenue_attribution.json
+ * @param {Array} entries - Entries from this import
+ * @param {Object} importInfo - { file, rows, matched, skipped }
+ * @returns {Object} { added, updated }
+ */
+function saveAttributionImport(attributionFile, entries, importInfo) {
+  const store = loadAttributions(attributionFile);
+  const byKey = new Map(store.entries.map(entry => [entry.key, entry]));
+  const importedAt = new Date().toISOString();
+  let added = 0;
+  let updated = 0;
+
+  entries.forEach(entry => {
+    if (byKey.has(entry.key)) {
+      updated++;
+    } else {
+      added++;
+    }
+    byKey.set(entry.key, { ...entry, importedAt });
+  });
+
+  store.entries = Array.from(byKey.values());
+  store.imports.push({ ...importInfo, importedAt });
+  store.updatedAt = importedAt;
+
+  fs.mkdirSync(path.dirname(attributionFile), { recursive: true });
+  fs.writeFileSync(attributionFile, JSON.stringify(store, null, 2));
+  return { added, updated };
+}
+
+module.exports = {
+  loadAttributions,
+  saveAttributionImport
+};
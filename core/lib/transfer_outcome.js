@@ -0,0 +1,298 @@
+/**
+ * Transfer Outcome - One structured record of what happened to a call's transfer
+ *
+ * Vapi reports a transfer in several places. They are combined here, most
+ * authoritative first:
+ *   artifact.transfers   - per-attempt records (destination, status, mode, timing)
+ *   destination          - where the call was sent (number/SIP URI + transferPlan.mode)
+ *   forwardedPhoneNumber - number the call was forwarded to
+ *   transfer tool call   - the assistant asked for a transfer (classificationRules.transferTools)
+ *   endedReason          - assistant-forwarded-call means the transfer connected
+ *
+ * Numbers map to a label and department through client.json `transferDestinations`:
+ *   { "+18005550100": { "label": "Billing", "department": "billing", "mode": "warm" } }
+ * (`mode` is only used when Vapi does not report one).
+ *
+ * Reports compute every routing metric from this record (routed = completed).
+ */
+
+const DEFAULT_TRANSFER_TOOLS = ['intent_transfer', 'transfer_intent', 'transferCall'];
+const FORWARDED = 'assistant-forwarded-call';
+
+const COMPLETED_STATUS = /complet|success|connect|answer|bridged/i;
+const FAILED_STATUS = /fail|cancel|busy|no-?answer|declin|reject|error|timeout|timed-out|unreachable/i;
+
+// Helper: Comparable form of a phone number (digits and leading +)
+function normalizeNumber(value) {
+    if (value === undefined || value === null) return null;
+    const normalized = String(value).trim().replace(/[^\d+]/g, '');
+    return normalized || null;
+}
+
+// Helper: Does a tool argument look like a phone number rather than an intent name?
+function isPhoneNumber(value) {
+    return typeof value === 'string' && /^\+?[\d\s().-]{7,}$/.test(value.trim());
+}
+
+/**
+ * warm / cold from a Vapi transferPlan mode or a configured mode
+ * (warm-transfer-* is warm; blind-transfer* and cold are cold)
+ * @param {String} value - Mode string
+ * @returns {String|null} 'warm', 'cold' or null if unknown
+ */
+function getTransferMode(value) {
+    if (!value || typeof value !== 'string') return null;
+    if (/warm/i.test(value)) return 'warm';
+    if (/blind|cold/i.test(value)) return 'cold';
+    return null;
+}
+
+// Helper: completed / failed / null from a free-text transfer status
+function getAttemptStatus(value) {
+    if (!value || typeof value !== 'string') return null;
+    if (FAILED_STATUS.test(value)) return 'failed';
+    if (COMPLETED_STATUS.test(value)) return 'completed';
+    return null;
+}
+
+/**
+ * First transfer tool call, with parsed arguments and timing
+ * @param {Object} call - Raw Vapi call
+ * @param {Array} transferTools - Tool names that mean a transfer attempt
+ * @returns {Object|null} { name, args, secondsFromStart } (args null if unparseable)
+ */
+function findTransferToolCall(call, transferTools = DEFAULT_TRANSFER_TOOLS) {
+    const candidates = [
+        ...(Array.isArray(call.toolCalls) ? call.toolCalls.map(t => ({ tool: t, secondsFromStart: null })) : []),
+        ...(call.messages || []).flatMap(m => (m.toolCalls || []).map(t => ({ tool: t, secondsFromStart: m.secondsFromStart ?? null })))
+    ];
+
+    const match = candidates.find(c => transferTools.includes(c.tool.function?.name));
+    if (!match) return null;
+
+    let args = {};
+    try {
+        args = JSON.parse(match.tool.function.arguments || '{}');
+    } catch (e) {
+        args = null;
+    }
+    return { name: match.tool.function.name, args, secondsFromStart: match.secondsFromStart };
+}
+
+/**
+ * Normalise call.artifact.transfers into attempt records
+ * Entries are read defensively: Vapi has shipped both string and object destinations.
+ * @param {Object} call - Raw Vapi call
+ * @returns {Array} { number, status, mode, secondsFromStart }
+ */
+function parseArtifactTransfers(call) {
+    const transfers = call.artifact?.transfers;
+    if (!Array.isArray(transfers)) return [];
+
+    const callStart = call.startedAt ? new Date(call.startedAt).getTime() : null;
+    return transfers
+        .filter(t => t && typeof t === 'object')
+        .map(t => {
+            const destination = t.destination;
+            const number = typeof destination === 'string'
+                ? destination
+                : destination?.number || destination?.sipUri || t.number || t.forwardedPhoneNumber || null;
+            const status = t.status || t.result || t.state || null;
+            const startedAt = t.startedAt || t.timestamp || t.time || null;
+
+            let secondsFromStart = typeof t.secondsFromStart === 'number' ? t.secondsFromStart : null;
+            if (secondsFromStart === null && startedAt && callStart !== null) {
+                const at = typeof startedAt === 'number' ? startedAt : new Date(startedAt).getTime();
+                if (!Number.isNaN(at)) secondsFromStart = (at - callStart) / 1000;
+            }
+
+            return {
+                number,
+                status: typeof status === 'string' ? status : null,
+                mode: t.mode || t.type || t.transferPlan?.mode || destination?.transferPlan?.mode || null,
+                secondsFromStart
+            };
+        });
+}
+
+// Helper: Configured destination for a number or intent name
+function lookupDestination(destinations, ...keys) {
+    const byKey = new Map();
+    Object.entries(destinations || {}).forEach(([key, value]) => {
+        byKey.set(normalizeNumber(key) || key, value);
+        byKey.set(key.toLowerCase(), value);
+    });
+
+    for (const key of keys) {
+        if (!key) continue;
+        const found = byKey.get(normalizeNumber(key)) || byKey.get(String(key).toLowerCase());
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Build the transfer outcome record for a raw call
+ * @param {Object} call - Raw Vapi call
+ * @param {Object} options - { transferTools, transferDestinations } (getClassificationRules(config) works as-is)
+ * @returns {Object} { attempted, status, completed, destinationNumber, destinationLabel,
+ *   department, mode, requestedDestination, secondsToTransfer, failureReason, sources }
+ */
+function extractTransferOutcome(call, { transferTools = DEFAULT_TRANSFER_TOOLS, transferDestinations = {} } = {}) {
+    const sources = [];
+
+    const attempts = parseArtifactTransfers(call);
+    const lastAttempt = attempts.length > 0 ? attempts[attempts.length - 1] : null;
+    if (lastAttempt) sources.push('artifact');
+
+    const destination = call.destination && typeof call.destination === 'object' ? call.destination : null;
+    const destinationNumber = destination?.number || destination?.sipUri || null;
+    if (destinationNumber) sources.push('destination');
+    if (call.forwardedPhoneNumber) sources.push('forwarded-number');
+
+    const toolCall = findTransferToolCall(call, transferTools);
+    if (toolCall) sources.push('tool-call');
+
+    const forwarded = call.endedReason === FORWARDED;
+    if (forwarded) sources.push('ended-reason');
+
+    const args = toolCall?.args || {};
+    const requestedDestination = args.destination || args.intent || args.department || args.queue || null;
+
+    const number = lastAttempt?.number ||
+        destinationNumber ||
+        call.forwardedPhoneNumber ||
+        (isPhoneNumber(requestedDestination) ? requestedDestination : null);
+    const configured = lookupDestination(transferDestinations, number, requestedDestination);
+
+    const attempted = sources.length > 0;
+
+    // artifact.transfers status wins; otherwise the forwarded endedReason proves completion
+    let completed = forwarded;
+    let failureReason = null;
+    const attemptStatus = getAttemptStatus(lastAttempt?.status);
+    if (attemptStatus) {
+        completed = attemptStatus === 'completed';
+        if (!completed) failureReason = lastAttempt.status;
+    }
+    if (attempted && !completed && !failureReason) {
+        failureReason = call.endedReason || 'unknown';
+    }
+
+    const mode = getTransferMode(lastAttempt?.mode) ||
+        getTransferMode(destination?.transferPlan?.mode) ||
+        getTransferMode(configured?.mode);
+
+    const seconds = lastAttempt?.secondsFromStart ?? toolCall?.secondsFromStart ?? null;
+
+    return {
+        attempted,
+        status: completed ? 'completed' : (attempted ? 'failed' : 'none'),
+        completed,
+        destinationNumber: number,
+        destinationLabel: configured?.label || (isPhoneNumber(requestedDestination) ? null : requestedDestination) || number || null,
+        department: configured?.department || (requestedDestination && !isPhoneNumber(requestedDestination) ? String(requestedDestination).toLowerCase() : null),
+        mode,
+        requestedDestination,
+        secondsToTransfer: typeof seconds === 'number' ? Math.round(seconds * 10) / 10 : null,
+        failureReason,
+        sources
+    };
+}
+
+/**
+ * Check client.json `transferDestinations`
+ * @param {Object} destinations - number/intent -> { label, department, mode }
+ * @throws {Error} On a malformed entry
+ */
+function validateTransferDestinations(destinations) {
+    if (destinations === undefined) return;
+    if (!destinations || typeof destinations !== 'object' || Array.isArray(destinations)) {
+        throw new Error('transferDestinations must be an object keyed by phone number or intent');
+    }
+    Object.entries(destinations).forEach(([key, entry]) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`transferDestinations["${key}"] must be an object with label and department`);
+        }
+        ['label', 'department', 'mode'].forEach(field => {
+            if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+                throw new Error(`transferDestinations["${key}"].${field} must be a string`);
+            }
+        });
+        if (entry.mode !== undefined && !getTransferMode(entry.mode)) {
+            throw new Error(`transferDestinations["${key}"].mode must be warm or cold`);
+        }
+    });
+}
+
+/**
+ * Aggregate transfer outcomes for a set of calls
+ * @param {Array} outcomes - From extractTransferOutcome
+ * @returns {Object} { attempted, completed, failed, warm, cold, byDepartment: { dept: { attempted, completed } }, secondsToTransfer: [] }
+ */
+function summarizeTransferOutcomes(outcomes) {
+    const summary = { attempted: 0, completed: 0, failed: 0, warm: 0, cold: 0, byDepartment: {}, secondsToTransfer: [] };
+    outcomes.forEach(outcome => {
+        if (!outcome || !outcome.attempted) return;
+        summary.attempted++;
+        if (outcome.completed) summary.completed++;
+        else summary.failed++;
+        if (outcome.mode === 'warm') summary.warm++;
+        if (outcome.mode === 'cold') summary.cold++;
+
+        const department = outcome.department || 'unmapped';
+        summary.byDepartment[department] = summary.byDepartment[department] || { attempted: 0, completed: 0 };
+        summary.byDepartment[department].attempted++;
+        if (outcome.completed) summary.byDepartment[department].completed++;
+
+        if (typeof outcome.secondsToTransfer === 'number') summary.secondsToTransfer.push(outcome.secondsToTransfer);
+    });
+    return summary;
+}
+
+// Helper: Median of a list of numbers (0 if empty)
+function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.ceil(sorted.length / 2) - 1];
+}
+
+/**
+ * Format transfer outcomes as a markdown section (department table, timing, warm/cold)
+ * @param {Object} summary - From summarizeTransferOutcomes
+ * @param {String} title - Section heading, e.g. 'Transfers by Department (Latest Day)'
+ * @param {Number} level - Markdown heading level
+ * @returns {String} Markdown
+ */
+function formatTransferOutcomeSection(summary, title = 'Transfers by Department', level = 3) {
+    let md = `${'#'.repeat(level)} ${title}\n\n`;
+    md += `| Department | Attempted | Completed | Completion % |\n`;
+    md += `|------------|-----------|-----------|--------------|\n`;
+
+    const departments = Object.entries(summary.byDepartment).sort((a, b) => b[1].attempted - a[1].attempted);
+    if (departments.length === 0) {
+        md += `| No transfers | 0 | 0 | - |\n`;
+    } else {
+        for (const [department, counts] of departments) {
+            const pct = Math.round((counts.completed / counts.attempted) * 100);
+            md += `| ${department} | ${counts.attempted} | ${counts.completed} | ${pct}% |\n`;
+        }
+    }
+
+    const times = summary.secondsToTransfer;
+    const avg = times.length ? Math.round(times.reduce((sum, v) => sum + v, 0) / times.length) : 0;
+    md += `\n- **Time to transfer (avg / median):** ${times.length ? `${avg}s / ${Math.round(median(times))}s` : 'N/A'}\n`;
+    md += `- **Transfer mode:** ${summary.warm} warm, ${summary.cold} cold${summary.attempted - summary.warm - summary.cold > 0 ? `, ${summary.attempted - summary.warm - summary.cold} unknown` : ''}\n\n`;
+    return md;
+}
+
+module.exports = {
+    DEFAULT_TRANSFER_TOOLS,
+    getTransferMode,
+    findTransferToolCall,
+    parseArtifactTransfers,
+    extractTransferOutcome,
+    validateTransferDestinations,
+    summarizeTransferOutcomes,
+    formatTransferOutcomeSection
+};
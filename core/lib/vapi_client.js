@@ -0,0 +1,230 @@
+/**
+ * Vapi API Client - Authenticated requests with retries and paginated call listing
+ *
+ * Usage:
+ *   const vapi = createVapiClient({ apiKey: process.env.VAPI_API_KEY });
+ *   const { calls, pages } = await vapi.listCalls({ startDate, endDate });
+ *
+ * Retries network errors, timeouts, 408, 429 and 5xx with exponential backoff
+ * and jitter, honouring Retry-After. Other 4xx responses fail immediately.
+ *
+ * listCalls never returns a truncated result: if pagination stops before the
+ * window is exhausted it throws an Error with `code = 'VAPI_FETCH_INCOMPLETE'`
+ * and the calls collected so far on `error.calls`.
+ *
+ * `baseUrl` (or the VAPI_BASE_URL env var) may point at a local http:// mock
+ * server for testing.
+ */
+
+const http = require('http');
+const https = require('https');
+const { withRetry, parseRetryAfter } = require('./retry');
+
+const DEFAULT_BASE_URL = 'https://api.vapi.ai';
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Build the error thrown when pagination ends early
+ * @param {String} reason - Why the fetch stopped
+ * @param {Array} calls - Calls collected before stopping
+ * @param {Number} pages - Pages fetched successfully
+ * @param {Error} cause - Underlying error, if any
+ */
+function incompleteFetchError(reason, calls, pages, cause = null) {
+    const error = new Error(`Vapi fetch incomplete after ${pages} page(s): ${reason}`);
+    error.code = 'VAPI_FETCH_INCOMPLETE';
+    error.reason = reason;
+    error.calls = calls;
+    error.pages = pages;
+    error.cause = cause;
+    return error;
+}
+
+/**
+ * Create a Vapi API client
+ * @param {Object} options - { apiKey, baseUrl, timeoutMs, retries, baseDelayMs, maxDelayMs, pageLimit, maxPages, logger }
+ * @returns {Object} Client with request() and listCalls()
+ */
+function createVapiClient(options = {}) {
+    const {
+        apiKey,
+        baseUrl = process.env.VAPI_BASE_URL || DEFAULT_BASE_URL,
+        timeoutMs = 30000,
+        retries = 5,
+        baseDelayMs = 1000,
+        maxDelayMs = 30000,
+        pageLimit = 100,
+        maxPages = 50,
+        logger = console
+    } = options;
+
+    if (!apiKey) {
+        throw new Error('Vapi API key is required');
+    }
+
+    // Single HTTP attempt; rejects with statusCode/retryable/retryAfterMs set
+    function requestOnce(pathStr) {
+        const url = new URL(pathStr, baseUrl);
+        const transport = url.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        try {
+                            resolve(JSON.parse(data));
+                        } catch (error) {
+                            reject(new Error(`JSON parse error: ${error.message}`));
+                        }
+                        return;
+                    }
+
+                    const error = new Error(`HTTP ${res.statusCode}: ${data.slice(0, 500)}`);
+                    error.statusCode = res.statusCode;
+                    error.retryable = RETRYABLE_STATUS_CODES.includes(res.statusCode);
+                    error.retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+                    reject(error);
+                });
+            });
+
+            req.on('error', reject);
+            req.setTimeout(timeoutMs, () => {
+                req.destroy(new Error('Request timeout'));
+            });
+            req.end();
+        });
+    }
+
+    /**
+     * GET a Vapi API path, retrying transient failures
+     * @param {String} pathStr - Path including query string (e.g. /call?limit=100)
+     * @returns {Promise<*>} Parsed JSON response
+     */
+    function request(pathStr) {
+        return withRetry(() => requestOnce(pathStr), {
+            retries,
+            baseDelayMs,
+            maxDelayMs,
+            onRetry: (error, attempt, delay) => {
+                logger.warn(`Vapi request failed (${error.message}), retry ${attempt}/${retries} in ${delay}ms`);
+            }
+        });
+    }
+
+    /**
+     * List calls in a time window, following pagination to the end
+     *
+     * Cursor responses are followed to the last page. Array responses (no cursor) come
+     * newest `createdAt` first, so a full page is paged past by moving the upper bound
+     * to its oldest call. That only holds for createdAt: for any other rangeField
+     * (e.g. updatedAt) a full page says nothing about which calls were left off, so
+     * the window is split in half and both halves are listed.
+     * @param {Object} params - { startDate, endDate, rangeField ('createdAt'|'updatedAt'), query }
+     * @returns {Promise<Object>} { calls, pages }
+     */
+    async function listCalls({ startDate, endDate, rangeField = 'createdAt', query = {} }) {
+        const allCalls = [];
+        const callIds = new Set();
+        const windows = [{ start: startDate, end: endDate }];
+        let page = 0;
+
+        const addCalls = (calls) => {
+            const newCalls = calls.filter(c => !callIds.has(c.id));
+            newCalls.forEach(c => callIds.add(c.id));
+            allCalls.push(...newCalls);
+            return newCalls;
+        };
+
+        while (windows.length > 0) {
+            const window = windows.pop();
+            let cursor = null;
+
+            while (true) {
+                if (page >= maxPages) {
+                    throw incompleteFetchError(`reached maximum page limit (${maxPages})`, allCalls, page);
+                }
+
+                const params = new URLSearchParams({
+                    limit: String(pageLimit),
+                    [`${rangeField}Ge`]: window.start.toISOString(),
+                    [`${rangeField}Le`]: window.end.toISOString(),
+                    ...query
+                });
+                if (cursor) {
+                    params.set('cursor', cursor);
+                }
+
+                logger.log(`Fetching page ${page + 1}...`);
+
+                let response;
+                try {
+                    response = await request(`/call?${params.toString()}`);
+                } catch (error) {
+                    throw incompleteFetchError(error.message, allCalls, page, error);
+                }
+                page++;
+
+                if (Array.isArray(response)) {
+                    const newCalls = addCalls(response);
+                    logger.log(`Received ${response.length} calls (${newCalls.length} new)`);
+
+                    // Less than a full page means we have all the data
+                    if (response.length < pageLimit) break;
+
+                    if (rangeField === 'createdAt') {
+                        // Full page — shift the upper bound to the oldest call in it
+                        const oldest = response.reduce((min, c) =>
+                            c.createdAt < min.createdAt ? c : min, response[0]);
+                        const newEnd = new Date(oldest.createdAt);
+                        if (newEnd.getTime() >= window.end.getTime()) {
+                            throw incompleteFetchError(`more than ${pageLimit} calls share createdAt ${oldest.createdAt}, cannot paginate`, allCalls, page);
+                        }
+                        window.end = newEnd;
+                        continue;
+                    }
+
+                    // Full page, not ordered by rangeField — list each half of the window
+                    const span = window.end.getTime() - window.start.getTime();
+                    if (span < 1) {
+                        throw incompleteFetchError(`more than ${pageLimit} calls share ${rangeField} ${window.start.toISOString()}, cannot paginate`, allCalls, page);
+                    }
+                    const mid = window.start.getTime() + Math.floor(span / 2);
+                    windows.push({ start: new Date(mid + 1), end: window.end }, { start: window.start, end: new Date(mid) });
+                    logger.log(`Full page by ${rangeField}; splitting the window at ${new Date(mid).toISOString()}`);
+                    break;
+                } else if (response && Array.isArray(response.data)) {
+                    addCalls(response.data);
+                    cursor = response.cursor || null;
+                    logger.log(`Received ${response.data.length} calls (cursor: ${cursor ? 'yes' : 'no'})`);
+                    if (!cursor) break;
+                } else {
+                    throw incompleteFetchError('unrecognized response shape from /call', allCalls, page);
+                }
+            }
+        }
+
+        logger.log(`Total calls fetched: ${allCalls.length}`);
+        return { calls: allCalls, pages: page };
+    }
+
+    return {
+        baseUrl,
+        request,
+        listCalls
+    };
+}
+
+module.exports = {
+    createVapiClient,
+    DEFAULT_BASE_URL
+};
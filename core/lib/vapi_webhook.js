@@ -0,0 +1,190 @@
+/**
+ * Vapi Webhook - Secret verification, end-of-call-report normalization and the receiver
+ *
+ * Vapi posts server messages as { message: { type, call, artifact, analysis, ... } }.
+ * normalizeEndOfCallReport() maps an `end-of-call-report` message onto the same
+ * call shape that GET /call returns (and that store_raw_calls writes), so webhook
+ * and polled calls can be merged by ID. createWebhookServer() is the HTTP receiver
+ * run by scripts/webhook-server.js.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { filterCalls, tagWarmTransfers } = require('./filter_calls');
+const { saveDailyRawData } = require('./store_raw_calls');
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const WEBHOOK_PATH = '/vapi/webhook';
+
+/**
+ * Check the shared secret sent by Vapi (X-Vapi-Secret, or Authorization: Bearer)
+ * @param {Object} headers - Incoming request headers (lower-cased by Node)
+ * @param {String} secret - Expected secret
+ * @returns {Boolean}
+ */
+function verifyWebhookSecret(headers, secret) {
+    if (!secret) return false;
+
+    let provided = headers['x-vapi-secret'];
+    if (!provided && headers.authorization && headers.authorization.startsWith('Bearer ')) {
+        provided = headers.authorization.slice('Bearer '.length);
+    }
+    if (!provided) return false;
+
+    const a = Buffer.from(String(provided));
+    const b = Buffer.from(String(secret));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Normalize an end-of-call-report message into a Vapi call object
+ * @param {Object} message - body.message from the webhook
+ * @returns {Object|null} Call object, or null if the message has no call ID
+ */
+function normalizeEndOfCallReport(message) {
+    const call = message.call || {};
+    const artifact = message.artifact || {};
+    const analysis = message.analysis || {};
+
+    if (!call.id) return null;
+
+    // The embedded call is a snapshot from call start; prefer the report's fields.
+    // updatedAt is the report time so a later poll (with Vapi's real updatedAt)
+    // counts as an update and replaces this record.
+    const reportedAt = message.timestamp ? new Date(message.timestamp).toISOString() : new Date().toISOString();
+
+    return {
+        ...call,
+        assistantId: call.assistantId ?? message.assistant?.id,
+        phoneNumberId: call.phoneNumberId ?? message.phoneNumber?.id,
+        startedAt: message.startedAt ?? call.startedAt,
+        endedAt: message.endedAt ?? call.endedAt,
+        transcript: artifact.transcript ?? message.transcript ?? call.transcript,
+        recordingUrl: artifact.recordingUrl ?? message.recordingUrl ?? call.recordingUrl,
+        stereoRecordingUrl: artifact.stereoRecordingUrl ?? message.stereoRecordingUrl ?? call.stereoRecordingUrl,
+        summary: analysis.summary ?? message.summary ?? call.summary,
+        updatedAt: reportedAt,
+        cost: message.cost ?? call.cost,
+        customer: message.customer ?? call.customer,
+        status: 'ended',
+        endedReason: message.endedReason ?? call.endedReason,
+        messages: artifact.messages ?? message.messages ?? call.messages,
+        costBreakdown: message.costBreakdown ?? call.costBreakdown,
+        costs: message.costs ?? call.costs,
+        analysis: { ...(call.analysis || {}), ...analysis },
+        artifact: { ...(call.artifact || {}), ...artifact },
+        _source: 'webhook'
+    };
+}
+
+// Helper: Send a JSON response
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Helper: Read the request body up to MAX_BODY_BYTES
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Payload too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * HTTP receiver for Vapi server messages
+ *
+ * POST /vapi/webhook with a valid secret: end-of-call reports that pass the client's
+ * match policy are merged into data/raw (dedupe by call ID, same as fetch.js); other
+ * message types are acknowledged and ignored. GET /health answers without a secret.
+ * @param {Object} config - Client config from loadClientConfig
+ * @param {Object} options - { secret (required), logger (default console) }
+ * @returns {http.Server} Not yet listening
+ */
+function createWebhookServer(config, { secret, logger = console } = {}) {
+    if (!secret) {
+        throw new Error('createWebhookServer needs a webhook secret');
+    }
+    const vapiConfig = config.client.vapi;
+    const timeZone = config.client.timezone || 'America/New_York';
+
+    // Store one end-of-call report; returns the response body
+    function handleEndOfCallReport(message) {
+        const call = normalizeEndOfCallReport(message);
+        if (!call) {
+            return { ok: false, error: 'end-of-call-report has no call.id' };
+        }
+
+        let dropReasons = [];
+        let calls = filterCalls([call], vapiConfig, (dropped, reasons) => {
+            dropReasons = reasons;
+        });
+        if (calls.length === 0) {
+            logger.log(`Dropped call ${call.id}: ${dropReasons.join('; ')}`);
+            return { ok: true, saved: false, reasons: dropReasons };
+        }
+        calls = tagWarmTransfers(calls, vapiConfig);
+
+        const stats = saveDailyRawData(calls, config.paths.rawDir, timeZone);
+        logger.log(`Stored call ${call.id} (${call.endedReason || 'no endedReason'})`);
+        return { ok: true, saved: true, ...stats };
+    }
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.method === 'GET' && url.pathname === '/health') {
+            return sendJson(res, 200, { ok: true, client: path.basename(config.paths.clientDir) });
+        }
+        if (url.pathname !== WEBHOOK_PATH) {
+            return sendJson(res, 404, { ok: false, error: 'Not found' });
+        }
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+        }
+        if (!verifyWebhookSecret(req.headers, secret)) {
+            logger.warn(`Rejected webhook from ${req.socket.remoteAddress}: bad or missing secret`);
+            return sendJson(res, 401, { ok: false, error: 'Unauthorized' });
+        }
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            return sendJson(res, 400, { ok: false, error: error.message });
+        }
+
+        const message = body && body.message;
+        if (!message || message.type !== 'end-of-call-report') {
+            // Acknowledge other server messages so Vapi doesn't retry them
+            return sendJson(res, 200, { ok: true, ignored: message ? message.type : 'no-message' });
+        }
+
+        try {
+            const result = handleEndOfCallReport(message);
+            sendJson(res, result.ok ? 200 : 400, result);
+        } catch (error) {
+            logger.error(`Failed to store end-of-call report: ${error.message}`);
+            sendJson(res, 500, { ok: false, error: 'Failed to store call' });
+        }
+    });
+}
+
+module.exports = {
+    WEBHOOK_PATH,
+    verifyWebhookSecret,
+    normalizeEndOfCallReport,
+    createWebhookServer
+};
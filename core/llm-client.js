@@ -0,0 +1,199 @@
+/**
+ * LLM Client - Shared chat-completion layer for enrichment, hangup analysis and report summaries
+ *
+ * Usage:
+ *   const { createLLMClient } = require('../core/llm-client');
+ *   const llm = createLLMClient(config);
+ *   const { content } = await llm.complete('enrichment', { messages, json: true });
+ *
+ * Each task's model, temperature and token limit come from client.json `llm.tasks`,
+ * falling back to DEFAULT_TASKS. Providers:
+ *   openai - OpenAI SDK; `llm.baseUrl` (or LLM_BASE_URL) points it at any
+ *            OpenAI-compatible server, e.g. a local stand-in for offline runs
+ *   replay - Serves responses previously recorded to disk; never calls the network
+ *
+ * Env overrides: LLM_PROVIDER, LLM_BASE_URL, LLM_REPLAY_DIR, and LLM_RECORD=1 to
+ * record every live response into the replay directory.
+ *
+ * Errors no smaller or different request can fix (a replay miss, a task without a
+ * model, bad credentials or an unknown model) carry `batchIndependent: true`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+const DEFAULT_TASKS = {
+    enrichment: { model: 'gpt-4o-mini', temperature: 0.3 },
+    hangupAnalysis: { model: 'gpt-4o-mini', temperature: 0.7 },
+    hangupInsights: { model: 'gpt-4o-mini', temperature: 0.7 },
+    intradayReport: { model: 'gpt-5.1' },
+    weeklySummary: { model: 'gpt-5.1', temperature: 0.7, maxTokens: 800 },
+    businessReview: { model: 'gpt-5.1', temperature: 0.7, maxTokens: 1200 }
+};
+
+/**
+ * Resolve settings for a task (client config over defaults)
+ * @param {Object} config - Client config from loadClientConfig
+ * @param {String} task - Task name (e.g. 'enrichment')
+ * @returns {Object} { model, temperature, maxTokens }
+ */
+function getTaskSettings(config, task) {
+    const configured = config.client.llm?.tasks?.[task] || {};
+    const settings = { ...(DEFAULT_TASKS[task] || {}), ...configured };
+
+    if (!settings.model) {
+        const error = new Error(`No model configured for LLM task "${task}" (set llm.tasks.${task}.model in client.json)`);
+        error.retryable = false;
+        error.batchIndependent = true;
+        throw error;
+    }
+    return settings;
+}
+
+/**
+ * Build the chat-completion request for a task
+ * @returns {Object} Request body for chat.completions.create
+ */
+function buildRequest(settings, { messages, json = false }) {
+    const request = { model: settings.model, messages };
+
+    if (settings.temperature !== undefined && settings.temperature !== null) {
+        request.temperature = settings.temperature;
+    }
+    if (settings.maxTokens) {
+        request.max_completion_tokens = settings.maxTokens;
+    }
+    if (json) {
+        request.response_format = { type: 'json_object' };
+    }
+    return request;
+}
+
+/**
+ * Stable key for a request, used to name replay recordings
+ * @param {Object} request - Chat-completion request body
+ * @returns {String} sha256 hex digest
+ */
+function getRequestKey(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+// Helper: Path of the recording for a task/request
+function recordingPath(replayDir, task, request) {
+    return path.join(replayDir, task, `${getRequestKey(request)}.json`);
+}
+
+/**
+ * OpenAI (or OpenAI-compatible) provider
+ */
+function createOpenAIProvider({ apiKey, baseUrl }) {
+    if (!apiKey) {
+        throw new Error('LLM API key is not set (see llm.apiKeyEnvVar in client.json, default OPENAI_API_KEY)');
+    }
+    const openai = new OpenAI({ apiKey, ...(baseUrl ? { baseURL: baseUrl } : {}) });
+
+    return {
+        name: 'openai',
+        async complete(request) {
+            let completion;
+            try {
+                completion = await openai.chat.completions.create(request);
+            } catch (error) {
+                // Client errors (bad key, unknown model, invalid request) won't succeed on retry
+                if (error.status >= 400 && error.status < 500 && ![408, 409, 429].includes(error.status)) {
+                    error.retryable = false;
+                }
+                if ([401, 403, 404].includes(error.status)) {
+                    error.batchIndependent = true;
+                }
+                throw error;
+            }
+            return {
+                content: completion.choices[0].message.content,
+                model: completion.model || request.model,
+                usage: completion.usage || null
+            };
+        }
+    };
+}
+
+/**
+ * Replay provider - deterministic responses from disk
+ */
+function createReplayProvider({ replayDir }) {
+    return {
+        name: 'replay',
+        async complete(request, task) {
+            const file = recordingPath(replayDir, task, request);
+            if (!fs.existsSync(file)) {
+                const error = new Error(`No recorded LLM response for task "${task}" (${path.relative(process.cwd(), file)}); record one with LLM_RECORD=1`);
+                error.retryable = false;
+                // Smaller batches would only miss their recordings too
+                error.batchIndependent = true;
+                throw error;
+            }
+            return JSON.parse(fs.readFileSync(file, 'utf-8')).response;
+        }
+    };
+}
+
+/**
+ * Create the LLM client for a client config
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { provider, getTaskSettings(task), complete(task, { messages, json }) }
+ */
+function createLLMClient(config) {
+    const llmConfig = config.client.llm || {};
+    const providerName = process.env.LLM_PROVIDER || llmConfig.provider || 'openai';
+    const replayDir = (process.env.LLM_REPLAY_DIR || llmConfig.replayDir)
+        ? path.resolve(config.paths.clientDir, process.env.LLM_REPLAY_DIR || llmConfig.replayDir)
+        : config.paths.llmReplayDir;
+    const record = process.env.LLM_RECORD === '1' || process.env.LLM_RECORD === 'true';
+
+    let provider;
+    if (providerName === 'openai') {
+        provider = createOpenAIProvider({
+            apiKey: process.env[llmConfig.apiKeyEnvVar || 'OPENAI_API_KEY'],
+            baseUrl: process.env.LLM_BASE_URL || llmConfig.baseUrl
+        });
+    } else if (providerName === 'replay') {
+        provider = createReplayProvider({ replayDir });
+    } else {
+        throw new Error(`Unknown LLM provider "${providerName}" (expected openai or replay)`);
+    }
+
+    /**
+     * Run a chat completion for a task
+     * @param {String} task - Task name from llm.tasks
+     * @param {Object} options - { messages, json }
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async function complete(task, options) {
+        const request = buildRequest(getTaskSettings(config, task), options);
+        const response = await provider.complete(request, task);
+
+        if (record && provider.name !== 'replay') {
+            const file = recordingPath(replayDir, task, request);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({ task, request, response }, null, 2));
+        }
+
+        return response;
+    }
+
+    return {
+        provider: provider.name,
+        getTaskSettings: (task) => getTaskSettings(config, task),
+        complete
+    };
+}
+
+module.exports = {
+    createLLMClient,
+    getTaskSettings,
+    buildRequest,
+    getRequestKey,
+    DEFAULT_TASKS
+};
@@ -0,0 +1,450 @@
+/**
+ * Call Metrics - Shared per-call processing and routing metrics for every report
+ *
+ * Usage:
+ *   const { getMetricsSettings, processCalls, computeMetrics } = require('../core/metrics');
+ *   const settings = getMetricsSettings(config);
+ *   const processed = processCalls(calls, enrichmentMap, settings);
+ *   const metrics = computeMetrics(processed, settings);
+ *
+ * DOD, intraday and weekly reports all use this module, so a routing rate (or any
+ * other figure) means the same thing in every email.
+ *
+ * processCalls() returns one object per call:
+ *   callId, createdAt, endedReason, duration (seconds), summary,
+ *   customerNumber, customerName, email (null if none found),
+ *   category (lowercase), bookingStatus, hangupType, transferReason, spamType,
+ *   confidence, rationale,
+ *   classificationSource - 'enrichment', 'rules' (classificationRules.fallback) or 'pending'
+ *   transfer             - extractTransferOutcome() record (core/lib/transfer_outcome.js)
+ *   transferIntent       - transfer department key, else the requested destination lowercased
+ *                          (null if no transfer); transfer.destinationLabel is the display name
+ *   transferAttempted, intentIdentified, spamLikely,
+ *   routingStatus        - exactly one of ROUTING_STATUSES
+ *   routed, notRouted, hangupBeforeRoute, transferFailed - routingStatus flags
+ *   cost                 - extractCallCost() record (core/lib/call_costs.js), null if Vapi recorded none
+ *
+ * computeMetrics() returns counts, whole-number percentage rates and duration stats;
+ * see its JSDoc for the full shape.
+ */
+
+const { toZonedTime } = require('date-fns-tz');
+const { classifyCall } = require('./lib/classify_call');
+const { DEFAULT_CLASSIFICATION_RULES, getClassificationRules } = require('./lib/rule_engine');
+const { extractTransferOutcome, summarizeTransferOutcomes } = require('./lib/transfer_outcome');
+const { extractCallCost } = require('./lib/call_costs');
+
+const ROUTING_STATUSES = ['routed', 'hangup-before-route', 'spam-likely', 'spam', 'transfer-failed', 'not-routed'];
+const DEFAULT_BUSINESS_HOURS = { start: 8, end: 17, days: [1, 2, 3, 4, 5] };
+
+// Calls this short with no caller speech are counted as spam-likely
+const SPAM_LIKELY_MAX_SECONDS = 15;
+
+/**
+ * Resolve the settings processCalls/computeMetrics need from a client config
+ * @param {Object} config - Client config from loadClientConfig
+ * @returns {Object} { rules, timeZone, businessHours }
+ */
+function getMetricsSettings(config) {
+    return {
+        rules: getClassificationRules(config),
+        timeZone: config.client.timezone || 'America/New_York',
+        businessHours: config.client.businessHours || DEFAULT_BUSINESS_HOURS
+    };
+}
+
+/**
+ * Find the caller's email address in a raw call
+ * Checks structured data, structured outputs, transcript, summary, then the
+ * caller's own messages (never the system prompt, which may hold placeholder emails).
+ * @param {Object} call - Raw Vapi call
+ * @returns {String|null} Email address
+ */
+function extractEmail(call) {
+    let email = null;
+    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
+
+    // 1. Check structured data (PRIMARY LOCATION - most reliable)
+    if (call.analysis?.structuredData?.email) {
+        email = call.analysis.structuredData.email;
+    }
+
+    // 2. Check structured data parameters wrapper (alternative format)
+    if (!email && call.analysis?.structuredData?.parameters?.email) {
+        email = call.analysis.structuredData.parameters.email;
+    }
+
+    // 3. Try structured outputs (legacy/alternative location)
+    if (!email && call.analysis?.artifact?.structuredOutputs) {
+        const outputs = Object.values(call.analysis.artifact.structuredOutputs);
+        const emailOutput = outputs.find(output =>
+            output.name === 'Email' ||
+            output.name === 'email' ||
+            output.name === 'Email Address' ||
+            output.name === 'email_address' ||
+            output.name === 'customerEmail'
+        );
+        if (emailOutput && emailOutput.result) {
+            email = emailOutput.result;
+        }
+    }
+
+    // 4. Check transcript (fallback - parse from conversation)
+    if (!email && call.transcript) {
+        const matches = call.transcript.match(emailRegex);
+        if (matches && matches.length > 0) {
+            // Return the last email mentioned (usually the one provided by customer)
+            email = matches[matches.length - 1];
+        }
+    }
+
+    // 5. Check summary
+    if (!email && call.summary) {
+        const matches = call.summary.match(emailRegex);
+        if (matches && matches.length > 0) {
+            email = matches[0];
+        }
+    }
+
+    // 6. Check user messages only (not system prompt which may contain placeholder emails)
+    if (!email && call.messages) {
+        for (const msg of call.messages) {
+            if (msg.message && msg.role === 'user') {
+                const match = msg.message.match(emailRegex);
+                if (match) {
+                    email = match[0];
+                    break;
+                }
+            }
+        }
+    }
+
+    // 7. Check custom fields (if any)
+    if (!email && call.customer?.email) {
+        email = call.customer.email;
+    }
+
+    return email;
+}
+
+/**
+ * Call duration in seconds (Vapi `duration`, else endedAt - startedAt)
+ * @param {Object} call - Raw Vapi call
+ * @returns {Number} Seconds (0 if unknown)
+ */
+function getCallDuration(call) {
+    let duration = call.duration || 0;
+    if (!duration && call.startedAt && call.endedAt) {
+        const start = new Date(call.startedAt);
+        const end = new Date(call.endedAt);
+        duration = (end - start) / 1000; // Convert ms to seconds
+    }
+    return duration;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array} values - Numbers
+ * @param {Number} pct - Percentile (0-100)
+ * @returns {Number} 0 for an empty list
+ */
+function percentile(values, pct) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((pct / 100) * sorted.length) - 1;
+    return sorted[Math.max(0, Math.min(rank, sorted.length - 1))];
+}
+
+/**
+ * Average (rounded), median and P90 of a list of durations
+ * @param {Array} values - Seconds
+ * @returns {Object} { avg, median, p90 }
+ */
+function computeDurationStats(values) {
+    if (!values.length) {
+        return { avg: 0, median: 0, p90: 0 };
+    }
+    const avg = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+    const median = percentile(values, 50);
+    const p90 = percentile(values, 90);
+    return { avg, median, p90 };
+}
+
+/**
+ * Histogram of durations
+ * @param {Array} values - Seconds
+ * @returns {Object} { '0-15s', '15-30s', '30-60s', '60-120s', '120s+' } counts
+ */
+function computeDurationBuckets(values) {
+    const buckets = {
+        '0-15s': 0,
+        '15-30s': 0,
+        '30-60s': 0,
+        '60-120s': 0,
+        '120s+': 0
+    };
+
+    for (const v of values) {
+        if (v < 15) buckets['0-15s'] += 1;
+        else if (v < 30) buckets['15-30s'] += 1;
+        else if (v < 60) buckets['30-60s'] += 1;
+        else if (v < 120) buckets['60-120s'] += 1;
+        else buckets['120s+'] += 1;
+    }
+
+    return buckets;
+}
+
+/**
+ * Did the caller say at least one word?
+ * @param {Object} call - Raw Vapi call
+ */
+function hasCustomerSpeech(call) {
+    if (Array.isArray(call.messages)) {
+        return call.messages.some(msg =>
+            msg.role === 'user' &&
+            typeof msg.message === 'string' &&
+            msg.message.trim().match(/\w+/)
+        );
+    }
+    return false;
+}
+
+/**
+ * Short call with no caller speech (≤15s), counted as spam-likely
+ * @param {Object} call - Raw Vapi call
+ * @param {Number} durationSeconds - From getCallDuration
+ */
+function isSpamLikelyShortNoSpeech(call, durationSeconds) {
+    return durationSeconds <= SPAM_LIKELY_MAX_SECONDS && !hasCustomerSpeech(call);
+}
+
+/**
+ * Is an hour of a weekday outside business hours?
+ * `businessHours.schedule` ({ "<day 0-6>": { start, end } }) wins over start/end/days.
+ * @param {Number} day - Day of week (0=Sunday)
+ * @param {Number} hour - Hour of day (0-23)
+ * @param {Object} businessHours - client.json businessHours
+ */
+function isOutsideBusinessHours(day, hour, businessHours = DEFAULT_BUSINESS_HOURS) {
+    const schedule = businessHours.schedule || {};
+    const daySchedule = schedule[String(day)] || schedule[day];
+    if (daySchedule && typeof daySchedule.start === 'number' && typeof daySchedule.end === 'number') {
+        return hour < daySchedule.start || hour >= daySchedule.end;
+    }
+    if (businessHours.days && !businessHours.days.includes(day)) return true;
+    return hour < businessHours.start || hour >= businessHours.end;
+}
+
+/**
+ * Was the call placed outside business hours (client timezone)?
+ * @param {String} createdAt - ISO timestamp
+ * @param {Object} businessHours - client.json businessHours
+ * @param {String} timeZone - IANA timezone
+ */
+function isAfterHours(createdAt, businessHours = DEFAULT_BUSINESS_HOURS, timeZone = 'America/New_York') {
+    if (!createdAt) return false;
+    const callTime = toZonedTime(new Date(createdAt), timeZone);
+    return isOutsideBusinessHours(callTime.getDay(), callTime.getHours(), businessHours);
+}
+
+/**
+ * Routing status of a call - exactly ONE per call, exhaustive partition
+ * @param {Object} facts - { transfer, endedReason, spamLikely, category }
+ * @returns {String} One of ROUTING_STATUSES
+ */
+function getRoutingStatus({ transfer, endedReason, spamLikely, category }) {
+    if (transfer.completed) return 'routed';
+    if (transfer.attempted && endedReason === 'customer-ended-call') return 'hangup-before-route';
+    if (spamLikely) return 'spam-likely';
+    if (category === 'spam') return 'spam';
+    if (category === 'transferred' && !transfer.attempted) return 'transfer-failed';
+    return 'not-routed';
+}
+
+// Helper: Classification from the enrichment, else the fallback rules
+function resolveClassification(call, enrichment, rules) {
+    if (enrichment && enrichment.classification) {
+        const c = enrichment.classification;
+        return {
+            category: (c.category || 'unknown').toLowerCase(),
+            bookingStatus: c.bookingStatus || null,
+            hangupType: c.hangupType || null,
+            transferReason: c.transferReason || null,
+            spamType: c.spamType || null,
+            confidence: typeof c.confidence === 'number' ? c.confidence : null,
+            rationale: c.rationale || null,
+            classificationSource: 'enrichment'
+        };
+    }
+
+    const local = classifyCall(call, rules);
+    if (local.needs_analysis) {
+        return {
+            category: 'unknown',
+            bookingStatus: null,
+            hangupType: null,
+            transferReason: null,
+            spamType: null,
+            confidence: null,
+            rationale: null,
+            classificationSource: 'pending'
+        };
+    }
+    return {
+        category: (local.category || 'unknown').toLowerCase(),
+        bookingStatus: local.bookingStatus || null,
+        hangupType: local.hangupType || null,
+        transferReason: local.transferReason || null,
+        spamType: local.spamType || null,
+        confidence: null,
+        rationale: null,
+        classificationSource: 'rules'
+    };
+}
+
+/**
+ * Turn raw calls plus enrichments into processed call objects (shape in the file header)
+ * Calls without an enrichment are classified with the client's fallback rules.
+ * @param {Array} calls - Raw Vapi calls
+ * @param {Map} enrichmentMap - callId -> enrichment record (loadAllEnrichments)
+ * @param {Object} settings - { rules } from getMetricsSettings
+ * @returns {Array} Processed calls, in input order
+ */
+function processCalls(calls, enrichmentMap, { rules = DEFAULT_CLASSIFICATION_RULES } = {}) {
+    return calls.map(call => {
+        const duration = getCallDuration(call);
+        const classification = resolveClassification(call, enrichmentMap.get(call.id), rules);
+        const transfer = extractTransferOutcome(call, rules);
+        // Stable key for grouping (department, else the requested destination); destinationLabel is for display
+        const transferIntent = transfer.department ||
+            (transfer.requestedDestination ? String(transfer.requestedDestination).trim().toLowerCase() : null);
+        const spamLikely = isSpamLikelyShortNoSpeech(call, duration);
+        const routingStatus = getRoutingStatus({
+            transfer,
+            endedReason: call.endedReason,
+            spamLikely,
+            category: classification.category
+        });
+
+        return {
+            callId: call.id,
+            createdAt: call.createdAt,
+            endedReason: call.endedReason,
+            duration,
+            summary: call.summary || 'No summary',
+            customerNumber: call.customer?.number || 'Unknown',
+            customerName: call.customer?.name || 'Unknown',
+            email: extractEmail(call),
+            ...classification,
+            transfer,
+            transferIntent,
+            transferAttempted: transfer.attempted,
+            intentIdentified: Boolean(transferIntent || classification.transferReason),
+            spamLikely,
+            routingStatus,
+            routed: routingStatus === 'routed',
+            notRouted: routingStatus === 'not-routed',
+            hangupBeforeRoute: routingStatus === 'hangup-before-route',
+            transferFailed: routingStatus === 'transfer-failed',
+            cost: extractCallCost(call)
+        };
+    });
+}
+
+// Helper: Whole-number percentage (0 when the base is 0)
+function rate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+/**
+ * Routing metrics for a set of processed calls
+ * @param {Array} processedCalls - From processCalls
+ * @param {Object} settings - { timeZone, businessHours } from getMetricsSettings
+ * @returns {Object} {
+ *   totalCalls, spamCalls, spamLikelyCalls, intentIdentified, transferAttempted, routedCalls,
+ *   notRoutedCalls, hangupBeforeRoute, transferFailedCalls, afterHoursCalls   - counts
+ *   routingRate, transferAttemptRate, spamRate, spamLikelyRate, transferFailedRate - % of total calls
+ *   transferFailureRate                                                         - % of attempts not routed
+ *   routedStats, notRoutedStats { avg, median, p90 }, notRoutedBuckets          - durations (seconds)
+ *   transferReasons { reason: count } (routed only), transferOutcomes (summarizeTransferOutcomes),
+ *   totalMinutes, routedDurationTotal/Count, notRoutedDurationTotal/Count       - for re-aggregation
+ * }
+ */
+function computeMetrics(processedCalls, { timeZone, businessHours } = {}) {
+    const totalCalls = processedCalls.length;
+    const byStatus = status => processedCalls.filter(c => c.routingStatus === status).length;
+
+    const spamCalls = byStatus('spam');
+    const spamLikelyCalls = byStatus('spam-likely');
+    const routedCalls = byStatus('routed');
+    const notRoutedCalls = byStatus('not-routed');
+    const hangupBeforeRoute = byStatus('hangup-before-route');
+    const transferFailedCalls = byStatus('transfer-failed');
+    const intentIdentified = processedCalls.filter(c => c.intentIdentified).length;
+    const transferAttempted = processedCalls.filter(c => c.transferAttempted).length;
+
+    // Sanity check: all calls must be in exactly one routing bucket
+    const accountedFor = ROUTING_STATUSES.reduce((sum, status) => sum + byStatus(status), 0);
+    if (accountedFor !== totalCalls) {
+        console.warn(`WARNING: Routing categories (${accountedFor}) != Total Calls (${totalCalls}). ${totalCalls - accountedFor} calls uncategorized.`);
+    }
+
+    const notRoutedDurations = processedCalls.filter(c => c.notRouted && c.duration > 0).map(c => c.duration);
+    const routedDurations = processedCalls.filter(c => c.routed && c.duration > 0).map(c => c.duration);
+
+    // Transfer reason breakdown (routed only)
+    const transferReasons = {};
+    for (const call of processedCalls) {
+        if (!call.routed) continue;
+        const reasonRaw = call.transferReason || call.transferIntent || 'unspecified';
+        const reason = String(reasonRaw).trim().toLowerCase() || 'unspecified';
+        transferReasons[reason] = (transferReasons[reason] || 0) + 1;
+    }
+
+    return {
+        totalCalls,
+        spamCalls,
+        spamLikelyCalls,
+        intentIdentified,
+        transferAttempted,
+        routedCalls,
+        notRoutedCalls,
+        hangupBeforeRoute,
+        transferFailedCalls,
+        afterHoursCalls: processedCalls.filter(c => isAfterHours(c.createdAt, businessHours, timeZone)).length,
+        routingRate: rate(routedCalls, totalCalls),
+        transferAttemptRate: rate(transferAttempted, totalCalls),
+        transferFailureRate: rate(transferAttempted - routedCalls, transferAttempted),
+        spamRate: rate(spamCalls, totalCalls),
+        spamLikelyRate: rate(spamLikelyCalls, totalCalls),
+        transferFailedRate: rate(transferFailedCalls, totalCalls),
+        routedStats: computeDurationStats(routedDurations),
+        notRoutedStats: computeDurationStats(notRoutedDurations),
+        notRoutedBuckets: computeDurationBuckets(notRoutedDurations),
+        transferReasons,
+        transferOutcomes: summarizeTransferOutcomes(processedCalls.map(c => c.transfer)),
+        totalMinutes: processedCalls.reduce((sum, c) => sum + (c.duration || 0), 0) / 60,
+        notRoutedDurationTotal: notRoutedDurations.reduce((sum, v) => sum + v, 0),
+        notRoutedDurationCount: notRoutedDurations.length,
+        routedDurationTotal: routedDurations.reduce((sum, v) => sum + v, 0),
+        routedDurationCount: routedDurations.length
+    };
+}
+
+module.exports = {
+    ROUTING_STATUSES,
+    getMetricsSettings,
+    processCalls,
+    computeMetrics,
+    getRoutingStatus,
+    extractEmail,
+    getCallDuration,
+    percentile,
+    computeDurationStats,
+    computeDurationBuckets,
+    hasCustomerSpeech,
+    isSpamLikelyShortNoSpeech,
+    isOutsideBusinessHours,
+    isAfterHours
+};
@@ -0,0 +1,597 @@
+/**
+ * DOD Report Sections - Renderers for the day-over-day report template
+ *
+ * Each renderer receives the context built by report-day-over-day.js and the
+ * section's options (defaults below, overridden per template in report.json):
+ *   config, timeZone
+ *   dailyRows         - one row per raw file day (computeMetrics fields + date, weekKey, dayOfWeek, dayName)
+ *   weeklyMap         - weekKey -> aggregated counts and rates
+ *   dailyCallsMap     - date -> processed calls (core/metrics.js processCalls)
+ *   todayRow          - the report day's row (null when there is no data)
+ *   dayOfWeekAverages - dayOfWeek -> { totalCalls, routingRate, ..., count }
+ *   charts            - createChartSet() result; chart sections fall back to tables without it
+ * Sections about the report day return '' when todayRow is null.
+ */
+
+const { parseISO, format } = require('date-fns');
+const { toZonedTime } = require('date-fns-tz');
+const { getReviewSettings, extractLowConfidenceCalls, formatLowConfidenceSection } = require('../lib/review_classifications');
+const { formatTransferOutcomeSection } = require('../lib/transfer_outcome');
+const { getMetricsSettings, computeMetrics, computeDurationStats, computeDurationBuckets } = require('../metrics');
+const { formatHeatmapSection } = require('../lib/generate_heatmap');
+const { formatStaffingSection } = require('../lib/staffing_model');
+const { summarizeCallCosts, formatCallCostSection } = require('../lib/call_costs');
+const { formatDuration, cleanSummaryText, routingStatusEmoji, formatTransferReasonLabel, formatTrendChart, formatCategoryChart } = require('./format');
+
+const DEFAULT_SECTIONS = [
+    'header',
+    'executive-summary',
+    'divider',
+    'daily-performance',
+    'week-over-week',
+    'latest-day',
+    'kpi-waterfall',
+    'transfer-breakdown',
+    'period-comparisons',
+    'daily-trend',
+    'weekly-trend',
+    'category-chart',
+    'monthly-trend',
+    'repeat-callers',
+    'low-confidence',
+    'appendix',
+    'definitions'
+];
+
+// Helper: Percentage of a whole, rounded
+function pct(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+// Helper: Processed calls for a set of daily rows
+function callsForRows(rows, dailyCallsMap) {
+    return rows.flatMap(row => dailyCallsMap.get(row.date) || []);
+}
+
+function renderHeader({ config, timeZone }) {
+    let md = `# ${config.client.aiAssistantName} Day-Over-Day Call Summary\n\n`;
+    md += `**${config.client.name}**\n`;
+    md += `**Report Generated:** ${new Date().toLocaleString('en-US', { timeZone })}\n`;
+    return md;
+}
+
+function renderExecutiveSummary({ config, todayRow, dailyRows, dayOfWeekAverages }) {
+    if (!todayRow) return '';
+
+    const todayLabel = format(parseISO(todayRow.date), 'EEE, MMM d');
+    const aiName = config.client.aiAssistantName;
+
+    const totalCalls = todayRow.totalCalls;
+    const routedCalls = todayRow.routedCalls;
+    const routingRate = todayRow.routingRate;
+    const transferAttempted = todayRow.transferAttempted;
+    const intentIdentified = todayRow.intentIdentified;
+    const intentRate = pct(intentIdentified, totalCalls);
+    const afterHoursRate = pct(todayRow.afterHoursCalls, totalCalls);
+
+    const weekRows = dailyRows.filter(r => r.weekKey === todayRow.weekKey);
+    const wtdTotal = weekRows.reduce((sum, r) => sum + r.totalCalls, 0);
+    const wtdRoutingRate = pct(weekRows.reduce((sum, r) => sum + r.routedCalls, 0), wtdTotal);
+
+    const monthKey = todayRow.date.slice(0, 7);
+    const monthRows = dailyRows.filter(r => r.date.startsWith(monthKey));
+    const mtdTotal = monthRows.reduce((sum, r) => sum + r.totalCalls, 0);
+    const mtdRoutingRate = pct(monthRows.reduce((sum, r) => sum + r.routedCalls, 0), mtdTotal);
+
+    const dowAvg = dayOfWeekAverages[todayRow.dayOfWeek];
+    const hasDowBaseline = dowAvg && dowAvg.count >= 2;
+
+    const sampleSizeNote = totalCalls < 20
+        ? 'Call volume is below 20, so directional insights should be interpreted cautiously.'
+        : 'Call volume is above 20, giving a reasonable directional read on routing performance.';
+
+    const dowComparison = hasDowBaseline
+        ? `Compared to the same weekday average (${dowAvg.totalCalls} calls, ${dowAvg.routingRate}% routing), yesterday ran at ${totalCalls} calls with ${routingRate}% routing.`
+        : 'No prior same‑weekday baseline was available for comparison.';
+
+    const afterHoursInsight = afterHoursRate >= 20
+        ? 'After‑hours volume is material; improving off‑hours workflows could lift overall routed share.'
+        : 'After‑hours volume is modest; the primary lever remains improving in‑hours routing coverage.';
+
+    const paragraphs = [
+        `**1. Performance Overview**\n${aiName} handled ${totalCalls} calls on ${todayLabel}, with a routing rate of ${routingRate}% (${routedCalls}/${totalCalls}). ${sampleSizeNote} Week‑to‑date stands at ${wtdTotal} calls with a ${wtdRoutingRate}% routing rate, and month‑to‑date at ${mtdTotal} calls with a ${mtdRoutingRate}% routing rate. ${dowComparison}`,
+        `**2. Routing Effectiveness**\nTransfer was attempted on ${transferAttempted} calls (${todayRow.transferAttemptRate}%), with a ${todayRow.transferFailureRate}% failure rate. Intent was identified on ${intentIdentified} calls (${intentRate}%), indicating how often the assistant could confidently route to a department. ${Math.max(intentIdentified - transferAttempted, 0)} call(s) showed intent but did not reach a transfer attempt.`,
+        `**3. Caller Experience**\nNot‑routed calls totaled ${todayRow.notRoutedCalls}, with short durations (avg ${formatDuration(todayRow.notRoutedStats.avg)}, P90 ${formatDuration(todayRow.notRoutedStats.p90)}). Hangups before route were ${todayRow.hangupBeforeRoute}.${todayRow.transferFailedCalls > 0 ? ` Transfer‑failed (verbal commitment without tool invocation) occurred on ${todayRow.transferFailedCalls} call(s).` : ''} Spam remained low at ${todayRow.spamCalls} (${todayRow.spamRate}%), with ${todayRow.spamLikelyCalls} flagged as spam‑likely (≤15s/no speech).`,
+        `**4. Strategic Insights**\nAfter‑hours calls represented ${afterHoursRate}% of yesterday’s volume (${todayRow.afterHoursCalls}/${totalCalls}). ${afterHoursInsight} Focus next on lifting intent identification and reducing not‑routed outcomes while maintaining the low transfer failure rate.`
+    ];
+
+    return `## Executive Summary\n\n${paragraphs.join('\n\n')}\n`;
+}
+
+function renderDailyPerformance({ dailyRows, dayOfWeekAverages }, { days }) {
+    const rows = days ? dailyRows.slice(-days) : dailyRows;
+
+    let md = '## Daily Performance (with Day-of-Week Comparison)\n\n';
+    md += '| Date | Day | Total Calls | vs Avg | Spam | Intent Identified | Transfer Attempted | Routed | Routing % | vs Avg | Not Routed | Not Routed Avg | Not Routed P90 | Hangup Before Route | After-Hours |\n';
+    md += '|------|-----|-------------|--------|------|------------------|--------------------|--------|-----------|--------|------------|---------------|---------------|----------------------|------------|\n';
+
+    for (const r of rows) {
+        const avg = dayOfWeekAverages[r.dayOfWeek];
+        let callsVsAvg = '';
+        let routingVsAvg = '';
+
+        if (avg && avg.count >= 2) {
+            const callsDiff = r.totalCalls - avg.totalCalls;
+            const routingDiff = r.routingRate - avg.routingRate;
+            callsVsAvg = callsDiff >= 0 ? `+${callsDiff} ▲` : `${callsDiff} ▼`;
+            routingVsAvg = routingDiff >= 0 ? `+${routingDiff}% ▲` : `${routingDiff}% ▼`;
+        }
+
+        md += `| ${r.date} | ${r.dayName} | ${r.totalCalls} | ${callsVsAvg} | ${r.spamCalls} | ${r.intentIdentified} | ${r.transferAttempted} | ${r.routedCalls} | ${r.routingRate}% | ${routingVsAvg} | ${r.notRoutedCalls} | ${formatDuration(r.notRoutedStats.avg)} | ${formatDuration(r.notRoutedStats.p90)} | ${r.hangupBeforeRoute} | ${r.afterHoursCalls} |\n`;
+    }
+    return md;
+}
+
+function renderWeekOverWeek({ weeklyMap }, { weeks }) {
+    let md = '## Week-Over-Week Summary\n\n';
+    md += '| Week | Days | Total Calls | Change | Spam | Intent Identified | Transfer Attempted | Routed | Routing % | Change | Not Routed | Not Routed Avg | Routed Avg | After-Hours |\n';
+    md += '|------|------|-------------|--------|------|------------------|--------------------|--------|-----------|--------|------------|---------------|-----------|------------|\n';
+
+    const sortedWeeks = Array.from(weeklyMap.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    const firstShown = weeks ? Math.max(sortedWeeks.length - weeks, 0) : 0;
+
+    let previousWeek = null;
+    sortedWeeks.forEach(([weekKey, agg], index) => {
+        let callsChange = '';
+        let routingChange = '';
+
+        if (previousWeek) {
+            const callsDiff = agg.totalCalls - previousWeek.totalCalls;
+            const routingDiff = agg.routingRate - previousWeek.routingRate;
+
+            if (previousWeek.days >= 5) {
+                const callsPct = pct(callsDiff, previousWeek.totalCalls);
+                callsChange = callsPct >= 0 ? `+${callsPct}% ▲` : `${callsPct}% ▼`;
+            } else {
+                callsChange = callsDiff >= 0 ? `+${callsDiff}` : `${callsDiff}`;
+            }
+            routingChange = routingDiff >= 0 ? `+${routingDiff}% ▲` : `${routingDiff}% ▼`;
+        }
+
+        // Earlier weeks still feed the first shown week's change column
+        if (index >= firstShown) {
+            md += `| ${weekKey} | ${agg.days} | ${agg.totalCalls} | ${callsChange} | ${agg.spamCalls} | ${agg.intentIdentified} | ${agg.transferAttempted} | ${agg.routedCalls} | ${agg.routingRate}% | ${routingChange} | ${agg.notRoutedCalls} | ${formatDuration(agg.notRoutedAvgDuration)} | ${formatDuration(agg.routedAvgDuration)} | ${agg.afterHoursCalls} |\n`;
+        }
+
+        previousWeek = agg;
+    });
+    return md;
+}
+
+function renderLatestDay({ config, todayRow, dailyCallsMap, timeZone }, { topNotRouted }) {
+    if (!todayRow) return '';
+
+    const latestDate = todayRow.date;
+    const latestCalls = dailyCallsMap.get(latestDate) || [];
+    const latestNotRouted = latestCalls.filter(c => c.notRouted);
+    const latestNotRoutedDurations = latestNotRouted.filter(c => c.duration > 0).map(c => c.duration);
+    const latestNotRoutedStats = computeDurationStats(latestNotRoutedDurations);
+    const latestNotRoutedBuckets = computeDurationBuckets(latestNotRoutedDurations);
+    const latestRouted = latestCalls.filter(c => c.routed);
+    const latestRoutedStats = computeDurationStats(latestRouted.filter(c => c.duration > 0).map(c => c.duration));
+    const latestTransferReasons = computeMetrics(latestCalls, getMetricsSettings(config)).transferReasons;
+
+    let md = `## Latest Day Snapshot (${latestDate})\n\n`;
+    md += `- **Total Calls:** ${todayRow.totalCalls}\n`;
+    md += `- **Spam Calls:** ${todayRow.spamCalls} (${todayRow.spamRate}%)\n`;
+    md += `- **Intent Identified:** ${todayRow.intentIdentified}\n`;
+    md += `- **Transfer Attempted:** ${todayRow.transferAttempted} (${todayRow.transferAttemptRate}%)\n`;
+    md += `- **Routed:** ${todayRow.routedCalls} (${todayRow.routingRate}%)\n`;
+    md += `- **Transfer Failure Rate:** ${todayRow.transferFailureRate}%\n`;
+    md += `- **Not Routed:** ${todayRow.notRoutedCalls}\n`;
+    md += `- **Hangup Before Route:** ${todayRow.hangupBeforeRoute}\n`;
+    md += `- **After-Hours Calls:** ${todayRow.afterHoursCalls}\n`;
+
+    md += `\n### Not-Routed Duration Stats (Latest Day)\n\n`;
+    md += `- Avg: ${formatDuration(latestNotRoutedStats.avg)}\n`;
+    md += `- Median: ${formatDuration(latestNotRoutedStats.median)}\n`;
+    md += `- P90: ${formatDuration(latestNotRoutedStats.p90)}\n\n`;
+
+    md += `### Not-Routed Duration Histogram (Latest Day)\n\n`;
+    md += `| Bucket | Count |\n`;
+    md += `|--------|-------|\n`;
+    for (const [bucket, count] of Object.entries(latestNotRoutedBuckets)) {
+        md += `| ${bucket} | ${count} |\n`;
+    }
+
+    md += `\n### Routed Call Duration\n\n`;
+    md += `- Avg: ${formatDuration(latestRoutedStats.avg)}\n`;
+    md += `- Median: ${formatDuration(latestRoutedStats.median)}\n\n`;
+
+    md += formatTransferOutcomeSection(todayRow.transferOutcomes, 'Transfers by Department (Latest Day)');
+
+    md += `### Routed Transfer Reasons (Latest Day)\n\n`;
+    md += `| Reason | Count | % of Routed |\n`;
+    md += `|--------|-------|-------------|\n`;
+    const routedTotal = latestRouted.length;
+    if (routedTotal === 0) {
+        md += `| No routed calls | 0 | 0% |\n`;
+    } else {
+        for (const [reason, count] of Object.entries(latestTransferReasons)) {
+            md += `| ${reason} | ${count} | ${((count / routedTotal) * 100).toFixed(1)}% |\n`;
+        }
+    }
+
+    md += `\n### Top ${topNotRouted} Not-Routed Call Summaries (Latest Day)\n\n`;
+    md += `| Time | Duration | Ended Reason | Summary |\n`;
+    md += `|------|----------|--------------|---------|\n`;
+    const topCalls = [...latestNotRouted]
+        .sort((a, b) => (b.duration || 0) - (a.duration || 0))
+        .slice(0, topNotRouted);
+    if (topCalls.length === 0) {
+        md += `| No not-routed calls | - | - | - |\n`;
+    } else {
+        for (const call of topCalls) {
+            const timeStr = call.createdAt
+                ? format(toZonedTime(new Date(call.createdAt), timeZone), 'h:mm a')
+                : 'N/A';
+            md += `| ${timeStr} | ${formatDuration(call.duration || 0)} | ${call.endedReason || 'unknown'} | ${cleanSummaryText(call.summary || '')} |\n`;
+        }
+    }
+    return md;
+}
+
+function renderKpiWaterfall({ todayRow }) {
+    if (!todayRow) return '';
+
+    const totalSpam = todayRow.spamCalls + todayRow.spamLikelyCalls;
+    const realCalls = todayRow.totalCalls - totalSpam;
+    const transferFailed = todayRow.transferAttempted - todayRow.routedCalls;
+
+    let md = `## KPI Waterfall (Routing) - ${todayRow.date}\n\n`;
+    md += `| Stage | Calls | Rate |\n`;
+    md += `|-------|-------|------|\n`;
+    md += `| All Calls | ${todayRow.totalCalls} | 100% |\n`;
+    md += `| Spam (total) | ${totalSpam} | ${pct(totalSpam, todayRow.totalCalls)}% |\n`;
+    md += `| — Spam (confirmed) | ${todayRow.spamCalls} | ${todayRow.spamRate}% |\n`;
+    md += `| — Spam Likely (≤15s/no speech) | ${todayRow.spamLikelyCalls} | ${todayRow.spamLikelyRate}% |\n`;
+    md += `| Real Calls (excl Spam) | ${realCalls} | ${pct(realCalls, todayRow.totalCalls)}% |\n`;
+    md += `| Intent Identified | ${todayRow.intentIdentified} | ${pct(todayRow.intentIdentified, todayRow.totalCalls)}% |\n`;
+    md += `| Transfer Attempted | ${todayRow.transferAttempted} | ${todayRow.transferAttemptRate}% |\n`;
+    md += `| Routed | ${todayRow.routedCalls} | ${todayRow.routingRate}% |\n`;
+    md += `| Transfer Failed (tool) | ${transferFailed} | ${pct(transferFailed, todayRow.transferAttempted)}% of attempts |\n`;
+    md += `| Transfer Failed (verbal only) | ${todayRow.transferFailedCalls || 0} | ${todayRow.transferFailedRate || 0}% |\n`;
+    md += `| Not Routed (no attempt) | ${todayRow.notRoutedCalls} | ${pct(todayRow.notRoutedCalls, todayRow.totalCalls)}% |\n`;
+    md += `| Hangup Before Route | ${todayRow.hangupBeforeRoute} | ${pct(todayRow.hangupBeforeRoute, todayRow.totalCalls)}% |\n`;
+    return md;
+}
+
+function renderTransferBreakdown({ config, todayRow, dailyRows, dailyCallsMap }, { compareDays }) {
+    if (!todayRow) return '';
+
+    const settings = getMetricsSettings(config);
+    const latestTransferReasons = computeMetrics(dailyCallsMap.get(todayRow.date) || [], settings).transferReasons;
+    const windowRows = dailyRows.slice(-compareDays);
+    const windowRouted = windowRows.reduce((sum, r) => sum + r.routedCalls, 0);
+    const windowTransferReasons = computeMetrics(callsForRows(windowRows, dailyCallsMap), settings).transferReasons;
+
+    let md = `## Transfer Breakdown (Today vs Last ${compareDays} Days)\n\n`;
+    md += `| Destination | Today | % Today | Last ${compareDays} Days | % Last ${compareDays} |\n`;
+    md += `|------------|-------|---------|-------------|----------|\n`;
+    const reasonKeys = new Set([...Object.keys(latestTransferReasons), ...Object.keys(windowTransferReasons)]);
+    for (const reason of reasonKeys) {
+        const todayCount = latestTransferReasons[reason] || 0;
+        const windowCount = windowTransferReasons[reason] || 0;
+        md += `| ${formatTransferReasonLabel(reason)} | ${todayCount} | ${pct(todayCount, todayRow.routedCalls)}% | ${windowCount} | ${pct(windowCount, windowRouted)}% |\n`;
+    }
+    md += `| **Total Routed** | **${todayRow.routedCalls}** | **100%** | **${windowRouted}** | **100%** |\n`;
+    return md;
+}
+
+// Helper: "Last N Days vs Prior N Days" table (empty when either window has no rows)
+function formatWindowComparison(dailyRows, size) {
+    const last = dailyRows.slice(-size);
+    const prior = dailyRows.slice(-size * 2, -size);
+    if (last.length === 0 || prior.length === 0) return '';
+
+    const sum = (rows, key) => rows.reduce((acc, r) => acc + (r[key] || 0), 0);
+    const rate = (rows, numeratorKey) => pct(sum(rows, numeratorKey), sum(rows, 'totalCalls'));
+    const p90avg = (rows) => Math.round(rows.reduce((acc, r) => acc + (r.notRoutedStats.p90 || 0), 0) / rows.length);
+    const signed = (d, suffix = '') => `${d >= 0 ? '+' : ''}${d}${suffix}`;
+
+    const totalLast = sum(last, 'totalCalls');
+    const totalPrior = sum(prior, 'totalCalls');
+
+    let md = `\n### Last ${size} Days vs Prior ${size} Days\n\n`;
+    md += `| Metric | Last ${size} | Prior ${size} | ? |\n`;
+    md += `|--------|--------|---------|---|\n`;
+    md += `| Total Calls | ${totalLast} | ${totalPrior} | ${signed(totalLast - totalPrior)} |\n`;
+    for (const [label, key] of [['Routing Rate', 'routedCalls'], ['Transfer Attempt Rate', 'transferAttempted'], ['Spam Rate', 'spamCalls']]) {
+        md += `| ${label} | ${rate(last, key)}% | ${rate(prior, key)}% | ${signed(rate(last, key) - rate(prior, key), '%')} |\n`;
+    }
+    md += `| Not-Routed P90 | ${formatDuration(p90avg(last))} | ${formatDuration(p90avg(prior))} | ${signed(p90avg(last) - p90avg(prior), 's')} |\n`;
+    return md;
+}
+
+function renderPeriodComparisons({ todayRow, dailyRows }, { windows }) {
+    if (!todayRow) return '';
+
+    let md = `## Period Comparisons\n\n`;
+    const todayIndex = dailyRows.indexOf(todayRow);
+    const previousRow = todayIndex > 0 ? dailyRows[todayIndex - 1] : null;
+    if (previousRow) {
+        const formatDelta = (d, suffix = '') => {
+            const rounded = Math.round(d);
+            return rounded >= 0 ? `+${rounded}${suffix}` : `${rounded}${suffix}`;
+        };
+        md += `### ${todayRow.date} vs ${previousRow.date}\n\n`;
+        md += `| Metric | ${todayRow.date} | ${previousRow.date} | Δ |\n`;
+        md += `|--------|------------|-------------|---|\n`;
+        md += `| Total Calls | ${todayRow.totalCalls} | ${previousRow.totalCalls} | ${formatDelta(todayRow.totalCalls - previousRow.totalCalls)} |\n`;
+        md += `| Routed | ${todayRow.routedCalls} | ${previousRow.routedCalls} | ${formatDelta(todayRow.routedCalls - previousRow.routedCalls)} |\n`;
+        md += `| Routing Rate | ${todayRow.routingRate}% | ${previousRow.routingRate}% | ${formatDelta(todayRow.routingRate - previousRow.routingRate, '%')} |\n`;
+        md += `| Transfer Attempted | ${todayRow.transferAttempted} | ${previousRow.transferAttempted} | ${formatDelta(todayRow.transferAttempted - previousRow.transferAttempted)} |\n`;
+        md += `| Spam Rate | ${todayRow.spamRate}% | ${previousRow.spamRate}% | ${formatDelta(todayRow.spamRate - previousRow.spamRate, '%')} |\n`;
+        md += `| Not Routed | ${todayRow.notRoutedCalls} | ${previousRow.notRoutedCalls} | ${formatDelta(todayRow.notRoutedCalls - previousRow.notRoutedCalls)} |\n`;
+        md += `| Not-Routed P90 | ${formatDuration(todayRow.notRoutedStats.p90)} | ${formatDuration(previousRow.notRoutedStats.p90)} | ${formatDelta(todayRow.notRoutedStats.p90 - previousRow.notRoutedStats.p90, 's')} |\n`;
+    }
+
+    for (const size of windows) {
+        md += formatWindowComparison(dailyRows, size);
+    }
+    return md;
+}
+
+function renderDailyTrend({ todayRow, dailyRows, charts }, { days, chart }) {
+    if (!todayRow) return '';
+
+    let md = `## Daily Performance (Rolling ${days} Days)\n\n`;
+    if (chart) {
+        const rows = dailyRows.slice(-days).map(r => ({ label: r.date.slice(5), totalCalls: r.totalCalls, routingRate: r.routingRate }));
+        md += formatTrendChart(charts, 'daily-trend', `Calls and Routing Rate - Last ${days} Days`, rows);
+    }
+    md += `| Date | Day | Total | Spam | Spam Likely | Intent | Attempted | Routed | Routing % | Not Routed | Not-Routed P90 | After-Hours |\n`;
+    md += `|------|-----|-------|------|------------|--------|-----------|--------|-----------|------------|---------------|------------|\n`;
+    for (const r of dailyRows.slice(-days)) {
+        md += `| ${r.date} | ${r.dayName} | ${r.totalCalls} | ${r.spamCalls} | ${r.spamLikelyCalls} | ${r.intentIdentified} | ${r.transferAttempted} | ${r.routedCalls} | ${r.routingRate}% | ${r.notRoutedCalls} | ${formatDuration(r.notRoutedStats.p90)} | ${r.afterHoursCalls} |\n`;
+    }
+    return md;
+}
+
+function renderWeeklyTrend({ todayRow, weeklyMap, charts }, { weeks, chart }) {
+    if (!todayRow) return '';
+
+    let md = `## Weekly Trends (Rolling ${weeks} Weeks)\n\n`;
+    const weeklyRows = Array.from(weeklyMap.entries()).sort((a, b) => a[0].localeCompare(b[0])).slice(-weeks);
+    if (chart) {
+        const rows = weeklyRows.map(([wk, agg]) => ({ label: wk, totalCalls: agg.totalCalls, routingRate: agg.routingRate }));
+        md += formatTrendChart(charts, 'weekly-trend', `Calls and Routing Rate - Last ${weeks} Weeks`, rows);
+    }
+    md += `| Week | Total | Spam | Spam Likely | Attempted | Routed | Routing % | Not-Routed P90 | After-Hours |\n`;
+    md += `|------|-------|------|------------|-----------|--------|-----------|---------------|------------|\n`;
+    for (const [wk, agg] of weeklyRows) {
+        md += `| ${wk} | ${agg.totalCalls} | ${agg.spamCalls} | ${agg.spamLikelyCalls || 0} | ${agg.transferAttempted} | ${agg.routedCalls} | ${agg.routingRate}% | ${formatDuration(agg.notRoutedAvgDuration || 0)} | ${agg.afterHoursCalls} |\n`;
+    }
+    return md;
+}
+
+function renderMonthlyTrend({ todayRow, dailyRows }, { months }) {
+    if (!todayRow) return '';
+
+    const monthly = new Map();
+    for (const r of dailyRows) {
+        const monthKey = r.date.slice(0, 7);
+        if (!monthly.has(monthKey)) {
+            monthly.set(monthKey, {
+                totalCalls: 0,
+                spamCalls: 0,
+                spamLikelyCalls: 0,
+                transferAttempted: 0,
+                routedCalls: 0,
+                notRoutedP90Sum: 0,
+                notRoutedP90Count: 0
+            });
+        }
+        const m = monthly.get(monthKey);
+        m.totalCalls += r.totalCalls;
+        m.spamCalls += r.spamCalls;
+        m.spamLikelyCalls += r.spamLikelyCalls || 0;
+        m.transferAttempted += r.transferAttempted;
+        m.routedCalls += r.routedCalls;
+        m.notRoutedP90Sum += r.notRoutedStats.p90 || 0;
+        m.notRoutedP90Count += 1;
+    }
+
+    let md = `## Monthly Trends (Rolling ${months} Months)\n\n`;
+    md += `| Month | Total | Spam | Spam Likely | Attempted | Routed | Routing % | Not-Routed P90 |\n`;
+    md += `|-------|-------|------|------------|-----------|--------|-----------|---------------|\n`;
+    const monthlyRows = Array.from(monthly.entries()).sort((a, b) => a[0].localeCompare(b[0])).slice(-months);
+    for (const [monthKey, m] of monthlyRows) {
+        const notRoutedP90Avg = m.notRoutedP90Count > 0 ? Math.round(m.notRoutedP90Sum / m.notRoutedP90Count) : 0;
+        md += `| ${monthKey} | ${m.totalCalls} | ${m.spamCalls} | ${m.spamLikelyCalls} | ${m.transferAttempted} | ${m.routedCalls} | ${pct(m.routedCalls, m.totalCalls)}% | ${formatDuration(notRoutedP90Avg)} |\n`;
+    }
+    return md;
+}
+
+function renderRepeatCallers({ todayRow, dailyRows, dailyCallsMap, timeZone }, { days }) {
+    if (!todayRow) return '';
+
+    const repeatMap = new Map();
+    for (const call of callsForRows(dailyRows.slice(-days), dailyCallsMap)) {
+        const number = call.customerNumber || call.phoneNumber || call.customer?.number || 'Unknown';
+        if (!repeatMap.has(number)) repeatMap.set(number, []);
+        repeatMap.get(number).push(call);
+    }
+    const repeatEntries = Array.from(repeatMap.entries())
+        .filter(([num, calls]) => num !== 'Unknown' && calls.length > 1)
+        .map(([num, calls]) => ({ num, calls }))
+        .sort((a, b) => b.calls.length - a.calls.length);
+
+    let md = `## Repeat Callers (Last ${days} Days)\n\n`;
+    if (repeatEntries.length === 0) {
+        md += `No repeat callers found in the last ${days} days.\n`;
+        return md;
+    }
+    for (const entry of repeatEntries) {
+        const sorted = entry.calls.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+        const spanMinutes = first && last ? Math.round((new Date(last.createdAt) - new Date(first.createdAt)) / 60000) : 0;
+        md += `- ${entry.num} - ${entry.calls.length} calls over ${spanMinutes} mins\n`;
+        for (const c of sorted) {
+            const timeStr = c.createdAt ? format(toZonedTime(new Date(c.createdAt), timeZone), 'MM.dd @h:mma').replace('AM', 'a').replace('PM', 'p') : 'N/A';
+            const status = c.routed ? 'routed' : (c.notRouted ? 'not-routed' : c.category || 'unknown');
+            md += `  - ${timeStr} (${status})\n`;
+        }
+    }
+    return md;
+}
+
+function renderHeatmap({ config, todayRow, dailyRows, dailyCallsMap, charts }, { metric, days, intervalMinutes, peaks, display }) {
+    if (!todayRow) return '';
+
+    const windowRows = dailyRows.slice(-days);
+    const calls = windowRows.flatMap(row => dailyCallsMap.get(row.date) || []);
+    return formatHeatmapSection(calls, getMetricsSettings(config), {
+        metric,
+        intervalMinutes,
+        peaks,
+        period: windowRows.length > 1 ? `${windowRows[0].date} to ${todayRow.date}` : todayRow.date,
+        charts,
+        display
+    });
+}
+
+function renderStaffing({ config, todayRow, dailyRows, dailyCallsMap }, { days, streams, targetAnswerSeconds, serviceLevel, intervalMinutes }) {
+    if (!todayRow) return '';
+
+    const windowRows = dailyRows.slice(-days);
+    const calls = windowRows.flatMap(row => dailyCallsMap.get(row.date) || []);
+    return formatStaffingSection(calls, windowRows.map(row => row.date), config, getMetricsSettings(config), {
+        streams,
+        targetAnswerSeconds,
+        serviceLevel,
+        intervalMinutes,
+        period: `${windowRows[0].date} to ${todayRow.date}`
+    });
+}
+
+function renderCostBreakdown({ config, todayRow, dailyRows, dailyCallsMap }, { days, categories }) {
+    if (!todayRow) return '';
+
+    const windowRows = dailyRows.slice(-days);
+    const calls = windowRows.flatMap(row => dailyCallsMap.get(row.date) || []);
+    const period = windowRows.length > 1 ? `${windowRows[0].date} to ${todayRow.date}` : todayRow.date;
+    return formatCallCostSection(summarizeCallCosts(calls, config.report?.pricing), { title: `AI Cost Breakdown (${period})`, categories });
+}
+
+function renderCategoryChart({ todayRow, dailyRows, dailyCallsMap, charts }, { days, top }) {
+    if (!todayRow) return '';
+
+    const groups = dailyRows.slice(-days).map(r => ({ label: r.date.slice(5), calls: dailyCallsMap.get(r.date) || [] }));
+    let md = `## Calls by Category (Rolling ${days} Days)\n\n`;
+    md += formatCategoryChart(charts, 'category-trend', `Calls by Category - Last ${days} Days`, groups, top);
+    return md;
+}
+
+function renderLowConfidence({ config, todayRow, dailyCallsMap, timeZone }) {
+    if (!todayRow) return '';
+
+    const reviewSettings = getReviewSettings(config);
+    return formatLowConfidenceSection(extractLowConfidenceCalls(dailyCallsMap.get(todayRow.date) || [], reviewSettings), {
+        title: `Low-Confidence Classifications (${todayRow.date})`,
+        threshold: reviewSettings.threshold,
+        timeZone
+    });
+}
+
+function renderAppendix({ todayRow, dailyCallsMap, timeZone }) {
+    if (!todayRow) return '';
+
+    let md = `## Appendix A: All Calls (${todayRow.date})\n\n`;
+    md += `| Time | Caller | Duration | Routed | Category | Status/Type | Summary |\n`;
+    md += `|------|--------|----------|--------|----------|-------------|---------|\n`;
+    for (const call of dailyCallsMap.get(todayRow.date) || []) {
+        const timeStr = call.createdAt ? format(toZonedTime(new Date(call.createdAt), timeZone), 'h:mm a') : 'N/A';
+        const caller = call.customerNumber || call.phoneNumber || call.customer?.number || 'Unknown';
+        const statusType = call.routed
+            ? (call.transferReason || call.transfer.destinationLabel || 'N/A')
+            : (call.category === 'spam' ? (call.spamType || 'spam') : (call.hangupType || call.endedReason || 'N/A'));
+        md += `| ${timeStr} | ${caller} | ${formatDuration(call.duration || 0)} | ${call.routed ? 'Yes' : 'No'} | ${routingStatusEmoji(call.routingStatus)} | ${statusType} | ${cleanSummaryText(call.summary || '')} |\n`;
+    }
+    return md;
+}
+
+function renderDefinitions() {
+    let md = '## Key Metrics Definitions\n\n';
+    md += '- **Intent Identified**: Transfer intent detected (tool call) or transfer reason assigned by enrichment\n';
+    md += '- **Transfer Attempted**: Transfer tool invoked, or Vapi recorded a transfer destination\n';
+    md += '- **Routed**: Transfer completed (Vapi `artifact.transfers` status, otherwise call ended with `assistant-forwarded-call`)\n';
+    md += '- **Time to Transfer**: Seconds from call start to the transfer request\n';
+    md += '- **Not Routed**: No transfer attempt and call ended by customer or assistant\n';
+    md += '- **Hangup Before Route**: Transfer attempted, caller hung up before connection\n';
+    md += '- **Transfer Failed**: AI verbally committed to transfer but tool was never invoked; call timed out\n';
+    md += '- **Confidence**: Enrichment model\'s certainty in the call category (0-1); calls below the review threshold are listed for manual review\n';
+    md += '- **vs Avg**: Comparison to 4-week average for same day of week\n';
+    md += '- **Change**: Week-over-week percentage change\n';
+    return md;
+}
+
+const SECTIONS = {
+    'header': { description: 'Report title, client name and generation time', render: renderHeader },
+    'executive-summary': { description: 'Four-paragraph summary of the report day', render: renderExecutiveSummary },
+    'daily-performance': {
+        description: 'Every day with the same-weekday comparison (days: limit to the last N days)',
+        options: { days: null },
+        render: renderDailyPerformance
+    },
+    'week-over-week': {
+        description: 'Weekly totals with week-over-week change (weeks: limit to the last N weeks)',
+        options: { weeks: null },
+        render: renderWeekOverWeek
+    },
+    'latest-day': {
+        description: 'Report day snapshot: durations, departments, transfer reasons, longest not-routed calls',
+        options: { topNotRouted: 10 },
+        render: renderLatestDay
+    },
+    'kpi-waterfall': { description: 'Routing funnel from all calls to routed for the report day', render: renderKpiWaterfall },
+    'transfer-breakdown': {
+        description: 'Routed calls per transfer reason, report day vs a trailing window',
+        options: { compareDays: 7 },
+        render: renderTransferBreakdown
+    },
+    'period-comparisons': {
+        description: 'Report day vs the previous day, then trailing windows vs the windows before them',
+        options: { windows: [7, 30] },
+        render: renderPeriodComparisons
+    },
+    'daily-trend': { description: 'Rolling daily table (chart: volume/routing-rate line chart above it)', options: { days: 14, chart: true }, render: renderDailyTrend },
+    'weekly-trend': { description: 'Rolling weekly table (chart: volume/routing-rate line chart above it)', options: { weeks: 4, chart: true }, render: renderWeeklyTrend },
+    'category-chart': { description: 'Calls per day stacked by category (top categories, the rest as other)', options: { days: 14, top: 6 }, render: renderCategoryChart },
+    'monthly-trend': { description: 'Rolling monthly table', options: { months: 12 }, render: renderMonthlyTrend },
+    'repeat-callers': { description: 'Numbers that called more than once', options: { days: 3 }, render: renderRepeatCallers },
+    'heatmap': {
+        description: 'Calls by time of day and weekday in the client timezone (metric: volume, routed, booked, hangup, spam, successRate, avgDuration), outside-hours slots marked; display: chart, table or both',
+        options: { metric: 'volume', days: 7, intervalMinutes: 60, peaks: 3, display: 'chart' },
+        render: renderHeatmap
+    },
+    'staffing': {
+        description: 'Erlang C human coverage per weekday and slot for transfers and after-hours calls, with weekly/monthly cost (null options: report.json staffing)',
+        options: { days: 28, streams: ['transfers', 'after-hours'], targetAnswerSeconds: null, serviceLevel: null, intervalMinutes: null },
+        render: renderStaffing
+    },
+    'cost-breakdown': {
+        description: 'Billed and Vapi cost, Vapi cost by component, cost per routed call, booking and category (days: window ending on the report day)',
+        options: { days: 1, categories: 10 },
+        render: renderCostBreakdown
+    },
+    'low-confidence': { description: 'Report day classifications below the review threshold', render: renderLowConfidence },
+    'appendix': { description: 'Every call on the report day', render: renderAppendix },
+    'definitions': { description: 'Metric definitions', render: renderDefinitions }
+};
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    SECTIONS
+};
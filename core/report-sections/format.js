@@ -0,0 +1,111 @@
+/**
+ * Report Formatting Helpers - Shared by the DOD, intraday, weekly and date-range section renderers
+ *
+ * Chart helpers take the context's `charts` (createChartSet() from core/lib/report_charts.js)
+ * and return the Markdown image line, or '' when the report has no chart set.
+ */
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+function cleanSummaryText(summary) {
+    if (!summary) return 'No summary';
+    let cleaned = summary.replace(/\s+/g, ' ').trim();
+    // Strip all known verbose prefixes (including markdown bold variants)
+    cleaned = cleaned.replace(/^\*{0,2}here'?s a summary[^:]*:\*{0,2}\s*/i, '');
+    cleaned = cleaned.replace(/^\*{0,2}summary of (?:the )?interaction:?\*{0,2}\s*/i, '');
+    cleaned = cleaned.replace(/^\*{0,2}summary:?\*{0,2}\s*/i, '');
+    // Remove leading ** if leftover
+    cleaned = cleaned.replace(/^\*{1,2}\s*/, '');
+    if (cleaned.length <= 300) return cleaned || 'No summary';
+    // Truncate at word boundary + ellipsis
+    const truncated = cleaned.slice(0, 300).replace(/\s+\S*$/, '');
+    return (truncated || cleaned.slice(0, 300)) + '...';
+}
+
+function routingStatusEmoji(routingStatus) {
+    switch (routingStatus) {
+        case 'routed': return '→ transfer';
+        case 'not-routed': return '↩ not-routed';
+        case 'hangup-before-route': return '⚠ hangup';
+        case 'spam': return '✗ spam';
+        case 'spam-likely': return '✗ spam-likely';
+        case 'transfer-failed': return '⚠ xfer-fail';
+        default: return routingStatus || 'unknown';
+    }
+}
+
+function formatTransferReasonLabel(reason) {
+    if (!reason) return 'Unspecified';
+    return reason
+        .replace(/[-_]/g, ' ')
+        .replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Daily or weekly volume and routing-rate line chart
+ * @param {Object} charts - createChartSet() result (optional)
+ * @param {String} id - Chart id
+ * @param {String} title
+ * @param {Array} rows - [{ label, totalCalls, routingRate }] in order
+ */
+function formatTrendChart(charts, id, title, rows) {
+    if (!charts || rows.length === 0) return '';
+    return charts.line(id, {
+        title,
+        labels: rows.map(row => row.label),
+        series: [
+            { name: 'Calls', values: rows.map(row => row.totalCalls), axis: 'left' },
+            { name: 'Routing Rate %', values: rows.map(row => row.totalCalls > 0 ? row.routingRate : null), axis: 'right' }
+        ]
+    }) + '\n';
+}
+
+/**
+ * Calls per category stacked by group (the top categories, the rest as "other").
+ * Without a chart set the same counts are returned as a table.
+ * @param {Object} charts - createChartSet() result (optional)
+ * @param {String} id - Chart id
+ * @param {String} title
+ * @param {Array} groups - [{ label, calls }] (processed calls per bar)
+ * @param {Number} top - Categories shown before "other"
+ */
+function formatCategoryChart(charts, id, title, groups, top) {
+    const totals = new Map();
+    for (const { calls } of groups) {
+        for (const call of calls) totals.set(call.category, (totals.get(call.category) || 0) + 1);
+    }
+    const ranked = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]).map(([category]) => category);
+    const shown = ranked.slice(0, top);
+    const categories = ranked.length > top ? [...shown, 'other'] : shown;
+    const countFor = (calls, category) => category === 'other'
+        ? calls.filter(call => !shown.includes(call.category)).length
+        : calls.filter(call => call.category === category).length;
+
+    if (charts) {
+        return charts.stackedBar(id, {
+            title,
+            labels: groups.map(group => group.label),
+            series: categories.map(category => ({ name: category, values: groups.map(group => countFor(group.calls, category)) }))
+        });
+    }
+
+    let md = `| | ${categories.join(' | ')} |\n`;
+    md += `|---|${categories.map(() => '---').join('|')}|\n`;
+    for (const group of groups) {
+        md += `| ${group.label} | ${categories.map(category => countFor(group.calls, category)).join(' | ')} |\n`;
+    }
+    return md;
+}
+
+module.exports = {
+    formatDuration,
+    cleanSummaryText,
+    routingStatusEmoji,
+    formatTransferReasonLabel,
+    formatTrendChart,
+    formatCategoryChart
+};
@@ -0,0 +1,265 @@
+/**
+ * Intraday Report Sections - Renderers for the intraday report template
+ *
+ * Each renderer receives the context built by report-intraday.js and the
+ * section's options (defaults below, overridden per template in report.json):
+ *   config, timeZone, llm (core/llm-client.js)
+ *   reportDate - YYYY-MM-DD, reportTime - 'h:mm a' in the client timezone
+ *   metrics    - computeMetrics() result for the day so far (core/metrics.js)
+ *   calls      - processed calls for the day (processCalls)
+ *
+ * The default template is the GPT-written status report followed by the call log.
+ * The table sections render the same tables without GPT.
+ */
+
+const { format } = require('date-fns');
+const { toZonedTime } = require('date-fns-tz');
+const { formatTransferOutcomeSection } = require('../lib/transfer_outcome');
+const { formatDuration, cleanSummaryText, routingStatusEmoji } = require('./format');
+
+const DEFAULT_SECTIONS = ['status-report', 'call-log'];
+
+// Helper: Short timezone label, e.g. 'New_York'
+function zoneLabel(timeZone) {
+    return timeZone.split('/')[1];
+}
+
+function formatRoutingTable(metrics) {
+    return `| Metric | Count | % |
+|--------|-------|---|
+| Total Calls | ${metrics.totalCalls} | 100% |
+| Spam (total) | ${metrics.spamCalls + metrics.spamLikelyCalls} | ${metrics.spamRate + metrics.spamLikelyRate}% |
+| — Spam (confirmed) | ${metrics.spamCalls} | ${metrics.spamRate}% |
+| — Spam Likely (≤15s/no speech) | ${metrics.spamLikelyCalls} | ${metrics.spamLikelyRate}% |
+| Intent Identified | ${metrics.intentIdentified} | - |
+| Transfer Attempted | ${metrics.transferAttempted} | ${metrics.transferAttemptRate}% |
+| Routed | ${metrics.routedCalls} | ${metrics.routingRate}% |
+| Not Routed | ${metrics.notRoutedCalls} | - |
+| Hangup Before Route | ${metrics.hangupBeforeRoute} | - |
+| Transfer Failed | ${metrics.transferFailedCalls} | ${metrics.transferFailedRate}% |
+| After-Hours Calls | ${metrics.afterHoursCalls} | - |`;
+}
+
+function formatDurationQuality(metrics) {
+    const notRoutedBucketRows = Object.entries(metrics.notRoutedBuckets)
+        .map(([bucket, count]) => `| ${bucket} | ${count} |`)
+        .join('\n');
+
+    return `- **Routed Duration (Avg/Median):** ${formatDuration(metrics.routedStats.avg)} / ${formatDuration(metrics.routedStats.median)}
+- **Not-Routed Duration (Avg/Median/P90):** ${formatDuration(metrics.notRoutedStats.avg)} / ${formatDuration(metrics.notRoutedStats.median)} / ${formatDuration(metrics.notRoutedStats.p90)}
+
+### Not-Routed Duration Histogram
+| Bucket | Count |
+|--------|-------|
+${notRoutedBucketRows || '| No not-routed calls | 0 |'}`;
+}
+
+function formatTransferReasonTable(metrics) {
+    const routedTotal = metrics.routedCalls;
+    const transferReasonRows = Object.entries(metrics.transferReasons).length > 0
+        ? Object.entries(metrics.transferReasons).map(([reason, count]) => {
+            const pct = routedTotal > 0 ? ((count / routedTotal) * 100).toFixed(1) : '0.0';
+            return `| ${reason} | ${count} | ${pct}% |`;
+        }).join('\n')
+        : '| No routed calls | 0 | 0% |';
+
+    return `| Reason | Count | % of Routed |
+|--------|-------|-------------|
+${transferReasonRows}`;
+}
+
+function formatTopNotRouted(calls, timeZone, limit) {
+    const rows = [...calls]
+        .filter(c => c.notRouted)
+        .sort((a, b) => (b.duration || 0) - (a.duration || 0))
+        .slice(0, limit)
+        .map(call => {
+            const timeStr = call.createdAt
+                ? format(toZonedTime(new Date(call.createdAt), timeZone), 'h:mm a')
+                : 'N/A';
+            return `| ${timeStr} | ${formatDuration(call.duration || 0)} | ${call.endedReason || 'unknown'} | ${cleanSummaryText(call.summary || '')} |`;
+        })
+        .join('\n');
+
+    return `| Time | Duration | Ended Reason | Summary |
+|------|----------|--------------|---------|
+${rows || '| No not-routed calls | - | - | - |'}`;
+}
+
+async function renderStatusReport({ config, timeZone, llm, reportDate, reportTime, metrics, calls }) {
+    const aiName = config.client.aiAssistantName;
+    const businessName = config.client.name;
+    const businessDesc = config.client.description || '';
+
+    // Build call purposes list
+    let callPurposesList = '';
+    if (config.client.callPurposes && config.client.callPurposes.length > 0) {
+        callPurposesList = config.client.callPurposes.map(p => `- ${p}`).join('\n');
+    }
+
+    const reportPrompt = `
+You are writing an **Intraday Status Report** for the ${businessName} executive team.
+
+**BUSINESS CONTEXT:**
+${businessName} is ${businessDesc}. ${aiName} (AI assistant) routes inbound calls to the correct department.
+${callPurposesList}
+
+**Context**:
+- Date: ${reportDate}
+- Time: ${reportTime} ${zoneLabel(timeZone)}
+- Total Calls So Far: ${metrics.totalCalls}
+
+**Metrics**:
+- Total Calls: ${metrics.totalCalls}
+- Spam (total): ${metrics.spamCalls + metrics.spamLikelyCalls} (confirmed: ${metrics.spamCalls}, likely: ${metrics.spamLikelyCalls})
+- Intent Identified: ${metrics.intentIdentified}
+- Transfer Attempted: ${metrics.transferAttempted} (${metrics.transferAttemptRate}%)
+- Routed: ${metrics.routedCalls} (${metrics.routingRate}%)
+- Transfer Failure Rate: ${metrics.transferFailureRate}%
+- Transfer Failed (verbal only): ${metrics.transferFailedCalls}
+- Not Routed: ${metrics.notRoutedCalls}
+- Hangup Before Route: ${metrics.hangupBeforeRoute}
+- After-Hours Calls: ${metrics.afterHoursCalls}
+- Routed Duration (Avg/Median): ${formatDuration(metrics.routedStats.avg)} / ${formatDuration(metrics.routedStats.median)}
+- Not-Routed Duration (Avg/Median/P90): ${formatDuration(metrics.notRoutedStats.avg)} / ${formatDuration(metrics.notRoutedStats.median)} / ${formatDuration(metrics.notRoutedStats.p90)}
+
+**IMPORTANT - Seasonality & Business Patterns:**
+Apply your knowledge of typical business call patterns when analyzing trends:
+
+- **Day-of-Week (DOW)**: Weekends (especially Sundays) naturally have much lower volume than weekdays. A "low" Sunday is normal, not alarming.
+- **Week-of-Month (WOM)**: First/last weeks may differ from mid-month patterns.
+- **Month-of-Year (MOY)**: Summer months, December holidays typically show different patterns.
+- **Holidays**:
+  - Thanksgiving week (4th Thursday of Nov) and the weekend after are predictably slow
+  - Christmas/New Year (Dec 24 - Jan 2) is a known slow period
+  - July 4th week, Memorial Day, Labor Day weekends are slower
+
+When you see low volume, ask yourself: "Is this expected given the day/week/season?"
+- Don't alarm about a slow Sunday or post-Thanksgiving Saturday
+- DO flag if a Tuesday is unusually slow with no obvious explanation
+
+**Statistical Context:**
+- This is an intraday report - volume is naturally lower than a full day
+- Compare patterns to time-of-day expectations (morning vs afternoon)
+- Focus on actionable insights, not alarm
+
+**Requirements**:
+
+# Intraday Status Report - ${reportDate} (${reportTime} ${zoneLabel(timeZone)})
+
+## Executive Summary
+(3 concise paragraphs covering routing performance, transfer efficiency, and notable patterns)
+
+## Today's Routing Performance
+
+${formatRoutingTable(metrics)}
+
+## Duration Quality
+${formatDurationQuality(metrics)}
+
+## Transfer Breakdown by Reason (Routed Only)
+${formatTransferReasonTable(metrics)}
+
+${formatTransferOutcomeSection(metrics.transferOutcomes, 'Transfers by Department', 2)}
+## Top 10 Not-Routed Call Summaries
+${formatTopNotRouted(calls, timeZone, 10)}
+
+(Call log is generated separately below with actual data.)
+`;
+
+    const reportResult = await llm.complete('intradayReport', {
+        messages: [
+            { role: "system", content: "You are a reporting assistant." },
+            { role: "user", content: reportPrompt }
+        ]
+    });
+
+    // Post-process: Remove markdown code block wrappers if present
+    return reportResult.content
+        .replace(/```(markdown|html)?/gi, '')
+        // Also remove standalone "html" line if it appears on its own line
+        .replace(/^\s*html\s*$/gmi, '')
+        .trim();
+}
+
+function renderRoutingPerformance({ metrics }) {
+    return `## Today's Routing Performance\n\n${formatRoutingTable(metrics)}\n`;
+}
+
+function renderDurationQuality({ metrics }) {
+    return `## Duration Quality\n${formatDurationQuality(metrics)}\n`;
+}
+
+function renderTransferReasons({ metrics }) {
+    return `## Transfer Breakdown by Reason (Routed Only)\n${formatTransferReasonTable(metrics)}\n`;
+}
+
+function renderTransferDepartments({ metrics }) {
+    return formatTransferOutcomeSection(metrics.transferOutcomes, 'Transfers by Department', 2);
+}
+
+function renderTopNotRouted({ calls, timeZone }, { limit }) {
+    return `## Top ${limit} Not-Routed Call Summaries\n${formatTopNotRouted(calls, timeZone, limit)}\n`;
+}
+
+function renderCallLog({ calls, timeZone }) {
+    const callLogRows = calls.map(call => {
+        const timeStr = call.createdAt
+            ? format(toZonedTime(new Date(call.createdAt), timeZone), 'h:mm a')
+            : 'N/A';
+        const statusType = call.routed
+            ? (call.transferReason || call.transfer.destinationLabel || 'N/A')
+            : call.routingStatus === 'spam-likely'
+                ? (call.spamType || 'short/no speech')
+                : call.routingStatus === 'spam'
+                    ? (call.spamType || 'spam')
+                : call.routingStatus === 'transfer-failed'
+                    ? (call.endedReason || 'verbal-only')
+                : call.routingStatus === 'hangup-before-route'
+                    ? (call.hangupType || 'hangup')
+                : (call.endedReason || 'N/A');
+        const summary = cleanSummaryText(call.summary || '');
+
+        return `<tr>
+  <td style="padding: 8px; border: 1px solid #ddd;">${timeStr}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${call.customerNumber || 'Unknown'}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${call.email || 'N/A'}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${formatDuration(call.duration || 0)}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${routingStatusEmoji(call.routingStatus)}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${statusType}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${summary}</td>
+</tr>`;
+    }).join('\n');
+
+    return `
+## Call Log
+
+<table border="1" style="border-collapse: collapse; width: 100%;">
+  <tr style="background-color: #f5f5f5;">
+    <th style="padding: 8px; border: 1px solid #ddd;">Time (${zoneLabel(timeZone)})</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">Caller #</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">Email</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">Duration</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">Category</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">Status/Type</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">Summary</th>
+  </tr>
+  ${callLogRows}
+</table>
+`;
+}
+
+const SECTIONS = {
+    'status-report': { description: 'GPT-written status report (summary plus the tables below)', render: renderStatusReport },
+    'routing-performance': { description: 'Routing status counts and rates so far today', render: renderRoutingPerformance },
+    'duration-quality': { description: 'Routed/not-routed duration stats and histogram', render: renderDurationQuality },
+    'transfer-reasons': { description: 'Routed calls per transfer reason', render: renderTransferReasons },
+    'transfer-departments': { description: 'Transfers by department, time to transfer, warm/cold split', render: renderTransferDepartments },
+    'top-not-routed': { description: 'Longest not-routed calls with summaries', options: { limit: 10 }, render: renderTopNotRouted },
+    'call-log': { description: 'Every call so far today', render: renderCallLog }
+};
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    SECTIONS
+};
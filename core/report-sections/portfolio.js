@@ -0,0 +1,169 @@
+/**
+ * Portfolio Rollup Sections - Renderers for the cross-client daily rollup
+ *
+ * Each renderer receives the context built by report-portfolio.js and the
+ * section's options (defaults below, overridden per template in portfolio.json):
+ *   config          - portfolio config (loadPortfolioConfig)
+ *   timeZone
+ *   date            - report day (YYYY-MM-DD)
+ *   week, priorWeek - { start, end } for the 7 days ending on `date` and the 7 before
+ *   rows            - one per client: { clientId, name, targets, day, week, priorWeek, error }
+ *                     (stats from summarizeRollupStats; error is set when the client could not be loaded)
+ *   totals          - { day, week, priorWeek } combined across the loaded clients
+ */
+
+const { findRollupIssues } = require('../lib/portfolio_rollup');
+
+const DEFAULT_SECTIONS = [
+    'header',
+    'divider',
+    'target-flags',
+    'divider',
+    'daily-comparison',
+    'divider',
+    'week-over-week'
+];
+
+// Helper: '45%', or '-' when the rate has no base
+function formatRate(value) {
+    return value === null || value === undefined ? '-' : `${value}%`;
+}
+
+// Helper: '$1.23', or '-' when there were no calls
+function formatCost(value) {
+    return value === null || value === undefined ? '-' : `$${value.toFixed(2)}`;
+}
+
+// Helper: Target value with its unit
+function formatTargetValue(value, unit) {
+    if (unit === '$') return formatCost(value);
+    return `${value}${unit}`;
+}
+
+// Helper: Percentage-point change between two rates
+function formatPointDelta(current, previous) {
+    if (current === null || previous === null) return '';
+    const delta = current - previous;
+    return ` (${delta >= 0 ? '+' : ''}${delta} pts)`;
+}
+
+// Helper: Percent change in call volume
+function formatVolumeDelta(current, previous) {
+    if (!previous) return current > 0 ? ' (new)' : '';
+    const delta = Math.round(((current - previous) / previous) * 100);
+    return ` (${delta >= 0 ? '+' : ''}${delta}%)`;
+}
+
+// Helper: Dollar change in cost per call
+function formatCostDelta(current, previous) {
+    if (current === null || previous === null) return '';
+    const delta = current - previous;
+    return ` (${delta >= 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)})`;
+}
+
+// Helper: Flag text for one client
+function describeIssues(row, window) {
+    return findRollupIssues(row, window).map(issue => {
+        if (issue.type === 'error') return `Could not load data: ${issue.message}`;
+        if (issue.type === 'no-calls') return 'No calls recorded on the report day (calls were received the week before)';
+        const direction = issue.higherIsBetter ? 'below' : 'above';
+        return `${issue.label} ${formatTargetValue(issue.actual, issue.unit)} is ${direction} target ${formatTargetValue(issue.target, issue.unit)}`;
+    });
+}
+
+// Helper: Client name with a warning marker when it is flagged
+function clientLabel(row, flagged) {
+    return flagged.has(row.clientId) ? `⚠ ${row.name}` : row.name;
+}
+
+// Helper: Clients flagged on the report day
+function getFlaggedClients(rows) {
+    return new Set(rows.filter(row => findRollupIssues(row, 'day').length > 0).map(row => row.clientId));
+}
+
+function renderHeader({ config, timeZone, date, week, rows }) {
+    let md = `# Client Portfolio Rollup\n\n`;
+    md += `## ${config.client.name} - ${date}\n\n`;
+    md += `**Clients:** ${rows.length}\n`;
+    md += `**Week-over-week:** ${week.start} to ${week.end} vs the 7 days before\n`;
+    md += `**Report Generated:** ${new Date().toLocaleString('en-US', { timeZone })}\n`;
+    return md;
+}
+
+function renderTargetFlags({ rows, date, week }, { window }) {
+    if (!['day', 'week'].includes(window)) {
+        throw new Error(`target-flags window must be "day" or "week" (got "${window}")`);
+    }
+    const windowLabel = window === 'week' ? `${week.start} to ${week.end}` : date;
+    let md = `## Clients Outside Targets (${windowLabel})\n\n`;
+
+    const flagged = rows
+        .map(row => ({ row, issues: describeIssues(row, window) }))
+        .filter(({ issues }) => issues.length > 0);
+
+    if (flagged.length === 0) {
+        md += `All clients are within their report.json targets.\n`;
+        return md;
+    }
+
+    for (const { row, issues } of flagged) {
+        md += `**${row.name}** (\`${row.clientId}\`)\n`;
+        for (const issue of issues) md += `- ${issue}\n`;
+        md += `\n`;
+    }
+    return md;
+}
+
+function renderDailyComparison({ rows, totals, date }) {
+    const flagged = getFlaggedClients(rows);
+    let md = `## Side by Side - ${date}\n\n`;
+    md += `| Client | Calls | Routing Rate | Booking Rate | Spam Share | Cost per Call |\n`;
+    md += `|--------|-------|--------------|--------------|------------|---------------|\n`;
+    for (const row of rows) {
+        if (row.error) {
+            md += `| ${clientLabel(row, flagged)} | - | - | - | - | - |\n`;
+            continue;
+        }
+        const { day } = row;
+        md += `| ${clientLabel(row, flagged)} | ${day.totalCalls} | ${formatRate(day.routingRate)} | ${formatRate(day.bookingRate)} | ${formatRate(day.spamShare)} | ${formatCost(day.costPerCall)} |\n`;
+    }
+    const day = totals.day;
+    md += `| **Portfolio** | **${day.totalCalls}** | **${formatRate(day.routingRate)}** | **${formatRate(day.bookingRate)}** | **${formatRate(day.spamShare)}** | **${formatCost(day.costPerCall)}** |\n`;
+    return md;
+}
+
+function renderWeekOverWeek({ rows, totals, week, priorWeek }) {
+    const cells = (current, previous) => [
+        `${current.totalCalls}${formatVolumeDelta(current.totalCalls, previous.totalCalls)}`,
+        `${formatRate(current.routingRate)}${formatPointDelta(current.routingRate, previous.routingRate)}`,
+        `${formatRate(current.bookingRate)}${formatPointDelta(current.bookingRate, previous.bookingRate)}`,
+        `${formatRate(current.spamShare)}${formatPointDelta(current.spamShare, previous.spamShare)}`,
+        `${formatCost(current.costPerCall)}${formatCostDelta(current.costPerCall, previous.costPerCall)}`
+    ];
+
+    let md = `## Week over Week\n\n`;
+    md += `Last 7 days (${week.start} to ${week.end}) with the change from ${priorWeek.start} to ${priorWeek.end}.\n\n`;
+    md += `| Client | Calls | Routing Rate | Booking Rate | Spam Share | Cost per Call |\n`;
+    md += `|--------|-------|--------------|--------------|------------|---------------|\n`;
+    for (const row of rows) {
+        if (row.error) {
+            md += `| ${row.name} | - | - | - | - | - |\n`;
+            continue;
+        }
+        md += `| ${row.name} | ${cells(row.week, row.priorWeek).join(' | ')} |\n`;
+    }
+    md += `| **Portfolio** | ${cells(totals.week, totals.priorWeek).map(cell => `**${cell}**`).join(' | ')} |\n`;
+    return md;
+}
+
+const SECTIONS = {
+    'header': { description: 'Title, report day and client count', render: renderHeader },
+    'target-flags': { description: 'Clients missing their report.json targets (or with no calls)', options: { window: 'day' }, render: renderTargetFlags },
+    'daily-comparison': { description: 'Calls, routing, booking, spam share and cost per call for the report day', render: renderDailyComparison },
+    'week-over-week': { description: 'Last 7 days per client with changes from the 7 days before', render: renderWeekOverWeek }
+};
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    SECTIONS
+};
@@ -0,0 +1,180 @@
+/**
+ * Date-Range Report Sections - Renderers for the custom date-range report template
+ *
+ * Each renderer receives the context built by report-range.js and the
+ * section's options (defaults below, overridden per template in report.json):
+ *   config, timeZone
+ *   range           - { start, end, days } (YYYY-MM-DD, inclusive)
+ *   priorRange      - the window of equal length ending the day before `start`
+ *   metrics         - computeMetrics() result for the range (core/metrics.js)
+ *   previousMetrics - the same for the prior window (null when there is no data)
+ *   calls           - processed calls for the range (processCalls)
+ *   dailyRows       - [{ date, dayName, metrics }] for every day in the range
+ *   leads           - extractHighPriorityLeads() result for the range
+ *   leadsCsvPath    - where report-range.js exported the full lead list
+ *   charts          - createChartSet() result; chart sections fall back to tables without it
+ */
+
+const path = require('path');
+const { getReviewSettings, extractLowConfidenceCalls, formatLowConfidenceSection } = require('../lib/review_classifications');
+const { formatTransferOutcomeSection } = require('../lib/transfer_outcome');
+const { formatHeatmapSection } = require('../lib/generate_heatmap');
+const { formatStaffingSection } = require('../lib/staffing_model');
+const { summarizeCallCosts, formatCallCostSection } = require('../lib/call_costs');
+const { getMetricsSettings } = require('../metrics');
+const { formatLeadsSummary, formatLeadsTable } = require('../lib/export_leads');
+const { formatDuration, formatTrendChart } = require('./format');
+const weekly = require('./weekly');
+
+const DEFAULT_SECTIONS = [
+    'header',
+    'divider',
+    'routing-summary',
+    'duration-quality',
+    'divider',
+    'transfer-reasons',
+    'transfer-departments',
+    'divider',
+    'daily-trend',
+    'divider',
+    'heatmap',
+    'staffing',
+    'divider',
+    'cost-breakdown',
+    'divider',
+    'leads',
+    'divider',
+    'low-confidence'
+];
+
+// Helper: Signed difference, '-' when there is nothing to compare against
+function formatDelta(current, previous, suffix = '') {
+    if (previous === null || previous === undefined) return '-';
+    const delta = Math.round(current - previous);
+    return `${delta >= 0 ? '+' : ''}${delta}${suffix}`;
+}
+
+function renderHeader({ config, timeZone, range, priorRange }) {
+    let md = `# ${config.client.aiAssistantName} Date-Range Report\n\n`;
+    md += `## ${config.client.name} - ${range.start} to ${range.end} (${range.days} day${range.days === 1 ? '' : 's'})\n\n`;
+    md += `**Compared with:** ${priorRange.start} to ${priorRange.end}\n`;
+    md += `**Report Generated:** ${new Date().toLocaleString('en-US', { timeZone })}\n`;
+    return md;
+}
+
+function renderRoutingSummary({ metrics, previousMetrics }) {
+    const prev = key => previousMetrics ? previousMetrics[key] : null;
+    const rows = [
+        ['Total Calls', 'totalCalls', ''],
+        ['Spam Calls', 'spamCalls', ''],
+        ['Spam Likely (≤15s/no speech)', 'spamLikelyCalls', ''],
+        ['Intent Identified', 'intentIdentified', ''],
+        ['Transfer Attempted', 'transferAttempted', ''],
+        ['Routed', 'routedCalls', ''],
+        ['Routing Rate', 'routingRate', '%'],
+        ['Not Routed', 'notRoutedCalls', ''],
+        ['Hangup Before Route', 'hangupBeforeRoute', ''],
+        ['Transfer Failed', 'transferFailedCalls', ''],
+        ['Transfer Failure Rate', 'transferFailureRate', '%'],
+        ['After-Hours Calls', 'afterHoursCalls', '']
+    ];
+
+    let md = `## Routing Summary vs Prior Window\n\n`;
+    md += `| Metric | This Range | Prior Window | Δ |\n`;
+    md += `|--------|------------|--------------|---|\n`;
+    for (const [label, key, suffix] of rows) {
+        const previous = prev(key);
+        md += `| ${label} | ${metrics[key]}${suffix} | ${previous === null ? '-' : `${previous}${suffix}`} | ${formatDelta(metrics[key], previous, suffix)} |\n`;
+    }
+    if (!previousMetrics) {
+        md += `\n_No calls stored for the prior window._\n`;
+    }
+    return md;
+}
+
+function renderTransferDepartments({ metrics }) {
+    return formatTransferOutcomeSection(metrics.transferOutcomes, 'Transfers by Department', 2);
+}
+
+function renderDailyTrend({ dailyRows, charts }, { chart }) {
+    let md = `## Daily Trend\n\n`;
+    if (chart) {
+        const rows = dailyRows.map(({ date, metrics: m }) => ({ label: date.slice(5), totalCalls: m.totalCalls, routingRate: m.routingRate }));
+        md += formatTrendChart(charts, 'daily-trend', 'Calls and Routing Rate per Day', rows);
+    }
+    md += `| Date | Day | Total | Spam | Spam Likely | Attempted | Routed | Routing % | Not Routed | Not-Routed P90 | After-Hours |\n`;
+    md += `|------|-----|-------|------|------------|-----------|--------|-----------|------------|---------------|------------|\n`;
+    for (const { date, dayName, metrics: m } of dailyRows) {
+        md += `| ${date} | ${dayName} | ${m.totalCalls} | ${m.spamCalls} | ${m.spamLikelyCalls} | ${m.transferAttempted} | ${m.routedCalls} | ${m.routingRate}% | ${m.notRoutedCalls} | ${formatDuration(m.notRoutedStats.p90)} | ${m.afterHoursCalls} |\n`;
+    }
+    return md;
+}
+
+function renderHeatmap({ config, calls, charts }, { metric, intervalMinutes, peaks, display }) {
+    return formatHeatmapSection(calls, getMetricsSettings(config), { metric, intervalMinutes, peaks, charts, display });
+}
+
+function renderStaffing({ config, calls, dailyRows }, { streams, targetAnswerSeconds, serviceLevel, intervalMinutes }) {
+    return formatStaffingSection(calls, dailyRows.map(row => row.date), config, getMetricsSettings(config), {
+        streams,
+        targetAnswerSeconds,
+        serviceLevel,
+        intervalMinutes
+    });
+}
+
+function renderCostBreakdown({ config, calls }, { categories }) {
+    return formatCallCostSection(summarizeCallCosts(calls, config.report?.pricing), { categories });
+}
+
+function renderLeads({ leads, leadsCsvPath }, { limit }) {
+    let md = formatLeadsSummary(leads);
+    if (leads.all.length === 0) return md;
+
+    md += `### Lead List\n\n`;
+    md += formatLeadsTable(leads, limit);
+    if (leadsCsvPath) {
+        md += `\n_Full list exported to ${path.basename(leadsCsvPath)}._\n`;
+    }
+    return md;
+}
+
+function renderLowConfidence({ config, timeZone, calls }) {
+    const reviewSettings = getReviewSettings(config);
+    return formatLowConfidenceSection(extractLowConfidenceCalls(calls, reviewSettings), {
+        title: 'Low-Confidence Classifications (Range)',
+        threshold: reviewSettings.threshold,
+        timeZone
+    });
+}
+
+const SECTIONS = {
+    'header': { description: 'Report title, client name, date range, prior window and generation time', render: renderHeader },
+    'routing-summary': { description: 'Routing status counts and rates against the prior window of equal length', render: renderRoutingSummary },
+    'duration-quality': weekly.SECTIONS['duration-quality'],
+    'transfer-reasons': weekly.SECTIONS['transfer-reasons'],
+    'transfer-departments': { description: 'Transfers by department, time to transfer, warm/cold split', render: renderTransferDepartments },
+    'daily-trend': { description: 'One row per day in the range (chart: volume/routing-rate line chart above it)', options: { chart: true }, render: renderDailyTrend },
+    'heatmap': {
+        description: 'Calls by time of day and weekday in the client timezone (metric: volume, routed, booked, hangup, spam, successRate, avgDuration), outside-hours slots marked; display: chart, table or both',
+        options: { metric: 'volume', intervalMinutes: 60, peaks: 3, display: 'chart' },
+        render: renderHeatmap
+    },
+    'staffing': {
+        description: 'Erlang C human coverage per weekday and slot for transfers and after-hours calls, with weekly/monthly cost (null options: report.json staffing)',
+        options: { streams: ['transfers', 'after-hours'], targetAnswerSeconds: null, serviceLevel: null, intervalMinutes: null },
+        render: renderStaffing
+    },
+    'cost-breakdown': {
+        description: 'Billed and Vapi cost, Vapi cost by component, cost per routed call, booking and category',
+        options: { categories: 10 },
+        render: renderCostBreakdown
+    },
+    'leads': { description: 'High-priority follow-up leads (full list in the CSV export)', options: { limit: 20 }, render: renderLeads },
+    'low-confidence': { description: 'Range classifications below the review threshold', render: renderLowConfidence }
+};
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    SECTIONS
+};
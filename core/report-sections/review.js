@@ -0,0 +1,328 @@
+/**
+ * Business Review Sections - Renderers for the monthly / quarterly business review template
+ *
+ * Each renderer receives the context built by report-business-review.js and the
+ * section's options (defaults below, overridden per template in report.json):
+ *   config, timeZone
+ *   current   - summary of the reviewed month or quarter
+ *   previous  - the same for the month/quarter before (month-over-month / quarter-over-quarter)
+ *   yearAgo   - the same for the period one year earlier (year-over-year)
+ *   monthlyRows - [{ monthKey, label, metrics, cost, actuals, attribution }] for every month up to the period end
+ *
+ * A period summary is { period: { type, key, label, start, end, months }, metrics,
+ * cost (compareAIvsHuman), callCosts (summarizeCallCosts), actuals (sumActuals), attribution
+ * (summarizeAttributedRevenue), roi (calculateROI on attributed revenue, else reported revenue), leads
+ * (extractHighPriorityLeads), bookings: { eligible, completed, successRate },
+ * hangupAnalyses, hasData }.
+ */
+
+const path = require('path');
+const { createLLMClient } = require('../llm-client');
+const { formatCostComparisonTable, formatROI } = require('../lib/calculate_roi');
+const { formatCallCostSection } = require('../lib/call_costs');
+const { formatAttributedRevenueSection } = require('../lib/revenue_attribution');
+const { summarizeHangupThemes } = require('../lib/hangup_themes');
+const { formatTransferReasonLabel } = require('./format');
+
+const DEFAULT_SECTIONS = [
+    'header',
+    'narrative',
+    'divider',
+    'kpi-comparison',
+    'monthly-trend',
+    'divider',
+    'cost-roi',
+    'cost-breakdown',
+    'lead-conversion',
+    'divider',
+    'transfer-reasons',
+    'hangup-themes'
+];
+
+// Helper: '$1,234' or '-' for unknown amounts
+function formatMoney(value) {
+    return value === null || value === undefined ? '-' : `$${Math.round(value).toLocaleString()}`;
+}
+
+// Helper: Whole-number percentage, '-' when the base is unknown or 0
+function formatRate(part, whole) {
+    return part === null || whole === null || !whole ? '-' : `${Math.round((part / whole) * 100)}%`;
+}
+
+// Helper: Signed change between two numbers, '-' when either is unknown
+function formatChange(current, previous, suffix = '') {
+    if (current === null || current === undefined || previous === null || previous === undefined) return '-';
+    const delta = Math.round(current - previous);
+    return `${delta >= 0 ? '+' : ''}${delta.toLocaleString()}${suffix}`;
+}
+
+// Helper: The KPI values compared across periods (null when the period has no calls)
+function getKpis(summary) {
+    if (!summary || !summary.hasData) return null;
+    const { metrics, cost, actuals, bookings } = summary;
+    return {
+        totalCalls: metrics.totalCalls,
+        routedCalls: metrics.routedCalls,
+        routingRate: metrics.routingRate,
+        transferAttempted: metrics.transferAttempted,
+        notRoutedCalls: metrics.notRoutedCalls,
+        spamCalls: metrics.spamCalls + metrics.spamLikelyCalls,
+        afterHoursCalls: metrics.afterHoursCalls,
+        totalMinutes: Math.round(metrics.totalMinutes),
+        aiCost: cost.ai.totalCost,
+        bookingsCompleted: bookings.completed,
+        highPriorityLeads: summary.leads.all.length,
+        totalRevenue: actuals.totalRevenue,
+        attributedRevenue: summary.attribution.outcomes > 0 ? summary.attribution.revenue : null
+    };
+}
+
+function renderHeader({ config, timeZone, current }) {
+    const title = current.period.type === 'quarterly' ? 'Quarterly Business Review' : 'Monthly Business Review';
+    let md = `# ${config.client.aiAssistantName} ${title}\n\n`;
+    md += `## ${config.client.name} - ${current.period.label}\n\n`;
+    md += `**Period:** ${current.period.start} to ${current.period.end}\n`;
+    md += `**Report Generated:** ${new Date().toLocaleString('en-US', { timeZone })}\n`;
+    return md;
+}
+
+// Helper: Templated narrative used when the LLM call fails
+function buildFallbackNarrative(config, current, previous, yearAgo) {
+    const now = getKpis(current);
+    const prior = getKpis(previous);
+    const lastYear = getKpis(yearAgo);
+    if (!now) return `${config.client.aiAssistantName} handled no calls in ${current.period.label}.`;
+
+    let text = `${config.client.aiAssistantName} handled ${now.totalCalls.toLocaleString()} calls in ${current.period.label}`;
+    if (prior) text += ` (${formatChange(now.totalCalls, prior.totalCalls)} vs ${previous.period.label})`;
+    if (lastYear) text += ` and ${formatChange(now.totalCalls, lastYear.totalCalls)} vs ${yearAgo.period.label}`;
+    text += `, routing ${now.routingRate}% of them (${now.routedCalls.toLocaleString()} calls) at an AI cost of ${formatMoney(now.aiCost)}.`;
+    if (now.totalRevenue !== null) {
+        text += ` Reported revenue for the period is ${formatMoney(now.totalRevenue)}.`;
+    }
+    text += `\n\n${now.highPriorityLeads} high-priority leads were flagged for follow-up and ${now.notRoutedCalls} calls ended without routing.`;
+    return `${text}\n\n_(AI narrative generation failed - using template)_`;
+}
+
+async function renderNarrative({ config, current, previous, yearAgo }, { paragraphs }) {
+    console.log('Generating business review narrative...');
+    const aiName = config.client.aiAssistantName;
+    const describe = summary => {
+        const kpis = getKpis(summary);
+        if (!kpis) return `${summary.period.label}: no call data`;
+        const themes = summarizeHangupThemes(summary.hangupAnalyses, 3).themes.map(t => `${t.reason} (${t.count})`).join('; ');
+        const topReasons = Object.entries(summary.metrics.transferReasons).sort((a, b) => b[1] - a[1]).slice(0, 3)
+            .map(([reason, count]) => `${reason} (${count})`).join(', ');
+        return `${summary.period.label}: ${kpis.totalCalls} calls, ${kpis.routedCalls} routed (${kpis.routingRate}%), `
+            + `${kpis.transferAttempted} transfer attempts, ${kpis.notRoutedCalls} not routed, ${kpis.spamCalls} spam/spam-likely, `
+            + `${kpis.afterHoursCalls} after hours, ${kpis.totalMinutes} AI minutes costing ${formatMoney(kpis.aiCost)}, `
+            + `${kpis.bookingsCompleted} bookings completed, ${kpis.highPriorityLeads} high-priority leads, `
+            + `revenue ${kpis.totalRevenue === null ? 'not yet reported' : formatMoney(kpis.totalRevenue)}`
+            + `${topReasons ? `; top transfer reasons: ${topReasons}` : ''}${themes ? `; top hangup reasons: ${themes}` : ''}`;
+    };
+
+    const prompt = `You are an executive reporting assistant writing the ${current.period.type === 'quarterly' ? 'quarterly' : 'monthly'} business review for ${aiName} (an AI phone assistant for ${config.client.name}).
+
+**Data:**
+- Reviewed period: ${describe(current)}
+- Prior period: ${describe(previous)}
+- Same period last year: ${describe(yearAgo)}
+
+**Instructions:**
+- Write ${paragraphs} short paragraphs: performance and volume, cost and revenue, lead conversion and follow-up, and one or two recommendations for next period
+- Compare with the prior period and last year where data exists; say plainly when a comparison is unavailable
+- Use specific numbers; include raw counts with percentages
+- Periods with fewer than 100 calls have low statistical significance - temper conclusions accordingly
+- Keep it executive-friendly: business impact, not technical details`;
+
+    let narrative;
+    try {
+        const llm = createLLMClient(config);
+        const response = await llm.complete('businessReview', {
+            messages: [{ role: 'user', content: prompt }]
+        });
+        narrative = response.content.trim();
+    } catch (error) {
+        console.warn('Failed to generate AI narrative:', error.message);
+        narrative = buildFallbackNarrative(config, current, previous, yearAgo);
+    }
+
+    return `## Executive Narrative\n\n${narrative}\n`;
+}
+
+function renderKpiComparison({ current, previous, yearAgo }) {
+    const now = getKpis(current);
+    if (!now) return `## Key Metrics\n\n_No calls recorded in ${current.period.label}._\n`;
+    const prior = getKpis(previous);
+    const lastYear = getKpis(yearAgo);
+    const priorLabel = current.period.type === 'quarterly' ? 'QoQ' : 'MoM';
+
+    const rows = [
+        ['Total Calls', 'totalCalls', v => v.toLocaleString(), ''],
+        ['Routed', 'routedCalls', v => v.toLocaleString(), ''],
+        ['Routing Rate', 'routingRate', v => `${v}%`, '%'],
+        ['Transfer Attempted', 'transferAttempted', v => v.toLocaleString(), ''],
+        ['Not Routed', 'notRoutedCalls', v => v.toLocaleString(), ''],
+        ['Spam / Spam Likely', 'spamCalls', v => v.toLocaleString(), ''],
+        ['After-Hours Calls', 'afterHoursCalls', v => v.toLocaleString(), ''],
+        ['AI Minutes', 'totalMinutes', v => v.toLocaleString(), ''],
+        ['AI Cost', 'aiCost', formatMoney, ''],
+        ['Bookings Completed', 'bookingsCompleted', v => v.toLocaleString(), ''],
+        ['High-Priority Leads', 'highPriorityLeads', v => v.toLocaleString(), ''],
+        ['Revenue (reported)', 'totalRevenue', formatMoney, ''],
+        ['Revenue (attributed)', 'attributedRevenue', formatMoney, '']
+    ];
+
+    let md = `## Key Metrics\n\n`;
+    md += `| Metric | ${current.period.label} | ${previous.period.label} | ${priorLabel} | ${yearAgo.period.label} | YoY |\n`;
+    md += `|--------|------|------|-----|------|-----|\n`;
+    for (const [label, key, fmt, suffix] of rows) {
+        const show = kpis => (kpis && kpis[key] !== null ? fmt(kpis[key]) : '-');
+        const change = kpis => {
+            if (!kpis) return '-';
+            if (fmt !== formatMoney) return formatChange(now[key], kpis[key], suffix);
+            if (now[key] === null || kpis[key] === null) return '-';
+            return `${now[key] >= kpis[key] ? '+' : '-'}${formatMoney(Math.abs(now[key] - kpis[key]))}`;
+        };
+        md += `| ${label} | ${show(now)} | ${show(prior)} | ${change(prior)} | ${show(lastYear)} | ${change(lastYear)} |\n`;
+    }
+    if (!lastYear) {
+        md += `\n_No call data for ${yearAgo.period.label}; year-over-year comparison unavailable._\n`;
+    }
+    return md;
+}
+
+function renderMonthlyTrend({ monthlyRows }, { months }) {
+    const rows = monthlyRows.slice(-months);
+    if (rows.length === 0) return '';
+
+    let md = `## Monthly Trend\n\n`;
+    md += `| Month | Total | Routed | Routing % | Not Routed | AI Minutes | AI Cost | Revenue | Attributed |\n`;
+    md += `|-------|-------|--------|-----------|------------|------------|---------|---------|------------|\n`;
+    for (const row of rows) {
+        const attributed = row.attribution.outcomes > 0 ? row.attribution.revenue : null;
+        md += `| ${row.label} | ${row.metrics.totalCalls} | ${row.metrics.routedCalls} | ${row.metrics.routingRate}% | ${row.metrics.notRoutedCalls} | ${Math.round(row.metrics.totalMinutes)} | ${formatMoney(row.cost.ai.totalCost)} | ${formatMoney(row.actuals.totalRevenue)} | ${formatMoney(attributed)} |\n`;
+    }
+    return md;
+}
+
+function renderCostRoi({ config, current }) {
+    let md = `## Cost & ROI\n\n`;
+    if (!current.hasData) {
+        md += `_No calls recorded in ${current.period.label}._\n`;
+        return md;
+    }
+    md += formatCostComparisonTable(current.cost);
+    const routed = current.metrics.routedCalls;
+    md += `\n- **AI cost per routed call:** ${routed > 0 ? `$${(current.cost.ai.totalCost / routed).toFixed(2)}` : '-'}\n`;
+
+    if (current.attribution.outcomes > 0) {
+        md += `\n${formatAttributedRevenueSection(current.attribution, current.cost.ai.totalCost, { title: 'Return on Investment (Attributed Sales)' })}`;
+        return md;
+    }
+
+    md += `\n### Return on Investment\n\n`;
+    if (current.actuals.totalRevenue === null) {
+        md += `_No sales outcomes are matched to calls in ${current.period.label} and revenue.json has no revenue for ${current.period.months.join(', ')}. `;
+        md += `Import the CRM export with \`node scripts/import-sales-outcomes.js --client=${path.basename(config.paths.clientDir)} --file=<sales.csv>\`._\n`;
+    } else {
+        md += formatROI(current.roi);
+        if (current.actuals.monthsWithData < current.period.months.length) {
+            md += `\n_Revenue covers ${current.actuals.monthsWithData} of ${current.period.months.length} months._\n`;
+        }
+    }
+    return md;
+}
+
+function renderCostBreakdown({ current }, { categories }) {
+    return formatCallCostSection(current.callCosts, { title: `AI Cost Breakdown (${current.period.label})`, categories });
+}
+
+function renderLeadConversion({ current, previous, yearAgo }) {
+    const summaries = [current, previous, yearAgo];
+    const value = (summary, get) => (summary.hasData || summary.actuals.monthsWithData > 0 ? get(summary) : null);
+    const rows = [
+        ['Booking-Intent Calls', s => value(s, x => x.bookings.eligible)],
+        ['Bookings Completed (AI)', s => value(s, x => x.bookings.completed)],
+        ['Booking Success Rate', s => value(s, x => formatRate(x.bookings.completed, x.bookings.eligible))],
+        ['High-Priority Leads', s => value(s, x => x.leads.all.length)],
+        ['Bookings Generated (reported)', s => s.actuals.bookingsGenerated],
+        ['Sales Visits (reported)', s => s.actuals.salesVisits],
+        ['Converted Visits (reported)', s => s.actuals.convertedVisits],
+        ['Visit Close Rate', s => formatRate(s.actuals.convertedVisits, s.actuals.salesVisits)],
+        ['Avg Project Value', s => formatMoney(s.actuals.avgProjectValue)]
+    ];
+
+    let md = `## Lead Conversion\n\n`;
+    md += `| Metric | ${summaries.map(s => s.period.label).join(' | ')} |\n`;
+    md += `|--------|${summaries.map(() => '------').join('|')}|\n`;
+    for (const [label, get] of rows) {
+        md += `| ${label} | ${summaries.map(s => {
+            const v = get(s);
+            return v === null || v === undefined ? '-' : (typeof v === 'number' ? v.toLocaleString() : v);
+        }).join(' | ')} |\n`;
+    }
+    if (current.actuals.monthsWithData === 0) {
+        md += `\n_Reported figures come from revenue.json monthly entries (${current.period.months.join(', ')})._\n`;
+    }
+    return md;
+}
+
+function renderTransferReasons({ current, previous, yearAgo }, { limit }) {
+    let md = `## Top Transfer Reasons\n\n`;
+    const reasons = Object.entries(current.hasData ? current.metrics.transferReasons : {})
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+    if (reasons.length === 0) {
+        md += `_No routed calls in ${current.period.label}._\n`;
+        return md;
+    }
+
+    const countFor = (summary, reason) => (summary.hasData ? summary.metrics.transferReasons[reason] || 0 : null);
+    md += `| Reason | Routed | % of Routed | ${previous.period.label} | ${yearAgo.period.label} |\n`;
+    md += `|--------|--------|-------------|------|------|\n`;
+    for (const [reason, count] of reasons) {
+        const prior = countFor(previous, reason);
+        const lastYear = countFor(yearAgo, reason);
+        md += `| ${formatTransferReasonLabel(reason)} | ${count} | ${formatRate(count, current.metrics.routedCalls)} | ${prior === null ? '-' : prior} | ${lastYear === null ? '-' : lastYear} |\n`;
+    }
+    return md;
+}
+
+function renderHangupThemes({ current }, { limit }) {
+    let md = `## Top Hangup Themes\n\n`;
+    const summary = summarizeHangupThemes(current.hangupAnalyses, limit);
+    if (summary.total === 0) {
+        md += `_No hangup analyses for ${current.period.label}. Run analyze-hangups.js for ${current.period.start} to ${current.period.end} to populate this section._\n`;
+        return md;
+    }
+
+    md += `${summary.total} hangups analyzed: ${summary.qualified} qualified leads, ${summary.highPriority} high-priority callbacks.\n\n`;
+    md += `| Hangup Reason | Calls | Qualified | High Priority |\n`;
+    md += `|---------------|-------|-----------|---------------|\n`;
+    for (const theme of summary.themes) {
+        md += `| ${theme.reason} | ${theme.count} | ${theme.qualified} | ${theme.highPriority} |\n`;
+    }
+    return md;
+}
+
+const SECTIONS = {
+    'header': { description: 'Report title, client name, period and generation time', render: renderHeader },
+    'narrative': { description: 'GPT-written narrative of the period (template text if GPT fails)', options: { paragraphs: 4 }, render: renderNarrative },
+    'kpi-comparison': { description: 'Key metrics with prior-period and year-over-year changes', render: renderKpiComparison },
+    'monthly-trend': { description: 'One row per month up to the period end', options: { months: 13 }, render: renderMonthlyTrend },
+    'cost-roi': { description: 'AI vs human cost (calculate_roi) and ROI from attributed sales (revenue.json revenue when none are matched)', render: renderCostRoi },
+    'cost-breakdown': {
+        description: 'Billed and Vapi cost, Vapi cost by component, cost per routed call, booking and category',
+        options: { categories: 10 },
+        render: renderCostBreakdown
+    },
+    'lead-conversion': { description: 'Bookings, leads and reported visit/close figures by period', render: renderLeadConversion },
+    'transfer-reasons': { description: 'Most common transfer reasons with prior-period and year-ago counts', options: { limit: 5 }, render: renderTransferReasons },
+    'hangup-themes': { description: 'Most common hangup reasons from analyze-hangups.js analyses', options: { limit: 5 }, render: renderHangupThemes }
+};
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    SECTIONS
+};
@@ -0,0 +1,265 @@
+/**
+ * Weekly Report Sections - Renderers for the weekly report template
+ *
+ * Each renderer receives the context built by report-weekly.js and the
+ * section's options (defaults below, overridden per template in report.json):
+ *   config, timeZone, weekKey
+ *   metrics         - computeMetrics() result for the week (core/metrics.js)
+ *   previousMetrics - the same for the week before (null when there is no data)
+ *   calls           - processed calls for the week (processCalls)
+ *   attributions    - stored sales outcome attributions (store_revenue_attribution.js)
+ *   charts          - createChartSet() result; chart sections fall back to tables without it
+ */
+
+const path = require('path');
+const { format, parseISO } = require('date-fns');
+const { toZonedTime } = require('date-fns-tz');
+const { createLLMClient } = require('../llm-client');
+const { getReviewSettings, extractLowConfidenceCalls, formatLowConfidenceSection } = require('../lib/review_classifications');
+const { formatTransferOutcomeSection } = require('../lib/transfer_outcome');
+const { formatHeatmapSection } = require('../lib/generate_heatmap');
+const { getMetricsSettings } = require('../metrics');
+const { summarizeCallCosts, formatCallCostSection } = require('../lib/call_costs');
+const { compareAIvsHuman, formatCostComparisonTable } = require('../lib/calculate_roi');
+const { summarizeAttributedRevenue, formatAttributedRevenueSection } = require('../lib/revenue_attribution');
+const { formatDuration, cleanSummaryText, formatCategoryChart } = require('./format');
+
+const DEFAULT_SECTIONS = [
+    'header',
+    'divider',
+    'executive-summary',
+    'divider',
+    'routing-summary',
+    'duration-quality',
+    'divider',
+    'transfer-reasons',
+    'transfer-departments',
+    'divider',
+    'top-not-routed',
+    'divider',
+    'category-chart',
+    'heatmap',
+    'divider',
+    'cost-roi',
+    'cost-breakdown',
+    'divider',
+    'low-confidence',
+    'divider'
+];
+
+// Helper: GPT executive summary, with a templated fallback when the call fails
+async function generateExecutiveSummary(config, metrics, previousMetrics, weekKey) {
+    const aiName = config.client.aiAssistantName;
+
+    const prompt = `You are an executive reporting assistant analyzing ${aiName} (an AI phone assistant for ${config.client.name}) routing performance.
+
+Generate a concise executive summary (3-4 paragraphs) based on this week's performance:
+
+**Week ${weekKey} Performance:**
+- Total Calls: ${metrics.totalCalls}${previousMetrics ? ` (${metrics.totalCalls > previousMetrics.totalCalls ? '+' : ''}${metrics.totalCalls - previousMetrics.totalCalls} vs last week)` : ''}
+- Routed Calls: ${metrics.routedCalls} (${metrics.routingRate}% routing rate)${previousMetrics ? ` (${metrics.routingRate >= previousMetrics.routingRate ? '+' : ''}${metrics.routingRate - previousMetrics.routingRate}% vs last week)` : ''}
+- Transfer Attempted: ${metrics.transferAttempted} (${metrics.transferAttemptRate}%)
+- Transfer Failure Rate: ${metrics.transferFailureRate}%
+- Not Routed: ${metrics.notRoutedCalls}
+- Hangup Before Route: ${metrics.hangupBeforeRoute}
+- Spam Calls: ${metrics.spamCalls} (${metrics.spamRate}%)
+- Spam Likely (short/no speech): ${metrics.spamLikelyCalls} (${metrics.spamLikelyRate}%)
+- After-Hours Calls: ${metrics.afterHoursCalls}
+- Routed Duration (Avg/Median): ${formatDuration(metrics.routedStats.avg)} / ${formatDuration(metrics.routedStats.median)}
+- Not-Routed Duration (Avg/P90): ${formatDuration(metrics.notRoutedStats.avg)} / ${formatDuration(metrics.notRoutedStats.p90)}
+
+**IMPORTANT - Statistical Context:**
+- Weeks with fewer than 20 total calls have lower statistical significance - temper analysis accordingly
+- When comparing week-over-week, note if either week had <20 calls before drawing conclusions
+- Avoid dramatic language for small sample sizes
+- Include raw numbers with percentages where relevant (e.g., "80% (4/5)" not just "80%")
+
+**Template Structure:**
+1. **Performance Overview**: Highlight call volume, routing rate trends, and key wins
+2. **Routing Effectiveness**: Focus on transfer attempts vs successful routes and failure rate
+3. **Caller Experience**: Not-routed duration stats and hangups before route
+4. **Strategic Insights**: One actionable insight or pattern worth noting
+
+Keep it executive-friendly: focus on business impact, not technical details. Use specific numbers.`;
+
+    try {
+        const llm = createLLMClient(config);
+        const response = await llm.complete('weeklySummary', {
+            messages: [{ role: 'user', content: prompt }]
+        });
+
+        return response.content.trim();
+    } catch (error) {
+        console.warn('Failed to generate AI summary:', error.message);
+        return `**Week ${weekKey} Performance Overview**\n\n${aiName} handled ${metrics.totalCalls} calls this week${previousMetrics ? `, ${metrics.totalCalls > previousMetrics.totalCalls ? 'up' : 'down'} ${Math.abs(metrics.totalCalls - previousMetrics.totalCalls)} from last week` : ''}. Routing rate was ${metrics.routingRate}% with ${metrics.routedCalls} routed calls.\n\n**Key Opportunities:** ${metrics.notRoutedCalls} calls were not routed, and ${metrics.hangupBeforeRoute} callers hung up before routing completed.\n\n_(AI summary generation failed - using template)_`;
+    }
+}
+
+function renderHeader({ config, timeZone, weekKey }) {
+    let md = `# ${config.client.aiAssistantName} Weekly Routing Report\n\n`;
+    md += `## ${config.client.name} - Week ${weekKey}\n\n`;
+    md += `**Report Generated:** ${new Date().toLocaleString('en-US', { timeZone })}\n`;
+    return md;
+}
+
+async function renderExecutiveSummary({ config, weekKey, metrics, previousMetrics }) {
+    console.log('Generating executive summary...');
+    const executiveSummary = await generateExecutiveSummary(config, metrics, previousMetrics, weekKey);
+    return `## Executive Summary\n\n${executiveSummary}\n`;
+}
+
+function renderRoutingSummary({ metrics }) {
+    let md = `## Weekly Routing Summary\n\n`;
+    md += `| Metric | Count | % |\n`;
+    md += `|--------|-------|---|\n`;
+    md += `| Total Calls | ${metrics.totalCalls} | 100% |\n`;
+    md += `| Spam Calls | ${metrics.spamCalls} | ${metrics.spamRate}% |\n`;
+    md += `| Spam Likely (≤15s/no speech) | ${metrics.spamLikelyCalls} | ${metrics.spamLikelyRate}% |\n`;
+    md += `| Intent Identified | ${metrics.intentIdentified} | - |\n`;
+    md += `| Transfer Attempted | ${metrics.transferAttempted} | ${metrics.transferAttemptRate}% |\n`;
+    md += `| Routed | ${metrics.routedCalls} | ${metrics.routingRate}% |\n`;
+    md += `| Not Routed | ${metrics.notRoutedCalls} | - |\n`;
+    md += `| Hangup Before Route | ${metrics.hangupBeforeRoute} | - |\n`;
+    md += `| Transfer Failed | ${metrics.transferFailedCalls} | ${metrics.transferFailedRate}% |\n`;
+    md += `| After-Hours Calls | ${metrics.afterHoursCalls} | - |\n\n`;
+    md += `- **Transfer Failure Rate:** ${metrics.transferFailureRate}%\n`;
+    return md;
+}
+
+function renderDurationQuality({ metrics }) {
+    let md = `## Duration Quality\n\n`;
+    md += `- **Routed Duration (Avg/Median):** ${formatDuration(metrics.routedStats.avg)} / ${formatDuration(metrics.routedStats.median)}\n`;
+    md += `- **Not-Routed Duration (Avg/Median/P90):** ${formatDuration(metrics.notRoutedStats.avg)} / ${formatDuration(metrics.notRoutedStats.median)} / ${formatDuration(metrics.notRoutedStats.p90)}\n\n`;
+
+    md += `### Not-Routed Duration Histogram\n\n`;
+    md += `| Bucket | Count |\n`;
+    md += `|--------|-------|\n`;
+    for (const [bucket, count] of Object.entries(metrics.notRoutedBuckets)) {
+        md += `| ${bucket} | ${count} |\n`;
+    }
+    return md;
+}
+
+function renderTransferReasons({ metrics }) {
+    let md = `## Transfer Breakdown by Reason (Routed Only)\n\n`;
+    md += `| Reason | Count | % of Routed |\n`;
+    md += `|--------|-------|-------------|\n`;
+    const routedTotal = metrics.routedCalls;
+    if (routedTotal === 0) {
+        md += `| No routed calls | 0 | 0% |\n`;
+    } else {
+        for (const [reason, count] of Object.entries(metrics.transferReasons)) {
+            md += `| ${reason} | ${count} | ${((count / routedTotal) * 100).toFixed(1)}% |\n`;
+        }
+    }
+    return md;
+}
+
+function renderTransferDepartments({ metrics }) {
+    return formatTransferOutcomeSection(metrics.transferOutcomes, 'Transfers by Department (Week)', 2);
+}
+
+function renderTopNotRouted({ calls, timeZone }, { limit }) {
+    let md = `## Top ${limit} Not-Routed Call Summaries (Week)\n\n`;
+    md += `| Date | Time | Duration | Ended Reason | Summary |\n`;
+    md += `|------|------|----------|--------------|---------|\n`;
+    const topNotRouted = calls
+        .filter(c => c.notRouted)
+        .sort((a, b) => (b.duration || 0) - (a.duration || 0))
+        .slice(0, limit);
+
+    if (topNotRouted.length === 0) {
+        md += `| No not-routed calls | - | - | - | - |\n`;
+        return md;
+    }
+    for (const call of topNotRouted) {
+        const zoned = call.createdAt ? toZonedTime(new Date(call.createdAt), timeZone) : null;
+        const dateStr = zoned ? format(zoned, 'yyyy-MM-dd') : 'N/A';
+        const timeStr = zoned ? format(zoned, 'h:mm a') : 'N/A';
+        md += `| ${dateStr} | ${timeStr} | ${formatDuration(call.duration || 0)} | ${call.endedReason || 'unknown'} | ${cleanSummaryText(call.summary || '')} |\n`;
+    }
+    return md;
+}
+
+function renderHeatmap({ config, calls, charts }, { metric, intervalMinutes, peaks, display }) {
+    return formatHeatmapSection(calls, getMetricsSettings(config), { metric, intervalMinutes, peaks, period: 'Week', charts, display });
+}
+
+function renderCategoryChart({ calls, timeZone, charts }, { top }) {
+    let md = `## Calls by Category (Week)\n\n`;
+    if (calls.length === 0) {
+        md += `_No calls this week._\n`;
+        return md;
+    }
+
+    const byDay = new Map();
+    for (const call of calls) {
+        if (!call.createdAt) continue;
+        const day = format(toZonedTime(new Date(call.createdAt), timeZone), 'yyyy-MM-dd');
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(call);
+    }
+    const groups = Array.from(byDay.keys()).sort().map(day => ({
+        label: format(parseISO(day), 'EEE MM-dd'),
+        calls: byDay.get(day)
+    }));
+    md += formatCategoryChart(charts, 'category-week', 'Calls by Category per Day', groups, top);
+    return md;
+}
+
+function renderCostRoi({ config, metrics, calls, attributions = [] }) {
+    let md = `## Cost & ROI (Week)\n\n`;
+    if (calls.length === 0) {
+        md += `_No calls this week._\n`;
+        return md;
+    }
+    const pricing = config.report?.pricing || {};
+    const cost = compareAIvsHuman(metrics.totalMinutes, metrics.totalCalls, pricing, summarizeCallCosts(calls, pricing));
+    md += formatCostComparisonTable(cost);
+    md += `\n${formatAttributedRevenueSection(summarizeAttributedRevenue(attributions, calls), cost.ai.totalCost, {
+        title: 'Attributed Revenue & ROI',
+        client: path.basename(config.paths.clientDir)
+    })}`;
+    return md;
+}
+
+function renderCostBreakdown({ config, calls }, { categories }) {
+    return formatCallCostSection(summarizeCallCosts(calls, config.report?.pricing), { title: 'AI Cost Breakdown (Week)', categories });
+}
+
+function renderLowConfidence({ config, timeZone, calls }) {
+    const reviewSettings = getReviewSettings(config);
+    return formatLowConfidenceSection(extractLowConfidenceCalls(calls, reviewSettings), {
+        title: 'Low-Confidence Classifications (Week)',
+        threshold: reviewSettings.threshold,
+        timeZone
+    });
+}
+
+const SECTIONS = {
+    'header': { description: 'Report title, client name, week and generation time', render: renderHeader },
+    'executive-summary': { description: 'GPT-written summary of the week (template text if GPT fails)', render: renderExecutiveSummary },
+    'routing-summary': { description: 'Routing status counts and rates for the week', render: renderRoutingSummary },
+    'duration-quality': { description: 'Routed/not-routed duration stats and histogram', render: renderDurationQuality },
+    'transfer-reasons': { description: 'Routed calls per transfer reason', render: renderTransferReasons },
+    'transfer-departments': { description: 'Transfers by department, time to transfer, warm/cold split', render: renderTransferDepartments },
+    'top-not-routed': { description: 'Longest not-routed calls of the week with summaries', options: { limit: 10 }, render: renderTopNotRouted },
+    'heatmap': {
+        description: 'Calls by time of day and weekday in the client timezone (metric: volume, routed, booked, hangup, spam, successRate, avgDuration), outside-hours slots marked; display: chart, table or both',
+        options: { metric: 'volume', intervalMinutes: 60, peaks: 3, display: 'chart' },
+        render: renderHeatmap
+    },
+    'category-chart': { description: 'Calls per day of the week stacked by category (top categories, the rest as other)', options: { top: 6 }, render: renderCategoryChart },
+    'cost-roi': { description: 'AI vs human cost, then sales outcomes attributed to the week\'s calls by match confidence and the ROI they give', render: renderCostRoi },
+    'cost-breakdown': {
+        description: 'Billed and Vapi cost, Vapi cost by component, cost per routed call, booking and category',
+        options: { categories: 10 },
+        render: renderCostBreakdown
+    },
+    'low-confidence': { description: 'Week classifications below the review threshold', render: renderLowConfidence }
+};
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    SECTIONS
+};
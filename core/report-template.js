@@ -0,0 +1,183 @@
+/**
+ * Report Templates - Declarative section lists for the DOD, intraday, weekly, date-range, business review and portfolio reports
+ *
+ * A report is an ordered list of sections. Each section is a registered renderer
+ * (core/report-sections/<reportType>.js) that receives the computed metrics as a
+ * context object plus its options, and returns Markdown. Clients pick and order
+ * sections per template in report.json:
+ *
+ *   "templates": {
+ *     "dod": {
+ *       "executive": {
+ *         "description": "Trimmed daily email for leadership",
+ *         "sections": [
+ *           "header",
+ *           "executive-summary",
+ *           { "section": "transfer-breakdown", "options": { "compareDays": 14 } }
+ *         ],
+ *         "email": { "subject": "{clientName} - Daily Summary ({date})", "toProduction": ["..."] }
+ *       }
+ *     }
+ *   }
+ *
+ * Every report type has a built-in "default" template (the full report); a client
+ * can replace it by defining templates.<type>.default. `email` keys override the
+ * matching client.json `email` keys when the template is sent by scheduled-report.js.
+ * Portfolio templates live in portfolio/config/portfolio.json `templates.portfolio`.
+ */
+
+const DEFAULT_TEMPLATE = 'default';
+
+// Sections available in every report type
+const COMMON_SECTIONS = {
+    'divider': { description: 'Horizontal rule between sections', render: () => '---' }
+};
+
+const BUILT_IN_SECTIONS = {
+    dod: require('./report-sections/dod'),
+    intraday: require('./report-sections/intraday'),
+    weekly: require('./report-sections/weekly'),
+    range: require('./report-sections/range'),
+    review: require('./report-sections/review'),
+    portfolio: require('./report-sections/portfolio')
+};
+
+const registry = new Map(); // reportType -> Map(sectionName -> section)
+
+// Helper: Section map for a report type, seeded with the built-in renderers
+function getSectionRegistry(reportType) {
+    if (!registry.has(reportType)) {
+        const builtIn = BUILT_IN_SECTIONS[reportType];
+        if (!builtIn) {
+            throw new Error(`Unknown report type "${reportType}". Expected one of: ${Object.keys(BUILT_IN_SECTIONS).join(', ')}`);
+        }
+        registry.set(reportType, new Map(Object.entries({ ...COMMON_SECTIONS, ...builtIn.SECTIONS })));
+    }
+    return registry.get(reportType);
+}
+
+/**
+ * Register (or replace) a section renderer for a report type
+ * @param {String} reportType - 'dod', 'intraday', 'weekly', 'range', 'review' or 'portfolio'
+ * @param {String} name - Section name used in templates
+ * @param {Object} section - { description, options (defaults), render(context, options) -> Markdown or Promise }
+ */
+function registerSection(reportType, name, section) {
+    if (!section || typeof section.render !== 'function') {
+        throw new Error(`Section "${name}" must have a render(context, options) function`);
+    }
+    getSectionRegistry(reportType).set(name, section);
+}
+
+/**
+ * List the sections a report type can use
+ * @param {String} reportType - 'dod', 'intraday', 'weekly', 'range', 'review' or 'portfolio'
+ * @returns {Array} [{ name, description, options }]
+ */
+function listSections(reportType) {
+    return Array.from(getSectionRegistry(reportType).entries()).map(([name, section]) => ({
+        name,
+        description: section.description || '',
+        options: section.options || {}
+    }));
+}
+
+/**
+ * Template names defined for a report type (the built-in default first)
+ * @param {Object} config - Client config from loadClientConfig
+ * @param {String} reportType - 'dod', 'intraday', 'weekly', 'range', 'review' or 'portfolio'
+ * @returns {Array} Template names
+ */
+function listReportTemplates(config, reportType) {
+    const configured = Object.keys(config.report?.templates?.[reportType] || {});
+    return [DEFAULT_TEMPLATE, ...configured.filter(name => name !== DEFAULT_TEMPLATE)];
+}
+
+/**
+ * Resolve and validate a template from report.json (or the built-in default)
+ * @param {Object} config - Client config from loadClientConfig
+ * @param {String} reportType - 'dod', 'intraday', 'weekly', 'range', 'review' or 'portfolio'
+ * @param {String} templateName - Template name (default: 'default')
+ * @returns {Object} { name, description, sections: [{ section, options }], email }
+ * @throws {Error} on an unknown template, section or option
+ */
+function resolveReportTemplate(config, reportType, templateName = DEFAULT_TEMPLATE) {
+    const sections = getSectionRegistry(reportType);
+    const configured = config.report?.templates?.[reportType]?.[templateName];
+
+    if (!configured && templateName !== DEFAULT_TEMPLATE) {
+        throw new Error(`Unknown ${reportType} template "${templateName}". Defined templates: ${listReportTemplates(config, reportType).join(', ')}`);
+    }
+    if (!/^[a-z0-9-]+$/.test(templateName)) {
+        throw new Error(`Template name "${templateName}" may only contain lowercase letters, digits and dashes`);
+    }
+
+    const template = configured || { sections: BUILT_IN_SECTIONS[reportType].DEFAULT_SECTIONS };
+    if (!Array.isArray(template.sections) || template.sections.length === 0) {
+        throw new Error(`${reportType} template "${templateName}" needs a non-empty "sections" list`);
+    }
+
+    const resolved = template.sections.map((entry, index) => {
+        const name = typeof entry === 'string' ? entry : entry?.section;
+        const section = sections.get(name);
+        if (!section) {
+            throw new Error(`${reportType} template "${templateName}" section ${index + 1}: unknown section "${name}". Available: ${Array.from(sections.keys()).join(', ')}`);
+        }
+
+        const defaults = section.options || {};
+        const options = (typeof entry === 'object' && entry.options) || {};
+        const unknown = Object.keys(options).filter(key => !(key in defaults));
+        if (unknown.length > 0) {
+            const known = Object.keys(defaults);
+            throw new Error(`${reportType} template "${templateName}" section "${name}": unknown option(s) ${unknown.join(', ')}${known.length ? ` (supported: ${known.join(', ')})` : ' (section takes no options)'}`);
+        }
+
+        return { section: name, options: { ...defaults, ...options } };
+    });
+
+    return {
+        name: templateName,
+        description: template.description || '',
+        sections: resolved,
+        email: template.email || {}
+    };
+}
+
+/**
+ * Render a resolved template to Markdown
+ * Sections run in order; empty sections are skipped and the rest are separated by a blank line.
+ * @param {String} reportType - 'dod', 'intraday', 'weekly', 'range', 'review' or 'portfolio'
+ * @param {Object} template - From resolveReportTemplate
+ * @param {Object} context - Computed report data passed to every renderer
+ * @returns {Promise<String>} Markdown report
+ */
+async function renderReport(reportType, template, context) {
+    const sections = getSectionRegistry(reportType);
+    const blocks = [];
+
+    for (const { section, options } of template.sections) {
+        const md = await sections.get(section).render(context, options);
+        if (md && md.trim()) blocks.push(md.trim());
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Filename suffix for a template's report files ('' for the default template)
+ * @param {String} templateName - Template name
+ * @returns {String} e.g. '-executive'
+ */
+function getTemplateFileSuffix(templateName) {
+    return !templateName || templateName === DEFAULT_TEMPLATE ? '' : `-${templateName}`;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    registerSection,
+    listSections,
+    listReportTemplates,
+    resolveReportTemplate,
+    renderReport,
+    getTemplateFileSuffix
+};
@@ -7,12 +7,16 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
 const { format, parse } = require('date-fns');
 const { toZonedTime } = require('date-fns-tz');
 const { loadClientConfig } = require('../core/config-loader');
+const { createLLMClient } = require('../core/llm-client');
 const { loadAllEnrichments } = require('../core/lib/store_enrichment');
 const { classifyCall } = require('../core/lib/classify_call');
+const { getClassificationRules } = require('../core/lib/rule_engine');
+const { extractTransferOutcome } = require('../core/lib/transfer_outcome');
+const { getMetricsSettings, processCalls, computeMetrics } = require('../core/metrics');
+const { buildCallExportRows, writeReportExports } = require('../core/lib/export_metrics');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -43,7 +47,7 @@ const forceRefresh = !!forceArg;
 // Load client configuration
 const config = loadClientConfig(clientName);
 const TIME_ZONE = config.client.timezone || 'America/New_York';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const CLASSIFICATION_RULES = getClassificationRules(config);
 
 console.log(`=== Analyzing hangups for ${config.client.name} ===`);
 console.log(`AI Assistant: ${config.client.aiAssistantName}`);
@@ -52,12 +56,14 @@ console.log(`Date range: ${startDate} to ${endDate}`);
 console.log(`Analysis limit: ${limit} calls`);
 console.log(`Force refresh: ${forceRefresh}`);
 
-if (!OPENAI_API_KEY) {
-  console.error('Error: OPENAI_API_KEY environment variable is not set.');
+let llm;
+try {
+  llm = createLLMClient(config);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
   process.exit(1);
 }
-
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+const ANALYSIS_MODEL = llm.getTaskSettings('hangupAnalysis').model;
 
 // Helper: Load existing OpenAI analyses
 function loadExistingAnalyses() {
@@ -118,7 +124,7 @@ function categorizeNonSuccessCalls(calls, geminiEnrichments) {
       classification = enrichment.classification;
     } else {
       // 2. Fallback: Use local classification if not enriched
-      const localResult = classifyCall(call);
+      const localResult = classifyCall(call, CLASSIFICATION_RULES);
       if (!localResult.needs_analysis) {
         classification = localResult;
       } else {
@@ -161,7 +167,7 @@ function categorizeNonSuccessCalls(calls, geminiEnrichments) {
     }
 
     // Safety net check: Definitive transfer check (in case enrichment missed it)
-    if (call.endedReason === 'assistant-forwarded-call') {
+    if (extractTransferOutcome(call, CLASSIFICATION_RULES).completed) {
       return;
     }
 
@@ -231,7 +237,7 @@ async function analyzeHangups() {
     console.log(`Total calls loaded: ${allCalls.length}`);
 
     // Load enrichments
-    const geminiEnrichments = loadAllEnrichments(config.paths.enrichedDir);
+    const geminiEnrichments = loadAllEnrichments(config.paths.enrichedDir, config.paths.overridesFile);
     console.log(`Loaded ${geminiEnrichments.size} enrichments`);
 
     // Categorize non-success calls into True Hangups vs Spam/Non-Responsive
@@ -346,8 +352,7 @@ async function analyzeHangups() {
       };
 
       try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
+        const completion = await llm.complete('hangupAnalysis', {
           messages: [
             {
               role: "system",
@@ -401,18 +406,17 @@ ${JSON.stringify(callData, null, 2)}
 }`
             }
           ],
-          response_format: { type: "json_object" },
-          temperature: 0.7
+          json: true
         });
 
-        const analysis = JSON.parse(completion.choices[0].message.content);
+        const analysis = JSON.parse(completion.content);
 
         newAnalyses.push({
           callId: call.id,
           createdAt: call.createdAt,
           customerNumber: call.customer?.number,
           analyzedAt: new Date().toISOString(),
-          model: "gpt-4o-mini",
+          model: ANALYSIS_MODEL,
           analysis: analysis
         });
 
@@ -450,8 +454,7 @@ ${JSON.stringify(callData, null, 2)}
     if (allAnalyses.length > 0) {
       console.log('\nPerforming dataset-level pattern analysis...');
 
-      const datasetCompletion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const datasetCompletion = await llm.complete('hangupInsights', {
         messages: [
           {
             role: "system",
@@ -484,15 +487,53 @@ ${callPurposesList}
 Return as structured JSON with these exact keys: commonHangupReasons, systemicPatterns, trainingRecommendations, callbackSegments`
           }
         ],
-        response_format: { type: "json_object" },
-        temperature: 0.7
+        json: true
       });
 
-      const datasetInsights = JSON.parse(datasetCompletion.choices[0].message.content);
+      const datasetInsights = JSON.parse(datasetCompletion.content);
 
       // Generate markdown report
       console.log('\nGenerating markdown report...');
-      await generateReport(allAnalyses, datasetInsights, callsMap, allCalls, geminiEnrichments, { trueHangups, spamNonResponsive });
+      const { reportPath, stats } = await generateReport(allAnalyses, datasetInsights, callsMap, allCalls, geminiEnrichments, { trueHangups, spamNonResponsive });
+
+      // Machine-readable metrics and per-call exports (every non-success call, with its analysis when there is one)
+      const settings = getMetricsSettings(config);
+      const processedCalls = processCalls(allCalls, geminiEnrichments, settings);
+      const hangupGroups = new Map([
+        ...trueHangups.map(call => [call.id, 'true-hangup']),
+        ...spamNonResponsive.map(call => [call.id, 'spam-non-responsive'])
+      ]);
+      const analysisById = new Map(allAnalyses.map(a => [a.callId, a.analysis]));
+      const rows = buildCallExportRows(
+        processedCalls.filter(call => hangupGroups.has(call.callId)),
+        settings,
+        call => {
+          const analysis = analysisById.get(call.callId) || {};
+          return {
+            hangupGroup: hangupGroups.get(call.callId),
+            isQualifiedLead: analysis.isQualifiedLead,
+            callbackPriority: analysis.callbackPriority,
+            hangupReason: analysis.hangupReason
+          };
+        },
+        'hangup-calls/v1'
+      );
+      const exportPaths = writeReportExports(reportPath, {
+        reportType: 'hangup',
+        config,
+        settings,
+        period: { start: startDate, end: endDate },
+        metrics: computeMetrics(processedCalls, settings),
+        rows,
+        callSchema: 'hangup-calls/v1',
+        extra: {
+          trueHangups: trueHangups.length,
+          spamNonResponsive: spamNonResponsive.length,
+          analyses: stats,
+          datasetInsights
+        }
+      });
+      console.log(`Exports saved to: ${exportPaths.metricsPath} (+ _calls.csv, _calls.ndjson)`);
     }
 
     console.log('\n=== Analysis Complete ===');
@@ -620,6 +661,8 @@ ${JSON.stringify(datasetInsights.callbackSegments || [], null, 2)}
   // Save report
   fs.writeFileSync(reportPath, report);
   console.log(`Report saved to: ${reportPath}`);
+
+  return { reportPath, stats };
 }
 
 // Run analysis
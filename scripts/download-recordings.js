@@ -9,7 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const { format } = require('date-fns');
-const { toZonedTime } = require('date-fns-tz');
+const { toZonedTime, formatInTimeZone } = require('date-fns-tz');
 const { loadClientConfig } = require('../core/config-loader');
 
 // Parse command line arguments
@@ -188,7 +188,7 @@ async function downloadRecordings() {
       // Load from multiple daily files based on daysBack
       const targetDate = new Date();
       for (let i = 0; i < daysBack; i++) {
-        const dateStr = format(new Date(targetDate.getTime() - i * 24 * 60 * 60 * 1000), 'yyyy-MM-dd');
+        const dateStr = formatInTimeZone(new Date(targetDate.getTime() - i * 24 * 60 * 60 * 1000), TIME_ZONE, 'yyyy-MM-dd');
         const dateFile = path.join(config.paths.rawDir, `vapi_calls_${dateStr}.json`);
 
         if (fs.existsSync(dateFile)) {
@@ -2,8 +2,18 @@
  * Enrich Vapi Call Data - Generic GPT-powered classification
  *
  * Usage: node enrich.js --client=bathfitter [--batch-size=50]
+ *                       [--date=YYYY-MM-DD | --start=YYYY-MM-DD --end=YYYY-MM-DD]
+ *                       [--force | --stale] [--skip-failed] [--dry-run]
  *
  * This script classifies calls using GPT with client-specific business context.
+ * Dates are call days in the client's timezone. By default only un-enriched
+ * calls in the window are classified, plus calls whose last attempt failed
+ * (--skip-failed leaves those for a later run); --force re-classifies every call in the
+ * window and replaces its existing record; --stale re-classifies only calls
+ * labelled under an older prompt version (see core/lib/prompt_provenance.js).
+ * --dry-run lists what would be (re-)classified and estimates the token cost
+ * without calling the API. Models missing from MODEL_PRICING need
+ * llm.tasks.enrichment.pricing ({ input, output } USD per 1M tokens) for a cost figure.
  */
 
 // Load client-specific .env first, then fall back to root .env
@@ -11,257 +21,183 @@ require('dotenv').config({ path: require('path').join(__dirname, '../clients', p
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
-const { format } = require('date-fns');
 const { loadClientConfig } = require('../core/config-loader');
-const { buildEnrichmentPrompt, buildBusinessContext } = require('../core/prompt-builder');
+const { buildEnrichmentPrompt } = require('../core/prompt-builder');
+const { createLLMClient, getTaskSettings } = require('../core/llm-client');
 const {
     loadAllEnrichments,
     saveEnrichments,
-    getUnenrichedCalls
+    mergeEnrichmentAttempt,
+    getUnenrichedCalls,
+    summarizeEnrichmentStatus
 } = require('../core/lib/store_enrichment');
+const { getPartitionDateKey } = require('../core/lib/store_raw_calls');
+const { buildClassificationSchema } = require('../core/lib/classification_schema');
+const { buildCallSummaries, buildBatchUserPrompt, createCallEnricher, getPromptVersion } = require('../core/lib/enrich_calls');
+const { getClassificationRules } = require('../core/lib/rule_engine');
+const {
+    isStaleEnrichment,
+    snapshotClassification,
+    summarizeCategoryShift,
+    formatCategoryShift
+} = require('../core/lib/prompt_provenance');
+const { recordPromptVersion } = require('../core/lib/store_prompt_versions');
+
+// Approximate USD per 1M tokens, used for --dry-run cost estimates
+// (llm.tasks.enrichment.pricing in client.json takes precedence)
+const MODEL_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.60 }
+};
+// Rough size of one classification object in the JSON response
+const OUTPUT_TOKENS_PER_CALL = 110;
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const clientArg = args.find(arg => arg.startsWith('--client='));
 const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const dateArg = args.find(arg => arg.startsWith('--date='));
+const startArg = args.find(arg => arg.startsWith('--start='));
+const endArg = args.find(arg => arg.startsWith('--end='));
+const FORCE = args.includes('--force');
+const STALE = args.includes('--stale');
+const SKIP_FAILED = args.includes('--skip-failed');
+const DRY_RUN = args.includes('--dry-run');
 
 if (!clientArg) {
     console.error('Error: --client argument is required');
-    console.error('Usage: node enrich.js --client=<clientname> [--batch-size=50]');
+    console.error('Usage: node enrich.js --client=<clientname> [--batch-size=50] [--date=YYYY-MM-DD | --start=YYYY-MM-DD --end=YYYY-MM-DD] [--force | --stale] [--skip-failed] [--dry-run]');
+    process.exit(1);
+}
+if (FORCE && STALE) {
+    console.error('Error: use either --force or --stale, not both');
     process.exit(1);
 }
 
 const clientName = clientArg.split('=')[1];
 const BATCH_SIZE = batchSizeArg ? parseInt(batchSizeArg.split('=')[1]) : 50;
+const START_DATE = dateArg ? dateArg.split('=')[1] : (startArg ? startArg.split('=')[1] : null);
+const END_DATE = dateArg ? dateArg.split('=')[1] : (endArg ? endArg.split('=')[1] : null);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+if ((START_DATE && !DATE_PATTERN.test(START_DATE)) || (END_DATE && !DATE_PATTERN.test(END_DATE))) {
+    console.error('Error: dates must be YYYY-MM-DD');
+    process.exit(1);
+}
+if (START_DATE && END_DATE && START_DATE > END_DATE) {
+    console.error(`Error: --start (${START_DATE}) is after --end (${END_DATE})`);
+    process.exit(1);
+}
 
 // Load client configuration
 const config = loadClientConfig(clientName);
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const TIME_ZONE = config.client.timezone || 'America/New_York';
 
 console.log(`=== Enriching calls for ${config.client.name} ===`);
 console.log(`AI Assistant: ${config.client.aiAssistantName}`);
 console.log(`Batch size: ${BATCH_SIZE}`);
-
-if (!OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY environment variable is not set.');
-    process.exit(1);
+if (START_DATE || END_DATE) {
+    console.log(`Window: ${START_DATE || 'beginning'} to ${END_DATE || 'latest'} (${TIME_ZONE})`);
 }
-
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+if (FORCE) console.log('Mode: force (re-classify every call in the window)');
+if (STALE) console.log('Mode: stale (re-classify calls labelled under an older prompt version)');
+if (SKIP_FAILED) console.log('Mode: skip failed (calls whose last attempt failed are not retried)');
+if (DRY_RUN) console.log('Mode: dry run (no API calls, nothing saved)');
+
+let llm = null;
+let enricher = null;
+if (!DRY_RUN) {
+    try {
+        llm = createLLMClient(config);
+        enricher = createCallEnricher(config, llm);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+const ENRICHMENT_SETTINGS = getTaskSettings(config, 'enrichment');
+const ENRICHMENT_MODEL = ENRICHMENT_SETTINGS.model;
+const CLASSIFICATION_SCHEMA = buildClassificationSchema(config);
+const PROMPT_VERSION = getPromptVersion(config);
+console.log(`Model: ${ENRICHMENT_MODEL}${llm ? ` (${llm.provider})` : ''}`);
+console.log(`Prompt version: ${PROMPT_VERSION}${config.prompts.enrichment.version ? ` (${config.prompts.enrichment.version})` : ''}`);
 
 /**
- * Load all raw calls from data/raw directory
+ * Load all raw calls from data/raw directory (deduplicated by call ID)
  */
 function loadAllRawCalls() {
     const rawFiles = fs.readdirSync(config.paths.rawDir).filter(f => f.endsWith('.json'));
-    const allCalls = [];
+    const callMap = new Map();
 
     for (const file of rawFiles) {
         const filePath = path.join(config.paths.rawDir, file);
         const calls = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-        allCalls.push(...calls);
+        calls.forEach(call => callMap.set(call.id, call));
     }
 
-    return allCalls;
+    return Array.from(callMap.values());
 }
 
 /**
- * Classify a batch of calls using GPT
+ * Is the call's day (client timezone) inside the --start/--end window?
  */
-async function classifyCallsBatch(calls) {
-    // Build prompts from config
-    const promptData = buildEnrichmentPrompt(config);
-
-    // Prepare call data for GPT with critical metadata
-    const callSummaries = calls.map((call, idx) => {
-        const duration = call.endedAt && call.startedAt
-            ? Math.round((new Date(call.endedAt) - new Date(call.startedAt)) / 1000)
-            : 0;
-
-        // Extract transfer destination hint from toolCalls
-        let transferDestination = null;
-        if (call.messages) {
-            for (const msg of call.messages) {
-                if (msg.toolCalls) {
-                    const transferTool = msg.toolCalls.find(t =>
-                        t.function?.name === 'intent_transfer' ||
-                        t.function?.name === 'transfer_intent' ||
-                        t.function?.name === 'transferCall'
-                    );
-                    if (transferTool?.function?.arguments) {
-                        try {
-                            const args = JSON.parse(transferTool.function.arguments);
-                            transferDestination = args.destination || args.intent || null;
-                        } catch (e) {}
-                    }
-                }
-            }
-        }
-
-        // Check for booking completion in structured outputs
-        let appointmentBooked = false;
-        if (call.analysis?.artifact?.structuredOutputs?.['Appointment Booked']?.result === true) {
-            appointmentBooked = true;
-        }
-        // Also check successEvaluation (may be a JSON string that needs parsing)
-        // But be more careful: call_success=yes doesn't always mean booking-completed
-        // It could mean successful transfer. Check final_outcome for actual appointment confirmation.
-        if (call.analysis?.successEvaluation) {
-            let evalData = call.analysis.successEvaluation;
-            // Parse if it's a JSON string
-            if (typeof evalData === 'string') {
-                try {
-                    evalData = JSON.parse(evalData);
-                } catch (e) {
-                    evalData = {};
-                }
-            }
-            // Only set appointmentBooked=true if final_outcome indicates appointment was scheduled
-            // NOT if it was just a successful transfer
-            const finalOutcome = (evalData.final_outcome || '').toLowerCase();
-            if (evalData.call_success === 'yes' &&
-                (finalOutcome.includes('appointment') || finalOutcome.includes('consultation')) &&
-                (finalOutcome.includes('scheduled') || finalOutcome.includes('confirmed') || finalOutcome.includes('booked')) &&
-                !finalOutcome.includes('transferred')) {
-                appointmentBooked = true;
-            }
-        }
+function isInWindow(call) {
+    if (!START_DATE && !END_DATE) return true;
+    if (!call.createdAt) return false;
+    const dateKey = getPartitionDateKey(call.createdAt, TIME_ZONE);
+    return (!START_DATE || dateKey >= START_DATE) && (!END_DATE || dateKey <= END_DATE);
+}
 
-        return {
-            index: idx,
-            callId: call.id,
-            duration: duration,
-            endedReason: call.endedReason || 'unknown',
-            transferDestinationHint: transferDestination,
-            appointmentBooked: appointmentBooked,
-            transcript: call.transcript || '',
-            summary: call.summary || 'No summary available'
-        };
-    });
+/**
+ * Estimate tokens (~4 characters per token) and cost for classifying calls
+ */
+function estimateEnrichmentCost(calls) {
+    const promptData = buildEnrichmentPrompt(config);
+    let inputTokens = 0;
 
-    const userPrompt = promptData.user + '\n\n**CALLS TO CLASSIFY:**\n\n' +
-        callSummaries.map((c, i) => {
-            return `Call ${i + 1}:\n` +
-                   `- ID: ${c.callId}\n` +
-                   `- Duration: ${c.duration}s\n` +
-                   `- endedReason: ${c.endedReason}\n` +
-                   `- transferDestinationHint: ${c.transferDestinationHint || 'none'}\n` +
-                   `- appointmentBooked: ${c.appointmentBooked}\n` +
-                   `- Summary: ${c.summary}\n` +
-                   `- Transcript: ${c.transcript.substring(0, 500)}...\n`;
-        }).join('\n');
+    for (let i = 0; i < calls.length; i += BATCH_SIZE) {
+        const batch = calls.slice(i, i + BATCH_SIZE);
+        const userPrompt = buildBatchUserPrompt(promptData, buildCallSummaries(batch, getClassificationRules(config)), CLASSIFICATION_SCHEMA);
+        inputTokens += Math.ceil((promptData.system.length + userPrompt.length) / 4);
+    }
 
-    try {
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: promptData.system },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.3,
-            response_format: { type: 'json_object' }
-        });
-
-        const result = JSON.parse(completion.choices[0].message.content);
-
-        // Map results back to calls with correct field names
-        const enrichments = [];
-        for (let i = 0; i < calls.length; i++) {
-            const call = calls[i];
-            const callMetadata = callSummaries[i];
-            let classification = result.calls?.find(c => c.callId === call.id) || {
-                category: 'unknown',
-                hangupType: null,
-                transferReason: null,
-                spamType: null
-            };
-
-            // POST-PROCESSING OVERRIDES for when GPT classification is wrong/unknown
-
-            // Override 1: appointmentBooked flag is definitive for booking-completed
-            if (callMetadata.appointmentBooked === true && classification.category !== 'booking-completed') {
-                console.log(`  Override: ${call.id} → booking-completed (appointmentBooked=true)`);
-                classification = {
-                    category: 'booking-completed',
-                    hangupType: null,
-                    transferReason: null,
-                    spamType: null
-                };
-            }
+    const outputTokens = calls.length * OUTPUT_TOKENS_PER_CALL;
+    const pricing = ENRICHMENT_SETTINGS.pricing || MODEL_PRICING[ENRICHMENT_MODEL];
+    const cost = pricing
+        ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000
+        : null;
 
-            // Override 2: If GPT says "unknown" but endedReason is clear, use fallback rules
-            if (classification.category === 'unknown') {
-                const endedReason = callMetadata.endedReason;
-                const duration = callMetadata.duration;
-
-                if (endedReason === 'assistant-forwarded-call') {
-                    // Transferred calls
-                    console.log(`  Override: ${call.id} → transferred (assistant-forwarded-call)`);
-                    classification = {
-                        category: 'transferred',
-                        hangupType: null,
-                        transferReason: 'other',
-                        spamType: null
-                    };
-                } else if (endedReason === 'customer-ended-call' || endedReason === 'silence-timed-out') {
-                    if (duration < 10) {
-                        // Very short calls are spam
-                        console.log(`  Override: ${call.id} → spam (short duration: ${duration}s)`);
-                        classification = {
-                            category: 'spam',
-                            hangupType: null,
-                            transferReason: null,
-                            spamType: 'short-call'
-                        };
-                    } else {
-                        // Longer customer-ended calls are hangups
-                        console.log(`  Override: ${call.id} → hangup (customer-ended-call)`);
-                        classification = {
-                            category: 'hangup',
-                            hangupType: duration < 30 ? 'low-value' : 'moderate',
-                            transferReason: null,
-                            spamType: null
-                        };
-                    }
-                }
-            }
+    return { inputTokens, outputTokens, cost };
+}
 
-            enrichments.push({
-                callId: call.id,
-                createdAt: call.createdAt,
-                enrichedAt: new Date().toISOString(),
-                model: 'gpt-4o-mini',
-                classification: {
-                    category: classification.category,
-                    // Use dedicated fields that report-intraday.js expects
-                    hangupType: classification.hangupType || null,
-                    transferReason: classification.transferReason || null,
-                    spamType: classification.spamType || null,
-                    bookingStatus: classification.category?.startsWith('booking') ? 'booking-attempt' : 'none'
-                }
-            });
+/**
+ * Print what a run would do without calling the API
+ */
+function printDryRun(callsToEnrich, existingEnrichments) {
+    console.log('\n=== Dry Run ===');
+    callsToEnrich.forEach(call => {
+        const existing = existingEnrichments.get(call.id);
+        const day = call.createdAt ? getPartitionDateKey(call.createdAt, TIME_ZONE) : 'unknown';
+        let action = 'classify (new)';
+        if (existing?.enrichmentStatus === 'failed') {
+            action = `retry (failed: ${existing.enrichmentError || 'unknown error'})`;
+        } else if (existing?.retryPending) {
+            action = `retry (keeping ${existing.classification?.category || 'unknown'} until it succeeds; failed: ${existing.lastFailure?.error || 'unknown error'})`;
+        } else if (existing) {
+            action = `re-classify (currently ${existing.classification?.category || 'unknown'}, prompt ${existing.promptVersion || 'unversioned'})`;
         }
+        console.log(`  ${day}  ${call.id}  ${action}`);
+    });
 
-        return enrichments;
+    const reclassified = callsToEnrich.filter(c => existingEnrichments.has(c.id)).length;
+    const estimate = estimateEnrichmentCost(callsToEnrich);
+    const batches = Math.ceil(callsToEnrich.length / BATCH_SIZE);
 
-    } catch (error) {
-        console.error('GPT classification error:', error.message);
-
-        // Return fallback classifications with correct field names
-        return calls.map(call => ({
-            callId: call.id,
-            createdAt: call.createdAt,
-            enrichedAt: new Date().toISOString(),
-            model: 'gpt-4o-mini',
-            classification: {
-                category: 'unknown',
-                hangupType: null,
-                transferReason: null,
-                spamType: null,
-                bookingStatus: 'none'
-            }
-        }));
+    console.log(`\nWould classify ${callsToEnrich.length} calls (${callsToEnrich.length - reclassified} new, ${reclassified} re-classified) in ${batches} batches`);
+    console.log(`Estimated tokens: ~${estimate.inputTokens.toLocaleString()} input + ~${estimate.outputTokens.toLocaleString()} output (${ENRICHMENT_MODEL})`);
+    if (estimate.cost !== null) {
+        console.log(`Estimated cost: ~$${estimate.cost.toFixed(4)}`);
+    } else {
+        console.log(`Estimated cost: unknown (no pricing for ${ENRICHMENT_MODEL}; set llm.tasks.enrichment.pricing in client.json)`);
     }
 }
 
@@ -274,22 +210,42 @@ async function enrichCalls() {
         const allCalls = loadAllRawCalls();
         console.log(`Total raw calls: ${allCalls.length}`);
 
+        const windowCalls = allCalls.filter(isInWindow);
+        if (START_DATE || END_DATE) {
+            console.log(`Calls in window: ${windowCalls.length}`);
+        }
+
         console.log('Loading existing enrichments...');
         const existingEnrichments = loadAllEnrichments(config.paths.enrichedDir);
-        console.log(`Existing enrichments: ${existingEnrichments.size}`);
 
-        console.log('Identifying unenriched calls...');
-        const unenrichedCalls = getUnenrichedCalls(allCalls, existingEnrichments);
-        console.log(`Calls to enrich: ${unenrichedCalls.length}`);
+        let unenrichedCalls;
+        if (FORCE) {
+            unenrichedCalls = windowCalls;
+            const replacing = windowCalls.filter(c => existingEnrichments.has(c.id)).length;
+            console.log(`Calls to enrich: ${unenrichedCalls.length} (${replacing} existing records will be replaced)`);
+        } else if (STALE) {
+            unenrichedCalls = windowCalls.filter(c => isStaleEnrichment(existingEnrichments.get(c.id), PROMPT_VERSION));
+            console.log(`Calls to enrich: ${unenrichedCalls.length} (labelled under an older prompt version)`);
+        } else {
+            console.log('Identifying unenriched calls...');
+            unenrichedCalls = getUnenrichedCalls(windowCalls, existingEnrichments, { retryFailed: !SKIP_FAILED });
+            console.log(`Calls to enrich: ${unenrichedCalls.length}`);
+        }
 
         if (unenrichedCalls.length === 0) {
-            console.log('✅ All calls are already enriched!');
+            console.log(STALE ? `✅ All calls are labelled under prompt version ${PROMPT_VERSION}` : '✅ All calls are already enriched!');
+            return;
+        }
+
+        if (DRY_RUN) {
+            printDryRun(unenrichedCalls, existingEnrichments);
             return;
         }
 
         // Process in batches
         const totalBatches = Math.ceil(unenrichedCalls.length / BATCH_SIZE);
         let processedCount = 0;
+        const classified = [];
 
         for (let i = 0; i < totalBatches; i++) {
             const batchStart = i * BATCH_SIZE;
@@ -298,10 +254,18 @@ async function enrichCalls() {
 
             console.log(`\nProcessing batch ${i + 1}/${totalBatches} (${batch.length} calls)...`);
 
-            const enrichments = await classifyCallsBatch(batch);
+            const enrichments = await enricher.classifyCalls(batch);
 
-            // Save enrichments
-            saveEnrichments(enrichments, config.paths.enrichedDir);
+            // Keep the label being replaced so category shifts can be explained later
+            enrichments.forEach(record => {
+                const previous = snapshotClassification(existingEnrichments.get(record.callId));
+                if (previous) record.previousClassification = previous;
+            });
+            classified.push(...enrichments);
+
+            // Save enrichments; a failed attempt keeps an existing complete classification
+            const toSave = enrichments.map(record => mergeEnrichmentAttempt(record, existingEnrichments.get(record.callId)));
+            saveEnrichments(toSave, config.paths.enrichedDir, TIME_ZONE);
 
             processedCount += enrichments.length;
             console.log(`✅ Batch complete: ${processedCount}/${unenrichedCalls.length} total`);
@@ -312,9 +276,33 @@ async function enrichCalls() {
             }
         }
 
-        console.log(`\n✅ Enrichment complete: ${processedCount} calls classified`);
+        const status = summarizeEnrichmentStatus(classified);
+        console.log('\n=== Enrichment Summary ===');
+        console.log(`Classified: ${processedCount - status.failed}/${processedCount}`);
+        console.log(`Failed: ${status.failed}${status.failed > 0 ? ' (new calls stored with enrichmentStatus "failed", existing classifications kept and marked retryPending; retried on the next run)' : ''}`);
+        console.log(`Unknown: ${status.unknown}`);
         console.log(`Classification context: ${config.client.name} (${config.client.industry})`);
 
+        if (status.failed < processedCount) {
+            recordPromptVersion(config.paths.promptVersionsFile, {
+                promptVersion: PROMPT_VERSION,
+                label: config.prompts.enrichment.version,
+                model: ENRICHMENT_MODEL,
+                categories: CLASSIFICATION_SCHEMA.properties.category.enum,
+                transferReasons: CLASSIFICATION_SCHEMA.properties.transferReason.enum.filter(Boolean)
+            });
+        }
+
+        const reclassified = classified.filter(r => r.previousClassification && r.enrichmentStatus !== 'failed');
+        if (reclassified.length > 0) {
+            console.log('\n=== Category Shift ===');
+            console.log(formatCategoryShift(summarizeCategoryShift(reclassified.map(r => ({
+                callId: r.callId,
+                before: r.previousClassification.category || 'unknown',
+                after: r.classification.category
+            })))));
+        }
+
     } catch (error) {
         console.error('Enrichment failed:', error.message);
         process.exit(1);
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Enrichment Provenance - Which prompt versions labelled the stored calls
+ *
+ * Lists enrichment records by prompt version, the calls labelled under a stale
+ * version (anything but the current prompts.json + client.json taxonomy), and
+ * how category counts shifted for calls re-classified under the current
+ * version. Read-only; re-classify the stale calls with `enrich.js --stale`.
+ *
+ * Usage:
+ *   node scripts/enrichment-provenance.js --client=lf01 [--start=YYYY-MM-DD] [--end=YYYY-MM-DD] [--list]
+ *
+ * Dates are call days in the client's timezone. --list prints every stale call.
+ */
+
+const { loadClientConfig } = require('../core/config-loader');
+const { loadAllEnrichments } = require('../core/lib/store_enrichment');
+const { getPartitionDateKey } = require('../core/lib/store_raw_calls');
+const { getPromptVersion } = require('../core/lib/enrich_calls');
+const { loadPromptVersions } = require('../core/lib/store_prompt_versions');
+const { buildClassificationSchema } = require('../core/lib/classification_schema');
+const {
+    UNVERSIONED,
+    isStaleEnrichment,
+    summarizePromptVersions,
+    summarizeCategoryShift,
+    formatCategoryShift
+} = require('../core/lib/prompt_provenance');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const startArg = args.find(arg => arg.startsWith('--start='));
+const endArg = args.find(arg => arg.startsWith('--end='));
+const LIST = args.includes('--list');
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error('Usage: node enrichment-provenance.js --client=<clientname> [--start=YYYY-MM-DD] [--end=YYYY-MM-DD] [--list]');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const START_DATE = startArg ? startArg.split('=')[1] : null;
+const END_DATE = endArg ? endArg.split('=')[1] : null;
+const config = loadClientConfig(clientName);
+const TIME_ZONE = config.client.timezone || 'America/New_York';
+
+// Helper: Call day of a record in the client timezone
+function getCallDay(enrichment) {
+    return enrichment.createdAt ? getPartitionDateKey(enrichment.createdAt, TIME_ZONE) : null;
+}
+
+// Helper: Is a record's call day inside the --start/--end window?
+function isInWindow(enrichment) {
+    if (!START_DATE && !END_DATE) return true;
+    const day = getCallDay(enrichment);
+    return !!day && (!START_DATE || day >= START_DATE) && (!END_DATE || day <= END_DATE);
+}
+
+// Helper: Categories/transfer reasons added or removed between two registry entries
+function describeTaxonomyChange(entry, current) {
+    if (!entry?.categories || !current) return '';
+    const diff = (before, after) => ({
+        added: after.filter(v => !before.includes(v)),
+        removed: before.filter(v => !after.includes(v))
+    });
+    const parts = [];
+    const categories = diff(entry.categories, current.categories);
+    const reasons = diff(entry.transferReasons || [], current.transferReasons);
+    if (categories.added.length) parts.push(`categories added: ${categories.added.join(', ')}`);
+    if (categories.removed.length) parts.push(`categories removed: ${categories.removed.join(', ')}`);
+    if (reasons.added.length) parts.push(`transfer reasons added: ${reasons.added.join(', ')}`);
+    if (reasons.removed.length) parts.push(`transfer reasons removed: ${reasons.removed.join(', ')}`);
+    return parts.length ? parts.join('; ') : 'same taxonomy, prompt wording changed';
+}
+
+function main() {
+    const promptVersion = getPromptVersion(config);
+    const schema = buildClassificationSchema(config);
+    const registry = loadPromptVersions(config.paths.promptVersionsFile);
+    const current = {
+        categories: schema.properties.category.enum,
+        transferReasons: schema.properties.transferReason.enum.filter(Boolean)
+    };
+
+    // Model output only: overrides are human labels and have no prompt version
+    const enrichments = Array.from(loadAllEnrichments(config.paths.enrichedDir).values()).filter(isInWindow);
+
+    console.log(`\n=== Enrichment provenance for ${config.client.name} ===`);
+    if (START_DATE || END_DATE) {
+        console.log(`Window: ${START_DATE || 'beginning'} to ${END_DATE || 'latest'} (${TIME_ZONE})`);
+    }
+    const label = config.prompts.enrichment.version;
+    console.log(`Current prompt version: ${promptVersion}${label ? ` (${label})` : ''}`);
+
+    console.log('\nVersion         Calls  Failed  First used   Models / label');
+    summarizePromptVersions(enrichments, promptVersion).forEach(v => {
+        const entry = registry[v.promptVersion];
+        const name = v.current ? `${v.promptVersion}*` : v.promptVersion;
+        const firstUsed = entry ? entry.firstUsedAt.slice(0, 10) : '-';
+        const details = [v.models.join(', '), entry?.label].filter(Boolean).join(' / ');
+        console.log(`${name.padEnd(14)}${String(v.count).padStart(7)}  ${String(v.failed).padStart(6)}  ${firstUsed.padEnd(11)}  ${details}`);
+        if (!v.current && v.promptVersion !== UNVERSIONED) {
+            const change = describeTaxonomyChange(entry, current);
+            if (change) console.log(`${''.padEnd(14)}  vs current: ${change}`);
+        }
+    });
+    console.log('(* = current; unversioned = enriched before prompt versions were recorded)');
+
+    // Stale calls
+    const stale = enrichments.filter(e => isStaleEnrichment(e, promptVersion));
+    console.log(`\nStale enrichments: ${stale.length} of ${enrichments.length}`);
+    if (stale.length > 0) {
+        const byDay = stale.reduce((acc, e) => {
+            const day = getCallDay(e) || 'unknown';
+            acc[day] = (acc[day] || 0) + 1;
+            return acc;
+        }, {});
+        Object.keys(byDay).sort().forEach(day => console.log(`  ${day}: ${byDay[day]}`));
+
+        if (LIST) {
+            console.log('');
+            stale
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                .forEach(e => console.log(`  ${getCallDay(e) || 'unknown'}  ${e.callId}  ${(e.promptVersion || UNVERSIONED).padEnd(12)}  ${e.classification?.category || 'unknown'}`));
+        }
+
+        const window = [START_DATE && `--start=${START_DATE}`, END_DATE && `--end=${END_DATE}`].filter(Boolean).join(' ');
+        console.log(`\nRe-classify them with: node scripts/enrich.js --client=${clientName} --stale ${window}`.trimEnd());
+        console.log('(add --dry-run to see the list and estimated cost first)');
+    }
+
+    // Category shift for calls already re-classified under the current version
+    const reclassified = enrichments.filter(e =>
+        e.promptVersion === promptVersion &&
+        e.enrichmentStatus !== 'failed' &&
+        e.previousClassification &&
+        e.previousClassification.promptVersion !== promptVersion);
+
+    console.log(`\n=== Category shift into ${promptVersion} ===`);
+    console.log(formatCategoryShift(summarizeCategoryShift(reclassified.map(e => ({
+        callId: e.callId,
+        before: e.previousClassification.category || 'unknown',
+        after: e.classification.category
+    })))));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
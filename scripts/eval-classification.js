@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Classification Eval - Measure enrichment accuracy against gold-labeled calls
+ *
+ * Runs the same classifier as enrich.js (core/lib/enrich_calls.js) over the calls
+ * in a gold label file, through the configured LLM provider (use
+ * LLM_PROVIDER=replay for a recorded, offline run). Nothing is written to the
+ * enriched files. Prints per-category precision/recall, a confusion matrix and
+ * a diff against the latest saved run of a different prompt version, and saves
+ * the run to data/eval/.
+ *
+ * Gold label file (default data/eval/gold_labels.json):
+ *   { "<callId>": { "category": "transferred", "transferReason": "billing" }, ... }
+ *
+ * Usage:
+ *   node scripts/eval-classification.js --client=lf01 [--gold=<path>] [--baseline=<eval json>]
+ *        [--batch-size=20] [--min-accuracy=0.85] [--max-regression=0.02] [--no-save]
+ *
+ * Exits 1 when accuracy is below --min-accuracy or drops more than
+ * --max-regression versus the baseline, so prompt edits can be gated in CI.
+ */
+
+// Load client-specific .env first, then fall back to root .env
+require('dotenv').config({ path: require('path').join(__dirname, '../clients', process.argv.find(a => a.startsWith('--client='))?.split('=')[1] || '', '.env') });
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+const { loadClientConfig } = require('../core/config-loader');
+const { createLLMClient } = require('../core/llm-client');
+const { createCallEnricher } = require('../core/lib/enrich_calls');
+const { scoreClassifications, diffEvaluations, checkEvalGates } = require('../core/lib/score_classifications');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const goldArg = args.find(arg => arg.startsWith('--gold='));
+const baselineArg = args.find(arg => arg.startsWith('--baseline='));
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+const minAccuracyArg = args.find(arg => arg.startsWith('--min-accuracy='));
+const maxRegressionArg = args.find(arg => arg.startsWith('--max-regression='));
+const NO_SAVE = args.includes('--no-save');
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error('Usage: node eval-classification.js --client=<clientname> [--gold=<path>] [--baseline=<eval json>] [--batch-size=20] [--min-accuracy=0.85] [--max-regression=0.02] [--no-save]');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const config = loadClientConfig(clientName);
+const GOLD_FILE = goldArg ? path.resolve(goldArg.split('=')[1]) : path.join(config.paths.evalDir, 'gold_labels.json');
+const BATCH_SIZE = batchSizeArg ? parseInt(batchSizeArg.split('=')[1]) : 20;
+const MIN_ACCURACY = minAccuracyArg ? parseFloat(minAccuracyArg.split('=')[1]) : null;
+const MAX_REGRESSION = maxRegressionArg ? parseFloat(maxRegressionArg.split('=')[1]) : null;
+
+/**
+ * Load gold labels as a Map of callId -> { category, transferReason }
+ * Accepts an object keyed by callId or an array of { callId, category, transferReason }.
+ */
+function loadGoldLabels(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Gold label file not found: ${file}`);
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const entries = Array.isArray(data)
+        ? data.map(e => [e.callId, e])
+        : Object.entries(data);
+
+    const labels = new Map();
+    entries.forEach(([callId, label]) => {
+        if (!callId || !label || !label.category) {
+            throw new Error(`Invalid gold label for ${callId || '(no callId)'}: category is required`);
+        }
+        labels.set(callId, { category: label.category, transferReason: label.transferReason || null });
+    });
+    return labels;
+}
+
+// Helper: Find raw calls by ID across all raw files
+function loadRawCalls(callIds) {
+    const wanted = new Set(callIds);
+    const found = new Map();
+    fs.readdirSync(config.paths.rawDir)
+        .filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'))
+        .forEach(f => {
+            JSON.parse(fs.readFileSync(path.join(config.paths.rawDir, f), 'utf-8')).forEach(call => {
+                if (wanted.has(call.id)) found.set(call.id, call);
+            });
+        });
+    return found;
+}
+
+// Helper: Latest saved eval for the same gold file with a different prompt version or model
+function findBaseline(current) {
+    if (baselineArg) {
+        return JSON.parse(fs.readFileSync(path.resolve(baselineArg.split('=')[1]), 'utf-8'));
+    }
+    if (!fs.existsSync(config.paths.evalDir)) return null;
+
+    const previous = fs.readdirSync(config.paths.evalDir)
+        .filter(f => f.startsWith('eval_') && f.endsWith('.json'))
+        .sort()
+        .reverse()
+        .map(f => JSON.parse(fs.readFileSync(path.join(config.paths.evalDir, f), 'utf-8')))
+        .find(run => run.goldFile === current.goldFile &&
+            (run.promptVersion !== current.promptVersion || run.model !== current.model));
+    return previous || null;
+}
+
+// Helper: Format a ratio as a percentage
+function pct(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+// Helper: Format a signed delta in percentage points
+function delta(value) {
+    if (value === null || value === undefined) return '-';
+    const points = (value * 100).toFixed(1);
+    return value > 0 ? `+${points}pp` : `${points}pp`;
+}
+
+function printResults(run) {
+    const { metrics } = run;
+    const labels = Object.keys(metrics.perCategory);
+
+    console.log('\n=== Classification Accuracy ===');
+    console.log(`Prompt version: ${run.promptVersion}  Model: ${run.model} (${run.provider})`);
+    console.log(`Category accuracy: ${pct(metrics.accuracy)} (${metrics.correct}/${metrics.total})`);
+    console.log(`Transfer reason accuracy: ${pct(metrics.transferReason.accuracy)} (${metrics.transferReason.correct}/${metrics.transferReason.evaluated} labeled)`);
+
+    console.log('\nCategory              Support  Predicted  Precision  Recall   F1');
+    labels.forEach(label => {
+        const s = metrics.perCategory[label];
+        if (s.support === 0 && s.predicted === 0) return;
+        console.log(`${label.padEnd(22)}${String(s.support).padStart(7)}  ${String(s.predicted).padStart(9)}  ${pct(s.precision).padStart(9)}  ${pct(s.recall).padStart(6)}  ${pct(s.f1).padStart(6)}`);
+    });
+
+    // Confusion matrix: rows = gold label, columns = predicted
+    const active = labels.filter(l => metrics.perCategory[l].support > 0 || metrics.perCategory[l].predicted > 0);
+    const width = Math.max(...active.map(l => l.length), 8) + 2;
+    console.log('\nConfusion matrix (rows = expected, columns = predicted)');
+    console.log(''.padEnd(width) + active.map(l => l.slice(0, 10).padStart(11)).join(''));
+    active.forEach(expected => {
+        console.log(expected.padEnd(width) + active.map(predicted => String(metrics.confusion[expected][predicted]).padStart(11)).join(''));
+    });
+}
+
+function printDiff(diff, baseline) {
+    console.log(`\n=== Diff vs prompt version ${baseline.promptVersion} (${baseline.model}, ${baseline.runAt}) ===`);
+    console.log(`Accuracy: ${pct(baseline.metrics.accuracy)} -> ${pct(baseline.metrics.accuracy + diff.accuracyDelta)} (${delta(diff.accuracyDelta)})`);
+    Object.entries(diff.perCategory).forEach(([label, d]) => {
+        if (!d.precisionDelta && !d.recallDelta) return;
+        console.log(`  ${label.padEnd(22)} precision ${delta(d.precisionDelta).padStart(8)}  recall ${delta(d.recallDelta).padStart(8)}`);
+    });
+
+    if (diff.changed.length === 0) {
+        console.log('No calls changed category');
+        return;
+    }
+    const counts = diff.changed.reduce((acc, c) => ({ ...acc, [c.status]: (acc[c.status] || 0) + 1 }), {});
+    console.log(`\n${diff.changed.length} calls changed category (${counts.fixed || 0} fixed, ${counts.broken || 0} broken, ${counts.changed || 0} still wrong)`);
+    diff.changed.forEach(c => {
+        console.log(`  [${c.status}] ${c.callId}: ${c.before} -> ${c.after} (expected ${c.expected})`);
+    });
+}
+
+async function main() {
+    console.log(`=== Classification eval for ${config.client.name} ===`);
+    const gold = loadGoldLabels(GOLD_FILE);
+    console.log(`Gold labels: ${gold.size} (${path.relative(process.cwd(), GOLD_FILE)})`);
+
+    const rawCalls = loadRawCalls(Array.from(gold.keys()));
+    const missing = Array.from(gold.keys()).filter(id => !rawCalls.has(id));
+    if (missing.length > 0) {
+        console.warn(`Warning: ${missing.length} gold-labeled calls not found in raw data, skipped: ${missing.join(', ')}`);
+    }
+    const calls = Array.from(rawCalls.values());
+    if (calls.length === 0) {
+        throw new Error('No gold-labeled calls found in raw data');
+    }
+
+    const llm = createLLMClient(config);
+    const enricher = createCallEnricher(config, llm);
+    console.log(`Model: ${enricher.model} (${llm.provider}), prompt version ${enricher.promptVersion}`);
+
+    const records = [];
+    for (let i = 0; i < calls.length; i += BATCH_SIZE) {
+        const batch = calls.slice(i, i + BATCH_SIZE);
+        console.log(`Classifying ${i + 1}-${i + batch.length} of ${calls.length}...`);
+        records.push(...await enricher.classifyCalls(batch));
+    }
+
+    const predictions = records.map(record => ({
+        callId: record.callId,
+        expected: gold.get(record.callId),
+        predicted: {
+            category: record.classification.category,
+            transferReason: record.classification.transferReason
+        },
+        confidence: record.classification.confidence,
+        enrichmentStatus: record.enrichmentStatus
+    }));
+
+    const failed = predictions.filter(p => p.enrichmentStatus === 'failed').length;
+    if (failed > 0) {
+        console.warn(`Warning: ${failed} calls failed to classify; they are scored with their rule-based fallback`);
+    }
+
+    const run = {
+        runAt: new Date().toISOString(),
+        goldFile: path.relative(config.paths.clientDir, GOLD_FILE),
+        promptVersion: enricher.promptVersion,
+        model: enricher.model,
+        provider: llm.provider,
+        metrics: scoreClassifications(predictions, enricher.schema.properties.category.enum),
+        predictions
+    };
+
+    printResults(run);
+
+    const baseline = findBaseline(run);
+    let diff = null;
+    if (baseline) {
+        diff = diffEvaluations(run, baseline);
+        printDiff(diff, baseline);
+    } else {
+        console.log('\nNo earlier run with a different prompt version to compare against');
+    }
+
+    if (!NO_SAVE) {
+        fs.mkdirSync(config.paths.evalDir, { recursive: true });
+        const outPath = path.join(config.paths.evalDir, `eval_${format(new Date(), 'yyyyMMdd_HHmmss')}_${run.promptVersion}.json`);
+        fs.writeFileSync(outPath, JSON.stringify(run, null, 2));
+        console.log(`\nSaved: ${outPath}`);
+    }
+
+    // Gates
+    const failures = checkEvalGates(run.metrics, diff, { minAccuracy: MIN_ACCURACY, maxRegression: MAX_REGRESSION });
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(f.gate === 'min-accuracy'
+            ? `❌ accuracy ${pct(f.value)} is below --min-accuracy ${pct(f.limit)}`
+            : `❌ accuracy dropped ${delta(f.value)} vs ${baseline.promptVersion} (allowed ${pct(f.limit)})`));
+        process.exit(1);
+    }
+    console.log('\n✅ Eval complete');
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
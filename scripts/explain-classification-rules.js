@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Explain Classification Rules - Which client.json rule fires for each call
+ *
+ * Runs the `classificationRules.fallback` list over raw calls and prints, per
+ * call, the rule that fired, its outcome and the stored GPT category, then a
+ * count per rule. For the enriched calls it also shows which override rule
+ * changed the GPT answer (recorded as classification.ruleId). Nothing is written.
+ *
+ * Usage:
+ *   node scripts/explain-classification-rules.js --client=lf01 [--date=YYYY-MM-DD | --start=YYYY-MM-DD --end=YYYY-MM-DD]
+ *        [--call=<callId>] [--summary]
+ *
+ * Dates are call days in the client's timezone. --summary skips the per-call lines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const { classifyCall } = require('../core/lib/classify_call');
+const { getClassificationRules } = require('../core/lib/rule_engine');
+const { loadAllEnrichments } = require('../core/lib/store_enrichment');
+const { getPartitionDateKey } = require('../core/lib/store_raw_calls');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const dateArg = args.find(arg => arg.startsWith('--date='));
+const startArg = args.find(arg => arg.startsWith('--start='));
+const endArg = args.find(arg => arg.startsWith('--end='));
+const callArg = args.find(arg => arg.startsWith('--call='));
+const SUMMARY_ONLY = args.includes('--summary');
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error('Usage: node explain-classification-rules.js --client=<clientname> [--date=YYYY-MM-DD | --start=YYYY-MM-DD --end=YYYY-MM-DD] [--call=<callId>] [--summary]');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const START_DATE = dateArg ? dateArg.split('=')[1] : (startArg ? startArg.split('=')[1] : null);
+const END_DATE = dateArg ? dateArg.split('=')[1] : (endArg ? endArg.split('=')[1] : null);
+const CALL_ID = callArg ? callArg.split('=')[1] : null;
+const config = loadClientConfig(clientName);
+const TIME_ZONE = config.client.timezone || 'America/New_York';
+
+// Helper: Load raw calls in the window (deduplicated by call ID)
+function loadWindowCalls() {
+    const callMap = new Map();
+    fs.readdirSync(config.paths.rawDir)
+        .filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'))
+        .forEach(f => {
+            JSON.parse(fs.readFileSync(path.join(config.paths.rawDir, f), 'utf-8')).forEach(call => callMap.set(call.id, call));
+        });
+
+    return Array.from(callMap.values())
+        .filter(call => !CALL_ID || call.id === CALL_ID)
+        .filter(call => {
+            if (!START_DATE && !END_DATE) return true;
+            if (!call.createdAt) return false;
+            const day = getPartitionDateKey(call.createdAt, TIME_ZONE);
+            return (!START_DATE || day >= START_DATE) && (!END_DATE || day <= END_DATE);
+        })
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function main() {
+    const rules = getClassificationRules(config);
+    const calls = loadWindowCalls();
+    const enrichments = loadAllEnrichments(config.paths.enrichedDir);
+
+    console.log(`\n=== Classification rules for ${config.client.name} ===`);
+    console.log(`Fallback rules: ${rules.fallback.map(r => r.id).join(', ')}`);
+    console.log(`Override rules: ${rules.overrides.map(r => r.id).join(', ')}`);
+    console.log(`Transfer tools: ${rules.transferTools.join(', ')}`);
+    console.log(`Calls: ${calls.length}\n`);
+
+    const fired = {};
+    const overridden = {};
+    calls.forEach(call => {
+        const result = classifyCall(call, rules);
+        const ruleId = result.ruleId || '(no rule)';
+        const outcome = result.needs_analysis ? 'needs analysis' : `${result.category}${result.transferReason ? ` / ${result.transferReason.split('\n')[0].slice(0, 40)}` : ''}`;
+        const enrichment = enrichments.get(call.id);
+        const overrideRule = enrichment?.classification?.ruleId;
+
+        fired[ruleId] = (fired[ruleId] || 0) + 1;
+        if (overrideRule) overridden[overrideRule] = (overridden[overrideRule] || 0) + 1;
+
+        if (!SUMMARY_ONLY) {
+            const day = call.createdAt ? getPartitionDateKey(call.createdAt, TIME_ZONE) : 'unknown';
+            const gpt = enrichment ? `GPT: ${enrichment.classification?.category || 'unknown'}${overrideRule ? ` (override ${overrideRule})` : ''}` : 'not enriched';
+            console.log(`${day}  ${call.id}  [${ruleId}] ${outcome}  | ${gpt}`);
+        }
+    });
+
+    console.log('\nFallback rule               Calls');
+    rules.fallback.forEach(rule => {
+        console.log(`${rule.id.padEnd(26)}${String(fired[rule.id] || 0).padStart(6)}`);
+    });
+    if (fired['(no rule)']) {
+        console.log(`${'(no rule)'.padEnd(26)}${String(fired['(no rule)']).padStart(6)}`);
+    }
+
+    const overrideCount = Object.values(overridden).reduce((sum, n) => sum + n, 0);
+    console.log(`\nEnriched calls changed by an override rule: ${overrideCount}`);
+    Object.entries(overridden).forEach(([id, count]) => console.log(`  ${id}: ${count}`));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
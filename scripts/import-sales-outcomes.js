@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Import Sales Outcomes - Attribute CRM revenue to calls
+ *
+ * Reads a CSV export of sales outcomes (phone, email, appointment date, visit held,
+ * sold, amount), matches each row to a stored call by the caller's number and
+ * captured email, and writes the attributions to data/revenue_attribution.json.
+ * Weekly and business review ROI tables are computed from them (core/lib/revenue_attribution.js).
+ *
+ * Usage:
+ *   node scripts/import-sales-outcomes.js --client=lf01 --file=exports/sales_2026-02.csv [--dry-run]
+ *
+ * Accepted headers (case, spaces, dashes and underscores ignored): phone | phone_number | customer_phone,
+ * email, appointment_date, visit_held, sold | closed | won, amount | sale_amount | revenue,
+ * and optionally a CRM id (crm_id | record_id | deal_id | opportunity_id | lead_id | id).
+ * Rows are keyed by the CRM id when present, else by phone, email and appointment date;
+ * rows sharing a phone/email/date key are combined (amounts summed) and a repeated
+ * CRM id is skipped. Re-importing a cumulative export
+ * updates the rows already imported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const { getMetricsSettings, processCalls } = require('../core/metrics');
+const {
+    getAttributionSettings,
+    parseCsv,
+    normalizeSalesRows,
+    buildCallIndex,
+    matchSalesOutcome
+} = require('../core/lib/revenue_attribution');
+const { saveAttributionImport } = require('../core/lib/store_revenue_attribution');
+
+const USAGE = 'Usage: node import-sales-outcomes.js --client=<clientname> --file=<sales.csv> [--dry-run]';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const fileArg = args.find(arg => arg.startsWith('--file='));
+const dryRun = args.includes('--dry-run');
+
+if (!clientArg || !fileArg) {
+    console.error('Error: --client and --file are required');
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const csvPath = path.resolve(fileArg.slice('--file='.length));
+
+function importSalesOutcomes() {
+    const config = loadClientConfig(clientName);
+    if (!fs.existsSync(csvPath)) {
+        throw new Error(`Sales CSV not found: ${csvPath}`);
+    }
+
+    const { outcomes, skipped, combined } = normalizeSalesRows(parseCsv(fs.readFileSync(csvPath, 'utf-8')));
+    const rowCount = outcomes.length + combined + skipped.length;
+    console.log(`Read ${rowCount} rows from ${path.basename(csvPath)}`);
+    if (combined > 0) {
+        console.log(`Combined ${combined} rows sharing a customer and appointment day with an earlier row:`);
+        outcomes.filter(outcome => outcome.rowNumbers.length > 1)
+            .forEach(outcome => console.log(`  rows ${outcome.rowNumbers.join(', ')}: $${outcome.amount.toLocaleString()}`));
+    }
+
+    // Every stored call; enrichments are not needed for phone and email
+    const settings = getMetricsSettings(config);
+    const rawCalls = [];
+    for (const file of fs.readdirSync(config.paths.rawDir).filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json')).sort()) {
+        rawCalls.push(...JSON.parse(fs.readFileSync(path.join(config.paths.rawDir, file), 'utf-8')));
+    }
+    const index = buildCallIndex(processCalls(rawCalls, new Map(), settings), settings.timeZone);
+    console.log(`Matching against ${rawCalls.length} stored calls`);
+
+    const attributionSettings = getAttributionSettings(config);
+    const entries = outcomes.map(outcome => {
+        const match = matchSalesOutcome(outcome, index, attributionSettings);
+        return {
+            ...outcome,
+            callId: match?.callId || null,
+            callCreatedAt: match?.callCreatedAt || null,
+            confidence: match?.confidence || null,
+            matchedBy: match?.matchedBy || [],
+            daysBeforeAppointment: match?.daysBeforeAppointment ?? null,
+            source: path.basename(csvPath)
+        };
+    });
+
+    const matched = entries.filter(entry => entry.callId);
+    const byLevel = level => matched.filter(entry => entry.confidence === level);
+    const revenue = list => list.reduce((sum, entry) => sum + entry.amount, 0);
+    console.log(`\nMatched: ${matched.length} of ${entries.length} outcomes ($${revenue(matched).toLocaleString()} of $${revenue(entries).toLocaleString()} revenue)`);
+    for (const level of ['high', 'medium', 'low']) {
+        console.log(`  ${level}: ${byLevel(level).length} ($${revenue(byLevel(level)).toLocaleString()})`);
+    }
+    console.log(`Unmatched: ${entries.length - matched.length}`);
+    if (skipped.length > 0) {
+        console.log(`Skipped: ${skipped.length}`);
+        skipped.forEach(row => console.log(`  row ${row.rowNumber}: ${row.reason}`));
+    }
+
+    if (dryRun) {
+        console.log('\nDry run: nothing written');
+        return;
+    }
+    const { added, updated } = saveAttributionImport(config.paths.revenueAttributionFile, entries, {
+        file: path.basename(csvPath),
+        rows: rowCount,
+        matched: matched.length,
+        skipped: skipped.length
+    });
+    console.log(`\n✅ ${added} added, ${updated} updated in ${config.paths.revenueAttributionFile}`);
+}
+
+try {
+    importSalesOutcomes();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Migrate Daily Partitions - Re-bucket raw and enriched files by client timezone
+ *
+ * Older runs bucketed calls by the runner's clock (UTC), so evening calls in the
+ * client's timezone landed in the next day's file. This one-shot command reads
+ * every data/raw/vapi_calls_*.json and data/enriched/vapi_enriched_*.json file,
+ * re-buckets each call by createdAt in config.client.timezone, rewrites the
+ * files that changed and removes files left empty. A call found in several files
+ * keeps its latest copy (updatedAt for raw calls, enrichedAt for enrichments);
+ * legacy array-format enrichment files are rewritten keyed by callId. Safe to re-run.
+ *
+ * Usage:
+ *   node scripts/migrate-partitions.js --client=lf01 [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const { getPartitionDateKey } = require('../core/lib/store_raw_calls');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const dryRun = args.includes('--dry-run');
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error('Usage: node migrate-partitions.js --client=<clientname> [--dry-run]');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const config = loadClientConfig(clientName);
+const TIME_ZONE = config.client.timezone || 'America/New_York';
+
+// Helper: List daily files with a prefix, keyed by date
+function listDailyFiles(dir, prefix) {
+    if (!fs.existsSync(dir)) return {};
+    const files = {};
+    fs.readdirSync(dir)
+        .filter(f => f.startsWith(prefix) && f.endsWith('.json'))
+        .forEach(f => {
+            files[f.replace(prefix, '').replace('.json', '')] = path.join(dir, f);
+        });
+    return files;
+}
+
+/**
+ * Rewrite a set of daily files from their new buckets
+ * @param {Object} existingFiles - dateKey -> filepath
+ * @param {Object} buckets - dateKey -> file contents (array or object)
+ * @param {Function} filePathFor - dateKey -> filepath
+ * @param {Function} countOf - contents -> number of calls
+ * @returns {Object} { written, removed }
+ */
+function applyBuckets(existingFiles, buckets, filePathFor, countOf) {
+    let written = 0;
+    let removed = 0;
+
+    // Write new/changed buckets first so no call is ever absent from disk
+    Object.keys(buckets).sort().forEach(dateKey => {
+        const filepath = filePathFor(dateKey);
+        const content = JSON.stringify(buckets[dateKey], null, 2);
+        const current = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf-8') : null;
+        if (current === content) return;
+
+        console.log(`  ${dryRun ? '[dry-run] would write' : 'Writing'} ${path.basename(filepath)} (${countOf(buckets[dateKey])} calls)`);
+        if (!dryRun) fs.writeFileSync(filepath, content);
+        written++;
+    });
+
+    Object.entries(existingFiles).forEach(([dateKey, filepath]) => {
+        if (buckets[dateKey]) return;
+        console.log(`  ${dryRun ? '[dry-run] would remove' : 'Removing'} ${path.basename(filepath)} (now empty)`);
+        if (!dryRun) fs.unlinkSync(filepath);
+        removed++;
+    });
+
+    return { written, removed };
+}
+
+// Re-bucket raw call files; returns callId -> createdAt for the enriched pass
+function migrateRaw() {
+    const existingFiles = listDailyFiles(config.paths.rawDir, 'vapi_calls_');
+    const callMap = new Map();
+    const originalKey = new Map();
+
+    Object.entries(existingFiles).sort().forEach(([dateKey, filepath]) => {
+        JSON.parse(fs.readFileSync(filepath, 'utf-8')).forEach(call => {
+            const existing = callMap.get(call.id);
+            // A call may be duplicated across files; keep the most recently updated copy
+            if (!existing || (call.updatedAt || '') > (existing.updatedAt || '')) {
+                callMap.set(call.id, call);
+                originalKey.set(call.id, dateKey);
+            }
+        });
+    });
+
+    const buckets = {};
+    let moved = 0;
+    callMap.forEach((call, id) => {
+        const dateKey = call.createdAt ? getPartitionDateKey(call.createdAt, TIME_ZONE) : originalKey.get(id);
+        if (dateKey !== originalKey.get(id)) moved++;
+        if (!buckets[dateKey]) buckets[dateKey] = [];
+        buckets[dateKey].push(call);
+    });
+
+    console.log(`Raw: ${callMap.size} calls in ${Object.keys(existingFiles).length} files, ${moved} change day`);
+    const result = applyBuckets(existingFiles, buckets,
+        dateKey => path.join(config.paths.rawDir, `vapi_calls_${dateKey}.json`),
+        calls => calls.length);
+
+    const createdAtById = new Map();
+    callMap.forEach((call, id) => createdAtById.set(id, call.createdAt));
+    return { ...result, calls: callMap.size, moved, createdAtById };
+}
+
+// Re-bucket enriched files, keyed by callId (legacy array files become objects)
+function migrateEnriched(createdAtById) {
+    const existingFiles = listDailyFiles(config.paths.enrichedDir, 'vapi_enriched_');
+    const recordMap = new Map();
+    const originalKey = new Map();
+    let skipped = 0;
+
+    Object.entries(existingFiles).sort().forEach(([fileKey, filepath]) => {
+        const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+        // Array files hold records only; object files are keyed by callId
+        const entries = Array.isArray(data) ? data.map(enrichment => [null, enrichment]) : Object.entries(data);
+        entries.forEach(([key, enrichment]) => {
+            const callId = enrichment?.callId || key;
+            if (!callId) {
+                skipped++;
+                return;
+            }
+            const existing = recordMap.get(callId);
+            // A call may be duplicated across files; keep the latest enrichment, as loadAllEnrichments does
+            if (!existing || (enrichment.enrichedAt || '') > (existing.enrichedAt || '')) {
+                recordMap.set(callId, enrichment);
+                originalKey.set(callId, fileKey);
+            }
+        });
+    });
+
+    const buckets = {};
+    let moved = 0;
+    recordMap.forEach((enrichment, callId) => {
+        const createdAt = enrichment.createdAt || createdAtById.get(callId);
+        const dateKey = createdAt ? getPartitionDateKey(createdAt, TIME_ZONE) : originalKey.get(callId);
+        if (dateKey !== originalKey.get(callId)) moved++;
+        if (!buckets[dateKey]) buckets[dateKey] = {};
+        buckets[dateKey][callId] = enrichment;
+    });
+
+    console.log(`Enriched: ${recordMap.size} records in ${Object.keys(existingFiles).length} files, ${moved} change day`);
+    if (skipped > 0) console.warn(`  Skipped ${skipped} records without a callId`);
+    const result = applyBuckets(existingFiles, buckets,
+        dateKey => path.join(config.paths.enrichedDir, `vapi_enriched_${dateKey}.json`),
+        data => Object.keys(data).length);
+
+    return { ...result, records: recordMap.size, moved };
+}
+
+function main() {
+    console.log(`=== Re-partitioning data for ${config.client.name} by ${TIME_ZONE}${dryRun ? ' (dry run)' : ''} ===`);
+
+    const raw = migrateRaw();
+    const enriched = migrateEnriched(raw.createdAtById);
+
+    if (!dryRun && fs.existsSync(config.paths.metadataFile)) {
+        const metadata = JSON.parse(fs.readFileSync(config.paths.metadataFile, 'utf-8'));
+        metadata.partitionTimeZone = TIME_ZONE;
+        fs.writeFileSync(config.paths.metadataFile, JSON.stringify(metadata, null, 2));
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Raw: ${raw.moved}/${raw.calls} calls re-bucketed, ${raw.written} files written, ${raw.removed} removed`);
+    console.log(`Enriched: ${enriched.moved}/${enriched.records} records re-bucketed, ${enriched.written} files written, ${enriched.removed} removed`);
+    console.log(dryRun ? 'Dry run: no files changed' : '✅ Migration complete');
+}
+
+main();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Classification Overrides - Record human corrections to GPT call classifications
+ *
+ * Overrides live in data/classification_overrides.json (an append-only ledger)
+ * and are applied when enrichments are loaded, so every report uses them and
+ * `enrich.js --force` never clobbers them. Reverting keeps the entry for audit.
+ *
+ * Usage:
+ *   node scripts/override-classification.js --client=lf01 add --call=<callId> --category=<category>
+ *        [--transfer-reason=<reason>] --reviewer=<name> [--note="..."]
+ *   node scripts/override-classification.js --client=lf01 list [--call=<callId>] [--all]
+ *   node scripts/override-classification.js --client=lf01 revert (--id=<overrideId> | --call=<callId>)
+ *        --reviewer=<name> [--note="..."]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const { buildClassificationSchema } = require('../core/lib/classification_schema');
+const { loadAllEnrichments } = require('../core/lib/store_enrichment');
+const {
+    loadOverrideLedger,
+    getActiveOverrides,
+    addOverride,
+    revertOverride
+} = require('../core/lib/store_overrides');
+
+const USAGE = 'Usage: node override-classification.js --client=<clientname> <add|list|revert> [options]';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const command = args.find(arg => !arg.startsWith('--'));
+
+// Helper: Value of a --name=value argument
+function getArg(name) {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+}
+
+if (!clientArg || !['add', 'list', 'revert'].includes(command)) {
+    console.error('Error: --client and a command (add, list, revert) are required');
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const config = loadClientConfig(clientName);
+const overridesFile = config.paths.overridesFile;
+
+// Helper: Find a raw call by ID (for its createdAt)
+function findRawCall(callId) {
+    const files = fs.readdirSync(config.paths.rawDir).filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'));
+    for (const file of files) {
+        const calls = JSON.parse(fs.readFileSync(path.join(config.paths.rawDir, file), 'utf-8'));
+        const call = calls.find(c => c.id === callId);
+        if (call) return call;
+    }
+    return null;
+}
+
+function add() {
+    const callId = getArg('call');
+    const category = getArg('category');
+    const transferReason = getArg('transfer-reason');
+    const reviewer = getArg('reviewer');
+
+    if (!callId || !category || !reviewer) {
+        throw new Error('add needs --call, --category and --reviewer');
+    }
+
+    // Same value sets the model output is validated against
+    const { properties } = buildClassificationSchema(config);
+    if (!properties.category.enum.includes(category)) {
+        throw new Error(`Unknown category "${category}" (expected ${properties.category.enum.join(', ')})`);
+    }
+    if (transferReason && !properties.transferReason.enum.includes(transferReason)) {
+        throw new Error(`Unknown transfer reason "${transferReason}" (expected ${properties.transferReason.enum.filter(Boolean).join(', ')})`);
+    }
+
+    const call = findRawCall(callId);
+    if (!call) {
+        console.warn(`Warning: call ${callId} not found in raw data; recording the override anyway`);
+    }
+
+    const previous = loadAllEnrichments(config.paths.enrichedDir, overridesFile).get(callId);
+    const entry = addOverride(overridesFile, {
+        callId,
+        createdAt: call?.createdAt || null,
+        category,
+        transferReason,
+        reviewer,
+        note: getArg('note')
+    });
+
+    console.log(`✅ Override ${entry.id} added: ${callId} ${previous?.classification?.category || 'unenriched'} → ${category}${transferReason ? ` (${transferReason})` : ''}`);
+}
+
+function list() {
+    const callId = getArg('call');
+    const ledger = loadOverrideLedger(overridesFile);
+    const active = getActiveOverrides(ledger);
+    const entries = ledger
+        .filter(e => !callId || e.callId === callId)
+        .filter(e => args.includes('--all') || active.get(e.callId) === e);
+
+    if (entries.length === 0) {
+        console.log(args.includes('--all') ? 'No overrides recorded' : 'No active overrides (use --all to include reverted ones)');
+        return;
+    }
+
+    entries.forEach(e => {
+        const status = e.revertedAt
+            ? `reverted ${e.revertedAt} by ${e.revertedBy}${e.revertNote ? ` (${e.revertNote})` : ''}`
+            : (active.get(e.callId) === e ? 'active' : 'superseded');
+        console.log(`${e.id}  ${e.timestamp}  ${e.callId}  ${e.category}${e.transferReason ? `/${e.transferReason}` : ''}  by ${e.reviewer}  [${status}]${e.note ? `  "${e.note}"` : ''}`);
+    });
+    console.log(`\n${entries.length} override(s), ${active.size} active`);
+}
+
+function revert() {
+    const id = getArg('id');
+    const callId = getArg('call');
+    if (!id && !callId) {
+        throw new Error('revert needs --id or --call');
+    }
+
+    const entry = revertOverride(overridesFile, id ? { id } : { callId }, {
+        reviewer: getArg('reviewer'),
+        note: getArg('note') || ''
+    });
+    const next = getActiveOverrides(loadOverrideLedger(overridesFile)).get(entry.callId);
+
+    console.log(`✅ Override ${entry.id} reverted for ${entry.callId}`);
+    console.log(next
+        ? `Call now uses earlier override ${next.id} (${next.category})`
+        : 'Call now uses the model classification');
+}
+
+try {
+    ({ add, list, revert })[command]();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,236 @@
+/**
+ * Business Review Report - Monthly or quarterly review for any client
+ *
+ * Usage: node report-business-review.js --client=bathfitter [--month=YYYY-MM] [--template=<name>]
+ *        node report-business-review.js --client=bathfitter --quarter=YYYY-Q1 [--template=<name>]
+ *        node report-business-review.js --client=bathfitter --period=quarterly
+ *
+ * Without --month/--quarter the last complete month (or quarter, with --period=quarterly)
+ * in the client timezone is reviewed. The period is compared with the one before it
+ * (month-over-month / quarter-over-quarter) and the same period a year earlier, with
+ * AI cost from calculate_roi, revenue and visit figures from revenue.json monthly
+ * entries, hangup themes from analyze-hangups.js output and a GPT-written narrative.
+ * Writes the Markdown report and a companion _meta.json for the email sender.
+ *
+ * --template picks a report.json `templates.review` entry (sections and their order);
+ * without it the full default report is written.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseISO, addMonths, format } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { loadClientConfig } = require('../core/config-loader');
+const { loadAllEnrichments, summarizeEnrichmentStatus } = require('../core/lib/store_enrichment');
+const { compareAIvsHuman, calculateROI } = require('../core/lib/calculate_roi');
+const { summarizeCallCosts } = require('../core/lib/call_costs');
+const { extractHighPriorityLeads } = require('../core/lib/export_leads');
+const { getMonthlyActuals, sumActuals } = require('../core/lib/revenue_actuals');
+const { summarizeAttributedRevenue } = require('../core/lib/revenue_attribution');
+const { loadAttributions } = require('../core/lib/store_revenue_attribution');
+const { loadHangupAnalyses } = require('../core/lib/hangup_themes');
+const { PERIOD_TYPES, getPeriod, parsePeriodKey, getLastCompletePeriod, shiftPeriod, getYearAgoPeriod } = require('../core/lib/report_periods');
+const { getMetricsSettings, processCalls, computeMetrics } = require('../core/metrics');
+const { resolveReportTemplate, renderReport, getTemplateFileSuffix } = require('../core/report-template');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const monthArg = args.find(arg => arg.startsWith('--month='));
+const quarterArg = args.find(arg => arg.startsWith('--quarter='));
+const periodArg = args.find(arg => arg.startsWith('--period='));
+const templateArg = args.find(arg => arg.startsWith('--template='));
+
+const USAGE = 'Usage: node report-business-review.js --client=<clientname> [--month=YYYY-MM | --quarter=YYYY-Q1 | --period=monthly|quarterly] [--template=<name>]';
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error(USAGE);
+    process.exit(1);
+}
+if (monthArg && quarterArg) {
+    console.error('Error: use either --month or --quarter, not both');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+
+// Load client configuration
+const config = loadClientConfig(clientName);
+const TIME_ZONE = config.client.timezone || 'America/New_York';
+const METRICS_SETTINGS = getMetricsSettings(config);
+const BOOKING_CATEGORIES = ['booking-completed', 'booking-abandoned', 'booking-transferred'];
+
+const PERIOD_TYPE = quarterArg ? 'quarterly' : (monthArg ? 'monthly' : (periodArg ? periodArg.split('=')[1] : 'monthly'));
+if (!PERIOD_TYPES.includes(PERIOD_TYPE)) {
+    console.error(`Error: --period must be monthly or quarterly (got "${PERIOD_TYPE}")`);
+    process.exit(1);
+}
+
+let PERIOD;
+let TEMPLATE;
+try {
+    const periodKey = (monthArg || quarterArg || '').split('=')[1];
+    PERIOD = periodKey ? parsePeriodKey(PERIOD_TYPE, periodKey) : getLastCompletePeriod(PERIOD_TYPE, TIME_ZONE);
+    TEMPLATE = resolveReportTemplate(config, 'review', templateArg ? templateArg.split('=')[1] : undefined);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+console.log(`=== Generating ${PERIOD.type} business review for ${config.client.name} ===`);
+console.log(`AI Assistant: ${config.client.aiAssistantName}`);
+console.log(`Timezone: ${TIME_ZONE}`);
+console.log(`Template: ${TEMPLATE.name} (${TEMPLATE.sections.length} sections)`);
+
+// Helper: Raw calls from every daily file, keyed by date
+function loadCallsByDate() {
+    const callsByDate = new Map();
+    const rawFiles = fs.readdirSync(config.paths.rawDir)
+        .filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'))
+        .sort();
+
+    for (const file of rawFiles) {
+        const dateStr = file.replace('vapi_calls_', '').replace('.json', '');
+        callsByDate.set(dateStr, JSON.parse(fs.readFileSync(path.join(config.paths.rawDir, file), 'utf8')));
+    }
+
+    return callsByDate;
+}
+
+// Helper: Raw calls whose daily file falls inside [start, end]
+function callsBetween(callsByDate, start, end) {
+    const calls = [];
+    for (const [date, dayCalls] of callsByDate) {
+        if (date >= start && date <= end) calls.push(...dayCalls);
+    }
+    return calls;
+}
+
+/**
+ * Metrics, cost (actual Vapi costs where recorded), revenue actuals, attributed sales, leads and hangup analyses for one period
+ * ROI uses attributed sales revenue when any outcome is matched to the period's calls, else revenue.json.
+ * @returns {Object} Period summary (shape in core/report-sections/review.js)
+ */
+function summarizePeriod(period, { callsByDate, enrichmentMap, actuals, attributions, hangupAnalyses }) {
+    const calls = processCalls(callsBetween(callsByDate, period.start, period.end), enrichmentMap, METRICS_SETTINGS);
+    const metrics = computeMetrics(calls, METRICS_SETTINGS);
+    const callCosts = summarizeCallCosts(calls, config.report.pricing);
+    const cost = compareAIvsHuman(metrics.totalMinutes, metrics.totalCalls, config.report.pricing, callCosts);
+    const periodActuals = sumActuals(actuals, period.months);
+    const attribution = summarizeAttributedRevenue(attributions, calls);
+    const roiRevenue = attribution.outcomes > 0 ? attribution.revenue : periodActuals.totalRevenue;
+    const eligible = calls.filter(c => BOOKING_CATEGORIES.includes(c.category)).length;
+    const completed = calls.filter(c => c.category === 'booking-completed').length;
+
+    return {
+        period,
+        calls,
+        metrics,
+        cost,
+        callCosts,
+        actuals: periodActuals,
+        attribution,
+        roi: roiRevenue !== null ? calculateROI(roiRevenue, cost.ai.totalCost) : null,
+        leads: extractHighPriorityLeads(calls),
+        bookings: { eligible, completed, successRate: eligible > 0 ? Math.round((completed / eligible) * 100) : 0 },
+        hangupAnalyses: hangupAnalyses.filter(a => {
+            if (!a.createdAt) return false;
+            const date = formatInTimeZone(new Date(a.createdAt), TIME_ZONE, 'yyyy-MM-dd');
+            return date >= period.start && date <= period.end;
+        }),
+        hasData: calls.length > 0
+    };
+}
+
+async function generateBusinessReview() {
+    console.log(`\nPeriod: ${PERIOD.label} (${PERIOD.start} to ${PERIOD.end})`);
+
+    const enrichmentMap = loadAllEnrichments(config.paths.enrichedDir, config.paths.overridesFile);
+    console.log(`Loaded ${enrichmentMap.size} enrichments`);
+
+    const callsByDate = loadCallsByDate();
+    const actuals = getMonthlyActuals(config.revenue);
+    const { entries: attributions } = loadAttributions(config.paths.revenueAttributionFile);
+    const hangupAnalyses = loadHangupAnalyses(config.paths.openaiAnalysisDir);
+    console.log(`Revenue actuals: ${actuals.size} month(s); attributed sales outcomes: ${attributions.length}; hangup analyses: ${hangupAnalyses.length}`);
+
+    const sources = { callsByDate, enrichmentMap, actuals, attributions, hangupAnalyses };
+    const current = summarizePeriod(PERIOD, sources);
+    const previous = summarizePeriod(shiftPeriod(PERIOD, -1), sources);
+    const yearAgo = summarizePeriod(getYearAgoPeriod(PERIOD), sources);
+    console.log(`Calls: ${current.metrics.totalCalls} (${previous.period.label}: ${previous.metrics.totalCalls}, ${yearAgo.period.label}: ${yearAgo.metrics.totalCalls})`);
+
+    // One row per month from the first stored day to the period end
+    const monthlyRows = [];
+    const firstDate = Array.from(callsByDate.keys())[0];
+    if (firstDate) {
+        for (let month = parseISO(`${firstDate.slice(0, 7)}-01`); format(month, 'yyyy-MM') <= PERIOD.months[PERIOD.months.length - 1]; month = addMonths(month, 1)) {
+            const summary = summarizePeriod(getPeriod('monthly', month), sources);
+            monthlyRows.push({
+                monthKey: summary.period.key,
+                label: format(month, 'MMM yyyy'),
+                metrics: summary.metrics,
+                cost: summary.cost,
+                actuals: summary.actuals,
+                attribution: summary.attribution
+            });
+        }
+    }
+
+    // Build markdown from the template's sections
+    const md = await renderReport('review', TEMPLATE, {
+        config,
+        timeZone: TIME_ZONE,
+        current,
+        previous,
+        yearAgo,
+        monthlyRows
+    });
+
+    // Timestamped filename with the same Start/End (MMDDYYYY) shape as the DOD report
+    const now = new Date();
+    const timestamp = format(now, 'yyyyMMdd_HHmmss');
+    const toMMDDYYYY = date => {
+        const [year, month, day] = date.split('-');
+        return `${month}${day}${year}`;
+    };
+    const reportName = PERIOD.type === 'quarterly' ? 'QuarterlyReview' : 'MonthlyReview';
+    const fileName = `EngAgent_${reportName}${getTemplateFileSuffix(TEMPLATE.name)}_Start${toMMDDYYYY(PERIOD.start)}_End${toMMDDYYYY(PERIOD.end)}_${timestamp}.md`;
+    const outPath = path.join(config.paths.reportsDir, fileName);
+    fs.writeFileSync(outPath, md);
+
+    // Companion _meta.json for the email sender: "today" chips hold the period, "period" chips the one before
+    const periodWord = PERIOD.type === 'quarterly' ? 'Quarter' : 'Month';
+    const enrichmentStatus = summarizeEnrichmentStatus(current.calls.map(c => enrichmentMap.get(c.callId)));
+    const meta = {
+        titleLine: `${PERIOD.type === 'quarterly' ? 'Quarterly' : 'Monthly'} Business Review - ${PERIOD.label}`,
+        generatedTs: now.toLocaleString('en-US', { timeZone: TIME_ZONE }),
+        dateRange: `${PERIOD.start} -> ${PERIOD.end}`,
+        reportPath: outPath,
+        callsToday: current.metrics.totalCalls.toLocaleString(),
+        todaySuccessRate: `${current.metrics.routingRate}%`,
+        callsInPeriod: previous.metrics.totalCalls.toLocaleString(),
+        periodSuccessRate: previous.hasData ? `${previous.metrics.routingRate}%` : '-',
+        chipLabels: {
+            callsToday: `Calls This ${periodWord}`,
+            todaySuccessRate: `${periodWord} Routing`,
+            callsInPeriod: `Prior ${periodWord} Calls`,
+            periodSuccessRate: `Prior ${periodWord} Routing`
+        },
+        failedEnrichments: enrichmentStatus.failed,
+        unknownCalls: enrichmentStatus.unknown,
+        template: TEMPLATE.name,
+        period: PERIOD.key
+    };
+
+    const metaPath = outPath.replace('.md', '_meta.json');
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+
+    console.log(`\n=== Business Review Complete ===`);
+    console.log(`Report saved to: ${outPath}`);
+    console.log(`Metadata saved to: ${metaPath}`);
+}
+
+generateBusinessReview().catch(console.error);
@@ -0,0 +1,194 @@
+/**
+ * Portfolio Rollup Report - One daily view across every client
+ *
+ * Usage: node report-portfolio.js [--date=YYYY-MM-DD] [--clients=lf01,bathfitter] [--template=<name>]
+ *
+ * Reads each client's stored raw and enriched data (no fetching) and compares
+ * clients side by side for the report day (default: yesterday in the portfolio
+ * timezone): volume, routing rate, booking rate, spam share and cost per call,
+ * the last 7 days against the 7 before, and every client outside its report.json
+ * targets. Settings and internal-only recipients come from
+ * portfolio/config/portfolio.json; clients default to its `clients` list, or every
+ * folder in clients/ when that list is empty.
+ *
+ * Writes the Markdown report and a companion _meta.json to portfolio/data/reports/.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseISO, subDays, format } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { loadClientConfig, loadPortfolioConfig } = require('../core/config-loader');
+const { loadAllEnrichments } = require('../core/lib/store_enrichment');
+const { summarizeRollupStats, combineRollupStats, findRollupIssues } = require('../core/lib/portfolio_rollup');
+const { getMetricsSettings, processCalls, computeMetrics } = require('../core/metrics');
+const { resolveReportTemplate, renderReport, getTemplateFileSuffix } = require('../core/report-template');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dateArg = args.find(arg => arg.startsWith('--date='));
+const clientsArg = args.find(arg => arg.startsWith('--clients='));
+const templateArg = args.find(arg => arg.startsWith('--template='));
+
+let config;
+let TEMPLATE;
+try {
+    config = loadPortfolioConfig();
+    TEMPLATE = resolveReportTemplate(config, 'portfolio', templateArg ? templateArg.split('=')[1] : undefined);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+const TIME_ZONE = config.client.timezone || 'America/New_York';
+const CLIENTS = clientsArg ? clientsArg.split('=')[1].split(',').map(c => c.trim()).filter(Boolean) : config.clients;
+const REPORT_DATE = dateArg
+    ? dateArg.split('=')[1]
+    : formatInTimeZone(subDays(new Date(), 1), TIME_ZONE, 'yyyy-MM-dd');
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(REPORT_DATE)) {
+    console.error(`Error: --date must be YYYY-MM-DD (got "${REPORT_DATE}")`);
+    process.exit(1);
+}
+if (CLIENTS.length === 0) {
+    console.error('Error: no clients to roll up (portfolio.json "clients" is empty and clients/ has no folders)');
+    process.exit(1);
+}
+
+console.log(`=== Generating portfolio rollup for ${config.client.name} ===`);
+console.log(`Clients: ${CLIENTS.join(', ')}`);
+console.log(`Template: ${TEMPLATE.name} (${TEMPLATE.sections.length} sections)`);
+
+// Helper: Date N days before the report day (YYYY-MM-DD)
+function daysBefore(count) {
+    return format(subDays(parseISO(REPORT_DATE), count), 'yyyy-MM-dd');
+}
+
+// Helper: Raw calls from a client's daily files in [start, end], keyed by date
+function loadCallsByDate(clientConfig, start, end) {
+    const callsByDate = new Map();
+    const rawFiles = fs.readdirSync(clientConfig.paths.rawDir)
+        .filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'))
+        .sort();
+
+    for (const file of rawFiles) {
+        const dateStr = file.replace('vapi_calls_', '').replace('.json', '');
+        if (dateStr < start || dateStr > end) continue;
+        callsByDate.set(dateStr, JSON.parse(fs.readFileSync(path.join(clientConfig.paths.rawDir, file), 'utf8')));
+    }
+
+    return callsByDate;
+}
+
+/**
+ * Rollup stats for one client: the report day, the last 7 days and the 7 before
+ * @returns {Object} { clientId, name, targets, day, week, priorWeek, error }
+ */
+function summarizeClient(clientId, windows) {
+    let clientConfig;
+    try {
+        clientConfig = loadClientConfig(clientId);
+    } catch (error) {
+        return { clientId, name: clientId, targets: {}, error: error.message };
+    }
+
+    const settings = getMetricsSettings(clientConfig);
+    const enrichmentMap = loadAllEnrichments(clientConfig.paths.enrichedDir, clientConfig.paths.overridesFile);
+    const callsByDate = loadCallsByDate(clientConfig, windows.priorWeek.start, windows.day.end);
+
+    const statsFor = ({ start, end }) => {
+        const rawCalls = [];
+        for (const [date, dayCalls] of callsByDate) {
+            if (date >= start && date <= end) rawCalls.push(...dayCalls);
+        }
+        const calls = processCalls(rawCalls, enrichmentMap, settings);
+        return summarizeRollupStats(calls, computeMetrics(calls, settings), clientConfig.report.pricing);
+    };
+
+    return {
+        clientId,
+        name: clientConfig.client.name || clientId,
+        targets: clientConfig.report.targets || {},
+        day: statsFor(windows.day),
+        week: statsFor(windows.week),
+        priorWeek: statsFor(windows.priorWeek),
+        error: null
+    };
+}
+
+async function generatePortfolioReport() {
+    const windows = {
+        day: { start: REPORT_DATE, end: REPORT_DATE },
+        week: { start: daysBefore(6), end: REPORT_DATE },
+        priorWeek: { start: daysBefore(13), end: daysBefore(7) }
+    };
+    console.log(`\nReport day: ${REPORT_DATE}`);
+    console.log(`Week: ${windows.week.start} to ${windows.week.end} (prior: ${windows.priorWeek.start} to ${windows.priorWeek.end})`);
+
+    const rows = CLIENTS.map(clientId => {
+        const row = summarizeClient(clientId, windows);
+        if (row.error) {
+            console.warn(`Warning: ${clientId} skipped: ${row.error}`);
+        } else {
+            console.log(`  ${clientId}: ${row.day.totalCalls} calls on ${REPORT_DATE}, ${row.week.totalCalls} in the last 7 days`);
+        }
+        return row;
+    });
+
+    const loaded = rows.filter(row => !row.error);
+    const totals = {
+        day: combineRollupStats(loaded.map(row => row.day)),
+        week: combineRollupStats(loaded.map(row => row.week)),
+        priorWeek: combineRollupStats(loaded.map(row => row.priorWeek))
+    };
+    const flaggedClients = rows.filter(row => findRollupIssues(row, 'day').length > 0);
+
+    // Build markdown from the template's sections
+    const md = await renderReport('portfolio', TEMPLATE, {
+        config,
+        timeZone: TIME_ZONE,
+        date: REPORT_DATE,
+        week: windows.week,
+        priorWeek: windows.priorWeek,
+        rows,
+        totals
+    });
+
+    const now = new Date();
+    const timestamp = format(now, 'yyyyMMdd_HHmmss');
+    const [year, month, day] = REPORT_DATE.split('-');
+    const fileName = `EngAgent_PortfolioRollup${getTemplateFileSuffix(TEMPLATE.name)}_Start${month}${day}${year}_End${month}${day}${year}_${timestamp}.md`;
+    const outPath = path.join(config.paths.reportsDir, fileName);
+    fs.writeFileSync(outPath, md);
+
+    // Companion _meta.json for the email sender: "today" chips hold the report day, "period" chips the last 7 days
+    const meta = {
+        titleLine: `Client Portfolio Rollup - ${REPORT_DATE}`,
+        generatedTs: now.toLocaleString('en-US', { timeZone: TIME_ZONE }),
+        dateRange: `${REPORT_DATE} -> ${REPORT_DATE}`,
+        reportPath: outPath,
+        callsToday: totals.day.totalCalls.toLocaleString(),
+        todaySuccessRate: totals.day.routingRate === null ? '-' : `${totals.day.routingRate}%`,
+        callsInPeriod: totals.week.totalCalls.toLocaleString(),
+        periodSuccessRate: `${flaggedClients.length} of ${rows.length}`,
+        chipLabels: {
+            callsToday: 'Portfolio Calls',
+            todaySuccessRate: 'Portfolio Routing',
+            callsInPeriod: 'Calls Last 7 Days',
+            periodSuccessRate: 'Clients Flagged'
+        },
+        clients: rows.map(row => row.clientId),
+        flaggedClients: flaggedClients.map(row => row.clientId),
+        template: TEMPLATE.name
+    };
+
+    const metaPath = outPath.replace('.md', '_meta.json');
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+
+    console.log(`\n=== Portfolio Rollup Complete ===`);
+    console.log(`Report saved to: ${outPath}`);
+    console.log(`Metadata saved to: ${metaPath}`);
+}
+
+generatePortfolioReport().catch(console.error);
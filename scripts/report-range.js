@@ -0,0 +1,226 @@
+/**
+ * Date-Range Report - Generic script for any client
+ *
+ * Usage: node report-range.js --client=bathfitter --start=YYYY-MM-DD --end=YYYY-MM-DD [--template=<name>]
+ *        node report-range.js --client=bathfitter --days=45 [--end=YYYY-MM-DD] [--template=<name>]
+ *
+ * Reports any inclusive window of days (client timezone) and compares it with the
+ * prior window of equal length, e.g. Jan 12 - Feb 3 against Dec 20 - Jan 11.
+ * --days counts back from --end (default: yesterday). Writes the Markdown report,
+ * a companion _meta.json for the email sender and a CSV of high-priority leads.
+ *
+ * --template picks a report.json `templates.range` entry (sections and their order);
+ * without it the full default report is written.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseISO, addDays, subDays, differenceInCalendarDays, format } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { loadClientConfig } = require('../core/config-loader');
+const { loadAllEnrichments, summarizeEnrichmentStatus } = require('../core/lib/store_enrichment');
+const { extractHighPriorityLeads, exportLeadsToCSV } = require('../core/lib/export_leads');
+const { getMetricsSettings, processCalls, computeMetrics } = require('../core/metrics');
+const { resolveReportTemplate, renderReport, getTemplateFileSuffix } = require('../core/report-template');
+const { createChartSet, writeReportCharts } = require('../core/lib/report_charts');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const startArg = args.find(arg => arg.startsWith('--start='));
+const endArg = args.find(arg => arg.startsWith('--end='));
+const daysArg = args.find(arg => arg.startsWith('--days='));
+const templateArg = args.find(arg => arg.startsWith('--template='));
+
+const USAGE = 'Usage: node report-range.js --client=<clientname> (--start=YYYY-MM-DD --end=YYYY-MM-DD | --days=N [--end=YYYY-MM-DD]) [--template=<name>]';
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error(USAGE);
+    process.exit(1);
+}
+if (!daysArg && !(startArg && endArg)) {
+    console.error('Error: --start and --end (or --days) are required');
+    console.error(USAGE);
+    process.exit(1);
+}
+if (daysArg && startArg) {
+    console.error('Error: use either --start or --days, not both');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+
+// Load client configuration
+const config = loadClientConfig(clientName);
+const TIME_ZONE = config.client.timezone || 'America/New_York';
+const METRICS_SETTINGS = getMetricsSettings(config);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const END_DATE = endArg
+    ? endArg.split('=')[1]
+    : formatInTimeZone(subDays(new Date(), 1), TIME_ZONE, 'yyyy-MM-dd');
+const DAYS = daysArg ? parseInt(daysArg.split('=')[1], 10) : null;
+
+if (daysArg && !(DAYS > 0)) {
+    console.error(`Error: --days must be a positive number (got "${daysArg.split('=')[1]}")`);
+    process.exit(1);
+}
+if (!DATE_PATTERN.test(END_DATE) || (startArg && !DATE_PATTERN.test(startArg.split('=')[1]))) {
+    console.error('Error: dates must be YYYY-MM-DD');
+    process.exit(1);
+}
+
+const START_DATE = startArg
+    ? startArg.split('=')[1]
+    : format(subDays(parseISO(END_DATE), DAYS - 1), 'yyyy-MM-dd');
+
+if (START_DATE > END_DATE) {
+    console.error(`Error: --start (${START_DATE}) is after --end (${END_DATE})`);
+    process.exit(1);
+}
+
+let TEMPLATE;
+try {
+    TEMPLATE = resolveReportTemplate(config, 'range', templateArg ? templateArg.split('=')[1] : undefined);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+console.log(`=== Generating date-range report for ${config.client.name} ===`);
+console.log(`AI Assistant: ${config.client.aiAssistantName}`);
+console.log(`Timezone: ${TIME_ZONE}`);
+console.log(`Template: ${TEMPLATE.name} (${TEMPLATE.sections.length} sections)`);
+
+/**
+ * The inclusive window and the prior window of equal length that ends the day before it
+ * @param {String} start - YYYY-MM-DD
+ * @param {String} end - YYYY-MM-DD
+ * @returns {Object} { range: { start, end, days }, priorRange: { start, end, days } }
+ */
+function getComparisonWindows(start, end) {
+    const days = differenceInCalendarDays(parseISO(end), parseISO(start)) + 1;
+    const priorEnd = subDays(parseISO(start), 1);
+    return {
+        range: { start, end, days },
+        priorRange: {
+            start: format(subDays(priorEnd, days - 1), 'yyyy-MM-dd'),
+            end: format(priorEnd, 'yyyy-MM-dd'),
+            days
+        }
+    };
+}
+
+// Helper: Raw calls from the daily files in [start, end], keyed by date
+function loadCallsByDate(start, end) {
+    const callsByDate = new Map();
+    const rawFiles = fs.readdirSync(config.paths.rawDir)
+        .filter(f => f.startsWith('vapi_calls_') && f.endsWith('.json'))
+        .sort();
+
+    for (const file of rawFiles) {
+        const dateStr = file.replace('vapi_calls_', '').replace('.json', '');
+        if (dateStr < start || dateStr > end) continue;
+        callsByDate.set(dateStr, JSON.parse(fs.readFileSync(path.join(config.paths.rawDir, file), 'utf8')));
+    }
+
+    return callsByDate;
+}
+
+async function generateRangeReport() {
+    const { range, priorRange } = getComparisonWindows(START_DATE, END_DATE);
+    console.log(`\nRange: ${range.start} to ${range.end} (${range.days} days)`);
+    console.log(`Prior window: ${priorRange.start} to ${priorRange.end}`);
+
+    const enrichmentMap = loadAllEnrichments(config.paths.enrichedDir, config.paths.overridesFile);
+    console.log(`Loaded ${enrichmentMap.size} enrichments`);
+
+    const callsByDate = loadCallsByDate(range.start, range.end);
+    const priorCallsByDate = loadCallsByDate(priorRange.start, priorRange.end);
+
+    // One row per day in the range, including days without a data file
+    const dailyRows = [];
+    const calls = [];
+    for (let day = parseISO(range.start); day <= parseISO(range.end); day = addDays(day, 1)) {
+        const date = format(day, 'yyyy-MM-dd');
+        const dayCalls = processCalls(callsByDate.get(date) || [], enrichmentMap, METRICS_SETTINGS);
+        dailyRows.push({ date, dayName: format(day, 'EEE'), metrics: computeMetrics(dayCalls, METRICS_SETTINGS) });
+        calls.push(...dayCalls);
+    }
+
+    const priorCalls = processCalls(Array.from(priorCallsByDate.values()).flat(), enrichmentMap, METRICS_SETTINGS);
+    console.log(`Found ${calls.length} calls in range, ${priorCalls.length} in prior window`);
+
+    const metrics = computeMetrics(calls, METRICS_SETTINGS);
+    const previousMetrics = priorCalls.length > 0 ? computeMetrics(priorCalls, METRICS_SETTINGS) : null;
+
+    // Lead list (CSV holds every lead; the report shows the top of it)
+    const rangeKey = `${range.start}_to_${range.end}`;
+    const leads = extractHighPriorityLeads(calls);
+    const leadsCsvPath = path.join(config.paths.reportsDir, `high_priority_leads_${rangeKey}.csv`);
+    exportLeadsToCSV(leads, leadsCsvPath);
+
+    // Build markdown from the template's sections
+    const charts = createChartSet(config);
+    const md = await renderReport('range', TEMPLATE, {
+        config,
+        timeZone: TIME_ZONE,
+        range,
+        priorRange,
+        metrics,
+        previousMetrics,
+        calls,
+        dailyRows,
+        leads,
+        leadsCsvPath,
+        charts
+    });
+
+    // Timestamped filename with the same Start/End (MMDDYYYY) shape as the DOD report
+    const now = new Date();
+    const timestamp = format(now, 'yyyyMMdd_HHmmss');
+    const toMMDDYYYY = date => {
+        const [year, month, day] = date.split('-');
+        return `${month}${day}${year}`;
+    };
+    const fileName = `EngAgent_RangeReport${getTemplateFileSuffix(TEMPLATE.name)}_Start${toMMDDYYYY(range.start)}_End${toMMDDYYYY(range.end)}_${timestamp}.md`;
+    const outPath = path.join(config.paths.reportsDir, fileName);
+    fs.writeFileSync(outPath, writeReportCharts(outPath, md, charts));
+
+    // Companion _meta.json for the email sender: "today" chips hold the range, "period" chips the prior window
+    const enrichmentStatus = summarizeEnrichmentStatus(calls.map(c => enrichmentMap.get(c.callId)));
+    const meta = {
+        titleLine: `Performance Report for ${range.start} to ${range.end}`,
+        generatedTs: now.toLocaleString('en-US', { timeZone: TIME_ZONE }),
+        dateRange: `${range.start} -> ${range.end}`,
+        reportPath: outPath,
+        callsToday: metrics.totalCalls.toLocaleString(),
+        todaySuccessRate: `${metrics.routingRate}%`,
+        callsInPeriod: previousMetrics ? previousMetrics.totalCalls.toLocaleString() : '0',
+        periodSuccessRate: previousMetrics ? `${previousMetrics.routingRate}%` : '-',
+        chipLabels: {
+            callsToday: 'Calls in Range',
+            todaySuccessRate: 'Range Routing',
+            callsInPeriod: 'Prior Window Calls',
+            periodSuccessRate: 'Prior Routing'
+        },
+        failedEnrichments: enrichmentStatus.failed,
+        unknownCalls: enrichmentStatus.unknown,
+        template: TEMPLATE.name,
+        leadsCsvPath
+    };
+
+    const metaPath = outPath.replace('.md', '_meta.json');
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+
+    console.log(`\n=== Date-Range Report Complete ===`);
+    console.log(`Total Calls: ${metrics.totalCalls} (prior window: ${previousMetrics ? previousMetrics.totalCalls : 0})`);
+    console.log(`Routed Calls: ${metrics.routedCalls} (${metrics.routingRate}%)`);
+    console.log(`High-priority leads: ${leads.all.length} (${leadsCsvPath})`);
+    console.log(`Report saved to: ${outPath}`);
+    console.log(`Metadata saved to: ${metaPath}`);
+}
+
+generateRangeReport().catch(console.error);
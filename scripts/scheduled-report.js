@@ -5,13 +5,28 @@
  * Runs the full pipeline for scheduled report generation:
  * 1. Fetch latest data from Vapi
  * 2. Enrich with GPT classification
- * 3. Generate report (DOD or Intraday)
+ * 3. Generate report (DOD, Intraday, a custom date range or a monthly/quarterly review)
  * 4. Send email with branded report
  *
  * Usage:
- *   node scripts/scheduled-report.js --client=bathfitter --type=dod [--date=YYYY-MM-DD]
- *   node scripts/scheduled-report.js --client=bathfitter --type=intraday [--date=YYYY-MM-DD]
+ *   node scripts/scheduled-report.js --client=bathfitter --type=dod [--date=YYYY-MM-DD] [--template=default,executive]
+ *   node scripts/scheduled-report.js --client=bathfitter --type=intraday [--date=YYYY-MM-DD] [--template=<name>]
+ *   node scripts/scheduled-report.js --client=bathfitter --type=range --start=YYYY-MM-DD --end=YYYY-MM-DD [--template=<name>]
+ *   node scripts/scheduled-report.js --client=bathfitter --type=monthly [--month=YYYY-MM] [--template=<name>]
+ *   node scripts/scheduled-report.js --client=bathfitter --type=quarterly [--quarter=YYYY-Q1] [--template=<name>]
+ *   node scripts/scheduled-report.js --type=portfolio [--date=YYYY-MM-DD] [--template=<name>]
  *   node scripts/scheduled-report.js --client=bathfitter --test-email
+ *
+ * --template takes one or more report.json templates (comma-separated). Data is
+ * fetched and enriched once, then each template is generated and emailed with its
+ * own `email` settings, e.g. a trimmed executive email and the full ops email.
+ *
+ * Monthly and quarterly reviews default to the last complete period in the client
+ * timezone and use the report.json `templates.review` entries.
+ *
+ * The portfolio rollup takes no --client: it reads every client's stored data
+ * (schedule it after the clients' DOD runs) and emails the internal-only
+ * recipients in portfolio/config/portfolio.json.
  */
 
 require('dotenv').config();
@@ -19,8 +34,11 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { format, subDays } = require('date-fns');
-const { loadClientConfig } = require('../core/config-loader');
+const { formatInTimeZone } = require('date-fns-tz');
+const { loadClientConfig, loadPortfolioConfig } = require('../core/config-loader');
 const { sendReport, sendTestEmail } = require('../core/lib/email-sender');
+const { resolveReportTemplate, getTemplateFileSuffix } = require('../core/report-template');
+const { PERIOD_TYPES, parsePeriodKey, getLastCompletePeriod } = require('../core/lib/report_periods');
 
 /**
  * Run a command and log output
@@ -91,19 +109,19 @@ function validateReportDate(reportFile, targetDate) {
 }
 
 /**
- * Generate and send DOD report for a specific date
+ * Generate and send DOD report for a specific date, once per template
  */
-async function runDODReport(config, clientName, targetDate) {
+async function runDODReport(config, clientName, targetDate, templates) {
     const rootDir = path.join(__dirname, '..');
 
     console.log(`\n========================================`);
     console.log(`  DOD Report for ${config.client.name} - ${targetDate}`);
     console.log(`========================================`);
 
-    // Step 1: Fetch data (8 days to ensure complete current week for weekly trends)
+    // Step 1: Fetch data incrementally (8-day window on first run ensures complete current week for weekly trends)
     const fetchSuccess = runCommand(
         'Fetching Vapi data',
-        `node scripts/fetch.js --client=${clientName} --days=8`,
+        `node scripts/fetch.js --client=${clientName} --incremental --days=8`,
         rootDir
     );
     if (!fetchSuccess) throw new Error('Fetch failed');
@@ -117,58 +135,62 @@ async function runDODReport(config, clientName, targetDate) {
     );
     if (!enrichSuccess) throw new Error('Enrichment failed');
 
-    // Step 3: Generate DOD report
-    const reportSuccess = runCommand(
-        'Generating DOD report',
-        `node scripts/report-day-over-day.js --client=${clientName} --date=${targetDate}`,
-        rootDir
-    );
-    if (!reportSuccess) throw new Error('Report generation failed');
+    const reportFiles = [];
+    for (const template of templates) {
+        // Step 3: Generate DOD report
+        const reportSuccess = runCommand(
+            `Generating DOD report (${template.name} template)`,
+            `node scripts/report-day-over-day.js --client=${clientName} --date=${targetDate} --template=${template.name}`,
+            rootDir
+        );
+        if (!reportSuccess) throw new Error('Report generation failed');
 
-    // Step 4: Find the report
-    const reportFile = findLatestReport(config.paths.reportsDir, 'EngAgent_DODReport');
-    if (!reportFile) {
-        throw new Error('Could not find generated DOD report');
-    }
+        // Step 4: Find the report
+        const reportFile = findLatestReport(config.paths.reportsDir, `EngAgent_DODReport${getTemplateFileSuffix(template.name)}_Start`);
+        if (!reportFile) {
+            throw new Error('Could not find generated DOD report');
+        }
 
-    // Validate report date (stale report prevention)
-    validateReportDate(reportFile, targetDate);
+        // Validate report date (stale report prevention)
+        validateReportDate(reportFile, targetDate);
 
-    console.log(`\nReport generated: ${path.basename(reportFile)}`);
+        console.log(`\nReport generated: ${path.basename(reportFile)}`);
 
-    // Load report content and metadata
-    const reportContent = fs.readFileSync(reportFile, 'utf8');
+        // Load report content and metadata
+        const reportContent = fs.readFileSync(reportFile, 'utf8');
 
-    // Load metadata from companion JSON file
-    const metaPath = reportFile.replace('.md', '_meta.json');
-    let meta = {};
-    if (fs.existsSync(metaPath)) {
-        meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-        console.log(`Metadata loaded: ${meta.titleLine}`);
-    }
+        // Load metadata from companion JSON file
+        const metaPath = reportFile.replace('.md', '_meta.json');
+        let meta = {};
+        if (fs.existsSync(metaPath)) {
+            meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            console.log(`Metadata loaded: ${meta.titleLine}`);
+        }
 
-    // Send email
-    console.log('\nSending email...');
-    await sendReport(config, 'dod', reportContent, reportFile, meta);
+        // Send email
+        console.log('\nSending email...');
+        await sendReport(config, 'dod', reportContent, reportFile, meta, template.email);
+        reportFiles.push(reportFile);
+    }
 
     console.log('\n[OK] DOD Report complete!');
-    return reportFile;
+    return reportFiles;
 }
 
 /**
- * Generate and send Intraday report for a specific date
+ * Generate and send Intraday report for a specific date, once per template
  */
-async function runIntradayReport(config, clientName, targetDate) {
+async function runIntradayReport(config, clientName, targetDate, templates) {
     const rootDir = path.join(__dirname, '..');
 
     console.log(`\n========================================`);
     console.log(`  Intraday Report for ${config.client.name} - ${targetDate}`);
     console.log(`========================================`);
 
-    // Step 1: Fetch data
+    // Step 1: Fetch data incrementally (1-day window on first run)
     const fetchSuccess = runCommand(
         'Fetching Vapi data',
-        `node scripts/fetch.js --client=${clientName} --days=1`,
+        `node scripts/fetch.js --client=${clientName} --incremental --days=1`,
         rootDir
     );
     if (!fetchSuccess) throw new Error('Fetch failed');
@@ -181,39 +203,232 @@ async function runIntradayReport(config, clientName, targetDate) {
     );
     if (!enrichSuccess) throw new Error('Enrichment failed');
 
-    // Step 3: Generate Intraday report
-    const reportSuccess = runCommand(
-        'Generating Intraday report',
-        `node scripts/report-intraday.js --client=${clientName} --date=${targetDate}`,
+    const reportFiles = [];
+    for (const template of templates) {
+        // Step 3: Generate Intraday report
+        const reportSuccess = runCommand(
+            `Generating Intraday report (${template.name} template)`,
+            `node scripts/report-intraday.js --client=${clientName} --date=${targetDate} --template=${template.name}`,
+            rootDir
+        );
+        if (!reportSuccess) throw new Error('Report generation failed');
+
+        // Step 4: Find the report
+        const reportFile = findLatestReport(config.paths.reportsDir, `intraday_report${getTemplateFileSuffix(template.name)}_${targetDate}`);
+        if (!reportFile) {
+            console.log(`\nNo report generated - likely no calls for ${targetDate} yet`);
+            console.log(`This is normal for early morning runs.`);
+            return null;
+        }
+
+        console.log(`\nReport generated: ${path.basename(reportFile)}`);
+
+        const reportContent = fs.readFileSync(reportFile, 'utf8');
+
+        // Load metadata from companion JSON file
+        const metaPath = reportFile.replace('.md', '_meta.json');
+        let meta = {};
+        if (fs.existsSync(metaPath)) {
+            meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        }
+
+        // Send email
+        console.log('\nSending email...');
+        await sendReport(config, 'intraday', reportContent, reportFile, meta, template.email);
+        reportFiles.push(reportFile);
+    }
+
+    console.log('\n[OK] Intraday Report complete!');
+    return reportFiles;
+}
+
+/**
+ * Generate and send a date-range report (compared with the prior window), once per template
+ */
+async function runRangeReport(config, clientName, startDate, endDate, templates) {
+    const rootDir = path.join(__dirname, '..');
+
+    console.log(`\n========================================`);
+    console.log(`  Date-Range Report for ${config.client.name} - ${startDate} to ${endDate}`);
+    console.log(`========================================`);
+
+    // Step 1: Fetch data incrementally (older days are already stored)
+    const fetchSuccess = runCommand(
+        'Fetching Vapi data',
+        `node scripts/fetch.js --client=${clientName} --incremental --days=8`,
         rootDir
     );
-    if (!reportSuccess) throw new Error('Report generation failed');
+    if (!fetchSuccess) throw new Error('Fetch failed');
 
-    // Step 4: Find the report
-    const reportFile = findLatestReport(config.paths.reportsDir, `intraday_report_${targetDate}`);
-    if (!reportFile) {
-        console.log(`\nNo report generated - likely no calls for ${targetDate} yet`);
-        console.log(`This is normal for early morning runs.`);
-        return null;
+    // Step 2: Enrich anything in the window not yet classified (no --force: ranges can be long)
+    const enrichSuccess = runCommand(
+        'Enriching call data',
+        `node scripts/enrich.js --client=${clientName} --start=${startDate} --end=${endDate}`,
+        rootDir
+    );
+    if (!enrichSuccess) throw new Error('Enrichment failed');
+
+    const reportFiles = [];
+    for (const template of templates) {
+        // Step 3: Generate range report
+        const reportSuccess = runCommand(
+            `Generating date-range report (${template.name} template)`,
+            `node scripts/report-range.js --client=${clientName} --start=${startDate} --end=${endDate} --template=${template.name}`,
+            rootDir
+        );
+        if (!reportSuccess) throw new Error('Report generation failed');
+
+        // Step 4: Find the report
+        const reportFile = findLatestReport(config.paths.reportsDir, `EngAgent_RangeReport${getTemplateFileSuffix(template.name)}_Start`);
+        if (!reportFile) {
+            throw new Error('Could not find generated date-range report');
+        }
+
+        // Validate report dates (stale report prevention)
+        validateReportDate(reportFile, startDate);
+        validateReportDate(reportFile, endDate);
+
+        console.log(`\nReport generated: ${path.basename(reportFile)}`);
+
+        const reportContent = fs.readFileSync(reportFile, 'utf8');
+
+        // Load metadata from companion JSON file
+        const metaPath = reportFile.replace('.md', '_meta.json');
+        let meta = {};
+        if (fs.existsSync(metaPath)) {
+            meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            console.log(`Metadata loaded: ${meta.titleLine}`);
+        }
+
+        // Send email
+        console.log('\nSending email...');
+        await sendReport(config, 'range', reportContent, reportFile, meta, template.email);
+        reportFiles.push(reportFile);
     }
 
-    console.log(`\nReport generated: ${path.basename(reportFile)}`);
+    console.log('\n[OK] Date-Range Report complete!');
+    return reportFiles;
+}
 
-    const reportContent = fs.readFileSync(reportFile, 'utf8');
+/**
+ * Generate and send a monthly or quarterly business review, once per template
+ */
+async function runBusinessReview(config, clientName, period, templates) {
+    const rootDir = path.join(__dirname, '..');
+    const periodArg = period.type === 'quarterly' ? `--quarter=${period.key}` : `--month=${period.key}`;
+    const reportName = period.type === 'quarterly' ? 'QuarterlyReview' : 'MonthlyReview';
+
+    console.log(`\n========================================`);
+    console.log(`  Business Review for ${config.client.name} - ${period.label}`);
+    console.log(`========================================`);
 
-    // Load metadata from companion JSON file
-    const metaPath = reportFile.replace('.md', '_meta.json');
-    let meta = {};
-    if (fs.existsSync(metaPath)) {
-        meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    // Step 1: Fetch data incrementally (older days are already stored)
+    const fetchSuccess = runCommand(
+        'Fetching Vapi data',
+        `node scripts/fetch.js --client=${clientName} --incremental --days=8`,
+        rootDir
+    );
+    if (!fetchSuccess) throw new Error('Fetch failed');
+
+    // Step 2: Enrich anything in the period not yet classified
+    const enrichSuccess = runCommand(
+        'Enriching call data',
+        `node scripts/enrich.js --client=${clientName} --start=${period.start} --end=${period.end}`,
+        rootDir
+    );
+    if (!enrichSuccess) throw new Error('Enrichment failed');
+
+    const reportFiles = [];
+    for (const template of templates) {
+        // Step 3: Generate business review
+        const reportSuccess = runCommand(
+            `Generating ${period.type} business review (${template.name} template)`,
+            `node scripts/report-business-review.js --client=${clientName} ${periodArg} --template=${template.name}`,
+            rootDir
+        );
+        if (!reportSuccess) throw new Error('Report generation failed');
+
+        // Step 4: Find the report
+        const reportFile = findLatestReport(config.paths.reportsDir, `EngAgent_${reportName}${getTemplateFileSuffix(template.name)}_Start`);
+        if (!reportFile) {
+            throw new Error(`Could not find generated ${period.type} business review`);
+        }
+
+        // Validate report dates (stale report prevention)
+        validateReportDate(reportFile, period.start);
+
+        console.log(`\nReport generated: ${path.basename(reportFile)}`);
+
+        const reportContent = fs.readFileSync(reportFile, 'utf8');
+
+        // Load metadata from companion JSON file
+        const metaPath = reportFile.replace('.md', '_meta.json');
+        let meta = {};
+        if (fs.existsSync(metaPath)) {
+            meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            console.log(`Metadata loaded: ${meta.titleLine}`);
+        }
+
+        // Send email
+        console.log('\nSending email...');
+        await sendReport(config, period.type, reportContent, reportFile, meta, template.email);
+        reportFiles.push(reportFile);
     }
 
-    // Send email
-    console.log('\nSending email...');
-    await sendReport(config, 'intraday', reportContent, reportFile, meta);
+    console.log('\n[OK] Business Review complete!');
+    return reportFiles;
+}
 
-    console.log('\n[OK] Intraday Report complete!');
-    return reportFile;
+/**
+ * Generate and send the cross-client portfolio rollup, once per template
+ * Uses the data already stored for each client; nothing is fetched or enriched.
+ */
+async function runPortfolioReport(config, targetDate, templates) {
+    const rootDir = path.join(__dirname, '..');
+
+    console.log(`\n========================================`);
+    console.log(`  Portfolio Rollup - ${targetDate} (${config.clients.join(', ')})`);
+    console.log(`========================================`);
+
+    const reportFiles = [];
+    for (const template of templates) {
+        // Step 1: Generate rollup
+        const reportSuccess = runCommand(
+            `Generating portfolio rollup (${template.name} template)`,
+            `node scripts/report-portfolio.js --date=${targetDate} --template=${template.name}`,
+            rootDir
+        );
+        if (!reportSuccess) throw new Error('Report generation failed');
+
+        // Step 2: Find the report
+        const reportFile = findLatestReport(config.paths.reportsDir, `EngAgent_PortfolioRollup${getTemplateFileSuffix(template.name)}_Start`);
+        if (!reportFile) {
+            throw new Error('Could not find generated portfolio rollup');
+        }
+
+        // Validate report date (stale report prevention)
+        validateReportDate(reportFile, targetDate);
+
+        console.log(`\nReport generated: ${path.basename(reportFile)}`);
+
+        const reportContent = fs.readFileSync(reportFile, 'utf8');
+
+        // Load metadata from companion JSON file
+        const metaPath = reportFile.replace('.md', '_meta.json');
+        let meta = {};
+        if (fs.existsSync(metaPath)) {
+            meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            console.log(`Metadata loaded: ${meta.titleLine}`);
+        }
+
+        // Send email (portfolio.json recipients only)
+        console.log('\nSending email...');
+        await sendReport(config, 'portfolio', reportContent, reportFile, meta, template.email);
+        reportFiles.push(reportFile);
+    }
+
+    console.log('\n[OK] Portfolio Rollup complete!');
+    return reportFiles;
 }
 
 /**
@@ -225,6 +440,11 @@ function parseArgs() {
         client: null,
         type: null,
         date: null,
+        start: null,
+        end: null,
+        month: null,
+        quarter: null,
+        templates: ['default'],
         testEmail: false
     };
 
@@ -235,6 +455,16 @@ function parseArgs() {
             result.type = arg.split('=')[1];
         } else if (arg.startsWith('--date=')) {
             result.date = arg.split('=')[1];
+        } else if (arg.startsWith('--start=')) {
+            result.start = arg.split('=')[1];
+        } else if (arg.startsWith('--end=')) {
+            result.end = arg.split('=')[1];
+        } else if (arg.startsWith('--month=')) {
+            result.month = arg.split('=')[1];
+        } else if (arg.startsWith('--quarter=')) {
+            result.quarter = arg.split('=')[1];
+        } else if (arg.startsWith('--template=')) {
+            result.templates = arg.split('=')[1].split(',').map(t => t.trim()).filter(Boolean);
         } else if (arg === '--test-email') {
             result.testEmail = true;
         }
@@ -254,12 +484,33 @@ async function main() {
     try {
         const args = parseArgs();
 
+        // Portfolio rollup: every client, internal recipients from portfolio.json
+        if (args.type === 'portfolio') {
+            const config = loadPortfolioConfig();
+            const targetDate = args.date || formatInTimeZone(subDays(new Date(), 1), config.client.timezone || 'America/New_York', 'yyyy-MM-dd');
+            const templates = args.templates.map(name => resolveReportTemplate(config, 'portfolio', name));
+
+            console.log(`Report type: PORTFOLIO`);
+            console.log(`Target date: ${targetDate}`);
+            console.log(`Templates: ${templates.map(t => t.name).join(', ')}`);
+
+            await runPortfolioReport(config, targetDate, templates);
+
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+            console.log(`\nTotal time: ${elapsed}s`);
+            return;
+        }
+
         // Validate client argument
         if (!args.client) {
             console.error('Error: --client argument is required');
             console.log('\nUsage:');
-            console.log('  node scripts/scheduled-report.js --client=<name> --type=dod [--date=YYYY-MM-DD]');
-            console.log('  node scripts/scheduled-report.js --client=<name> --type=intraday [--date=YYYY-MM-DD]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=dod [--date=YYYY-MM-DD] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=intraday [--date=YYYY-MM-DD] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=range --start=YYYY-MM-DD --end=YYYY-MM-DD [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=monthly [--month=YYYY-MM] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=quarterly [--quarter=YYYY-Q1] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --type=portfolio [--date=YYYY-MM-DD] [--template=<name>[,<name>...]]');
             console.log('  node scripts/scheduled-report.js --client=<name> --test-email');
             process.exit(1);
         }
@@ -278,15 +529,33 @@ async function main() {
         }
 
         // Validate report type
-        if (!args.type || !['dod', 'intraday'].includes(args.type)) {
-            console.error('Error: --type=dod or --type=intraday is required');
+        if (!args.type || !['dod', 'intraday', 'range', ...PERIOD_TYPES].includes(args.type)) {
+            console.error('Error: --type=dod, --type=intraday, --type=range, --type=monthly or --type=quarterly is required');
             console.log('\nUsage:');
-            console.log('  node scripts/scheduled-report.js --client=<name> --type=dod [--date=YYYY-MM-DD]');
-            console.log('  node scripts/scheduled-report.js --client=<name> --type=intraday [--date=YYYY-MM-DD]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=dod [--date=YYYY-MM-DD] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=intraday [--date=YYYY-MM-DD] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=range --start=YYYY-MM-DD --end=YYYY-MM-DD [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=monthly [--month=YYYY-MM] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --client=<name> --type=quarterly [--quarter=YYYY-Q1] [--template=<name>[,<name>...]]');
+            console.log('  node scripts/scheduled-report.js --type=portfolio [--date=YYYY-MM-DD] [--template=<name>[,<name>...]]');
             console.log('  node scripts/scheduled-report.js --client=<name> --test-email');
             process.exit(1);
         }
 
+        if (args.type === 'range' && !(args.start && args.end)) {
+            console.error('Error: --type=range needs --start=YYYY-MM-DD and --end=YYYY-MM-DD');
+            process.exit(1);
+        }
+
+        // Determine the review period (last complete one unless --month/--quarter is given)
+        let period = null;
+        if (PERIOD_TYPES.includes(args.type)) {
+            const periodKey = args.type === 'quarterly' ? args.quarter : args.month;
+            period = periodKey
+                ? parsePeriodKey(args.type, periodKey)
+                : getLastCompletePeriod(args.type, config.client.timezone || 'America/New_York');
+        }
+
         // Determine target date
         let targetDate = args.date;
         if (!targetDate) {
@@ -297,14 +566,27 @@ async function main() {
             }
         }
 
+        // Resolve templates up front so a typo fails before fetching
+        const templateType = period ? 'review' : args.type;
+        const templates = args.templates.map(name => resolveReportTemplate(config, templateType, name));
+
         console.log(`Report type: ${args.type.toUpperCase()}`);
-        console.log(`Target date: ${targetDate}`);
+        if (period) {
+            console.log(`Period: ${period.label} (${period.start} to ${period.end})`);
+        } else {
+            console.log(args.type === 'range' ? `Range: ${args.start} to ${args.end}` : `Target date: ${targetDate}`);
+        }
+        console.log(`Templates: ${templates.map(t => t.name).join(', ')}`);
 
         // Run the appropriate report
         if (args.type === 'dod') {
-            await runDODReport(config, args.client, targetDate);
+            await runDODReport(config, args.client, targetDate, templates);
+        } else if (args.type === 'range') {
+            await runRangeReport(config, args.client, args.start, args.end, templates);
+        } else if (period) {
+            await runBusinessReview(config, args.client, period, templates);
         } else {
-            await runIntradayReport(config, args.client, targetDate);
+            await runIntradayReport(config, args.client, targetDate, templates);
         }
 
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Vapi Webhook Receiver - Push ingestion of end-of-call reports
+ *
+ * Accepts Vapi `end-of-call-report` server messages, verifies the shared secret,
+ * normalizes each payload into the raw call shape and merges it into
+ * data/raw/vapi_calls_YYYY-MM-DD.json (dedupe by call ID, same as fetch.js).
+ * Other message types are acknowledged and ignored. Polling with fetch.js
+ * remains the reconciliation backstop: a later fetch replaces webhook records
+ * with the authoritative API version.
+ *
+ * Configure the assistant's Server URL as http(s)://<host>:<port>/vapi/webhook
+ * and its server secret to the value of the secret env var
+ * (client.json vapi.webhookSecretEnvVar, default VAPI_WEBHOOK_SECRET).
+ *
+ * Usage:
+ *   node scripts/webhook-server.js --client=lf01 [--port=8787]
+ */
+
+require('dotenv').config();
+const { loadClientConfig } = require('../core/config-loader');
+const { WEBHOOK_PATH, createWebhookServer } = require('../core/lib/vapi_webhook');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const clientArg = args.find(arg => arg.startsWith('--client='));
+const portArg = args.find(arg => arg.startsWith('--port='));
+
+if (!clientArg) {
+    console.error('Error: --client argument is required');
+    console.error('Usage: node webhook-server.js --client=<clientname> [--port=8787]');
+    process.exit(1);
+}
+
+const clientName = clientArg.split('=')[1];
+const config = loadClientConfig(clientName);
+const port = portArg ? parseInt(portArg.split('=')[1]) : (config.client.vapi.webhookPort || 8787);
+const secretEnvVar = config.client.vapi.webhookSecretEnvVar || 'VAPI_WEBHOOK_SECRET';
+const WEBHOOK_SECRET = process.env[secretEnvVar];
+
+if (!WEBHOOK_SECRET) {
+    console.error(`Error: ${secretEnvVar} environment variable is not set.`);
+    process.exit(1);
+}
+
+const server = createWebhookServer(config, { secret: WEBHOOK_SECRET });
+
+server.listen(port, () => {
+    console.log(`=== Vapi webhook receiver for ${config.client.name} ===`);
+    console.log(`Listening on http://localhost:${port}${WEBHOOK_PATH}`);
+});
+
+// Shut down cleanly so in-flight writes finish
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        console.log(`Received ${signal}, shutting down`);
+        server.close(() => process.exit(0));
+    });
+});
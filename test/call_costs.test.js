@@ -0,0 +1,40 @@
+/**
+ * core/lib/call_costs.js billing modes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBillingSettings, summarizeCallCosts } = require('../core/lib/call_costs');
+
+// Two 60s calls with a recorded Vapi cost, one 120s call without
+const calls = [
+    { duration: 60, category: 'hangup', cost: { total: 0.1, components: {}, promptTokens: 0, completionTokens: 0 } },
+    { duration: 60, category: 'hangup', cost: { total: 0.1, components: {}, promptTokens: 0, completionTokens: 0 } },
+    { duration: 120, category: 'spam', cost: null }
+];
+
+test('without a markup or margin every call is billed at the flat rate', () => {
+    const summary = summarizeCallCosts(calls, { blakeCostPerMinute: 0.79 });
+    assert.equal(summary.billingMode, 'flat');
+    assert.equal(summary.billedCost, 3.16);
+    assert.equal(summary.providerCost, 0.2);
+    assert.equal(summary.billingLabel, 'at the flat $0.79/min rate');
+});
+
+test('a markup or margin bills recorded costs, the flat rate the rest', () => {
+    const markup = summarizeCallCosts(calls, { blakeCostPerMinute: 0.79, markupPercent: 50 });
+    assert.equal(markup.billingMode, 'markup');
+    assert.equal(markup.billedCost, 1.88);
+
+    const margin = summarizeCallCosts(calls, { blakeCostPerMinute: 0.79, marginPercent: 50 });
+    assert.equal(margin.billedCost, 1.98);
+
+    const atCost = summarizeCallCosts(calls, { blakeCostPerMinute: 0.79, markupPercent: 0 });
+    assert.equal(atCost.billingLabel, 'at cost');
+    assert.equal(atCost.billedCost, 1.78);
+});
+
+test('markup and margin together are rejected', () => {
+    assert.throws(() => getBillingSettings({ markupPercent: 10, marginPercent: 10 }), /not both/);
+    assert.throws(() => getBillingSettings({ marginPercent: 100 }), /below 100/);
+});
@@ -0,0 +1,37 @@
+/**
+ * core/lib/email-sender.js report chart embedding
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { embedReportImages } = require('../core/lib/email-sender');
+
+test('PNG charts become inline images; SVG and missing files are logged and left as is', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-test-'));
+    const warnings = [];
+    t.mock.method(console, 'warn', message => warnings.push(message));
+    try {
+        fs.mkdirSync(path.join(dir, 'charts'));
+        fs.writeFileSync(path.join(dir, 'charts', 'trend.png'), 'png-bytes');
+        fs.writeFileSync(path.join(dir, 'charts', 'heatmap.svg'), '<svg/>');
+        const html = '<img alt="Trend" src="charts/trend.png"><img alt="Heatmap" src="charts/heatmap.svg">' +
+            '<img alt="Gone" src="charts/gone.png"><img alt="Remote" src="https://example.com/a.png">';
+
+        const result = embedReportImages(html, path.join(dir, 'report.md'));
+
+        assert.deepEqual(result.images, [{ contentId: 'report_image_1', name: 'trend.png', contentBytes: Buffer.from('png-bytes').toString('base64') }]);
+        assert.match(result.html, /<img alt="Trend" src="cid:report_image_1">/);
+        assert.match(result.html, /src="charts\/heatmap\.svg"/);
+        assert.match(result.html, /src="charts\/gone\.png"/);
+        assert.match(result.html, /src="https:\/\/example\.com\/a\.png"/);
+        assert.deepEqual(warnings, [
+            '[Email] Not a PNG (Outlook does not show SVG), left as is: charts/heatmap.svg',
+            '[Email] Image not found, left as is: charts/gone.png'
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
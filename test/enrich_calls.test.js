@@ -0,0 +1,162 @@
+/**
+ * core/lib/enrich_calls.js and the enrichment store: failure handling
+ *
+ * LLM responses come from the replay provider (recordings written into a temp
+ * directory) or a stub client, so nothing here reaches the network.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const { createLLMClient, buildRequest, getRequestKey, getTaskSettings } = require('../core/llm-client');
+const { createCallEnricher } = require('../core/lib/enrich_calls');
+const {
+    loadAllEnrichments,
+    saveEnrichments,
+    mergeEnrichmentAttempt,
+    getUnenrichedCalls
+} = require('../core/lib/store_enrichment');
+
+delete process.env.LLM_PROVIDER;
+delete process.env.LLM_REPLAY_DIR;
+delete process.env.LLM_RECORD;
+
+const baseConfig = loadClientConfig('lf01');
+const timeZone = baseConfig.client.timezone;
+const fixtureCalls = JSON.parse(fs.readFileSync(path.join(baseConfig.paths.rawDir, 'vapi_calls_2026-02-05.json'), 'utf-8'));
+const fixtureEnrichments = JSON.parse(fs.readFileSync(path.join(baseConfig.paths.enrichedDir, 'vapi_enriched_2026-02-05.json'), 'utf-8'));
+const calls = fixtureCalls.slice(0, 2);
+
+// Helper: lf01 config using the replay provider, with its own replay and enriched dirs
+function makeConfig() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrich-test-'));
+    const replayDir = path.join(dir, 'llm_replay');
+    const enrichedDir = path.join(dir, 'enriched');
+    fs.mkdirSync(enrichedDir, { recursive: true });
+    const config = {
+        ...baseConfig,
+        client: { ...baseConfig.client, llm: { ...baseConfig.client.llm, provider: 'replay', replayDir } },
+        paths: { ...baseConfig.paths, enrichedDir }
+    };
+    return { dir, replayDir, enrichedDir, config };
+}
+
+// Helper: Valid classification for a call
+function hangup(callId) {
+    return { callId, category: 'hangup', hangupType: 'moderate', transferReason: null, spamType: null, confidence: 0.9, rationale: 'Caller hung up after the greeting.' };
+}
+
+// Helper: Record a replay response for the request the enricher sends for these calls
+async function recordResponse(config, replayDir, batch, content) {
+    // Capture the request options; a 401 stops the enricher after the first request
+    let options = null;
+    const capture = { complete: async (task, opts) => { options = opts; throw Object.assign(new Error('captured'), { status: 401, retryable: false }); } };
+    await createCallEnricher(config, capture).classifyCalls(batch);
+    const request = buildRequest(getTaskSettings(config, 'enrichment'), options);
+    const file = path.join(replayDir, 'enrichment', `${getRequestKey(request)}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ task: 'enrichment', request, response: { content: JSON.stringify(content) } }));
+}
+
+test('replayed response produces complete records', async () => {
+    const { dir, replayDir, config } = makeConfig();
+    try {
+        await recordResponse(config, replayDir, calls, { calls: calls.map(call => hangup(call.id)) });
+        const records = await createCallEnricher(config, createLLMClient(config)).classifyCalls(calls);
+
+        assert.deepEqual(records.map(r => r.enrichmentStatus), ['complete', 'complete']);
+        assert.deepEqual(records.map(r => r.classification.category), ['hangup', 'hangup']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a failed re-classification keeps the existing complete record and marks it for retry', async () => {
+    const { dir, enrichedDir, config } = makeConfig();
+    try {
+        // The first call already has a complete classification; the second has none
+        const existing = { ...fixtureEnrichments[calls[0].id], enrichmentStatus: 'complete' };
+        saveEnrichments([existing], enrichedDir, timeZone);
+        const before = loadAllEnrichments(enrichedDir);
+
+        // No recordings: the replay miss fails the whole batch without splitting it
+        const llm = createLLMClient(config);
+        let requests = 0;
+        const counting = { complete: (task, opts) => { requests++; return llm.complete(task, opts); } };
+        const records = await createCallEnricher(config, counting).classifyCalls(calls);
+        assert.deepEqual(records.map(r => r.enrichmentStatus), ['failed', 'failed']);
+        assert.equal(requests, 1);
+
+        saveEnrichments(records.map(r => mergeEnrichmentAttempt(r, before.get(r.callId))), enrichedDir, timeZone);
+        const after = loadAllEnrichments(enrichedDir);
+
+        const kept = after.get(calls[0].id);
+        assert.equal(kept.enrichmentStatus, 'complete');
+        assert.deepEqual(kept.classification, existing.classification);
+        assert.equal(kept.enrichedAt, existing.enrichedAt);
+        assert.equal(kept.retryPending, true);
+        assert.match(kept.lastFailure.error, /No recorded LLM response/);
+
+        assert.equal(after.get(calls[1].id).enrichmentStatus, 'failed');
+        assert.deepEqual(getUnenrichedCalls(calls, after).map(c => c.id), calls.map(c => c.id));
+        assert.deepEqual(getUnenrichedCalls(calls, after, { retryFailed: false }), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a successful retry replaces the retryPending record', () => {
+    const existing = { callId: 'a', enrichmentStatus: 'complete', classification: { category: 'hangup' }, retryPending: true };
+    const record = { callId: 'a', enrichmentStatus: 'complete', classification: { category: 'spam' } };
+    assert.equal(mergeEnrichmentAttempt(record, existing), record);
+
+    // A failure over a failed record (or no record) is stored as is
+    const failed = { callId: 'a', enrichmentStatus: 'failed', classification: { category: 'unknown' } };
+    assert.equal(mergeEnrichmentAttempt(failed, undefined), failed);
+    assert.equal(mergeEnrichmentAttempt(failed, { ...failed, enrichmentError: 'earlier' }), failed);
+});
+
+test('records still invalid after the re-ask are failed', async () => {
+    const { dir, config } = makeConfig();
+    let requests = 0;
+    const llm = {
+        complete: async () => {
+            requests++;
+            const records = [hangup(calls[0].id), { ...hangup(calls[1].id), category: 'not-a-category' }];
+            return { content: JSON.stringify({ calls: records }) };
+        }
+    };
+    try {
+        const records = await createCallEnricher(config, llm).classifyCalls(calls);
+        assert.equal(requests, 2);
+        assert.equal(records[0].enrichmentStatus, 'complete');
+        assert.equal(records[1].enrichmentStatus, 'failed');
+        assert.match(records[1].enrichmentError, /Invalid classification/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('network errors split the batch; 401/403/404 and batch-independent errors fail it whole', async () => {
+    const { dir, config } = makeConfig();
+    const run = async (error) => {
+        let requests = 0;
+        const llm = { complete: async () => { requests++; throw Object.assign(new Error(error.message), error); } };
+        const records = await createCallEnricher(config, llm).classifyCalls(calls);
+        assert.ok(records.every(r => r.enrichmentStatus === 'failed'));
+        return requests;
+    };
+    try {
+        // retryable: false skips the backoff waits; the split still happens
+        assert.equal(await run({ message: 'socket hang up', code: 'ECONNRESET', retryable: false }), 3);
+        assert.equal(await run({ message: 'Request timed out', retryable: false }), 3);
+        assert.equal(await run({ message: 'Incorrect API key', status: 401, retryable: false }), 1);
+        assert.equal(await run({ message: 'Model not found', status: 404, retryable: false }), 1);
+        assert.equal(await run({ message: 'No model configured', retryable: false, batchIndependent: true }), 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,49 @@
+/**
+ * core/lib/filter_calls.js match policies against the lf01 vapi config
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadClientConfig } = require('../core/config-loader');
+const { filterCalls, getServerSideFilters } = require('../core/lib/filter_calls');
+
+const vapiConfig = loadClientConfig('lf01').client.vapi;
+const [assistantId] = vapiConfig.assistantIds;
+const sharedNumber = vapiConfig.phoneNumbers[0];
+
+// Helper: Inbound call to a SIP number
+function sipCall(id, callAssistantId, number = sharedNumber) {
+    return {
+        id,
+        assistantId: callAssistantId,
+        phoneCallTransport: 'sip',
+        phoneCallProviderDetails: { sip: { headers: { to: `<sip:${number}@192.168.250.45>` } } }
+    };
+}
+
+test("another assistant's call on the shared number is dropped with its reason", () => {
+    const calls = [
+        sipCall('ours', assistantId),
+        sipCall('theirs', 'other-assistant'),
+        { id: 'web', assistantId, type: 'webCall' }
+    ];
+    const dropped = [];
+    const kept = filterCalls(calls, vapiConfig, (call, reasons) => dropped.push({ id: call.id, reasons }));
+
+    assert.deepEqual(kept.map(c => c.id), ['ours', 'web']);
+    assert.deepEqual(dropped, [{ id: 'theirs', reasons: ['assistant: other-assistant not in vapi.assistantIds'] }]);
+});
+
+test('the assistant criterion is applied server-side', () => {
+    assert.deepEqual(getServerSideFilters(vapiConfig), vapiConfig.assistantIds.map(id => ({ assistantId: id })));
+    assert.deepEqual(getServerSideFilters({ ...vapiConfig, serverSideFilter: false }), [{}]);
+});
+
+test('"any" of phone and assistant lets a shared-number call through', () => {
+    const anyConfig = { ...vapiConfig, matchPolicy: { mode: 'any', criteria: ['phone', 'assistant'] } };
+    assert.equal(filterCalls([sipCall('theirs', 'other-assistant')], anyConfig).length, 1);
+    assert.deepEqual(getServerSideFilters(anyConfig), [{}]);
+
+    const allConfig = { ...vapiConfig, matchPolicy: { mode: 'all', criteria: ['phone', 'assistant'] } };
+    assert.equal(filterCalls([sipCall('theirs', 'other-assistant')], allConfig).length, 0);
+});
@@ -0,0 +1,183 @@
+/**
+ * core/metrics.js against the committed lf01 fixtures (clients/lf01/data/raw + enriched)
+ *
+ * The expected figures pin what each routing number means; if a change to processCalls
+ * or computeMetrics moves one of them, every report email moves with it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const {
+    ROUTING_STATUSES,
+    getMetricsSettings,
+    processCalls,
+    computeMetrics,
+    getRoutingStatus
+} = require('../core/metrics');
+
+const config = loadClientConfig('lf01');
+const settings = getMetricsSettings(config);
+
+// Helper: Every raw call and enrichment record in an lf01 data folder
+function loadFixtures() {
+    const readDir = (dir, prefix) => fs.readdirSync(dir)
+        .filter(f => f.startsWith(prefix) && f.endsWith('.json'))
+        .sort()
+        .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8')));
+
+    const calls = readDir(config.paths.rawDir, 'vapi_calls_').flat();
+    const enrichmentMap = new Map();
+    readDir(config.paths.enrichedDir, 'vapi_enriched_')
+        .flatMap(data => Object.values(data))
+        .forEach(record => enrichmentMap.set(record.callId, record));
+    return { calls, enrichmentMap };
+}
+
+// Helper: Calls per value of a processed-call field
+function countBy(processed, field) {
+    return processed.reduce((counts, call) => {
+        counts[call[field]] = (counts[call[field]] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+const { calls, enrichmentMap } = loadFixtures();
+
+test('processCalls returns one record per call, in input order', () => {
+    const processed = processCalls(calls, enrichmentMap, settings);
+    assert.equal(processed.length, 344);
+    assert.deepEqual(processed.map(c => c.callId), calls.map(c => c.id));
+    assert.deepEqual(countBy(processed, 'classificationSource'), { enrichment: 344 });
+});
+
+test('every call is in exactly one routing bucket', () => {
+    for (const map of [enrichmentMap, new Map()]) {
+        const processed = processCalls(calls, map, settings);
+        for (const call of processed) {
+            assert.ok(ROUTING_STATUSES.includes(call.routingStatus), call.routingStatus);
+            const flags = [call.routed, call.notRouted, call.hangupBeforeRoute, call.transferFailed];
+            assert.ok(flags.filter(Boolean).length <= 1, call.callId);
+        }
+        const metrics = computeMetrics(processed, settings);
+        const bucketed = metrics.routedCalls + metrics.notRoutedCalls + metrics.hangupBeforeRoute
+            + metrics.transferFailedCalls + metrics.spamCalls + metrics.spamLikelyCalls;
+        assert.equal(bucketed, metrics.totalCalls);
+    }
+});
+
+test('routing counts and rates with enrichments', () => {
+    const processed = processCalls(calls, enrichmentMap, settings);
+    const metrics = computeMetrics(processed, settings);
+
+    assert.deepEqual(countBy(processed, 'routingStatus'), {
+        'routed': 188,
+        'not-routed': 75,
+        'hangup-before-route': 3,
+        'spam-likely': 67,
+        'transfer-failed': 8,
+        'spam': 3
+    });
+    assert.equal(metrics.totalCalls, 344);
+    assert.equal(metrics.routedCalls, 188);
+    assert.equal(metrics.notRoutedCalls, 75);
+    assert.equal(metrics.hangupBeforeRoute, 3);
+    assert.equal(metrics.transferFailedCalls, 8);
+    assert.equal(metrics.intentIdentified, 203);
+    assert.equal(metrics.afterHoursCalls, 10);
+
+    // Rates are whole-number percentages of all calls, except transferFailureRate (of attempts)
+    assert.equal(metrics.routingRate, 55);
+    assert.equal(metrics.transferAttemptRate, 56);
+    assert.equal(metrics.transferFailureRate, 2);
+    assert.equal(metrics.transferFailedRate, 2);
+});
+
+test('transfer buckets', () => {
+    const metrics = computeMetrics(processCalls(calls, enrichmentMap, settings), settings);
+
+    assert.equal(metrics.transferAttempted, 191);
+    assert.equal(metrics.transferOutcomes.attempted, 191);
+    assert.equal(metrics.transferOutcomes.completed, 188);
+    assert.equal(metrics.transferOutcomes.failed, 3);
+    assert.deepEqual(metrics.transferOutcomes.byDepartment, {
+        'billing': { attempted: 42, completed: 41 },
+        'service-repair': { attempted: 38, completed: 36 },
+        'sales': { attempted: 60, completed: 60 },
+        'estimate-scheduling': { attempted: 35, completed: 35 },
+        'installation-scheduling': { attempted: 10, completed: 10 },
+        'warranty-registration': { attempted: 6, completed: 6 }
+    });
+
+    // Transfer reasons cover routed calls only
+    const reasonTotal = Object.values(metrics.transferReasons).reduce((sum, n) => sum + n, 0);
+    assert.equal(reasonTotal, metrics.routedCalls);
+
+    // Reasons from the transfer tool group under the department key, not its display label
+    assert.deepEqual(metrics.transferReasons, {
+        'general': 17,
+        'estimate-scheduling': 19,
+        'service-repair': 16,
+        'sales': 38,
+        'other': 79,
+        'billing': 8,
+        'installation-scheduling': 6,
+        'warranty-registration': 5
+    });
+    assert.ok(Object.keys(metrics.transferReasons).every(reason => !/[ /]/.test(reason)));
+});
+
+test('spam buckets', () => {
+    const processed = processCalls(calls, enrichmentMap, settings);
+    const metrics = computeMetrics(processed, settings);
+
+    // Short silent calls are spam-likely whatever the classification; only the rest count as spam
+    assert.equal(countBy(processed, 'category').spam, 31);
+    assert.equal(metrics.spamLikelyCalls, 67);
+    assert.equal(metrics.spamCalls, 3);
+    assert.equal(metrics.spamLikelyRate, 19);
+    assert.equal(metrics.spamRate, 1);
+    assert.ok(processed.filter(c => c.spamLikely).every(c => c.duration <= 15));
+});
+
+test('duration stats and buckets', () => {
+    const metrics = computeMetrics(processCalls(calls, enrichmentMap, settings), settings);
+
+    assert.deepEqual(metrics.routedStats, { avg: 37, median: 33.547, p90: 56.427 });
+    assert.deepEqual(metrics.notRoutedStats, { avg: 43, median: 40.532, p90: 64.054 });
+    assert.deepEqual(metrics.notRoutedBuckets, { '0-15s': 0, '15-30s': 20, '30-60s': 44, '60-120s': 11, '120s+': 0 });
+    assert.equal(metrics.notRoutedDurationCount, metrics.notRoutedCalls);
+    assert.equal(metrics.routedDurationCount, metrics.routedCalls);
+    assert.equal(Math.round(metrics.totalMinutes * 100) / 100, 188.49);
+});
+
+test('calls without enrichments fall back to the classification rules', () => {
+    const processed = processCalls(calls, new Map(), settings);
+    const metrics = computeMetrics(processed, settings);
+
+    assert.deepEqual(countBy(processed, 'classificationSource'), { rules: 296, pending: 48 });
+    assert.deepEqual(countBy(processed, 'routingStatus'), {
+        'routed': 188,
+        'not-routed': 86,
+        'hangup-before-route': 3,
+        'spam-likely': 67
+    });
+    // Routing comes from the call's transfer record, so it does not depend on enrichment
+    assert.equal(metrics.routingRate, 55);
+    assert.equal(metrics.intentIdentified, 296);
+});
+
+test('getRoutingStatus precedence', () => {
+    const transfer = (attempted, completed) => ({ attempted, completed });
+    const status = (facts) => getRoutingStatus({ endedReason: 'assistant-ended-call', spamLikely: false, category: 'hangup', ...facts });
+
+    assert.equal(status({ transfer: transfer(true, true), spamLikely: true }), 'routed');
+    assert.equal(status({ transfer: transfer(true, false), endedReason: 'customer-ended-call' }), 'hangup-before-route');
+    assert.equal(status({ transfer: transfer(false, false), spamLikely: true, category: 'spam' }), 'spam-likely');
+    assert.equal(status({ transfer: transfer(false, false), category: 'spam' }), 'spam');
+    assert.equal(status({ transfer: transfer(false, false), category: 'transferred' }), 'transfer-failed');
+    assert.equal(status({ transfer: transfer(true, false), category: 'transferred' }), 'not-routed');
+    assert.equal(status({ transfer: transfer(false, false) }), 'not-routed');
+});
@@ -0,0 +1,167 @@
+/**
+ * core/lib/revenue_attribution.js: CSV parsing, sales row normalization and
+ * matching outcomes to calls with confidence levels
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseCsv,
+    normalizeSalesRows,
+    buildCallIndex,
+    matchSalesOutcome
+} = require('../core/lib/revenue_attribution');
+const { loadAttributions, saveAttributionImport } = require('../core/lib/store_revenue_attribution');
+
+const settings = { lookbackDays: 90, recentDays: 30 };
+const timeZone = 'America/New_York';
+
+test('parseCsv handles quotes, doubled quotes, newlines in quotes, CRLF and blank lines', () => {
+    const text = '\uFEFFPhone,Notes,Amount\r\n' +
+        '555-123-4567,"Said ""call me"", then hung up","$1,200"\r\n' +
+        '\r\n' +
+        '"(555) 987-6543","two\nlines",\n' +
+        ',,\n' +
+        '5551112222,last,10';
+    assert.deepEqual(parseCsv(text), [
+        ['Phone', 'Notes', 'Amount'],
+        ['555-123-4567', 'Said "call me", then hung up', '$1,200'],
+        ['(555) 987-6543', 'two\nlines', ''],
+        ['5551112222', 'last', '10']
+    ]);
+});
+
+test('normalizeSalesRows maps header aliases and normalizes values', () => {
+    const { outcomes, skipped } = normalizeSalesRows(parseCsv(
+        'Customer Phone,E-mail Address,Appt Date,Visit Held,Closed,Sale Amount\n' +
+        '+1 (555) 123-4567,Jane@Example.com,2/9/2026,no,yes,"$1,250.50"\n' +
+        ',,2026-02-10,yes,no,900\n'
+    ));
+
+    assert.deepEqual(skipped, [{ rowNumber: 3, reason: 'no usable phone or email' }]);
+    assert.equal(outcomes.length, 1);
+    const [outcome] = outcomes;
+    assert.equal(outcome.rowNumber, 2);
+    assert.equal(outcome.phone, '5551234567');
+    assert.equal(outcome.email, 'jane@example.com');
+    assert.equal(outcome.appointmentDate, '2026-02-09');
+    // A sale implies the visit was held
+    assert.equal(outcome.visitHeld, true);
+    assert.equal(outcome.sold, true);
+    assert.equal(outcome.amount, 1250.5);
+    assert.match(outcome.key, /^[0-9a-f]{12}$/);
+});
+
+test('normalizeSalesRows skips unreadable rows and zeroes unsold amounts', () => {
+    const { outcomes, skipped } = normalizeSalesRows(parseCsv(
+        'phone,appointment date,visit held,sold,amount\n' +
+        '5551234567,2026-02-30,yes,yes,100\n' +
+        '5551234567,2026-02-09,maybe,yes,100\n' +
+        '5551234567,2026-02-09,yes,pending,100\n' +
+        '5551234567,2026-02-09,yes,yes,lots\n' +
+        '5551234567,,yes,no,500\n'
+    ));
+
+    assert.deepEqual(skipped.map(s => s.reason), [
+        'unrecognized appointment date "2026-02-30"',
+        'unrecognized visit held value "maybe"',
+        'unrecognized sold value "pending"',
+        'unrecognized amount "lots"'
+    ]);
+    assert.equal(outcomes.length, 1);
+    assert.equal(outcomes[0].appointmentDate, null);
+    assert.equal(outcomes[0].amount, 0);
+});
+
+test('normalizeSalesRows needs a phone or email column', () => {
+    assert.throws(() => normalizeSalesRows([]), /empty/);
+    assert.throws(() => normalizeSalesRows(parseCsv('name,amount\nJane,10\n')), /needs a phone or email column/);
+});
+
+test('rows for the same customer and appointment day are combined, not overwritten', () => {
+    const csv = 'phone,appointment date,sold,amount\n' +
+        '5551234567,2026-02-09,yes,1000\n' +
+        '5551234567,2026-02-09,yes,250\n' +
+        '5551234567,2026-02-10,no,0\n';
+    const { outcomes, combined } = normalizeSalesRows(parseCsv(csv));
+    assert.equal(combined, 1);
+    assert.equal(outcomes.length, 2);
+    assert.deepEqual(outcomes[0].rowNumbers, [2, 3]);
+    assert.equal(outcomes[0].amount, 1250);
+
+    // The store keeps the combined revenue; re-importing the same export updates it
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attribution-test-'));
+    const file = path.join(dir, 'revenue_attribution.json');
+    try {
+        assert.deepEqual(saveAttributionImport(file, outcomes, { file: 'a.csv' }), { added: 2, updated: 0 });
+        assert.deepEqual(saveAttributionImport(file, normalizeSalesRows(parseCsv(csv)).outcomes, { file: 'a.csv' }), { added: 0, updated: 2 });
+        const stored = loadAttributions(file).entries;
+        assert.equal(stored.reduce((sum, entry) => sum + entry.amount, 0), 1250);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a CRM id column keys each row on its own; a repeated id is skipped', () => {
+    const { outcomes, skipped, combined } = normalizeSalesRows(parseCsv(
+        'Deal ID,phone,appointment date,sold,amount\n' +
+        'D-1,5551234567,2026-02-09,yes,1000\n' +
+        'D-2,5551234567,2026-02-09,yes,250\n' +
+        'D-1,5551234567,2026-02-09,yes,1000\n'
+    ));
+    assert.equal(combined, 0);
+    assert.deepEqual(outcomes.map(o => [o.crmId, o.amount]), [['D-1', 1000], ['D-2', 250]]);
+    assert.deepEqual(skipped, [{ rowNumber: 4, reason: 'duplicate CRM id "D-1" (row 2)' }]);
+    assert.notEqual(outcomes[0].key, outcomes[1].key);
+});
+
+// Calls from one number; call-a also captured the customer's email
+const calls = [
+    { callId: 'call-a', createdAt: '2026-01-05T15:00:00.000Z', customerNumber: '+15551234567', email: 'jane@example.com' },
+    { callId: 'call-b', createdAt: '2026-02-01T15:00:00.000Z', customerNumber: '+15551234567', email: null },
+    { callId: 'call-c', createdAt: '2026-02-12T15:00:00.000Z', customerNumber: '+15551234567', email: null },
+    { callId: 'call-d', createdAt: '2025-09-01T15:00:00.000Z', customerNumber: '+15559990000', email: null }
+];
+const index = buildCallIndex(calls, timeZone);
+
+// Helper: Sales outcome for matching
+function outcome(fields) {
+    return { phone: null, email: null, appointmentDate: null, ...fields };
+}
+
+test('the latest call on or before the appointment wins among equal confidence', () => {
+    const match = matchSalesOutcome(outcome({ phone: '5551234567', appointmentDate: '2026-02-10' }), index, settings);
+    // call-c is after the appointment; call-b is 9 days before it
+    assert.equal(match.callId, 'call-b');
+    assert.equal(match.confidence, 'medium');
+    assert.deepEqual(match.matchedBy, ['phone']);
+    assert.equal(match.daysBeforeAppointment, 9);
+});
+
+test('confidence ranks before recency', () => {
+    const match = matchSalesOutcome(outcome({ phone: '5551234567', email: 'jane@example.com', appointmentDate: '2026-02-10' }), index, settings);
+    // call-a matches phone and email (high); the later call-b matches only the phone (medium)
+    assert.equal(match.callId, 'call-a');
+    assert.equal(match.confidence, 'high');
+    assert.deepEqual(match.matchedBy, ['phone', 'email']);
+});
+
+test('older single matches are low confidence; the lookback excludes older calls', () => {
+    const old = matchSalesOutcome(outcome({ phone: '5551234567', appointmentDate: '2026-03-20' }), index, settings);
+    assert.equal(old.callId, 'call-c');
+    assert.equal(old.confidence, 'low');
+    assert.equal(old.daysBeforeAppointment, 36);
+
+    assert.equal(matchSalesOutcome(outcome({ phone: '5559990000', appointmentDate: '2026-02-10' }), index, settings), null);
+    assert.equal(matchSalesOutcome(outcome({ phone: '5550000000', appointmentDate: '2026-02-10' }), index, settings), null);
+});
+
+test('without an appointment date every call is a candidate, single matches are low', () => {
+    const match = matchSalesOutcome(outcome({ phone: '5551234567' }), index, settings);
+    assert.equal(match.callId, 'call-c');
+    assert.equal(match.confidence, 'low');
+    assert.equal(match.daysBeforeAppointment, null);
+});
@@ -0,0 +1,58 @@
+/**
+ * core/lib/rule_engine.js default fallback rules, checked against the
+ * behaviour of the original hard-coded classifyCall
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadClientConfig } = require('../core/config-loader');
+const { DEFAULT_CLASSIFICATION_RULES, getClassificationRules, buildCallFacts } = require('../core/lib/rule_engine');
+const { classifyCall } = require('../core/lib/classify_call');
+
+// Helper: Raw call with a transfer tool call carrying `args` (a string is sent as-is)
+function transferCall(args, endedReason = 'customer-ended-call') {
+    return {
+        duration: 40,
+        endedReason,
+        messages: [{
+            role: 'assistant',
+            toolCalls: [{ function: { name: 'transferCall', arguments: typeof args === 'string' ? args : JSON.stringify(args) } }]
+        }]
+    };
+}
+
+test('rules see the unrounded duration', () => {
+    const call = { duration: 4.6, endedReason: 'customer-ended-call' };
+    assert.equal(buildCallFacts(call, {}).duration, 4.6);
+
+    const result = classifyCall(call);
+    assert.equal(result.ruleId, 'short-call-spam');
+    assert.equal(result.category, 'spam');
+
+    assert.equal(classifyCall({ duration: 5.2, endedReason: 'customer-ended-call' }).ruleId, 'customer-hangup');
+});
+
+test('hangup-during-transfer requires a transfer destination', () => {
+    const withDestination = classifyCall(transferCall({ destination: '+15551234567' }));
+    assert.equal(withDestination.ruleId, 'hangup-during-transfer');
+    assert.equal(withDestination.transferReason, 'hung-up-during-transfer-to-+15551234567');
+
+    // Unparseable arguments still count, as an unknown destination
+    const unparsed = classifyCall(transferCall('{not json'));
+    assert.equal(unparsed.ruleId, 'hangup-during-transfer');
+    assert.equal(unparsed.transferReason, 'hung-up-during-transfer-to-Unknown Destination');
+
+    // No destination argument: an ordinary hangup
+    const noDestination = classifyCall(transferCall({}));
+    assert.equal(noDestination.ruleId, 'customer-hangup');
+    assert.equal(noDestination.transferReason, 'customer-hung-up');
+
+    assert.equal(classifyCall(transferCall({ destination: '+15551234567' }, 'assistant-forwarded-call')).ruleId, 'forwarded');
+});
+
+test('lf01 uses the default rules', () => {
+    const rules = getClassificationRules(loadClientConfig('lf01'));
+    assert.equal(rules.fallback, DEFAULT_CLASSIFICATION_RULES.fallback);
+    assert.equal(rules.overrides, DEFAULT_CLASSIFICATION_RULES.overrides);
+    assert.equal(rules.transferTools, DEFAULT_CLASSIFICATION_RULES.transferTools);
+});
@@ -0,0 +1,117 @@
+/**
+ * core/lib/score_classifications.js: precision/recall, the confusion matrix,
+ * the diff against a baseline run and the CI gates, on hand-computed cases
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreClassifications, diffEvaluations, checkEvalGates } = require('../core/lib/score_classifications');
+
+const categories = ['transferred', 'booked', 'spam', 'voicemail'];
+
+// Helper: Prediction for one call
+function prediction(callId, expected, predicted, reasons = []) {
+    return {
+        callId,
+        expected: { category: expected, transferReason: reasons[0] || null },
+        predicted: { category: predicted, transferReason: reasons[1] || null }
+    };
+}
+
+// Six calls: three transferred, two booked, one spam; spam is never predicted
+const current = [
+    prediction('call-1', 'transferred', 'transferred', ['billing', 'billing']),
+    prediction('call-2', 'transferred', 'transferred', ['sales', 'billing']),
+    prediction('call-3', 'transferred', 'booked', ['sales']),
+    prediction('call-4', 'booked', 'booked'),
+    prediction('call-5', 'booked', 'transferred'),
+    prediction('call-6', 'spam', 'booked')
+];
+
+// An earlier prompt version over the same calls
+const baseline = [
+    prediction('call-1', 'transferred', 'transferred'),
+    prediction('call-2', 'transferred', 'booked'),
+    prediction('call-3', 'transferred', 'booked'),
+    prediction('call-4', 'booked', 'transferred'),
+    prediction('call-5', 'booked', 'transferred'),
+    prediction('call-6', 'spam', 'spam')
+];
+
+// Helper: Saved eval run
+function run(predictions) {
+    return { metrics: scoreClassifications(predictions, categories), predictions };
+}
+
+test('confusion matrix counts expected (rows) against predicted (columns)', () => {
+    const { confusion, total, correct, accuracy } = scoreClassifications(current, categories);
+    assert.deepEqual(confusion, {
+        transferred: { transferred: 2, booked: 1, spam: 0, voicemail: 0 },
+        booked: { transferred: 1, booked: 1, spam: 0, voicemail: 0 },
+        spam: { transferred: 0, booked: 1, spam: 0, voicemail: 0 },
+        voicemail: { transferred: 0, booked: 0, spam: 0, voicemail: 0 }
+    });
+    assert.equal(total, 6);
+    assert.equal(correct, 3);
+    assert.equal(accuracy, 0.5);
+
+    // Labels outside the category list get their own row and column
+    const extra = scoreClassifications([prediction('call-7', 'booked', 'unknown')], ['booked']);
+    assert.deepEqual(extra.confusion, { booked: { booked: 0, unknown: 1 }, unknown: { booked: 0, unknown: 0 } });
+});
+
+test('precision and recall per category; no predictions means no precision', () => {
+    const { perCategory, transferReason } = scoreClassifications(current, categories);
+
+    // 2 of 3 transferred predictions right, 2 of 3 transferred calls found
+    assert.deepEqual(perCategory.transferred, { support: 3, predicted: 3, precision: 0.667, recall: 0.667, f1: 0.667 });
+    // 1 of 3 booked predictions right, 1 of 2 booked calls found; f1 = 2 x 0.333 x 0.5 / 0.833
+    assert.deepEqual(perCategory.booked, { support: 2, predicted: 3, precision: 0.333, recall: 0.5, f1: 0.4 });
+    // Spam was never predicted: precision is 0/0, not 0
+    assert.deepEqual(perCategory.spam, { support: 1, predicted: 0, precision: null, recall: 0, f1: null });
+    assert.deepEqual(perCategory.voicemail, { support: 0, predicted: 0, precision: null, recall: null, f1: null });
+
+    // Only calls with a gold transfer reason are scored on it
+    assert.deepEqual(transferReason, { evaluated: 3, correct: 1, accuracy: 0.333 });
+
+    assert.equal(scoreClassifications([], categories).accuracy, null);
+});
+
+test('the baseline diff reports metric deltas and the calls that changed', () => {
+    const diff = diffEvaluations(run(current), run(baseline));
+
+    // 3/6 now vs 2/6 before
+    assert.equal(diff.accuracyDelta, 0.167);
+    assert.deepEqual(diff.perCategory, {
+        transferred: { precisionDelta: 0.334, recallDelta: 0.334 },
+        booked: { precisionDelta: 0.333, recallDelta: 0.5 },
+        // Spam had precision 1 and now has none to compare
+        spam: { precisionDelta: null, recallDelta: -1 },
+        voicemail: { precisionDelta: null, recallDelta: null }
+    });
+    assert.deepEqual(diff.changed, [
+        { callId: 'call-2', expected: 'transferred', before: 'booked', after: 'transferred', status: 'fixed' },
+        { callId: 'call-4', expected: 'booked', before: 'transferred', after: 'booked', status: 'fixed' },
+        { callId: 'call-6', expected: 'spam', before: 'spam', after: 'booked', status: 'broken' }
+    ]);
+});
+
+test('gates fail below the minimum accuracy or past the allowed regression', () => {
+    const { metrics } = run(current);
+    const improved = diffEvaluations(run(current), run(baseline));
+    const regressed = diffEvaluations(run(baseline), run(current));
+
+    assert.deepEqual(checkEvalGates(metrics, improved, {}), []);
+    assert.deepEqual(checkEvalGates(metrics, improved, { minAccuracy: 0.5, maxRegression: 0 }), []);
+    assert.deepEqual(checkEvalGates(metrics, improved, { minAccuracy: 0.6 }), [
+        { gate: 'min-accuracy', value: 0.5, limit: 0.6 }
+    ]);
+
+    // Going back to the baseline loses 16.7 points
+    assert.deepEqual(checkEvalGates(run(baseline).metrics, regressed, { maxRegression: 0.1 }), [
+        { gate: 'max-regression', value: -0.167, limit: 0.1 }
+    ]);
+    assert.deepEqual(checkEvalGates(run(baseline).metrics, regressed, { maxRegression: 0.2 }), []);
+    // No baseline run: the regression gate has nothing to compare
+    assert.deepEqual(checkEvalGates(metrics, null, { maxRegression: 0 }), []);
+});
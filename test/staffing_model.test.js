@@ -0,0 +1,64 @@
+/**
+ * core/lib/staffing_model.js cost of human coverage: handled traffic vs the coverage floor
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadClientConfig } = require('../core/config-loader');
+const { getMetricsSettings } = require('../core/metrics');
+const { getStaffingSettings, buildCoveragePlan, formatStaffingSection } = require('../core/lib/staffing_model');
+
+const config = loadClientConfig('lf01');
+const metricsSettings = getMetricsSettings(config);
+// No pricing overrides: $45/hr x 1.3, flat AI billing
+const settings = { ...getStaffingSettings({}), pricing: { blakeCostPerMinute: 0.79 } };
+
+// One week, Monday 2026-02-02 to Sunday 2026-02-08
+const week = ['02', '03', '04', '05', '06', '07', '08'].map(day => `2026-02-${day}`);
+
+// One transfer on Monday 2026-02-02 at 10:00 and one at 14:00 New York time, two minutes each
+const calls = ['15:00', '19:00'].map((time, i) => ({
+    id: `call-${i}`,
+    createdAt: `2026-02-02T${time}:00.000Z`,
+    duration: 120,
+    transferAttempted: true,
+    routingStatus: 'routed'
+}));
+
+test('human cost prices the handled traffic; the slot schedule is the floor', () => {
+    const plan = buildCoveragePlan(calls, week, 'transfers', metricsSettings, settings);
+
+    assert.equal(plan.callsPerWeek, 2);
+    // 2 calls x 300s at 85% occupancy = 0.196 h, / 0.7 shrinkage = 0.28 h
+    assert.equal(plan.handledHoursPerWeek, 0.2);
+    assert.equal(plan.paidHoursPerWeek, 0.3);
+    assert.equal(plan.humanCostPerWeek, 16.39);
+
+    // One agent for each of the two hourly slots
+    assert.equal(plan.agentHoursPerWeek, 2);
+    assert.equal(plan.staffedHoursPerWeek, 2.9);
+    assert.equal(plan.floorCostPerWeek, 167.14);
+
+    assert.equal(plan.aiCostPerWeek, 3.16);
+});
+
+test('the section shows the floor separately and states the assumption', () => {
+    const md = formatStaffingSection(calls, week, config, metricsSettings, { streams: ['transfers'] });
+    assert.match(md, /Human cost prices the handled calls only/);
+    assert.doesNotMatch(md, /weekdays are in the window/);
+    assert.match(md, /\*\*Coverage floor\*\*/);
+    assert.throws(() => formatStaffingSection(calls, ['2026-02-02'],
+        { ...config, report: { ...config.report, staffing: { occupancy: 0 } } }, metricsSettings), /occupancy/);
+});
+
+test('a window shorter than a week scales its average day to 7 days', () => {
+    // Monday alone: its two calls stand for every day of the week
+    const plan = buildCoveragePlan(calls, ['2026-02-02'], 'transfers', metricsSettings, settings);
+    assert.equal(plan.observedWeekdays, 1);
+    assert.equal(plan.callsPerWeek, 14);
+    assert.equal(plan.agentHoursPerWeek, 14);
+    assert.equal(plan.aiCostPerWeek, 22.12);
+
+    const md = formatStaffingSection(calls, ['2026-02-02'], config, metricsSettings, { streams: ['transfers'] });
+    assert.match(md, /Only 1 of 7 weekdays are in the window/);
+});
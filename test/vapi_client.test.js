@@ -0,0 +1,213 @@
+/**
+ * core/lib/vapi_client.js against a local mock of the Vapi /call endpoint:
+ * pagination, retries with backoff and Retry-After, and incomplete fetches
+ *
+ * The mock pages like Vapi: array responses, newest createdAt first, `limit` calls
+ * per page, filtered by the inclusive `<field>Ge` / `<field>Le` bounds.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createVapiClient } = require('../core/lib/vapi_client');
+const { applyFetchResult } = require('../core/lib/store_raw_calls');
+
+const silentLogger = { log: () => {}, warn: () => {} };
+
+// Helper: Start a mock server; handler(req, url) returns { status, headers, body }
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const { status = 200, headers = {}, body = [] } = handler(req, url, requests.length);
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Helper: Vapi-style /call listing over a fixed set of calls
+function listingHandler(calls) {
+    return (req, url) => {
+        const field = url.searchParams.has('updatedAtGe') ? 'updatedAt' : 'createdAt';
+        const ge = url.searchParams.get(`${field}Ge`);
+        const le = url.searchParams.get(`${field}Le`);
+        const limit = Number(url.searchParams.get('limit'));
+        const body = calls
+            .filter(c => c[field] >= ge && c[field] <= le)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+        return { body };
+    };
+}
+
+// Helper: Calls one minute apart by createdAt, updated in a different order
+function makeCalls(count) {
+    const base = Date.parse('2026-02-10T12:00:00.000Z');
+    return Array.from({ length: count }, (_, i) => ({
+        id: `call-${i}`,
+        createdAt: new Date(base + i * 60000).toISOString(),
+        // Older calls were updated last (e.g. analysis filled in late)
+        updatedAt: new Date(base + (count - i) * 3600000).toISOString()
+    }));
+}
+
+const window = { startDate: new Date('2026-02-10T00:00:00.000Z'), endDate: new Date('2026-02-20T00:00:00.000Z') };
+
+test('createdAt windows page by moving the upper bound', async () => {
+    const calls = makeCalls(25);
+    const server = await startServer(listingHandler(calls));
+    try {
+        const vapi = createVapiClient({ apiKey: 'test', baseUrl: server.baseUrl, pageLimit: 10, logger: silentLogger });
+        const result = await vapi.listCalls({ ...window, rangeField: 'createdAt' });
+        assert.equal(result.calls.length, 25);
+        assert.equal(result.pages, 3);
+    } finally {
+        await server.close();
+    }
+});
+
+test('updatedAt windows split on a full page instead of assuming updatedAt order', async () => {
+    const calls = makeCalls(25);
+    const server = await startServer(listingHandler(calls));
+    try {
+        const vapi = createVapiClient({ apiKey: 'test', baseUrl: server.baseUrl, pageLimit: 10, logger: silentLogger });
+        const result = await vapi.listCalls({ ...window, rangeField: 'updatedAt' });
+        assert.deepEqual(result.calls.map(c => c.id).sort(), calls.map(c => c.id).sort());
+        assert.ok(server.requests.every(url => url.searchParams.has('updatedAtGe') && url.searchParams.has('updatedAtLe')));
+    } finally {
+        await server.close();
+    }
+});
+
+test('more calls than a page at one updatedAt is an incomplete fetch', async () => {
+    const calls = makeCalls(12).map(c => ({ ...c, updatedAt: '2026-02-15T00:00:00.000Z' }));
+    const server = await startServer(listingHandler(calls));
+    try {
+        // Splitting down to one millisecond takes ~2 pages per halving of the window
+        const vapi = createVapiClient({ apiKey: 'test', baseUrl: server.baseUrl, pageLimit: 10, maxPages: 200, logger: silentLogger });
+        await assert.rejects(vapi.listCalls({ ...window, rangeField: 'updatedAt' }), error => {
+            assert.equal(error.code, 'VAPI_FETCH_INCOMPLETE');
+            assert.match(error.reason, /share updatedAt/);
+            assert.equal(error.calls.length, 10);
+            return true;
+        });
+    } finally {
+        await server.close();
+    }
+});
+
+// Helper: Client with millisecond backoff; `warnings` collects the retry log lines
+function makeClient(baseUrl, options = {}) {
+    const warnings = [];
+    const logger = { log: () => {}, warn: message => warnings.push(message) };
+    const vapi = createVapiClient({ apiKey: 'test', baseUrl, baseDelayMs: 1, maxDelayMs: 5, logger, ...options });
+    return { vapi, warnings };
+}
+
+test('a 429 is retried after its Retry-After delay', async () => {
+    const calls = makeCalls(3);
+    const server = await startServer((req, url, count) => (count === 1
+        ? { status: 429, headers: { 'Retry-After': '1' }, body: { message: 'Too Many Requests' } }
+        : listingHandler(calls)(req, url)));
+    try {
+        const { vapi, warnings } = makeClient(server.baseUrl);
+        const started = Date.now();
+        const result = await vapi.listCalls(window);
+
+        assert.equal(result.calls.length, 3);
+        assert.equal(server.requests.length, 2);
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /HTTP 429.*retry 1\/5 in 1000ms/);
+        assert.ok(Date.now() - started >= 1000);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a 5xx is retried with backoff until the request succeeds', async () => {
+    const calls = makeCalls(3);
+    const server = await startServer((req, url, count) => (count <= 2
+        ? { status: count === 1 ? 503 : 502, body: 'upstream unavailable' }
+        : listingHandler(calls)(req, url)));
+    try {
+        const { vapi, warnings } = makeClient(server.baseUrl);
+        const result = await vapi.listCalls(window);
+
+        assert.equal(result.calls.length, 3);
+        assert.equal(server.requests.length, 3);
+        assert.match(warnings[0], /HTTP 503/);
+        assert.match(warnings[1], /HTTP 502/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('gives up once the attempt limit is reached', async () => {
+    const server = await startServer(() => ({ status: 500, body: 'internal error' }));
+    try {
+        const { vapi, warnings } = makeClient(server.baseUrl, { retries: 2 });
+        await assert.rejects(vapi.listCalls(window), error => {
+            assert.equal(error.code, 'VAPI_FETCH_INCOMPLETE');
+            assert.equal(error.pages, 0);
+            assert.equal(error.cause.statusCode, 500);
+            assert.equal(error.cause.attempts, 3);
+            return true;
+        });
+        assert.equal(server.requests.length, 3);
+        assert.equal(warnings.length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('other 4xx responses fail without retrying', async () => {
+    const server = await startServer(() => ({ status: 401, body: { message: 'Unauthorized' } }));
+    try {
+        const { vapi } = makeClient(server.baseUrl);
+        await assert.rejects(vapi.listCalls(window), error => error.code === 'VAPI_FETCH_INCOMPLETE' && error.cause.statusCode === 401);
+        assert.equal(server.requests.length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('an incomplete fetch leaves the watermark unchanged', async () => {
+    // First page is full, every later page fails
+    const calls = makeCalls(15);
+    const server = await startServer((req, url, count) => (count === 1
+        ? listingHandler(calls)(req, url)
+        : { status: 503, body: 'unavailable' }));
+    const metadata = { lastFetchTimestamp: '2026-02-09T00:00:00.000Z', lastFetchedCallId: 'call-old', totalCallsStored: 40 };
+    const runStartedAt = new Date('2026-02-20T00:00:00.000Z');
+    try {
+        const { vapi } = makeClient(server.baseUrl, { pageLimit: 10, retries: 1 });
+        const error = await vapi.listCalls({ ...window, rangeField: 'updatedAt' }).catch(e => e);
+        assert.equal(error.code, 'VAPI_FETCH_INCOMPLETE');
+        assert.equal(error.calls.length, 10);
+
+        const partial = applyFetchResult(metadata, {
+            fetchStatus: 'partial', stats: { new: 10, updated: 0, unchanged: 0 }, totalCallsStored: 50,
+            incremental: true, runStartedAt, calls: error.calls
+        });
+        assert.equal(partial.lastFetchStatus, 'partial');
+        assert.equal(partial.lastFetchTimestamp, metadata.lastFetchTimestamp);
+        assert.equal(partial.lastFetchedCallId, metadata.lastFetchedCallId);
+        assert.equal(partial.totalCallsStored, 50);
+
+        const complete = applyFetchResult(metadata, {
+            fetchStatus: 'complete', stats: { new: 15, updated: 0, unchanged: 0 }, totalCallsStored: 55,
+            incremental: true, runStartedAt, calls
+        });
+        assert.equal(complete.lastFetchTimestamp, runStartedAt.toISOString());
+        assert.equal(complete.lastFetchedCallId, 'call-0');
+    } finally {
+        await server.close();
+    }
+});
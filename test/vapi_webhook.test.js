@@ -0,0 +1,129 @@
+/**
+ * core/lib/vapi_webhook.js: shared-secret checks, end-of-call-report normalization,
+ * and the receiver on an ephemeral port posting signed and unsigned reports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadClientConfig } = require('../core/config-loader');
+const {
+    WEBHOOK_PATH,
+    verifyWebhookSecret,
+    normalizeEndOfCallReport,
+    createWebhookServer
+} = require('../core/lib/vapi_webhook');
+
+const SECRET = 'test-webhook-secret';
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+test('verifyWebhookSecret accepts only the configured secret', () => {
+    assert.equal(verifyWebhookSecret({}, SECRET), false);
+    assert.equal(verifyWebhookSecret({ 'x-vapi-secret': SECRET }, ''), false);
+    assert.equal(verifyWebhookSecret({ 'x-vapi-secret': SECRET }, undefined), false);
+
+    // Same length, different value; then shorter and longer values
+    assert.equal(verifyWebhookSecret({ 'x-vapi-secret': 'test-webhook-secreT' }, SECRET), false);
+    assert.equal(verifyWebhookSecret({ 'x-vapi-secret': 'test' }, SECRET), false);
+    assert.equal(verifyWebhookSecret({ 'x-vapi-secret': `${SECRET}-and-more` }, SECRET), false);
+    assert.equal(verifyWebhookSecret({ authorization: `Basic ${SECRET}` }, SECRET), false);
+
+    assert.equal(verifyWebhookSecret({ 'x-vapi-secret': SECRET }, SECRET), true);
+    assert.equal(verifyWebhookSecret({ authorization: `Bearer ${SECRET}` }, SECRET), true);
+});
+
+test('normalizeEndOfCallReport prefers report fields over the call-start snapshot', () => {
+    assert.equal(normalizeEndOfCallReport({ call: {} }), null);
+    assert.equal(normalizeEndOfCallReport({}), null);
+
+    const call = normalizeEndOfCallReport({
+        type: 'end-of-call-report',
+        timestamp: 1770739200000,
+        endedReason: 'customer-ended-call',
+        assistant: { id: 'assistant-1' },
+        artifact: { transcript: 'AI: Hello', messages: [{ role: 'bot' }] },
+        analysis: { summary: 'Booked an estimate', successEvaluation: 'true' },
+        call: {
+            id: 'call-1',
+            createdAt: '2026-02-10T15:00:00.000Z',
+            status: 'in-progress',
+            transcript: 'stale',
+            analysis: { structuredData: { department: 'sales' } }
+        }
+    });
+
+    assert.equal(call.id, 'call-1');
+    assert.equal(call.assistantId, 'assistant-1');
+    assert.equal(call.status, 'ended');
+    assert.equal(call.endedReason, 'customer-ended-call');
+    assert.equal(call.transcript, 'AI: Hello');
+    assert.deepEqual(call.messages, [{ role: 'bot' }]);
+    assert.equal(call.summary, 'Booked an estimate');
+    assert.deepEqual(call.analysis, {
+        structuredData: { department: 'sales' },
+        summary: 'Booked an estimate',
+        successEvaluation: 'true'
+    });
+    assert.equal(call.updatedAt, '2026-02-10T16:00:00.000Z');
+    assert.equal(call._source, 'webhook');
+});
+
+test('the receiver stores signed reports and rejects unsigned ones', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+    const lf01 = loadClientConfig('lf01');
+    const config = { ...lf01, paths: { ...lf01.paths, rawDir: dir } };
+    const [assistantId] = config.client.vapi.assistantIds;
+    // saveDailyRawData reports each write on the console
+    t.mock.method(console, 'log', () => {});
+
+    const server = createWebhookServer(config, { secret: SECRET, logger: silentLogger });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}${WEBHOOK_PATH}`;
+
+    // Helper: POST a server message, optionally with the secret header
+    async function post(message, headers = {}) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ message })
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    const report = (id, callAssistantId) => ({
+        type: 'end-of-call-report',
+        endedReason: 'customer-ended-call',
+        call: { id, assistantId: callAssistantId, type: 'webCall', createdAt: '2026-02-10T15:00:00.000Z' }
+    });
+    const signed = { 'x-vapi-secret': SECRET };
+
+    try {
+        assert.deepEqual(await post(report('call-1', assistantId)), { status: 401, body: { ok: false, error: 'Unauthorized' } });
+        assert.equal((await post(report('call-1', assistantId), { 'x-vapi-secret': 'wrong' })).status, 401);
+        assert.deepEqual(fs.readdirSync(dir), []);
+
+        assert.deepEqual(await post(report('call-1', assistantId), signed), {
+            status: 200,
+            body: { ok: true, saved: true, new: 1, updated: 0, unchanged: 0 }
+        });
+        const stored = JSON.parse(fs.readFileSync(path.join(dir, 'vapi_calls_2026-02-10.json'), 'utf-8'));
+        assert.deepEqual(stored.map(c => [c.id, c.status, c._source]), [['call-1', 'ended', 'webhook']]);
+
+        // Another assistant's call is acknowledged but not stored
+        const other = await post(report('call-2', 'other-assistant'), signed);
+        assert.equal(other.status, 200);
+        assert.equal(other.body.saved, false);
+        assert.deepEqual(other.body.reasons, ['assistant: other-assistant not in vapi.assistantIds']);
+
+        assert.deepEqual(await post({ type: 'status-update' }, signed), { status: 200, body: { ok: true, ignored: 'status-update' } });
+        assert.equal((await post({ type: 'end-of-call-report', call: {} }, signed)).status, 400);
+
+        const health = await fetch(url.replace(WEBHOOK_PATH, '/health'));
+        assert.deepEqual(await health.json(), { ok: true, client: 'lf01' });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});